@@ -0,0 +1,48 @@
+// scripts/migrate-email-verified.js
+// ─────────────────────────────────────────────────────────────────────────────
+// WHY THIS FILE EXISTS:
+//   Users now have to verify their email address before they can use the
+//   API or the socket (User.emailVerified, see middleware/auth.js). Accounts
+//   created before that have no such field — and would all be locked out,
+//   admins included. This one-off script marks them as verified:
+//     emailVerified   → true
+//     emailVerifiedAt → when the account was created
+//
+//   Safe to run more than once — users that have the field are left alone
+//   (including new, still unverified ones).
+//
+//   Usage:
+//     npm run migrate:email-verified
+// ─────────────────────────────────────────────────────────────────────────────
+
+require("dotenv").config();
+const mongoose = require("mongoose");
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  // Raw collection — the User model would fill in the default (false)
+  const users = mongoose.connection.collection("users");
+
+  // An update pipeline, so each user gets their own createdAt
+  const { modifiedCount } = await users.updateMany(
+    { emailVerified: { $exists: false } },
+    [
+      {
+        $set: {
+          emailVerified: true,
+          emailVerifiedAt: { $ifNull: ["$createdAt", { $toDate: "$_id" }] },
+        },
+      },
+    ],
+  );
+
+  console.log(`✅ Marked ${modifiedCount} existing user(s) as verified`);
+};
+
+migrate()
+  .catch((error) => {
+    console.error(`❌ Migration failed: ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
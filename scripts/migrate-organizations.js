@@ -0,0 +1,145 @@
+// scripts/migrate-organizations.js
+// ─────────────────────────────────────────────────────────────────────────────
+// WHY THIS FILE EXISTS:
+//   Every user, project, task, comment, notification and invitation now
+//   belongs to an organization (see models/Organization.js). This one-off
+//   script moves an existing single-company deployment into ONE organization:
+//     - creates the organization (or reuses it if the slug already exists)
+//     - assigns every document without an organization to it
+//     - drops the old globally unique id indexes (ids are unique per
+//       organization now) and seeds the per-organization id counters
+//     - moves the 2FA policy setting to the organization
+//     - optionally makes one user a platform super-admin
+//
+//   Safe to run more than once — documents that already have an organization
+//   are left alone.
+//
+//   Usage:
+//     npm run migrate:organizations -- --name="Acme" --slug=acme \
+//       --domains=acme.com,acme.co.uk --super-admin=ops@acme.com
+// ─────────────────────────────────────────────────────────────────────────────
+
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Organization = require("../src/models/Organization");
+
+// --key=value → { key: value }
+const args = Object.fromEntries(
+  process.argv
+    .slice(2)
+    .filter((arg) => arg.startsWith("--"))
+    .map((arg) => {
+      const [key, ...rest] = arg.slice(2).split("=");
+      return [key, rest.join("=")];
+    }),
+);
+
+// collection → its numeric id field (and counter name)
+const SCOPED = {
+  users: "userId",
+  projects: "projectId",
+  tasks: "taskId",
+  comments: "commentId",
+  notifications: "notificationId",
+  invitations: "invitationId",
+};
+
+const migrate = async () => {
+  const name = args.name || "Default Organization";
+  const slug = (args.slug || "default").toLowerCase();
+  const domains = args.domains
+    ? args.domains.split(",").map((d) => d.trim().toLowerCase())
+    : [];
+
+  await mongoose.connect(process.env.MONGO_URI);
+  const db = mongoose.connection;
+
+  let organization = await Organization.findOne({ slug });
+  if (!organization) {
+    organization = await Organization.create({ name, slug, domains });
+    console.log(`✅ Created organization '${slug}'`);
+  } else {
+    console.log(`ℹ️  Using existing organization '${slug}'`);
+  }
+  const orgId = organization._id;
+
+  // Raw collections — the models would reject documents without organization
+  for (const [collection, idField] of Object.entries(SCOPED)) {
+    const coll = db.collection(collection);
+
+    const { modifiedCount } = await coll.updateMany(
+      { organization: { $exists: false } },
+      { $set: { organization: orgId } },
+    );
+    console.log(`✅ ${collection}: ${modifiedCount} document(s) assigned`);
+
+    // The old index made ids unique across ALL organizations
+    const indexes = await coll.indexes().catch(() => []);
+    if (indexes.some((index) => index.name === `${idField}_1`)) {
+      await coll.dropIndex(`${idField}_1`);
+      console.log(`✅ ${collection}: dropped index ${idField}_1`);
+    }
+
+    // Continue numbering where the old global counter stopped
+    const [last] = await coll
+      .find({ organization: orgId })
+      .sort({ [idField]: -1 })
+      .limit(1)
+      .project({ [idField]: 1 })
+      .toArray();
+    if (last && last[idField]) {
+      await db
+        .collection("counters")
+        .updateOne(
+          { _id: `${idField}:${orgId}` },
+          { $max: { seq: last[idField] } },
+          { upsert: true },
+        );
+    }
+  }
+
+  // Login attempts only get an organization when the user is known
+  const users = db.collection("users");
+  const loginAttempts = db.collection("loginattempts");
+  const { modifiedCount: attempts } = await loginAttempts.updateMany(
+    {
+      organization: { $exists: false },
+      user: { $in: await users.distinct("_id", { organization: orgId }) },
+    },
+    { $set: { organization: orgId } },
+  );
+  console.log(`✅ loginattempts: ${attempts} document(s) assigned`);
+
+  // The 2FA policy is now stored per organization
+  const settings = db.collection("settings");
+  const legacy = await settings.findOne({ _id: "twoFactorRequiredRoles" });
+  if (legacy) {
+    await settings.updateOne(
+      { _id: `twoFactorRequiredRoles:${orgId}` },
+      { $setOnInsert: { value: legacy.value } },
+      { upsert: true },
+    );
+    await settings.deleteOne({ _id: legacy._id });
+    console.log("✅ Moved the 2FA policy to the organization");
+  }
+
+  if (args["super-admin"]) {
+    const email = args["super-admin"].toLowerCase();
+    const { matchedCount } = await users.updateOne(
+      { email },
+      { $set: { isSuperAdmin: true } },
+    );
+    console.log(
+      matchedCount
+        ? `✅ ${email} is now a platform super-admin`
+        : `⚠️  No user with email ${email} — no super-admin set`,
+    );
+  }
+};
+
+migrate()
+  .catch((error) => {
+    console.error(`❌ Migration failed: ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
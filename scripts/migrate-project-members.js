@@ -0,0 +1,75 @@
+// scripts/migrate-project-members.js
+// ─────────────────────────────────────────────────────────────────────────────
+// WHY THIS FILE EXISTS:
+//   Project members used to be a plain list of user IDs. They are now
+//   { user, role, addedAt } entries (see models/Project.js). This one-off
+//   script converts existing projects:
+//     - the project's creator becomes "owner"
+//     - everyone else becomes "member"
+//   A creator who wasn't in the list is added, so every project keeps an owner.
+//
+//   Safe to run more than once — already converted entries are left alone.
+//
+//   Usage:
+//     npm run migrate:project-members
+// ─────────────────────────────────────────────────────────────────────────────
+
+require("dotenv").config();
+const mongoose = require("mongoose");
+
+const isLegacyMember = (member) => !(member && member.user);
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  // Raw collection — the Project model would reject the old shape
+  const projects = mongoose.connection.collection("projects");
+  const cursor = projects.find(
+    {},
+    { projection: { members: 1, createdBy: 1 } },
+  );
+
+  let converted = 0;
+  for await (const project of cursor) {
+    const members = project.members || [];
+    if (!members.some(isLegacyMember) && members.length > 0) continue;
+
+    const creator = project.createdBy && String(project.createdBy);
+    const seen = new Set();
+    const next = [];
+
+    for (const member of members) {
+      const entry = isLegacyMember(member)
+        ? {
+            user: member,
+            role: String(member) === creator ? "owner" : "member",
+            addedAt: project._id.getTimestamp(),
+          }
+        : member;
+      const key = String(entry.user);
+      if (seen.has(key)) continue;
+      seen.add(key);
+      next.push(entry);
+    }
+
+    if (creator && !seen.has(creator)) {
+      next.unshift({
+        user: project.createdBy,
+        role: "owner",
+        addedAt: project._id.getTimestamp(),
+      });
+    }
+
+    await projects.updateOne({ _id: project._id }, { $set: { members: next } });
+    converted++;
+  }
+
+  console.log(`✅ Converted members of ${converted} project(s)`);
+};
+
+migrate()
+  .catch((error) => {
+    console.error(`❌ Migration failed: ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
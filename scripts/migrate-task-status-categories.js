@@ -0,0 +1,77 @@
+// scripts/migrate-task-status-categories.js
+// ─────────────────────────────────────────────────────────────────────────────
+// WHY THIS FILE EXISTS:
+//   Tasks now carry statusCategory (todo / in_progress / done) next to their
+//   status, and "open" or "done" queries only look at the category (see
+//   utils/workflow.js). Tasks created before that have no category — and
+//   would all count as open. This one-off script fills it in from the
+//   workflow of each task's project (the default workflow for all existing
+//   projects):
+//     todo → todo, in-progress / review → in_progress, done → done
+//   A status the workflow doesn't know counts as in_progress.
+//
+//   Safe to run more than once — tasks that have a category are left alone.
+//
+//   Usage:
+//     npm run migrate:task-status-categories
+// ─────────────────────────────────────────────────────────────────────────────
+
+require("dotenv").config();
+const mongoose = require("mongoose");
+const { workflowOf } = require("../src/utils/workflow");
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  // Raw collections — the Task model would fill in the default category
+  const tasks = mongoose.connection.collection("tasks");
+  const projects = mongoose.connection.collection("projects");
+
+  const projectIds = await tasks.distinct("project", {
+    statusCategory: { $exists: false },
+  });
+
+  let updated = 0;
+  for (const projectId of projectIds) {
+    const project = await projects.findOne(
+      { _id: projectId },
+      { projection: { workflow: 1 } },
+    );
+    const { statuses } = workflowOf(project);
+    const known = statuses.map((status) => status.key);
+
+    const ops = [
+      ...statuses.map(({ key, category }) => ({
+        updateMany: {
+          filter: {
+            project: projectId,
+            status: key,
+            statusCategory: { $exists: false },
+          },
+          update: { $set: { statusCategory: category } },
+        },
+      })),
+      {
+        updateMany: {
+          filter: {
+            project: projectId,
+            status: { $nin: known },
+            statusCategory: { $exists: false },
+          },
+          update: { $set: { statusCategory: "in_progress" } },
+        },
+      },
+    ];
+    const result = await tasks.bulkWrite(ops);
+    updated += result.modifiedCount;
+  }
+
+  console.log(`✅ Set the status category of ${updated} task(s)`);
+};
+
+migrate()
+  .catch((error) => {
+    console.error(`❌ Migration failed: ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,232 @@
+// scripts/mock-oidc-idp.js
+// ─────────────────────────────────────────────────────────────────────────────
+// WHY THIS FILE EXISTS:
+//   A tiny OpenID Connect identity provider for LOCAL DEVELOPMENT ONLY, so the
+//   SSO login (modules/sso) can be tried without a real Okta/Azure tenant.
+//
+//   It implements just enough of the spec for our flow:
+//     /.well-known/openid-configuration  discovery
+//     /authorize                          a form where you type who you are
+//     /token                              code → ID token (checks PKCE S256)
+//     /userinfo                           claims for the access token
+//     /jwks                               public key to verify ID tokens
+//
+//   Usage:
+//     npm run mock-idp
+//     # .env
+//     OIDC_ISSUER=http://localhost:9400
+//     OIDC_CLIENT_ID=work-management
+//     OIDC_CLIENT_SECRET=mock-secret
+//
+//   Never deploy this — it signs in anyone as anyone.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const crypto = require("crypto");
+const express = require("express");
+const jwt = require("jsonwebtoken");
+
+const PORT = Number(process.env.MOCK_IDP_PORT) || 9400;
+const ISSUER = process.env.MOCK_IDP_ISSUER || `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.OIDC_CLIENT_ID || "work-management";
+const CLIENT_SECRET = process.env.OIDC_CLIENT_SECRET || "mock-secret";
+const KEY_ID = "mock-key-1";
+
+// A fresh RSA key pair on every start — ID tokens are signed with RS256
+const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", {
+  modulusLength: 2048,
+});
+
+// code / access token → what was issued (kept in memory)
+const codes = new Map();
+const accessTokens = new Map();
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+const escapeHtml = (value) =>
+  String(value || "").replace(
+    /[&<>"']/g,
+    (c) =>
+      ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[
+        c
+      ],
+  );
+
+const base64url = (buffer) =>
+  buffer
+    .toString("base64")
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+
+// ── Discovery ─────────────────────────────────────────────────────────────────
+app.get("/.well-known/openid-configuration", (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    userinfo_endpoint: `${ISSUER}/userinfo`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ["code"],
+    subject_types_supported: ["public"],
+    id_token_signing_alg_values_supported: ["RS256"],
+    scopes_supported: ["openid", "email", "profile"],
+    token_endpoint_auth_methods_supported: [
+      "client_secret_basic",
+      "client_secret_post",
+      "none",
+    ],
+    code_challenge_methods_supported: ["S256"],
+  });
+});
+
+app.get("/jwks", (req, res) => {
+  const jwk = publicKey.export({ format: "jwk" });
+  res.json({ keys: [{ ...jwk, kid: KEY_ID, use: "sig", alg: "RS256" }] });
+});
+
+// ── Authorize ─────────────────────────────────────────────────────────────────
+// GET shows a form; POST "logs in" whoever was typed and redirects back.
+app.get("/authorize", (req, res) => {
+  const q = req.query;
+  if (q.client_id !== CLIENT_ID || q.response_type !== "code") {
+    return res
+      .status(400)
+      .send("Unknown client_id or unsupported response_type");
+  }
+
+  const hidden = [
+    "redirect_uri",
+    "state",
+    "nonce",
+    "code_challenge",
+    "code_challenge_method",
+  ]
+    .map(
+      (name) =>
+        `<input type="hidden" name="${name}" value="${escapeHtml(q[name])}">`,
+    )
+    .join("");
+
+  res.send(`<!doctype html>
+<title>Mock IdP</title>
+<h1>Mock identity provider</h1>
+<form method="post" action="/authorize">
+  ${hidden}
+  <p><label>Email <input name="email" value="${escapeHtml(q.login_hint || "alice@example.com")}"></label></p>
+  <p><label>Name <input name="name" value="Alice Example"></label></p>
+  <p><label>Groups (comma separated) <input name="groups" value=""></label></p>
+  <p><label><input type="checkbox" name="email_verified" checked> Email verified</label></p>
+  <button type="submit">Sign in</button>
+</form>`);
+});
+
+app.post("/authorize", (req, res) => {
+  const b = req.body;
+  const email = String(b.email || "").toLowerCase();
+
+  const code = crypto.randomBytes(24).toString("hex");
+  codes.set(code, {
+    redirectUri: b.redirect_uri,
+    nonce: b.nonce,
+    codeChallenge: b.code_challenge,
+    claims: {
+      // Stable subject per email, like a real IdP's user id
+      sub: crypto.createHash("sha256").update(email).digest("hex").slice(0, 24),
+      email,
+      email_verified: Boolean(b.email_verified),
+      name: b.name,
+      groups: String(b.groups || "")
+        .split(",")
+        .map((g) => g.trim())
+        .filter(Boolean),
+    },
+    expires: Date.now() + 60 * 1000,
+  });
+
+  const url = new URL(b.redirect_uri);
+  url.searchParams.set("code", code);
+  if (b.state) url.searchParams.set("state", b.state);
+  res.redirect(url.toString());
+});
+
+// ── Token ─────────────────────────────────────────────────────────────────────
+app.post("/token", (req, res) => {
+  // client_secret_basic → Authorization: Basic base64(id:secret)
+  let clientId = req.body.client_id;
+  let clientSecret = req.body.client_secret;
+  const auth = req.headers.authorization;
+  if (auth && auth.startsWith("Basic ")) {
+    const [id, secret] = Buffer.from(auth.slice(6), "base64")
+      .toString()
+      .split(":")
+      .map(decodeURIComponent);
+    clientId = id;
+    clientSecret = secret;
+  }
+  if (clientId !== CLIENT_ID) {
+    return res.status(401).json({ error: "invalid_client" });
+  }
+  if (clientSecret !== undefined && clientSecret !== CLIENT_SECRET) {
+    return res.status(401).json({ error: "invalid_client" });
+  }
+
+  const entry = codes.get(req.body.code);
+  codes.delete(req.body.code); // single-use
+  if (
+    req.body.grant_type !== "authorization_code" ||
+    !entry ||
+    entry.expires < Date.now() ||
+    entry.redirectUri !== req.body.redirect_uri
+  ) {
+    return res.status(400).json({ error: "invalid_grant" });
+  }
+
+  // PKCE: sha256(code_verifier) must equal the code_challenge from /authorize
+  const challenge = base64url(
+    crypto
+      .createHash("sha256")
+      .update(String(req.body.code_verifier || ""))
+      .digest(),
+  );
+  if (!entry.codeChallenge || challenge !== entry.codeChallenge) {
+    return res
+      .status(400)
+      .json({ error: "invalid_grant", error_description: "PKCE failed" });
+  }
+
+  const idToken = jwt.sign(
+    { ...entry.claims, nonce: entry.nonce },
+    privateKey.export({ type: "pkcs1", format: "pem" }),
+    {
+      algorithm: "RS256",
+      keyid: KEY_ID,
+      issuer: ISSUER,
+      audience: CLIENT_ID,
+      expiresIn: "5m",
+    },
+  );
+
+  const accessToken = crypto.randomBytes(24).toString("hex");
+  accessTokens.set(accessToken, entry.claims);
+
+  res.json({
+    access_token: accessToken,
+    token_type: "Bearer",
+    expires_in: 300,
+    id_token: idToken,
+  });
+});
+
+// ── Userinfo ──────────────────────────────────────────────────────────────────
+app.get("/userinfo", (req, res) => {
+  const token = (req.headers.authorization || "").replace(/^Bearer /, "");
+  const claims = accessTokens.get(token);
+  if (!claims) return res.status(401).json({ error: "invalid_token" });
+  res.json(claims);
+});
+
+app.listen(PORT, () => {
+  console.log(`🔑 Mock OIDC provider running at ${ISSUER}`);
+  console.log(`   client_id=${CLIENT_ID} client_secret=${CLIENT_SECRET}`);
+});
@@ -19,6 +19,10 @@ const http = require("http"); // Node's built-in HTTP module
 const app = require("./src/app"); // Our Express app
 const connectDB = require("./src/config/db");
 const { initSocket } = require("./src/config/socket");
+const {
+  startReminderScheduler,
+} = require("./src/modules/reminders/reminders.service");
+const { startTrashPurger } = require("./src/modules/projects/projects.service");
 const logger = require("./src/utils/logger");
 
 const PORT = process.env.PORT || 5000;
@@ -37,7 +41,12 @@ const PORT = process.env.PORT || 5000;
     // Step 4: Attach Socket.IO to the HTTP server
     initSocket(server);
 
-    // Step 5: Start listening for requests
+    // Step 5: Start background jobs (due date reminders in users' time zones,
+    // purging projects whose time in the trash is up)
+    startReminderScheduler();
+    startTrashPurger();
+
+    // Step 6: Start listening for requests
     server.listen(PORT, () => {
       logger.info(`🚀 Server running on http://localhost:${PORT}`);
       logger.info(`📡 Socket.IO ready for real-time connections`);
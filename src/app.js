@@ -52,9 +52,13 @@ app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
 // ── Static Files ──────────────────────────────────────────────────────────────
-// Serve uploaded files publicly at /uploads/filename
-// e.g., http://localhost:5000/uploads/myfile.pdf
-app.use("/uploads", express.static(path.join(__dirname, "../uploads")));
+// Only avatars are public, at /uploads/avatars/filename (utils/avatar.js).
+// Task attachments are NOT served statically — they are downloaded through
+// GET /api/tasks/:id/attachments/:filename, which checks project access.
+app.use(
+  "/uploads/avatars",
+  express.static(path.join(__dirname, "../uploads/avatars")),
+);
 
 // ── Swagger UI ────────────────────────────────────────────────────────────────
 // Interactive API docs available at: http://localhost:5000/api-docs
@@ -71,12 +75,32 @@ app.use(
 
 // ── Routes ────────────────────────────────────────────────────────────────────
 // Each module has its own router — we mount them here with a base path
+app.use("/api/auth/2fa", require("./modules/twoFactor/twoFactor.routes"));
+app.use("/api/auth/tokens", require("./modules/apiTokens/apiTokens.routes"));
+app.use("/api/auth/sso", require("./modules/sso/sso.routes"));
 app.use("/api/auth", require("./modules/auth/auth.routes"));
+app.use(
+  "/api/invitations",
+  require("./modules/invitations/invitations.routes"),
+);
+app.use(
+  "/api/organizations",
+  require("./modules/organizations/organizations.routes"),
+);
 app.use("/api/users", require("./modules/users/users.routes"));
+app.use("/api/teams", require("./modules/teams/teams.routes"));
+app.use("/api/security", require("./modules/security/security.routes"));
 app.use("/api/projects", require("./modules/projects/projects.routes"));
+app.use(
+  "/api/project-templates",
+  require("./modules/templates/templates.routes"),
+);
+app.use("/api/sprints", require("./modules/sprints/sprints.routes"));
+app.use("/api/milestones", require("./modules/milestones/milestones.routes"));
 app.use("/api/tasks", require("./modules/tasks/tasks.routes"));
 app.use("/api/comments", require("./modules/comments/comments.routes"));
 app.use("/api/dashboard", require("./modules/dashboard/dashboard.routes"));
+app.use("/api/search", require("./modules/search/search.routes"));
 
 // ── Health Check ──────────────────────────────────────────────────────────────
 // Simple endpoint to verify the server is running
@@ -0,0 +1,77 @@
+// src/config/oidc.js
+// ─────────────────────────────────────────────────────────────────────────────
+// WHY THIS FILE EXISTS:
+//   Single sign-on through the company's OpenID Connect identity provider
+//   (Okta, Azure AD, Keycloak, Google Workspace...). Like db.js, this file
+//   owns the connection to an external system so services don't have to.
+//
+//   DISCOVERY:
+//   We only configure the ISSUER URL. On first use the client downloads
+//   <issuer>/.well-known/openid-configuration, which lists the authorize,
+//   token, userinfo and signing-key (JWKS) endpoints. The result is cached.
+//
+//   SSO is OFF unless OIDC_ISSUER and OIDC_CLIENT_ID are set.
+//   For local development point OIDC_ISSUER at the mock IdP:
+//     npm run mock-idp   → http://localhost:9400
+// ─────────────────────────────────────────────────────────────────────────────
+
+const { Issuer, custom } = require("openid-client");
+const { appUrl } = require("../utils/mailer");
+
+// Fail fast if the IdP doesn't answer — a hanging login helps nobody
+custom.setHttpOptionsDefaults({ timeout: 5000 });
+
+let clientPromise = null;
+
+const isOidcEnabled = () =>
+  Boolean(process.env.OIDC_ISSUER && process.env.OIDC_CLIENT_ID);
+
+// The IdP sends the browser back here with ?code=&state= — usually a page of
+// the frontend, which then POSTs both to /api/auth/sso/callback
+const redirectUri = () =>
+  process.env.OIDC_REDIRECT_URI || appUrl("/sso/callback");
+
+// ── getOidcClient ─────────────────────────────────────────────────────────────
+// Discovers the issuer once and returns a configured openid-client Client.
+// A failed discovery is NOT cached, so the next login simply retries.
+const getOidcClient = () => {
+  if (!isOidcEnabled()) {
+    const error = new Error("Single sign-on is not configured");
+    error.statusCode = 404;
+    return Promise.reject(error);
+  }
+
+  if (!clientPromise) {
+    clientPromise = Issuer.discover(process.env.OIDC_ISSUER)
+      .then(
+        (issuer) =>
+          new issuer.Client({
+            client_id: process.env.OIDC_CLIENT_ID,
+            client_secret: process.env.OIDC_CLIENT_SECRET,
+            redirect_uris: [redirectUri()],
+            response_types: ["code"],
+            // No secret → public client (PKCE alone protects the code)
+            token_endpoint_auth_method: process.env.OIDC_CLIENT_SECRET
+              ? "client_secret_basic"
+              : "none",
+          }),
+      )
+      .catch((err) => {
+        clientPromise = null;
+        const error = new Error(
+          `Identity provider is unavailable: ${err.message}`,
+        );
+        error.statusCode = 502;
+        throw error;
+      });
+  }
+
+  return clientPromise;
+};
+
+// Forget the cached client (e.g. after changing the OIDC_* settings in tests)
+const resetOidcClient = () => {
+  clientPromise = null;
+};
+
+module.exports = { isOidcEnabled, redirectUri, getOidcClient, resetOidcClient };
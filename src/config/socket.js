@@ -11,29 +11,60 @@
 //   3. Heartbeat (30s ping/pong) — detects stale/zombie connections
 //   4. Typing Events             — real-world chat "user is typing..." indicators
 //   5. Room Management           — join/leave project and personal rooms
+//                                  (project rooms are members-only)
 //   6. Error Handling            — socket-level errors are caught and logged
 //   7. Structured Logging        — every event is logged via logger utility
+//   8. Session Revocation        — revoked sessions/users are disconnected
+//   9. Tenant Isolation          — online lists, personal rooms and typing
+//                                  events never cross organizations
 // ─────────────────────────────────────────────────────────────────────────────
 
 const { Server } = require("socket.io");
 const jwt = require("jsonwebtoken");
 const logger = require("../utils/logger");
+const mongoose = require("mongoose");
+const RefreshToken = require("../models/RefreshToken");
+const Project = require("../models/Project");
+const User = require("../models/User");
+const Organization = require("../models/Organization");
+const { can, projectRoleOf } = require("../utils/policy");
 
 let io; // Will hold our Socket.IO instance after initSocket() is called
 
 // ── Online Users Registry ─────────────────────────────────────────────────────
-// Maps socketId → { userId, name }
-// Used to broadcast the full list of online users to all clients.
+// Maps socketId → { userId, name, organization }
+// Used to broadcast the list of online users to the clients of an organization.
 // A Map is used instead of a plain object so we get O(1) add/delete.
 const onlineUsers = new Map();
 
-// ── Helper: Broadcast current online users to everyone ───────────────────────
+// ── Helper: Broadcast an organization's online users ─────────────────────────
 // Called on every connect and disconnect so all clients stay in sync.
-const broadcastOnlineUsers = () => {
-  // Convert the Map to an array of { userId, name } objects
-  const userList = Array.from(onlineUsers.values());
-  io.emit("onlineUsers", userList);
-  logger.socket(`📋 Online users broadcast — ${userList.length} connected`);
+// Every socket sits in its organization's room (org:<id>), so other tenants
+// never see who is online here.
+const broadcastOnlineUsers = (organization) => {
+  const userList = Array.from(onlineUsers.values())
+    .filter((entry) => entry.organization === organization)
+    .map(({ userId, name }) => ({ userId, name }));
+  io.to(`org:${organization}`).emit("onlineUsers", userList);
+  logger.socket(
+    `📋 Online users broadcast — org: ${organization} | ${userList.length} connected`,
+  );
+};
+
+// ── Helper: May this user receive a project's events? ────────────────────────
+// Same rule as GET /api/projects/:id — 'project:read' in utils/policy.js
+const canJoinProject = async (userId, projectId) => {
+  if (!mongoose.isValidObjectId(projectId)) return false;
+  const [user, project] = await Promise.all([
+    User.findById(userId).select("role organization teams"),
+    Project.findById(projectId).select("members teams organization deletedAt"),
+  ]);
+  if (!user || !project || project.deletedAt) return false;
+  return can("project:read", {
+    user,
+    project,
+    projectRole: projectRoleOf(user, project),
+  });
 };
 
 // ── initSocket ────────────────────────────────────────────────────────────────
@@ -51,7 +82,7 @@ const initSocket = (httpServer) => {
   // io.use() runs BEFORE the connection event.
   // If this middleware calls next(new Error(...)), the socket is rejected.
   // The client must pass: { auth: { token: "Bearer <jwt>" } } in handshake options.
-  io.use((socket, next) => {
+  io.use(async (socket, next) => {
     try {
       const authHeader = socket.handshake.auth?.token;
 
@@ -73,8 +104,52 @@ const initSocket = (httpServer) => {
       // Verify token with the same secret used to sign it
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+      // Only real access tokens — not refresh/verification tokens
+      if (decoded.purpose) {
+        throw new Error(`${decoded.purpose} token used as access token`);
+      }
+
+      // The session (refresh token family) must still exist — a revoked
+      // session's access token is rejected even before it expires
+      if (
+        decoded.sid &&
+        !(await RefreshToken.exists({ family: decoded.sid }))
+      ) {
+        logger.socket(
+          `🚫 Socket rejected (session revoked) — userId: ${decoded.id} | sessionId: ${decoded.sid}`,
+        );
+        return next(new Error("Session has been revoked. Please login again."));
+      }
+
+      // The user and their organization must still be active
+      const user = await User.findById(decoded.id).select(
+        "isActive organization emailVerified",
+      );
+      const organization =
+        user &&
+        (await Organization.findById(user.organization).select("isActive"));
+      if (!user || !user.isActive || !organization || !organization.isActive) {
+        logger.socket(
+          `🚫 Socket rejected (inactive user/organization) — userId: ${decoded.id}`,
+        );
+        return next(new Error("Account is not active. Please login again."));
+      }
+
+      // Same restriction as protect (middleware/auth.js) — no live project
+      // events before the email address is verified
+      if (!user.emailVerified) {
+        logger.socket(
+          `🚫 Socket rejected (email not verified) — userId: ${decoded.id}`,
+        );
+        return next(
+          new Error(
+            "Please verify your email address to access this resource.",
+          ),
+        );
+      }
+
       // Attach decoded user payload to socket for use in event handlers
-      socket.user = decoded; // { id, name, role, iat, exp }
+      socket.user = { ...decoded, organization: String(user.organization) }; // { id, sid, name, role, organization, iat, exp }
 
       logger.socket(
         `✅ Socket authenticated — userId: ${decoded.id} | socketId: ${socket.id}`,
@@ -92,15 +167,16 @@ const initSocket = (httpServer) => {
   // At this point the socket is authenticated (io.use() passed).
   // socket.user is guaranteed to be present.
   io.on("connection", (socket) => {
-    const { id: userId, name: userName } = socket.user;
+    const { id: userId, name: userName, organization } = socket.user;
 
     logger.socket(
       `⚡ Connected — userId: ${userId} | name: ${userName} | socketId: ${socket.id}`,
     );
 
-    // Register this socket in the online users map
-    onlineUsers.set(socket.id, { userId, name: userName });
-    broadcastOnlineUsers();
+    // Register this socket in the online users map and its organization's room
+    socket.join(`org:${organization}`);
+    onlineUsers.set(socket.id, { userId, name: userName, organization });
+    broadcastOnlineUsers(organization);
 
     // ── Heartbeat (every 30 seconds) ─────────────────────────────────────────
     // WHY: Browser tabs can freeze, networks can drop silently.
@@ -128,10 +204,20 @@ const initSocket = (httpServer) => {
     // ── Room Management: Projects ─────────────────────────────────────────────
     // 'joinProject' — client sends this to subscribe to a project's real-time updates
     // Everyone in the same project room receives task create/update/delete events
-    socket.on("joinProject", (projectId) => {
+    // Only members of the project may join its room
+    socket.on("joinProject", async (projectId) => {
       const room = `project:${projectId}`;
-      socket.join(room);
-      logger.socket(`📌 Join room — userId: ${userId} → ${room}`);
+      try {
+        if (!(await canJoinProject(userId, projectId))) {
+          logger.socket(`🚫 Join room denied — userId: ${userId} → ${room}`);
+          socket.emit("joinProjectDenied", { projectId });
+          return;
+        }
+        socket.join(room);
+        logger.socket(`📌 Join room — userId: ${userId} → ${room}`);
+      } catch (err) {
+        logger.error(`Join room failed — userId: ${userId} → ${room}`, err);
+      }
     });
 
     // 'leaveProject' — client sends this when navigating away from the project view
@@ -144,8 +230,13 @@ const initSocket = (httpServer) => {
     // ── Room Management: Personal Notifications ───────────────────────────────
     // 'joinUser' — client joins their own personal room for direct notifications
     // e.g., "You were assigned a task" is emitted to user:{userId} only
+    // Nobody may listen in on another user's personal room
     socket.on("joinUser", (targetUserId) => {
       const room = `user:${targetUserId}`;
+      if (String(targetUserId) !== String(userId)) {
+        logger.socket(`🚫 Join room denied — userId: ${userId} → ${room}`);
+        return;
+      }
       socket.join(room);
       logger.socket(`👤 Join personal room — userId: ${userId} → ${room}`);
     });
@@ -164,7 +255,9 @@ const initSocket = (httpServer) => {
     //
     // Client sends:   { roomId: "project:abc123" }
     // Others receive: { userId, name, roomId }
-    socket.on("startTyping", ({ roomId }) => {
+    // Only rooms the socket has joined — joining is where access is checked.
+    socket.on("startTyping", ({ roomId } = {}) => {
+      if (!socket.rooms.has(roomId)) return;
       logger.socket(
         `✏️  Typing started — userId: ${userId} in room: ${roomId}`,
       );
@@ -176,7 +269,8 @@ const initSocket = (httpServer) => {
     });
 
     // Client sends this when they stop typing (debounced on the frontend usually)
-    socket.on("stopTyping", ({ roomId }) => {
+    socket.on("stopTyping", ({ roomId } = {}) => {
+      if (!socket.rooms.has(roomId)) return;
       logger.socket(
         `✏️  Typing stopped — userId: ${userId} in room: ${roomId}`,
       );
@@ -210,13 +304,51 @@ const initSocket = (httpServer) => {
       );
 
       // Notify remaining clients that this user went offline
-      broadcastOnlineUsers();
+      broadcastOnlineUsers(organization);
     });
   });
 
   return io;
 };
 
+// ── Disconnect Helpers ────────────────────────────────────────────────────────
+// Called when sessions are revoked (logout, session revoke, token reuse).
+// Safe to call before initSocket() — there is simply nobody to disconnect.
+const disconnectWhere = (predicate, reason) => {
+  if (!io) return 0;
+  let count = 0;
+  for (const socket of io.of("/").sockets.values()) {
+    if (predicate(socket.user)) {
+      socket.disconnect(true);
+      count++;
+    }
+  }
+  if (count > 0)
+    logger.socket(`⛔ Force-disconnected ${count} socket(s) — ${reason}`);
+  return count;
+};
+
+// Disconnect every socket opened with an access token from this session
+const disconnectSession = (sessionId) =>
+  disconnectWhere(
+    (user) => user.sid === sessionId,
+    `session ${sessionId} revoked`,
+  );
+
+// Disconnect every socket of a user (all devices)
+const disconnectUser = (userId) =>
+  disconnectWhere(
+    (user) => String(user.id) === String(userId),
+    `all sessions of user ${userId} revoked`,
+  );
+
+// Disconnect every socket of an organization (organization deactivated)
+const disconnectOrganization = (organizationId) =>
+  disconnectWhere(
+    (user) => String(user.organization) === String(organizationId),
+    `organization ${organizationId} deactivated`,
+  );
+
 // ── getIO ─────────────────────────────────────────────────────────────────────
 // Lets other files (like task controller) emit events to rooms
 // without needing to import the HTTP server.
@@ -230,4 +362,10 @@ const getIO = () => {
   return io;
 };
 
-module.exports = { initSocket, getIO };
+module.exports = {
+  initSocket,
+  getIO,
+  disconnectSession,
+  disconnectUser,
+  disconnectOrganization,
+};
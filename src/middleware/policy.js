@@ -0,0 +1,216 @@
+// src/middleware/policy.js
+// ─────────────────────────────────────────────────────────────────────────────
+// WHY THIS FILE EXISTS:
+//   After auth.js confirms WHO the user is, this file checks WHAT they can do
+//   ("Authorization", vs "Authentication" in auth.js). The rules themselves
+//   live in utils/policy.js — routes only name the ACTION:
+//
+//     router.post('/', protect, authorize('project:create'), createProject);
+//     router.patch('/:id/status', protect,
+//       authorize('task:update-status', fromTask()), updateTaskStatus);
+//
+//   The optional second argument tells the middleware WHERE the resource
+//   comes from — the URL (/projects/:id), a task, a comment, a sprint or
+//   milestone, a team, a project template, or the body (creating a task). On success it sets:
+//     req.project     → the project document (project-scoped actions)
+//     req.projectRole → the caller's effective role in it
+//     req.resource    → the loaded task / comment / sprint / team (if any)
+//
+//   Non-members of the project get 404 (its existence isn't revealed);
+//   everyone else who fails the rule gets 403. Projects in the trash look
+//   missing too — except to the trash routes, which use fromTrash().
+// ─────────────────────────────────────────────────────────────────────────────
+
+const mongoose = require("mongoose");
+const Project = require("../models/Project");
+const Task = require("../models/Task");
+const Comment = require("../models/Comment");
+const Team = require("../models/Team");
+const ProjectTemplate = require("../models/ProjectTemplate");
+const Sprint = require("../models/Sprint");
+const Milestone = require("../models/Milestone");
+const { evaluate, projectRoleOf } = require("../utils/policy");
+
+const notFound = (what) => {
+  const error = new Error(`${what} not found`);
+  error.statusCode = 404;
+  return error;
+};
+
+// ── Resource Resolvers ────────────────────────────────────────────────────────
+// Each returns an async (req) => { projectId?, resourceType?, resource? }
+
+// /projects/:id
+const fromParam =
+  (param = "id") =>
+  async (req) => {
+    if (!mongoose.isValidObjectId(req.params[param])) throw notFound("Project");
+    return { projectId: req.params[param], resourceType: "project" };
+  };
+
+// /projects/trash/:id — only finds projects that ARE in the trash
+const fromTrash =
+  (param = "id") =>
+  async (req) => {
+    if (!mongoose.isValidObjectId(req.params[param])) throw notFound("Project");
+    return {
+      projectId: req.params[param],
+      resourceType: "project",
+      trashed: true,
+    };
+  };
+
+// POST /tasks { project: '...' }
+const fromBody =
+  (field = "project") =>
+  async (req) => {
+    const projectId = req.body[field];
+    if (!projectId || !mongoose.isValidObjectId(projectId)) {
+      const error = new Error(`A valid ${field} is required`);
+      error.statusCode = 400;
+      throw error;
+    }
+    return { projectId, resourceType: "project" };
+  };
+
+// /tasks/:id, /comments/task/:taskId
+const fromTask =
+  (param = "id") =>
+  async (req) => {
+    if (!mongoose.isValidObjectId(req.params[param])) throw notFound("Task");
+    const task = await Task.findById(req.params[param]).select(
+      "project assignedTo assignedTeam",
+    );
+    if (!task) throw notFound("Task");
+    return { projectId: task.project, resourceType: "task", resource: task };
+  };
+
+// /comments/:id
+const fromComment =
+  (param = "id") =>
+  async (req) => {
+    if (!mongoose.isValidObjectId(req.params[param])) throw notFound("Comment");
+    const comment = await Comment.findById(req.params[param])
+      .select("task author")
+      .populate("task", "project");
+    if (!comment || !comment.task) throw notFound("Comment");
+    return {
+      projectId: comment.task.project,
+      resourceType: "comment",
+      resource: comment,
+    };
+  };
+
+// /sprints/:id, /milestones/:id — access follows their project
+const fromPlanItem =
+  (Model, resourceType, what) =>
+  (param = "id") =>
+  async (req) => {
+    if (!mongoose.isValidObjectId(req.params[param])) throw notFound(what);
+    const item = await Model.findById(req.params[param]);
+    if (!item) throw notFound(what);
+    return { projectId: item.project, resourceType, resource: item };
+  };
+const fromSprint = fromPlanItem(Sprint, "sprint", "Sprint");
+const fromMilestone = fromPlanItem(Milestone, "milestone", "Milestone");
+
+// /teams/:id — teams of other organizations look missing
+const fromTeam =
+  (param = "id") =>
+  async (req) => {
+    if (!mongoose.isValidObjectId(req.params[param])) throw notFound("Team");
+    const team = await Team.findOne({
+      _id: req.params[param],
+      organization: req.user.organization,
+    });
+    if (!team) throw notFound("Team");
+    return { resourceType: "team", resource: team };
+  };
+
+// /project-templates/:id — templates of other organizations look missing
+const fromTemplate =
+  (param = "id") =>
+  async (req) => {
+    if (!mongoose.isValidObjectId(req.params[param])) {
+      throw notFound("Template");
+    }
+    const template = await ProjectTemplate.findOne({
+      _id: req.params[param],
+      organization: req.user.organization,
+    });
+    if (!template) throw notFound("Template");
+    return { resourceType: "template", resource: template };
+  };
+
+// /users/:id — the service reports a missing user, so nothing is loaded here
+const fromUser =
+  (param = "id") =>
+  async (req) => ({
+    resourceType: "user",
+    resource: { _id: req.params[param] },
+  });
+
+// ── authorize ─────────────────────────────────────────────────────────────────
+const authorize = (action, resolve) => {
+  return async (req, res, next) => {
+    try {
+      const ctx = { user: req.user };
+
+      if (resolve) {
+        const {
+          projectId,
+          resourceType,
+          resource,
+          trashed = false,
+        } = await resolve(req);
+        Object.assign(ctx, { resourceType, resource });
+
+        if (projectId) {
+          const project = await Project.findById(projectId);
+          const projectRole = projectRoleOf(req.user, project);
+
+          // For non-members a project looks exactly like a missing one,
+          // and so does a trashed project outside the trash routes
+          if (
+            !project ||
+            !projectRole ||
+            Boolean(project.deletedAt) !== trashed
+          ) {
+            throw notFound("Project");
+          }
+          Object.assign(ctx, { project, projectRole });
+        }
+      }
+
+      const result = evaluate(action, ctx);
+      if (!result.allowed) {
+        return res.status(403).json({
+          success: false,
+          // 403 Forbidden = user is authenticated but not allowed to do this
+          message: `Not allowed to ${action} (requires ${result.rule})`,
+        });
+      }
+
+      req.project = ctx.project;
+      req.projectRole = ctx.projectRole;
+      req.resource = ctx.resource;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+module.exports = {
+  authorize,
+  fromParam,
+  fromTrash,
+  fromBody,
+  fromTask,
+  fromComment,
+  fromSprint,
+  fromMilestone,
+  fromTeam,
+  fromTemplate,
+  fromUser,
+};
@@ -6,7 +6,8 @@
 //
 //   We define TWO limiters:
 //   1. globalLimiter   → Applied to ALL routes (general protection)
-//   2. authLimiter     → Applied ONLY to /api/auth/login and /api/auth/register
+//   2. authLimiter     → Applied ONLY to /api/auth/login, /api/auth/register
+//                        and the password reset routes
 //                        (stricter because brute-force attacks target login)
 //
 //   Both limiters use the client's IP address to track request counts.
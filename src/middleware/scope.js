@@ -0,0 +1,33 @@
+// src/middleware/scope.js
+// ─────────────────────────────────────────────────────────────────────────────
+// WHY THIS FILE EXISTS:
+//   Personal access tokens (see models/ApiToken.js) act as their owner, but
+//   only within their SCOPES. requireScope() checks that — it is the
+//   API-token counterpart of authorize() in policy.js, and uses the same
+//   higher-order function pattern:
+//
+//     router.get('/', protect, requireScope('tasks:read'), getTasks);
+//
+//   Normal logins (JWT) aren't scoped, so they always pass — the policy
+//   (utils/policy.js) still decides what the USER may do. A token can never do more
+//   than its owner, only less.
+// ─────────────────────────────────────────────────────────────────────────────
+
+// requireScope() takes the scope(s) the route needs — the token must have ALL
+const requireScope = (...scopes) => {
+  return (req, res, next) => {
+    // req.apiToken is set by protect (auth.js) when an API token was used
+    if (!req.apiToken) return next();
+
+    const missing = scopes.filter((s) => !req.apiToken.scopes.includes(s));
+    if (missing.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `API token is missing required scope(s): ${missing.join(", ")}`,
+      });
+    }
+    next();
+  };
+};
+
+module.exports = { requireScope };
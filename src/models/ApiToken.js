@@ -0,0 +1,125 @@
+// src/models/ApiToken.js
+// ─────────────────────────────────────────────────────────────────────────────
+// WHY THIS FILE EXISTS:
+//   CI bots and scripts shouldn't log in as a real user and keep a refresh
+//   token around. Instead a user creates a PERSONAL ACCESS TOKEN:
+//   - named ("GitHub Actions", "nightly report")
+//   - SCOPED — it can only do what its scopes allow (e.g. tasks:read)
+//   - optionally expiring
+//   - revocable at any time, with a "last used" timestamp
+//
+//   The token acts AS the user who created it (same role, same projects),
+//   narrowed down to its scopes. Like all our one-time secrets we only store
+//   a SHA-256 HASH — the plain token is shown once, when it is created.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const mongoose = require("mongoose");
+const { getNextSequence } = require("./Counter");
+
+// Every scope a token can be granted — "<resource>:read" / "<resource>:write"
+const SCOPES = [
+  "projects:read",
+  "projects:write",
+  "tasks:read",
+  "tasks:write",
+  "comments:read",
+  "comments:write",
+  "users:read",
+  "users:write",
+  "teams:read",
+  "teams:write",
+  "invitations:read",
+  "invitations:write",
+  "dashboard:read",
+  "notifications:read",
+  "notifications:write",
+];
+
+// All personal access tokens start with this — lets protect tell them apart
+// from JWTs, and lets secret scanners recognise leaked tokens
+const TOKEN_PREFIX = "wmp_";
+
+const apiTokenSchema = new mongoose.Schema(
+  {
+    tokenId: {
+      type: Number,
+      unique: true, // No two tokens share the same tokenId
+      immutable: true, // Once assigned, cannot be changed
+    },
+    name: {
+      type: String,
+      required: [true, "Token name is required"],
+      trim: true,
+      maxlength: [100, "Token name cannot exceed 100 characters"],
+    },
+    // The user the token acts as
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    scopes: {
+      type: [{ type: String, enum: SCOPES }],
+      validate: {
+        validator: (scopes) => scopes.length > 0,
+        message: "At least one scope is required",
+      },
+    },
+    // SHA-256 hash of the full token
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    // First characters of the token, e.g. "wmp_3f9a1c" — safe to display so
+    // users can tell their tokens apart
+    prefix: {
+      type: String,
+      required: true,
+    },
+    // null = never expires
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+    lastUsedIp: {
+      type: String,
+      default: null,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  },
+);
+
+// ── Virtual Field ─────────────────────────────────────────────────────────────
+apiTokenSchema.virtual("status").get(function () {
+  if (this.revokedAt) return "revoked";
+  if (this.expiresAt && this.expiresAt < new Date()) return "expired";
+  return "active";
+});
+
+// ── Pre-save Hook: Auto-increment tokenId ─────────────────────────────────────
+apiTokenSchema.pre("save", async function () {
+  if (this.isNew) {
+    this.tokenId = await getNextSequence("tokenId"); // → 1, 2, 3 ...
+  }
+});
+
+// Fast lookup of a user's tokens
+apiTokenSchema.index({ user: 1, createdAt: -1 });
+
+const ApiToken = mongoose.model("ApiToken", apiTokenSchema);
+
+module.exports = { ApiToken, SCOPES, TOKEN_PREFIX };
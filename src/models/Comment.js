@@ -14,9 +14,14 @@ const commentSchema = new mongoose.Schema(
   {
     commentId: {
       type: Number,
-      unique: true, // No two comments share the same commentId
       immutable: true, // Once assigned, cannot be changed
     },
+    // The tenant this comment belongs to (see models/Organization.js)
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
     content: {
       type: String,
       required: [true, "Comment content is required"],
@@ -44,8 +49,18 @@ const commentSchema = new mongoose.Schema(
 // ── Pre-save Hook: Auto-increment commentId ───────────────────────────────────
 commentSchema.pre("save", async function () {
   if (this.isNew) {
-    this.commentId = await getNextSequence("commentId"); // → 1, 2, 3 ...
+    // → 1, 2, 3 ... per organization
+    this.commentId = await getNextSequence("commentId", this.organization);
   }
 });
 
+// commentId is numbered per organization — unique within it, not globally
+commentSchema.index({ organization: 1, commentId: 1 }, { unique: true });
+
+// Full-text search (modules/search)
+commentSchema.index(
+  { organization: 1, content: "text" },
+  { name: "comment_text" },
+);
+
 module.exports = mongoose.model("Comment", commentSchema);
@@ -9,13 +9,18 @@
 //   - Every time we create a new User, we call getNextSequence('userId')
 //   - That atomically increments seq by 1 and returns the NEW value
 //   - Atomic = thread-safe, no two users ever get the same number
+//
+//   PER-ORGANIZATION SEQUENCES:
+//   Tenant data is numbered per organization — every organization has its
+//   own task #1. Pass the organization as `scope`; the counter document is
+//   then e.g. { _id: 'taskId:65abc...', seq: 5 }.
 // ─────────────────────────────────────────────────────────────────────────────
 
 const mongoose = require("mongoose");
 
 const counterSchema = new mongoose.Schema({
   _id: {
-    type: String, // e.g. 'userId', 'taskId'
+    type: String, // e.g. 'organizationId', 'taskId:<organization _id>'
     required: true,
   },
   seq: {
@@ -32,10 +37,10 @@ const Counter = mongoose.model("Counter", counterSchema);
 //   new: true     → returns the UPDATED document (with the incremented value)
 //   $inc          → atomically adds 1 — safe even with concurrent requests
 //
-// Usage: const nextId = await getNextSequence('userId'); // → 1, 2, 3 ...
-const getNextSequence = async (name) => {
+// Usage: const nextId = await getNextSequence('userId', organizationId);
+const getNextSequence = async (name, scope = null) => {
   const counter = await Counter.findOneAndUpdate(
-    { _id: name },
+    { _id: scope ? `${name}:${scope}` : name },
     { $inc: { seq: 1 } },
     { upsert: true, new: true },
   );
@@ -0,0 +1,125 @@
+// src/models/Invitation.js
+// ─────────────────────────────────────────────────────────────────────────────
+// WHY THIS FILE EXISTS:
+//   Users no longer pick their own role at signup. An admin or manager
+//   INVITES them instead: the invitation fixes the email, the role and the
+//   projects and teams the new user will join. The invitee receives a one-time link;
+//   accepting it creates the account with exactly those settings.
+//
+//   Like password reset tokens, we only store a SHA-256 HASH of the link
+//   token — the plain token exists only in the email / API response.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const mongoose = require("mongoose");
+const { getNextSequence } = require("./Counter");
+
+const invitationSchema = new mongoose.Schema(
+  {
+    invitationId: {
+      type: Number,
+      immutable: true, // Once assigned, cannot be changed
+    },
+    // The tenant this invitation belongs to (see models/Organization.js)
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+    email: {
+      type: String,
+      required: [true, "Email is required"],
+      lowercase: true,
+      trim: true,
+      match: [/^\S+@\S+\.\S+$/, "Please enter a valid email"],
+    },
+    // Suggested name for the accept form (e.g. from a CSV import) — the
+    // invitee can still change it
+    name: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    role: {
+      type: String,
+      enum: ["admin", "manager", "employee"],
+      default: "employee",
+    },
+    // Projects the user is added to when the invitation is accepted
+    projects: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Project",
+      },
+    ],
+    // Teams the user joins when the invitation is accepted
+    teams: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Team",
+      },
+    ],
+    // SHA-256 hash of the token in the invite link
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    // Set once — an invitation can only be used a single time
+    acceptedAt: {
+      type: Date,
+      default: null,
+    },
+    acceptedUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  },
+);
+
+// ── Virtual Field ─────────────────────────────────────────────────────────────
+// status is computed from the dates so it can never get out of sync
+invitationSchema.virtual("status").get(function () {
+  if (this.acceptedAt) return "accepted";
+  if (this.revokedAt) return "revoked";
+  if (this.expiresAt < new Date()) return "expired";
+  return "pending";
+});
+
+// ── Pre-save Hook: Auto-increment invitationId ────────────────────────────────
+invitationSchema.pre("save", async function () {
+  if (this.isNew) {
+    // → 1, 2, 3 ... per organization
+    this.invitationId = await getNextSequence(
+      "invitationId",
+      this.organization,
+    );
+  }
+});
+
+// invitationId is numbered per organization — unique within it, not globally
+invitationSchema.index({ organization: 1, invitationId: 1 }, { unique: true });
+
+// Fast lookup of open invitations per email
+invitationSchema.index({ email: 1, acceptedAt: 1, revokedAt: 1 });
+
+module.exports = mongoose.model("Invitation", invitationSchema);
@@ -0,0 +1,87 @@
+// src/models/LoginAttempt.js
+// ─────────────────────────────────────────────────────────────────────────────
+// WHY THIS FILE EXISTS:
+//   An audit trail of every login attempt — successful or not — with the IP
+//   and user agent. Admins use it to spot credential stuffing (many emails
+//   from one IP) or targeted attacks (many IPs against one account).
+//
+//   Attempts for emails that don't exist are recorded too (user: null),
+//   because those are exactly what a credential stuffing run looks like.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const mongoose = require("mongoose");
+
+const RETENTION_DAYS = Number(process.env.LOGIN_ATTEMPT_RETENTION_DAYS) || 90;
+
+const loginAttemptSchema = new mongoose.Schema(
+  {
+    // The email that was typed in (always stored, even if no such user)
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      required: true,
+    },
+    // The matching user — null when the email isn't registered
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // The user's organization — lets organization admins review their own
+    // users' attempts only. null for unknown emails (super-admins only).
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      default: null,
+    },
+    success: {
+      type: Boolean,
+      required: true,
+    },
+    // How the user tried to sign in
+    method: {
+      type: String,
+      enum: ["password", "sso"],
+      default: "password",
+    },
+    // Why the attempt failed (null on success)
+    reason: {
+      type: String,
+      enum: [
+        "unknown_email",
+        "wrong_password",
+        "wrong_2fa_code",
+        "locked",
+        "throttled",
+        "deactivated",
+        null,
+      ],
+      default: null,
+    },
+    ipAddress: {
+      type: String,
+      default: null,
+    },
+    userAgent: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// ── TTL Index ─────────────────────────────────────────────────────────────────
+// Old attempts are deleted automatically after RETENTION_DAYS
+loginAttemptSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 },
+);
+
+// Indexes for the admin review filters (by account, by IP)
+loginAttemptSchema.index({ user: 1, createdAt: -1 });
+loginAttemptSchema.index({ ipAddress: 1, createdAt: -1 });
+
+module.exports = mongoose.model("LoginAttempt", loginAttemptSchema);
@@ -0,0 +1,93 @@
+// src/models/Milestone.js
+// ─────────────────────────────────────────────────────────────────────────────
+// WHY THIS FILE EXISTS:
+//   Between a project's single deadline and each task's dueDate there was
+//   nothing. A Milestone is a named target inside a project ("Beta",
+//   "Launch") with a start and end date and a goal; tasks point to it
+//   (Task.milestone) and its progress is the share of those that are done.
+//
+//   STATES:
+//   open → active → closed, set by the project's maintainers. Closed
+//   milestones keep their tasks (unlike sprints, see models/Sprint.js) but
+//   take no new ones.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const mongoose = require("mongoose");
+const { getNextSequence } = require("./Counter");
+
+const MILESTONE_STATUSES = ["open", "active", "closed"];
+
+const milestoneSchema = new mongoose.Schema(
+  {
+    milestoneId: {
+      type: Number,
+      immutable: true, // Once assigned, cannot be changed
+    },
+    // The tenant this milestone belongs to (see models/Organization.js)
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+    },
+    name: {
+      type: String,
+      required: [true, "Milestone name is required"],
+      trim: true,
+      maxlength: [100, "Name cannot exceed 100 characters"],
+    },
+    goal: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Goal cannot exceed 500 characters"],
+    },
+    startDate: {
+      type: Date,
+      required: [true, "Start date is required"],
+    },
+    endDate: {
+      type: Date,
+      required: [true, "End date is required"],
+    },
+    status: {
+      type: String,
+      enum: MILESTONE_STATUSES,
+      default: "open",
+    },
+    closedAt: {
+      type: Date,
+      default: null,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// ── Pre-save Hook: Auto-increment milestoneId ─────────────────────────────────
+milestoneSchema.pre("save", async function () {
+  if (this.isNew) {
+    // → 1, 2, 3 ... per organization
+    this.milestoneId = await getNextSequence("milestoneId", this.organization);
+  }
+});
+
+// milestoneId is numbered per organization — unique within it, not globally
+milestoneSchema.index({ organization: 1, milestoneId: 1 }, { unique: true });
+
+// A project's milestones, in date order
+milestoneSchema.index({ project: 1, startDate: 1 });
+
+const Milestone = mongoose.model("Milestone", milestoneSchema);
+
+module.exports = Milestone;
+module.exports.MILESTONE_STATUSES = MILESTONE_STATUSES;
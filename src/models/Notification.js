@@ -12,16 +12,29 @@ const notificationSchema = new mongoose.Schema(
   {
     notificationId: {
       type: Number,
-      unique: true, // No two notifications share the same notificationId
       immutable: true, // Once assigned, cannot be changed
     },
+    // The tenant this notification belongs to (see models/Organization.js)
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
     message: {
       type: String,
       required: true,
     },
     type: {
       type: String,
-      enum: ["task_assigned", "task_updated", "comment_added", "project_added"],
+      enum: [
+        "task_assigned",
+        "task_updated",
+        "comment_added",
+        "project_added",
+        "security_alert",
+        "task_due",
+        "team_update",
+      ],
       required: true,
     },
     // Who should receive this notification
@@ -54,10 +67,20 @@ const notificationSchema = new mongoose.Schema(
 // ── Pre-save Hook: Auto-increment notificationId ─────────────────────────────
 notificationSchema.pre("save", async function () {
   if (this.isNew) {
-    this.notificationId = await getNextSequence("notificationId"); // → 1, 2, 3 ...
+    // → 1, 2, 3 ... per organization
+    this.notificationId = await getNextSequence(
+      "notificationId",
+      this.organization,
+    );
   }
 });
 
+// notificationId is numbered per organization — unique within it, not globally
+notificationSchema.index(
+  { organization: 1, notificationId: 1 },
+  { unique: true },
+);
+
 // Index for fast lookup of unread notifications per user
 notificationSchema.index({ recipient: 1, isRead: 1 });
 
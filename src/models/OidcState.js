@@ -0,0 +1,51 @@
+// src/models/OidcState.js
+// ─────────────────────────────────────────────────────────────────────────────
+// WHY THIS FILE EXISTS:
+//   An SSO login is a round trip through the identity provider:
+//     1. /sso/authorize → we send the browser to the IdP with a random "state"
+//     2. the IdP sends it back with ?code=...&state=...
+//     3. /sso/callback  → we exchange the code for the user's identity
+//
+//   Between 1 and 3 we must remember some secrets of THIS login attempt:
+//   - state         → proves the callback answers a login WE started (CSRF)
+//   - nonce         → is echoed inside the ID token (prevents token replay)
+//   - codeVerifier  → PKCE: only the party that started the login can redeem
+//                     the code, even if the code leaks from the URL
+//
+//   One document per attempt, single-use, deleted automatically after 10 min.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const mongoose = require("mongoose");
+
+const STATE_TTL_SECONDS = 10 * 60;
+
+const oidcStateSchema = new mongoose.Schema(
+  {
+    // SHA-256 hash of the state parameter sent to the IdP
+    stateHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    nonce: {
+      type: String,
+      required: true,
+    },
+    codeVerifier: {
+      type: String,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// ── TTL Index ─────────────────────────────────────────────────────────────────
+// Abandoned logins are cleaned up automatically
+oidcStateSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: STATE_TTL_SECONDS },
+);
+
+module.exports = mongoose.model("OidcState", oidcStateSchema);
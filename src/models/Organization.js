@@ -0,0 +1,92 @@
+// src/models/Organization.js
+// ─────────────────────────────────────────────────────────────────────────────
+// WHY THIS FILE EXISTS:
+//   One deployment hosts several client companies (TENANTS). Each company is
+//   an Organization, and every user, project, task, comment and notification
+//   belongs to exactly one of them. Services always filter by the caller's
+//   organization, so tenants never see each other's data.
+//
+//   ROLES:
+//   - admin / manager / employee (User.role) apply INSIDE the organization —
+//     an "admin" is an organization admin.
+//   - A platform SUPER-ADMIN (User.isSuperAdmin) runs the deployment itself:
+//     creates and deactivates organizations (see modules/organizations).
+//
+//   DOMAINS:
+//   Email domains that belong to the organization. Self-registration and
+//   SSO auto-provisioning put new users into the organization that owns the
+//   domain of their email. Without a matching domain they need an invitation.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const mongoose = require("mongoose");
+const { getNextSequence } = require("./Counter");
+
+const organizationSchema = new mongoose.Schema(
+  {
+    organizationId: {
+      type: Number,
+      unique: true, // No two organizations share the same organizationId
+      immutable: true, // Once assigned, cannot be changed
+    },
+    name: {
+      type: String,
+      required: [true, "Organization name is required"],
+      trim: true,
+      maxlength: [100, "Name cannot exceed 100 characters"],
+    },
+    // URL-friendly identifier, e.g. "acme"
+    slug: {
+      type: String,
+      required: [true, "Organization slug is required"],
+      unique: true,
+      lowercase: true,
+      trim: true,
+      match: [
+        /^[a-z0-9](?:[a-z0-9-]{0,38}[a-z0-9])?$/,
+        "Slug may only contain lowercase letters, numbers and dashes",
+      ],
+    },
+    // e.g. ['acme.com', 'acme.co.uk']
+    domains: {
+      type: [{ type: String, lowercase: true, trim: true }],
+      default: [],
+    },
+    // Deactivated organizations can't log in or use the API
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// A domain can belong to ONE organization only
+organizationSchema.index(
+  { domains: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { domains: { $type: "string" } },
+  },
+);
+
+// ── Pre-save Hook: Auto-increment organizationId ──────────────────────────────
+organizationSchema.pre("save", async function () {
+  if (this.isNew) {
+    this.organizationId = await getNextSequence("organizationId"); // → 1, 2, 3 ...
+  }
+});
+
+// ── Static: find the organization that owns an email's domain ─────────────────
+organizationSchema.statics.findByEmail = function (email) {
+  const domain = String(email).split("@").pop().toLowerCase();
+  return this.findOne({ domains: domain, isActive: true });
+};
+
+module.exports = mongoose.model("Organization", organizationSchema);
@@ -5,18 +5,121 @@
 //   Key concept: "ref" creates a REFERENCE to another collection.
 //   mongoose.Types.ObjectId is MongoDB's unique ID type (like a foreign key in SQL).
 //   We use .populate() later to replace IDs with actual user/task documents.
+//
+//   PROJECT ROLES:
+//   Every membership carries a role that only applies INSIDE this project:
+//     owner      → everything, including managing maintainers/owners
+//     maintainer → edit the project, manage tasks, add/remove members
+//     member     → work on tasks (status, comments, attachments)
+//     viewer     → read-only
+//   Global admins can do everything in every project.
+//   What each role may do is defined in utils/policy.js.
+//
+//   TEAMS:
+//   A whole team (models/Team.js) can be added with a role too. Everyone who
+//   is in the team at the time of a check has that role — joining or leaving
+//   the team changes access without touching the project. When a user is a
+//   member directly AND through teams, the highest role wins. Owners are
+//   always people, so teams get at most "maintainer".
+//
+//   WORKFLOW:
+//   Each project can define its own task statuses (ordered — the first is
+//   where new tasks start), the CATEGORY of each (todo / in_progress / done)
+//   and which moves between them are allowed, optionally only from a project
+//   role up. Without one, the default workflow applies (utils/workflow.js).
+//   Everything outside the board — dashboards, reminders, sprint reports —
+//   only looks at the category (Task.statusCategory).
+//
+//   CUSTOM FIELDS:
+//   Projects can also define extra task fields of their own — a customer,
+//   an environment, a severity. Each has a stable key and a type; tasks
+//   store their values under that key (Task.customFields), and the task
+//   service validates them against these definitions (utils/customFields.js).
+//
+//   LIFECYCLE:
+//   archivedAt → the project is READ-ONLY (see notArchived in utils/policy.js)
+//                and left out of default lists and dashboard counts.
+//   deletedAt  → the project is in the TRASH and looks missing everywhere
+//                except /api/projects/trash. After TRASH_RETENTION_DAYS it is
+//                purged together with its tasks, comments and files.
 // ─────────────────────────────────────────────────────────────────────────────
 
 const mongoose = require("mongoose");
 const { getNextSequence } = require("./Counter");
 
+// Lowest → highest. A role includes everything the roles before it can do.
+const PROJECT_ROLES = ["viewer", "member", "maintainer", "owner"];
+
+// Is `role` at least `minRole`? e.g. hasProjectRole('owner', 'member') → true
+const hasProjectRole = (role, minRole) =>
+  PROJECT_ROLES.indexOf(role) >= PROJECT_ROLES.indexOf(minRole);
+
+// Roles a team can be given in a project
+const TEAM_PROJECT_ROLES = ["viewer", "member", "maintainer"];
+
+// What every workflow status means outside the project's own board
+const STATUS_CATEGORIES = ["todo", "in_progress", "done"];
+
+// Types a custom task field can have
+const CUSTOM_FIELD_TYPES = [
+  "text",
+  "number",
+  "date",
+  "select",
+  "multiselect",
+  "user",
+];
+
+const customFieldSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true }, // Task.customFields.<key>
+    name: { type: String, required: true, trim: true },
+    type: { type: String, enum: CUSTOM_FIELD_TYPES, required: true },
+    // The choices of a select / multiselect field
+    options: { type: [String], default: undefined },
+    // New tasks need a value, and it can't be cleared
+    required: { type: Boolean, default: false },
+  },
+  { _id: false },
+);
+
+const workflowSchema = new mongoose.Schema(
+  {
+    // In board order — the first one is where new tasks start
+    statuses: [
+      {
+        _id: false,
+        key: { type: String, required: true }, // stored in Task.status
+        name: { type: String, required: true, trim: true },
+        category: { type: String, enum: STATUS_CATEGORIES, required: true },
+      },
+    ],
+    // Allowed moves (none → any move is allowed). from "*" → from anywhere;
+    // minRole → only from that project role up
+    transitions: [
+      {
+        _id: false,
+        from: { type: String, required: true },
+        to: { type: String, required: true },
+        minRole: { type: String, enum: PROJECT_ROLES, default: null },
+      },
+    ],
+  },
+  { _id: false },
+);
+
 const projectSchema = new mongoose.Schema(
   {
     projectId: {
       type: Number,
-      unique: true, // No two projects share the same projectId
       immutable: true, // Once assigned, cannot be changed
     },
+    // The tenant this project belongs to (see models/Organization.js)
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
     title: {
       type: String,
       required: [true, "Project title is required"],
@@ -45,17 +148,79 @@ const projectSchema = new mongoose.Schema(
       ref: "User",
       required: true,
     },
-    // members is an ARRAY of ObjectIds — multiple users can be in a project
+    // members is an ARRAY of memberships — { user, role } per project member
+    // _id: false → memberships are identified by their user, not their own id
     members: [
       {
-        type: mongoose.Schema.Types.ObjectId,
-        ref: "User",
+        _id: false,
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          required: true,
+        },
+        role: {
+          type: String,
+          enum: PROJECT_ROLES,
+          default: "member",
+        },
+        addedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    // Teams added to the project — { team, role } per team
+    teams: [
+      {
+        _id: false,
+        team: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Team",
+          required: true,
+        },
+        role: {
+          type: String,
+          enum: TEAM_PROJECT_ROLES,
+          default: "member",
+        },
+        addedAt: {
+          type: Date,
+          default: Date.now,
+        },
       },
     ],
     deadline: {
       type: Date,
       default: null,
     },
+    // null → the default workflow (utils/workflow.js)
+    workflow: {
+      type: workflowSchema,
+      default: null,
+    },
+    // Extra task fields, in display order
+    customFields: {
+      type: [customFieldSchema],
+      default: [],
+    },
+    archivedAt: {
+      type: Date,
+      default: null,
+    },
+    archivedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
   },
   {
     timestamps: true,
@@ -73,11 +238,74 @@ projectSchema.virtual("memberCount").get(function () {
   return this.members.length;
 });
 
+// ── Instance Method ───────────────────────────────────────────────────────────
+// project.roleOf(userId, teamIds) → 'owner' | 'maintainer' | 'member' | 'viewer' | null
+// Without teamIds only the DIRECT membership counts; with the user's teams
+// (User.teams) the highest of the direct and team roles is returned.
+// Works whether or not members.user / teams.team have been populated.
+projectSchema.methods.roleOf = function (userId, teamIds = []) {
+  const roles = [];
+
+  const membership = this.members.find(
+    (m) => (m.user._id || m.user).toString() === userId.toString(),
+  );
+  if (membership) roles.push(membership.role);
+
+  const userTeams = teamIds.map(String);
+  for (const grant of this.teams || []) {
+    if (userTeams.includes((grant.team._id || grant.team).toString())) {
+      roles.push(grant.role);
+    }
+  }
+
+  return roles.reduce(
+    (best, role) => (!best || hasProjectRole(role, best) ? role : best),
+    null,
+  );
+};
+
 // ── Pre-save Hook: Auto-increment projectId ───────────────────────────────────
 projectSchema.pre("save", async function () {
   if (this.isNew) {
-    this.projectId = await getNextSequence("projectId"); // → 1, 2, 3 ...
+    // → 1, 2, 3 ... per organization
+    this.projectId = await getNextSequence("projectId", this.organization);
   }
 });
 
-module.exports = mongoose.model("Project", projectSchema);
+// projectId is numbered per organization — unique within it, not globally
+projectSchema.index({ organization: 1, projectId: 1 }, { unique: true });
+
+// Fast "which projects am I in?" lookups
+projectSchema.index({ "members.user": 1 });
+projectSchema.index({ "teams.team": 1 });
+
+// The trash — per organization, and expired entries for the purge job
+projectSchema.index({ organization: 1, deletedAt: 1 });
+projectSchema.index({ deletedAt: 1 });
+
+// Full-text search (modules/search) — a title match ranks above a
+// description match. The organization prefix keeps every search inside one
+// tenant (a $text query must then filter on organization).
+projectSchema.index(
+  { organization: 1, title: "text", description: "text" },
+  { weights: { title: 5, description: 1 }, name: "project_text" },
+);
+
+// Query filter for "projects `user` is a member of" — directly or through
+// one of their teams. `user` needs _id and teams.
+const memberFilter = (user) => ({
+  $or: [
+    { "members.user": user._id },
+    { "teams.team": { $in: user.teams || [] } },
+  ],
+});
+
+const Project = mongoose.model("Project", projectSchema);
+
+module.exports = Project;
+module.exports.PROJECT_ROLES = PROJECT_ROLES;
+module.exports.TEAM_PROJECT_ROLES = TEAM_PROJECT_ROLES;
+module.exports.hasProjectRole = hasProjectRole;
+module.exports.memberFilter = memberFilter;
+module.exports.STATUS_CATEGORIES = STATUS_CATEGORIES;
+module.exports.CUSTOM_FIELD_TYPES = CUSTOM_FIELD_TYPES;
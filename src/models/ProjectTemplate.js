@@ -0,0 +1,137 @@
+// src/models/ProjectTemplate.js
+// ─────────────────────────────────────────────────────────────────────────────
+// WHY THIS FILE EXISTS:
+//   Projects that are started again and again (a monthly client onboarding,
+//   a release checklist) are described once as a TEMPLATE: the project's
+//   settings plus a tree of template tasks. Instantiating it
+//   (modules/templates) creates a real project with real tasks.
+//
+//   DATES ARE RELATIVE:
+//   A template has no dates — only offsets in days from the start date
+//   chosen when it is instantiated (dueOffsetDays: 0 → due on the start day).
+//
+//   ASSIGNEES ARE ROLES:
+//   A template can't name people, so a task names the PROJECT ROLE its
+//   assignee should have. The new project's members with that role take
+//   those tasks in turn; without such a member the task stays unassigned.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const mongoose = require("mongoose");
+const { getNextSequence } = require("./Counter");
+
+// Roles that can be assigned tasks (viewers are read-only)
+const ASSIGNEE_ROLES = ["member", "maintainer", "owner"];
+
+const templateTaskSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: [true, "Task title is required"],
+      trim: true,
+      maxlength: [150, "Title cannot exceed 150 characters"],
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    priority: {
+      type: String,
+      enum: ["low", "medium", "high", "urgent"],
+      default: "medium",
+    },
+    // Days after the start date (null → no due date)
+    dueOffsetDays: {
+      type: Number,
+      min: [0, "dueOffsetDays cannot be negative"],
+      default: null,
+    },
+    assigneeRole: {
+      type: String,
+      enum: ASSIGNEE_ROLES,
+      default: null,
+    },
+  },
+  { _id: false },
+);
+// A template task can have subtasks of its own → a tree (Task.parentTask)
+templateTaskSchema.add({ subtasks: [templateTaskSchema] });
+
+const projectTemplateSchema = new mongoose.Schema(
+  {
+    templateId: {
+      type: Number,
+      immutable: true, // Once assigned, cannot be changed
+    },
+    // The tenant this template belongs to (see models/Organization.js)
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+    name: {
+      type: String,
+      required: [true, "Template name is required"],
+      trim: true,
+      maxlength: [100, "Name cannot exceed 100 characters"],
+    },
+    // What the template is for — not copied into projects
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Description cannot exceed 500 characters"],
+    },
+    // Settings of the projects created from it
+    project: {
+      description: {
+        type: String,
+        trim: true,
+        maxlength: [500, "Description cannot exceed 500 characters"],
+      },
+      priority: {
+        type: String,
+        enum: ["low", "medium", "high"],
+        default: "medium",
+      },
+      // Project deadline, in days after the start date (null → none)
+      deadlineOffsetDays: {
+        type: Number,
+        min: [0, "deadlineOffsetDays cannot be negative"],
+        default: null,
+      },
+    },
+    tasks: [templateTaskSchema],
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// ── Pre-save Hook: Auto-increment templateId ──────────────────────────────────
+projectTemplateSchema.pre("save", async function () {
+  if (this.isNew) {
+    // → 1, 2, 3 ... per organization
+    this.templateId = await getNextSequence("templateId", this.organization);
+  }
+});
+
+// templateId is numbered per organization — unique within it, not globally
+projectTemplateSchema.index(
+  { organization: 1, templateId: 1 },
+  { unique: true },
+);
+
+// Template names are unique within an organization
+projectTemplateSchema.index({ organization: 1, name: 1 }, { unique: true });
+
+const ProjectTemplate = mongoose.model(
+  "ProjectTemplate",
+  projectTemplateSchema,
+);
+
+module.exports = ProjectTemplate;
+module.exports.ASSIGNEE_ROLES = ASSIGNEE_ROLES;
@@ -28,6 +28,18 @@ const refreshTokenSchema = new mongoose.Schema(
       ref: "User",
       required: true,
     },
+    // Every token issued from the same login shares a "family" id.
+    // Rotation keeps the family; reuse detection revokes the whole family.
+    family: {
+      type: String,
+      required: true,
+    },
+    // When the session (family) was first created — copied on every rotation
+    // so "signed in since" survives token refreshes
+    sessionStartedAt: {
+      type: Date,
+      default: Date.now,
+    },
     // When this token expires — stored so we can clean up old tokens
     expiresAt: {
       type: Date,
@@ -63,4 +75,7 @@ refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 // Index for fast lookup by user (e.g., "delete all tokens for this user on logout")
 refreshTokenSchema.index({ user: 1 });
 
+// Index for revoking a whole rotation chain at once (reuse detection, logout)
+refreshTokenSchema.index({ family: 1 });
+
 module.exports = mongoose.model("RefreshToken", refreshTokenSchema);
@@ -0,0 +1,72 @@
+// src/models/Setting.js
+// ─────────────────────────────────────────────────────────────────────────────
+// WHY THIS FILE EXISTS:
+//   Some behaviour must be changeable by admins at runtime (without editing
+//   .env and restarting), e.g. "which roles must use two-factor auth".
+//   This collection is a tiny key/value store for those settings.
+//
+//   HOW IT WORKS:
+//   - One document per setting (e.g. { _id: 'twoFactorRequiredRoles', value: ['admin'] })
+//   - getSetting('key', defaultValue) reads it (cached in memory for 60s
+//     because some settings are checked on EVERY request)
+//   - setSetting('key', value) upserts it and refreshes the cache
+//
+//   PER-ORGANIZATION SETTINGS:
+//   Most settings belong to one organization. Pass it as `scope` (like
+//   getNextSequence in Counter.js) — the document key becomes
+//   'twoFactorRequiredRoles:<organization _id>'.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const mongoose = require("mongoose");
+
+const settingSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String, // e.g. 'twoFactorRequiredRoles'
+      required: true,
+    },
+    value: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+const Setting = mongoose.model("Setting", settingSchema);
+
+// ── In-memory cache ───────────────────────────────────────────────────────────
+// Maps key → { value, expires }
+const CACHE_TTL_MS = 60 * 1000;
+const cache = new Map();
+
+// ── getSetting ────────────────────────────────────────────────────────────────
+const scopedKey = (key, scope) => (scope ? `${key}:${scope}` : key);
+
+// Usage: const roles = await getSetting('twoFactorRequiredRoles', [], orgId);
+const getSetting = async (key, defaultValue = null, scope = null) => {
+  const id = scopedKey(key, scope);
+  const cached = cache.get(id);
+  if (cached && cached.expires > Date.now()) return cached.value;
+
+  const doc = await Setting.findById(id).lean();
+  const value = doc && doc.value !== null ? doc.value : defaultValue;
+  cache.set(id, { value, expires: Date.now() + CACHE_TTL_MS });
+  return value;
+};
+
+// ── setSetting ────────────────────────────────────────────────────────────────
+const setSetting = async (key, value, scope = null) => {
+  const id = scopedKey(key, scope);
+  await Setting.findOneAndUpdate(
+    { _id: id },
+    { value },
+    { upsert: true, new: true },
+  );
+  cache.set(id, { value, expires: Date.now() + CACHE_TTL_MS });
+  return value;
+};
+
+module.exports = { Setting, getSetting, setSetting };
@@ -0,0 +1,138 @@
+// src/models/Sprint.js
+// ─────────────────────────────────────────────────────────────────────────────
+// WHY THIS FILE EXISTS:
+//   A Sprint is a time box inside a project: a start and end date, a goal,
+//   and the tasks planned for it (Task.sprint). Tasks without a sprint are
+//   the project's backlog.
+//
+//   STATES:
+//   open (being planned) → active (started) → closed. A project has at most
+//   one active sprint.
+//
+//   COMMITTED VS COMPLETED:
+//   Starting a sprint records the tasks in it at that moment
+//   (committedTasks). Closing it records the outcome in `report` — how many
+//   were committed, added later, completed — and rolls every unfinished
+//   task over to the next sprint (or the backlog).
+// ─────────────────────────────────────────────────────────────────────────────
+
+const mongoose = require("mongoose");
+const { getNextSequence } = require("./Counter");
+
+const SPRINT_STATUSES = ["open", "active", "closed"];
+
+// What a sprint achieved — counts of tasks
+const reportSchema = new mongoose.Schema(
+  {
+    committed: Number, // in the sprint when it started
+    added: Number, // put in after it started
+    removed: Number, // committed, but taken out before the end
+    completed: Number, // done at the end (committed or added)
+    completedCommitted: Number, // of those, how many were committed
+    unfinished: Number, // not done at the end → rolled over
+  },
+  { _id: false },
+);
+
+const sprintSchema = new mongoose.Schema(
+  {
+    sprintId: {
+      type: Number,
+      immutable: true, // Once assigned, cannot be changed
+    },
+    // The tenant this sprint belongs to (see models/Organization.js)
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+    },
+    name: {
+      type: String,
+      required: [true, "Sprint name is required"],
+      trim: true,
+      maxlength: [100, "Name cannot exceed 100 characters"],
+    },
+    goal: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Goal cannot exceed 500 characters"],
+    },
+    startDate: {
+      type: Date,
+      required: [true, "Start date is required"],
+    },
+    endDate: {
+      type: Date,
+      required: [true, "End date is required"],
+    },
+    status: {
+      type: String,
+      enum: SPRINT_STATUSES,
+      default: "open",
+    },
+    startedAt: {
+      type: Date,
+      default: null,
+    },
+    closedAt: {
+      type: Date,
+      default: null,
+    },
+    // The tasks in the sprint when it was started
+    committedTasks: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Task",
+      },
+    ],
+    // Filled in when the sprint is closed (null until then)
+    report: {
+      type: reportSchema,
+      default: null,
+    },
+    // Where the unfinished tasks went (null → the backlog)
+    rolledOverTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Sprint",
+      default: null,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// ── Pre-save Hook: Auto-increment sprintId ────────────────────────────────────
+sprintSchema.pre("save", async function () {
+  if (this.isNew) {
+    // → 1, 2, 3 ... per organization
+    this.sprintId = await getNextSequence("sprintId", this.organization);
+  }
+});
+
+// sprintId is numbered per organization — unique within it, not globally
+sprintSchema.index({ organization: 1, sprintId: 1 }, { unique: true });
+
+// A project's sprints, in date order
+sprintSchema.index({ project: 1, startDate: 1 });
+
+// At most one active sprint per project — even when two starts race
+sprintSchema.index(
+  { project: 1 },
+  { unique: true, partialFilterExpression: { status: "active" } },
+);
+
+const Sprint = mongoose.model("Sprint", sprintSchema);
+
+module.exports = Sprint;
+module.exports.SPRINT_STATUSES = SPRINT_STATUSES;
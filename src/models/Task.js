@@ -2,7 +2,18 @@
 // ─────────────────────────────────────────────────────────────────────────────
 // WHY THIS FILE EXISTS:
 //   Tasks are the core of our work management system.
-//   Each task belongs to a project and can be assigned to a user.
+//   Each task belongs to a project and can be assigned to a user — or queued
+//   for a team (assignedTeam) until one of its members claims it.
+//   Tasks can be SUBTASKS of another task in the same project (parentTask),
+//   e.g. the task trees created from project templates.
+//   Tasks can be planned into a SPRINT and/or a MILESTONE of their project
+//   (models/Sprint.js, models/Milestone.js) — without a sprint they are in
+//   the project's backlog.
+//   A task's status comes from its project's WORKFLOW (see models/Project.js);
+//   statusCategory says whether that status counts as todo, in progress
+//   or done.
+//   customFields holds the task's values of its project's CUSTOM FIELDS,
+//   keyed by field key (definitions in Project.customFields).
 //   Key concept: We store attachments as an EMBEDDED ARRAY of objects
 //   (not a separate collection) because attachments only make sense
 //   in the context of a task — this is called "embedding" in MongoDB.
@@ -10,14 +21,20 @@
 
 const mongoose = require("mongoose");
 const { getNextSequence } = require("./Counter");
+const { STATUS_CATEGORIES } = require("./Project");
 
 const taskSchema = new mongoose.Schema(
   {
     taskId: {
       type: Number,
-      unique: true, // No two tasks share the same taskId
       immutable: true, // Once assigned, cannot be changed
     },
+    // The tenant this task belongs to (see models/Organization.js)
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
     title: {
       type: String,
       required: [true, "Task title is required"],
@@ -28,9 +45,17 @@ const taskSchema = new mongoose.Schema(
       type: String,
       trim: true,
     },
+    // A status of the project's workflow (utils/workflow.js) — validated by
+    // the service, as the allowed values differ per project
     status: {
       type: String,
-      enum: ["todo", "in-progress", "review", "done"],
+      default: "todo",
+    },
+    // The category of that status, kept next to it so "open" and "done"
+    // can be queried across projects with different workflows
+    statusCategory: {
+      type: String,
+      enum: STATUS_CATEGORIES,
       default: "todo",
     },
     priority: {
@@ -56,10 +81,40 @@ const taskSchema = new mongoose.Schema(
       ref: "User",
       default: null,
     },
+    // Team queue (optional) — while assignedTo is empty, any member of this
+    // team can claim the task (POST /api/tasks/:id/claim)
+    assignedTeam: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Team",
+      default: null,
+    },
+    // The task this one is a subtask of (same project), if any
+    parentTask: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+      default: null,
+    },
+    // Planning (same project) — null sprint → the backlog
+    sprint: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Sprint",
+      default: null,
+    },
+    milestone: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Milestone",
+      default: null,
+    },
     dueDate: {
       type: Date,
       default: null,
     },
+    // { <field key>: value } — Mixed, as the fields differ per project.
+    // Validated by the service; dates are stored as dates.
+    customFields: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
     // Embedded array of attachment objects
     // We embed them here instead of a separate collection because
     // they're always accessed together with the task
@@ -81,15 +136,35 @@ const taskSchema = new mongoose.Schema(
 // ── Pre-save Hook: Auto-increment taskId ─────────────────────────────────────
 taskSchema.pre("save", async function () {
   if (this.isNew) {
-    this.taskId = await getNextSequence("taskId"); // → 1, 2, 3 ...
+    // → 1, 2, 3 ... per organization
+    this.taskId = await getNextSequence("taskId", this.organization);
   }
 });
 
+// taskId is numbered per organization — unique within it, not globally
+taskSchema.index({ organization: 1, taskId: 1 }, { unique: true });
+
 // ── Index ─────────────────────────────────────────────────────────────────────
 // Indexes speed up queries. We often query tasks by project and status,
 // so we create a compound index on both fields.
 // This is like creating an index in a book — faster lookups.
 taskSchema.index({ project: 1, status: 1 });
 taskSchema.index({ assignedTo: 1 });
+// Due date reminders: a user's open tasks by due date
+taskSchema.index({ assignedTo: 1, dueDate: 1 });
+// Team queues: a team's unclaimed tasks
+taskSchema.index({ assignedTeam: 1, assignedTo: 1 });
+// Subtasks of a task
+taskSchema.index({ parentTask: 1 });
+// Tasks of a sprint / milestone by category (reports, progress)
+taskSchema.index({ sprint: 1, statusCategory: 1 });
+taskSchema.index({ milestone: 1, statusCategory: 1 });
+// Filtering / sorting by any custom field (GET /api/tasks?cf.<key>=)
+taskSchema.index({ "customFields.$**": 1 });
+// Full-text search (modules/search) — title matches rank higher
+taskSchema.index(
+  { organization: 1, title: "text", description: "text" },
+  { weights: { title: 5, description: 1 }, name: "task_text" },
+);
 
 module.exports = mongoose.model("Task", taskSchema);
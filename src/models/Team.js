@@ -0,0 +1,75 @@
+// src/models/Team.js
+// ─────────────────────────────────────────────────────────────────────────────
+// WHY THIS FILE EXISTS:
+//   A Team is a named group of users inside an organization (e.g. "Backend",
+//   "Design"). Instead of adding ten people to a project one by one, the team
+//   is added once — and everyone in it gets the team's project role.
+//
+//   MEMBERSHIP:
+//   Who is in a team is stored on the USER (User.teams), not here. Project
+//   access is then resolved at the moment it is checked (Project.roleOf), so
+//   joining or leaving a team changes project access immediately — nothing
+//   is copied into the projects.
+//
+//   The LEAD is always a member and, next to organization admins, manages
+//   the team (name, members, lead). Tasks can be queued for a team
+//   (Task.assignedTeam) and claimed by any of its members.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const mongoose = require("mongoose");
+const { getNextSequence } = require("./Counter");
+
+const teamSchema = new mongoose.Schema(
+  {
+    teamId: {
+      type: Number,
+      immutable: true, // Once assigned, cannot be changed
+    },
+    // The tenant this team belongs to (see models/Organization.js)
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+    name: {
+      type: String,
+      required: [true, "Team name is required"],
+      trim: true,
+      maxlength: [50, "Name cannot exceed 50 characters"],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [300, "Description cannot exceed 300 characters"],
+    },
+    lead: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "A team needs a lead"],
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// ── Pre-save Hook: Auto-increment teamId ──────────────────────────────────────
+teamSchema.pre("save", async function () {
+  if (this.isNew) {
+    // → 1, 2, 3 ... per organization
+    this.teamId = await getNextSequence("teamId", this.organization);
+  }
+});
+
+// teamId is numbered per organization — unique within it, not globally
+teamSchema.index({ organization: 1, teamId: 1 }, { unique: true });
+
+// Team names are unique within an organization
+teamSchema.index({ organization: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model("Team", teamSchema);
@@ -9,14 +9,20 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
 const { getNextSequence } = require("./Counter");
+const { DATE_FORMATS } = require("../utils/preferences");
 
 const userSchema = new mongoose.Schema(
   {
     userId: {
       type: Number,
-      unique: true, // Guarantees no two users share the same userId
       immutable: true, // Once set, it can never be changed (like a real ID)
     },
+    // The tenant this user belongs to (see models/Organization.js)
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
     name: {
       type: String,
       required: [true, "Name is required"], // Custom error message
@@ -37,19 +43,183 @@ const userSchema = new mongoose.Schema(
       minlength: [6, "Password must be at least 6 characters"],
       select: false, // IMPORTANT: password won't be returned in queries by default
     },
+    // Role INSIDE the user's organization — "admin" is an organization admin
     role: {
       type: String,
       enum: ["admin", "manager", "employee"], // Only these 3 values allowed
       default: "employee",
     },
+    // Platform operator — manages organizations across the whole deployment.
+    // Only granted from the command line (scripts/migrate-organizations.js),
+    // never through the API.
+    isSuperAdmin: {
+      type: Boolean,
+      default: false,
+    },
+    // Teams the user belongs to (see models/Team.js). Kept on the user so
+    // project access (utils/policy.js → projectRoleOf) needs no extra query.
+    // Managed through /api/teams only.
+    teams: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Team",
+      },
+    ],
+    // URL of the medium avatar variant — every size is in avatarUrls.
+    // Set by PUT /api/users/me/avatar (see utils/avatar.js).
     avatar: {
       type: String,
       default: null,
     },
+    avatarUrls: {
+      small: { type: String, default: null }, // 48×48
+      medium: { type: String, default: null }, // 128×128
+      large: { type: String, default: null }, // 512×512
+    },
+    // Personal settings — editable by the user through /api/users/me/preferences
+    // (rules in utils/preferences.js). "Today", "overdue" and reminder times
+    // are all worked out in the user's time zone (utils/timezone.js).
+    preferences: {
+      // IANA time zone, e.g. "Europe/Berlin"
+      timezone: {
+        type: String,
+        default: "UTC",
+      },
+      // BCP 47 language tag, e.g. "en-GB"
+      locale: {
+        type: String,
+        default: "en",
+      },
+      dateFormat: {
+        type: String,
+        enum: DATE_FORMATS,
+        default: "YYYY-MM-DD",
+      },
+      // Local times in the user's time zone; days are ISO weekdays (1 = Monday).
+      // Due date reminders are sent when the working day starts.
+      workingHours: {
+        start: { type: String, default: "09:00" },
+        end: { type: String, default: "17:00" },
+        days: { type: [Number], default: [1, 2, 3, 4, 5] },
+      },
+      // Project the app opens after login
+      defaultProject: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Project",
+        default: null,
+      },
+      notifications: {
+        dueDateReminders: { type: Boolean, default: true },
+      },
+    },
+    // The user's local date ("2026-10-19") of the last due date reminder —
+    // at most one reminder per day (see modules/reminders)
+    dueReminderSentOn: {
+      type: String,
+      default: null,
+    },
     isActive: {
       type: Boolean,
       default: true,
     },
+    // Unverified users can login but get restricted access (see middleware/auth.js)
+    // until they click the signed link emailed to them
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerifiedAt: {
+      type: Date,
+      default: null,
+    },
+    // ── Single Sign-On (OIDC) ─────────────────────────────────────────────────
+    // The user's identity at the company IdP — "sub" is the IdP's stable user
+    // id (emails can change, sub can't). Set when the user first logs in via SSO.
+    oidcIssuer: {
+      type: String,
+      default: null,
+    },
+    oidcSubject: {
+      type: String,
+      default: null,
+    },
+    // ── Login Lockout ─────────────────────────────────────────────────────────
+    // Consecutive failed logins for THIS account (any IP). Reset on success.
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+    },
+    lastFailedLoginAt: {
+      type: Date,
+      default: null,
+    },
+    // While lockUntil is in the future, login is refused even with the
+    // correct password. Admins can clear it early (unlock).
+    lockUntil: {
+      type: Date,
+      default: null,
+    },
+    // ── Two-Factor Authentication (TOTP) ──────────────────────────────────────
+    // All secrets are select:false — they must never leave the server.
+    twoFactorEnabled: {
+      type: Boolean,
+      default: false,
+    },
+    // Active secret (base32) used to check codes from the authenticator app
+    twoFactorSecret: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    // Secret generated by /2fa/setup, promoted to twoFactorSecret on /2fa/enable
+    twoFactorPendingSecret: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    // SHA-256 hashes of the one-time backup codes (removed once used)
+    twoFactorBackupCodes: {
+      type: [String],
+      default: [],
+      select: false,
+    },
+    // Last accepted 30s time step — stops the same code being replayed
+    twoFactorLastUsedStep: {
+      type: Number,
+      default: null,
+      select: false,
+    },
+    // ID (jti) of the one login challenge that may still be completed —
+    // cleared once it's used or the account gets locked (single-use)
+    twoFactorChallengeId: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    // bcrypt hashes of the previous passwords, newest first — used to stop
+    // users from cycling back to an old password (see PASSWORD_HISTORY_COUNT)
+    passwordHistory: {
+      type: [String],
+      default: [],
+      select: false,
+    },
+    passwordChangedAt: {
+      type: Date,
+      default: null,
+    },
+    // Password reset — we store a SHA-256 HASH of the emailed token, never
+    // the token itself, so a leaked database can't be used to reset passwords.
+    // Both fields are cleared as soon as the token is used (single-use).
+    passwordResetToken: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    passwordResetExpires: {
+      type: Date,
+      default: null,
+      select: false,
+    },
   },
   {
     // timestamps: true automatically adds createdAt and updatedAt fields
@@ -57,6 +227,15 @@ const userSchema = new mongoose.Schema(
   },
 );
 
+// One IdP identity can belong to ONE user only (users without SSO are skipped)
+userSchema.index(
+  { oidcIssuer: 1, oidcSubject: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { oidcSubject: { $type: "string" } },
+  },
+);
+
 // ── Pre-save Hook: Auto-increment userId ──────────────────────────────────────
 // this.isNew = true only on first save (User.create / new User().save)
 // We fetch the next sequence from the Counter collection and assign it.
@@ -64,10 +243,28 @@ const userSchema = new mongoose.Schema(
 // a unique number (MongoDB's findOneAndUpdate + $inc guarantees this).
 userSchema.pre("save", async function () {
   if (this.isNew) {
-    this.userId = await getNextSequence("userId"); // → 1, 2, 3, 4 ...
+    // → 1, 2, 3 ... per organization
+    this.userId = await getNextSequence("userId", this.organization);
   }
 });
 
+// userId is numbered per organization — unique within it, not globally
+userSchema.index({ organization: 1, userId: 1 }, { unique: true });
+
+// "Who is in this team?" lookups
+userSchema.index({ teams: 1 });
+
+// Full-text search (modules/search). Names aren't English words — no
+// stemming or stop words ("Will" and "May" must stay searchable).
+userSchema.index(
+  { organization: 1, name: "text", email: "text" },
+  {
+    weights: { name: 3, email: 1 },
+    default_language: "none",
+    name: "user_text",
+  },
+);
+
 // ── Pre-save Hook: Password Hashing ───────────────────────────────────────────
 // This runs BEFORE every .save() call
 // We hash the password here so we never store plain text passwords
@@ -88,6 +285,22 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+// Was candidatePassword one of the user's last `count` passwords (the current
+// one included)? Needs the user loaded with +password +passwordHistory.
+userSchema.methods.isRecentPassword = async function (
+  candidatePassword,
+  count,
+) {
+  const hashes = [this.password, ...(this.passwordHistory || [])].slice(
+    0,
+    count,
+  );
+  for (const hash of hashes) {
+    if (hash && (await bcrypt.compare(candidatePassword, hash))) return true;
+  }
+  return false;
+};
+
 // mongoose.model('User', userSchema) creates a Model
 // The model is what we use to query: User.find(), User.create(), etc.
 // MongoDB will store documents in a collection called 'users' (auto-pluralized)
@@ -0,0 +1,74 @@
+// src/modules/apiTokens/apiTokens.controller.js
+const apiTokensService = require("./apiTokens.service");
+const { can } = require("../../utils/policy");
+
+// @desc    Create a personal access token — the plain token is returned once
+// @route   POST /api/auth/tokens
+// @access  Private (real login only — a token can't create tokens)
+const createToken = async (req, res, next) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+
+    const errors = [];
+    if (!name || !String(name).trim()) errors.push("Name is required");
+    if (!Array.isArray(scopes) || scopes.length === 0)
+      errors.push("scopes must be a non-empty array");
+
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, errors });
+    }
+
+    const result = await apiTokensService.createToken(req.user._id, {
+      name: String(name).trim(),
+      scopes,
+      expiresInDays,
+    });
+    res.status(201).json({ success: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    List personal access tokens (admins may pass ?userId=)
+// @route   GET /api/auth/tokens
+// @access  Private
+const listTokens = async (req, res, next) => {
+  try {
+    const { userId } = req.query;
+    if (userId && !can("api-token:list-any", { user: req.user })) {
+      return res.status(403).json({
+        success: false,
+        message: "Only admins can view other users' API tokens",
+      });
+    }
+
+    const tokens = await apiTokensService.listTokens(
+      userId || req.user._id,
+      req.user.organization,
+    );
+    res.status(200).json({ success: true, data: tokens });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Revoke a personal access token
+// @route   DELETE /api/auth/tokens/:id
+// @access  Private (own tokens, or any token for admins)
+const revokeToken = async (req, res, next) => {
+  try {
+    const result = await apiTokensService.revokeToken(req.params.id, req.user);
+    res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    List the scopes a token can be granted
+// @route   GET /api/auth/tokens/scopes
+// @access  Private
+const getScopes = (req, res) => {
+  res.status(200).json({ success: true, data: apiTokensService.getScopes() });
+};
+
+module.exports = { createToken, listTokens, revokeToken, getScopes };
@@ -0,0 +1,31 @@
+// src/modules/apiTokens/apiTokens.routes.js
+// ─────────────────────────────────────────────────────────────────────────────
+// Routes (mounted at /api/auth/tokens):
+//   GET    /api/auth/tokens/scopes → scopes a token can be granted
+//   GET    /api/auth/tokens        → list my tokens (admins: ?userId=)
+//   POST   /api/auth/tokens        → create a token (plain token shown once)
+//   DELETE /api/auth/tokens/:id    → revoke a token
+//
+// All routes use protectSession — an API token must not be able to mint
+// new tokens or keep itself alive.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const express = require("express");
+const {
+  createToken,
+  listTokens,
+  revokeToken,
+  getScopes,
+} = require("./apiTokens.controller");
+const { protectSession } = require("../../middleware/auth");
+
+const router = express.Router();
+
+router.use(protectSession);
+
+router.get("/scopes", getScopes);
+router.get("/", listTokens);
+router.post("/", createToken);
+router.delete("/:id", revokeToken);
+
+module.exports = router;
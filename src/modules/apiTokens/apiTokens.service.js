@@ -0,0 +1,114 @@
+// src/modules/apiTokens/apiTokens.service.js
+// ─────────────────────────────────────────────────────────────────────────────
+// PERSONAL ACCESS TOKENS:
+//
+//   Format:  wmp_<64 hex chars>   e.g. wmp_3f9a1c...
+//   Storage: SHA-256 hash only — the plain token is returned ONCE on creation
+//   Usage:   Authorization: Bearer wmp_...   (accepted by protect)
+//
+//   A token acts as its owner, limited to its scopes (middleware/scope.js).
+//   Revoking is instant — protect looks the token up on every request.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const { ApiToken, SCOPES, TOKEN_PREFIX } = require("../../models/ApiToken");
+const User = require("../../models/User");
+const { randomToken, hashToken } = require("../../utils/tokens");
+const logger = require("../../utils/logger");
+const { assertCan } = require("../../utils/policy");
+
+const MAX_EXPIRES_DAYS = 365;
+
+// ── Create Token ──────────────────────────────────────────────────────────────
+// expiresInDays: number of days, or null/undefined for a non-expiring token
+const createToken = async (userId, { name, scopes, expiresInDays }) => {
+  const uniqueScopes = [...new Set(scopes)];
+  const invalid = uniqueScopes.filter((s) => !SCOPES.includes(s));
+  if (invalid.length > 0) {
+    const error = new Error(`Invalid scope(s): ${invalid.join(", ")}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  let expiresAt = null;
+  if (expiresInDays !== undefined && expiresInDays !== null) {
+    const days = Number(expiresInDays);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRES_DAYS) {
+      const error = new Error(
+        `expiresInDays must be a whole number between 1 and ${MAX_EXPIRES_DAYS}`,
+      );
+      error.statusCode = 400;
+      throw error;
+    }
+    expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  }
+
+  const token = `${TOKEN_PREFIX}${randomToken()}`;
+  const apiToken = await ApiToken.create({
+    name,
+    user: userId,
+    scopes: uniqueScopes,
+    tokenHash: hashToken(token),
+    prefix: token.slice(0, TOKEN_PREFIX.length + 6),
+    expiresAt,
+  });
+
+  logger.info(
+    `API token created — tokenId: ${apiToken.tokenId} | userId: ${userId} | scopes: [${uniqueScopes.join(", ")}]`,
+  );
+
+  // The plain token is returned ONCE — it can't be recovered later
+  return { apiToken, token };
+};
+
+// ── List Tokens ───────────────────────────────────────────────────────────────
+// Only tokens of users in `organization` can be listed
+const listTokens = async (userId, organization) => {
+  if (!(await User.exists({ _id: userId, organization }))) {
+    const error = new Error("User not found");
+    error.statusCode = 404;
+    throw error;
+  }
+  return ApiToken.find({ user: userId }).sort({ createdAt: -1 });
+};
+
+// ── Revoke Token ──────────────────────────────────────────────────────────────
+// Users can revoke their own tokens; admins anyone's in their organization.
+const revokeToken = async (id, requester) => {
+  const apiToken = await ApiToken.findById(id).populate("user", "organization");
+
+  // Tokens of other organizations look exactly like missing ones
+  if (
+    !apiToken ||
+    !apiToken.user ||
+    String(apiToken.user.organization) !== String(requester.organization)
+  ) {
+    const error = new Error("API token not found");
+    error.statusCode = 404;
+    throw error;
+  }
+
+  assertCan(
+    "api-token:revoke",
+    { user: requester, resourceType: "api-token", resource: apiToken },
+    "Not authorized to revoke this API token",
+  );
+
+  if (apiToken.revokedAt) {
+    const error = new Error("API token is already revoked");
+    error.statusCode = 400;
+    throw error;
+  }
+
+  apiToken.revokedAt = new Date();
+  await apiToken.save();
+
+  logger.info(
+    `API token revoked — tokenId: ${apiToken.tokenId} | userId: ${apiToken.user._id} | by: ${requester._id}`,
+  );
+  return { message: "API token revoked" };
+};
+
+// ── Available Scopes ──────────────────────────────────────────────────────────
+const getScopes = () => SCOPES;
+
+module.exports = { createToken, listTokens, revokeToken, getScopes };
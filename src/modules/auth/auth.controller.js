@@ -1,8 +1,12 @@
 // src/modules/auth/auth.controller.js
 // Handles HTTP request/response. Validation is done inline before calling service.
 const authService = require("./auth.service");
+const { clientInfo } = require("../../utils/request");
+const { validatePassword } = require("../../utils/passwordPolicy");
+const { can } = require("../../utils/policy");
 
-// @desc    Register a new user
+// @desc    Register a new user (self-registration — always an employee)
+//          Other roles are only available through invitations
 // @route   POST /api/auth/register
 // @access  Public
 const register = async (req, res, next) => {
@@ -13,23 +17,27 @@ const register = async (req, res, next) => {
     // Simple checks — easy to understand and works with any Express version
     const errors = [];
     if (!name || name.trim() === "") errors.push("Name is required");
-    if (!email || !/^\S+@\S+\.\S+$/.test(email))
+    if (typeof email !== "string" || !/^\S+@\S+\.\S+$/.test(email))
       errors.push("Valid email is required");
-    if (!password || password.length < 6)
-      errors.push("Password must be at least 6 characters");
-    if (role && !["admin", "manager", "employee"].includes(role))
-      errors.push("Invalid role");
+    if (!password) errors.push("Password is required");
+    else errors.push(...validatePassword(password, { email, name }));
+    if (role && role !== "employee")
+      errors.push(
+        "Self-registration only creates employee accounts. Ask an admin or manager for an invitation.",
+      );
 
     if (errors.length > 0) {
       return res.status(400).json({ success: false, errors });
     }
 
-    const result = await authService.register({
-      name: name.trim(),
-      email: email.toLowerCase(),
-      password,
-      role,
-    });
+    const result = await authService.register(
+      {
+        name: name.trim(),
+        email: email.toLowerCase(),
+        password,
+      },
+      clientInfo(req),
+    );
     res.status(201).json({
       success: true,
       message: "User registered successfully",
@@ -49,7 +57,7 @@ const login = async (req, res, next) => {
 
     // ── Manual Validation ─────────────────────────────────────────────────────
     const errors = [];
-    if (!email || !/^\S+@\S+\.\S+$/.test(email))
+    if (typeof email !== "string" || !/^\S+@\S+\.\S+$/.test(email))
       errors.push("Valid email is required");
     if (!password) errors.push("Password is required");
 
@@ -57,10 +65,45 @@ const login = async (req, res, next) => {
       return res.status(400).json({ success: false, errors });
     }
 
-    const result = await authService.login({
-      email: email.toLowerCase(),
-      password,
+    const result = await authService.login(
+      {
+        email: email.toLowerCase(),
+        password,
+      },
+      clientInfo(req),
+    );
+    res.status(200).json({
+      success: true,
+      message: result.twoFactorRequired
+        ? "Two-factor code required"
+        : "Login successful",
+      data: result,
     });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Second login step — exchange challenge token + 2FA code for tokens
+// @route   POST /api/auth/login/2fa
+// @access  Public (requires challenge token from /login)
+const loginTwoFactor = async (req, res, next) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    const errors = [];
+    if (!challengeToken) errors.push("Challenge token is required");
+    if (!code) errors.push("Code is required");
+
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, errors });
+    }
+
+    const result = await authService.loginTwoFactor(
+      challengeToken,
+      code,
+      clientInfo(req),
+    );
     res.status(200).json({
       success: true,
       message: "Login successful",
@@ -71,6 +114,231 @@ const login = async (req, res, next) => {
   }
 };
 
+// @desc    Exchange a refresh token for a new token pair (rotation)
+// @route   POST /api/auth/refresh
+// @access  Public (requires refresh token in body)
+const refresh = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res
+        .status(400)
+        .json({ success: false, errors: ["Refresh token is required"] });
+    }
+
+    const result = await authService.refresh(refreshToken, clientInfo(req));
+    res.status(200).json({
+      success: true,
+      message: "Token refreshed",
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Logout current session (revokes its refresh token family)
+// @route   POST /api/auth/logout
+// @access  Public (requires refresh token in body)
+const logout = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken || typeof refreshToken !== "string") {
+      return res
+        .status(400)
+        .json({ success: false, errors: ["Refresh token is required"] });
+    }
+
+    const result = await authService.logout(refreshToken);
+    res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Logout from every device
+// @route   POST /api/auth/logout-all
+// @access  Private (requires JWT token)
+const logoutAll = async (req, res, next) => {
+  try {
+    const result = await authService.logoutAll(req.user._id);
+    res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Request a password reset email
+// @route   POST /api/auth/forgot-password
+// @access  Public
+const forgotPassword = async (req, res, next) => {
+  try {
+    const { email } = req.body;
+    if (typeof email !== "string" || !/^\S+@\S+\.\S+$/.test(email)) {
+      return res
+        .status(400)
+        .json({ success: false, errors: ["Valid email is required"] });
+    }
+
+    const result = await authService.forgotPassword(email.toLowerCase());
+    res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Set a new password using the emailed reset token
+// @route   POST /api/auth/reset-password
+// @access  Public
+const resetPassword = async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+
+    const errors = [];
+    if (!token) errors.push("Reset token is required");
+    if (!password) errors.push("Password is required");
+    else errors.push(...validatePassword(password));
+
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, errors });
+    }
+
+    const result = await authService.resetPassword(token, password);
+    res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Change own password (revokes all other sessions)
+// @route   POST /api/auth/change-password
+// @access  Private
+const changePassword = async (req, res, next) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    const errors = [];
+    if (!currentPassword) errors.push("Current password is required");
+    if (!newPassword) errors.push("New password is required");
+    else errors.push(...validatePassword(newPassword, req.user));
+
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, errors });
+    }
+
+    const result = await authService.changePassword(
+      req.user._id,
+      { currentPassword, newPassword },
+      req.sessionId,
+    );
+    res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Change own email — the new address must be verified first
+// @route   POST /api/auth/change-email
+// @access  Private
+const changeEmail = async (req, res, next) => {
+  try {
+    const { password, newEmail } = req.body;
+
+    const errors = [];
+    if (!password) errors.push("Password is required");
+    if (typeof newEmail !== "string" || !/^\S+@\S+\.\S+$/.test(newEmail))
+      errors.push("Valid new email is required");
+
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, errors });
+    }
+
+    const result = await authService.requestEmailChange(req.user._id, {
+      password,
+      newEmail: newEmail.toLowerCase().trim(),
+    });
+    res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get the password rules (length, character classes, history)
+// @route   GET /api/auth/password-policy
+// @access  Public
+const getPasswordPolicy = (req, res) => {
+  res.status(200).json({ success: true, data: authService.getPasswordRules() });
+};
+
+// @desc    Verify email address (or confirm an email change) with the token
+//          from the emailed link
+// @route   POST /api/auth/verify-email
+// @access  Public
+const verifyEmail = async (req, res, next) => {
+  try {
+    const { token } = req.body;
+    if (!token) {
+      return res
+        .status(400)
+        .json({ success: false, errors: ["Verification token is required"] });
+    }
+
+    const result = await authService.verifyEmail(token);
+    res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Send a new verification email to the current user
+// @route   POST /api/auth/verify-email/resend
+// @access  Private (unverified users allowed)
+const resendVerification = async (req, res, next) => {
+  try {
+    const result = await authService.resendVerification(req.user._id);
+    res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    List active sessions (devices) of the current user
+//          Admins may pass ?userId= to inspect another user's sessions
+// @route   GET /api/auth/sessions
+// @access  Private (requires JWT token)
+const listSessions = async (req, res, next) => {
+  try {
+    const { userId } = req.query;
+    if (userId && !can("session:list-any", { user: req.user })) {
+      return res.status(403).json({
+        success: false,
+        message: "Only admins can view other users' sessions",
+      });
+    }
+
+    const sessions = await authService.listSessions(
+      userId || req.user._id,
+      req.sessionId,
+      req.user.organization,
+    );
+    res.status(200).json({ success: true, data: sessions });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Revoke a session and disconnect its live sockets
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private (own sessions, or any session for admins)
+const revokeSession = async (req, res, next) => {
+  try {
+    const result = await authService.revokeSession(req.params.id, req.user);
+    res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc    Get current logged-in user
 // @route   GET /api/auth/me
 // @access  Private (requires JWT token)
@@ -83,4 +351,21 @@ const getMe = async (req, res, next) => {
   }
 };
 
-module.exports = { register, login, getMe };
+module.exports = {
+  register,
+  login,
+  loginTwoFactor,
+  refresh,
+  logout,
+  logoutAll,
+  listSessions,
+  revokeSession,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  changeEmail,
+  getPasswordPolicy,
+  verifyEmail,
+  resendVerification,
+  getMe,
+};
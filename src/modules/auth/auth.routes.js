@@ -1,21 +1,73 @@
 // src/modules/auth/auth.routes.js
 // ─────────────────────────────────────────────────────────────────────────────
 // Routes:
-//   POST /api/auth/register  → create account, returns JWT token
-//   POST /api/auth/login     → login, returns JWT token
-//   GET  /api/auth/me        → get current user (protected)
+//   POST   /api/auth/register            → create account, returns access + refresh tokens
+//   POST   /api/auth/login               → login, returns access + refresh tokens
+//   POST   /api/auth/login/2fa           → exchange 2FA challenge token + code for tokens
+//   POST   /api/auth/refresh             → rotate refresh token, returns a new token pair
+//   POST   /api/auth/logout              → revoke the current session's refresh tokens
+//   POST   /api/auth/logout-all          → revoke every session of the user (protected)
+//   GET    /api/auth/sessions            → list active sessions/devices (protected)
+//   DELETE /api/auth/sessions/:id        → revoke a session + disconnect its sockets
+//   POST   /api/auth/forgot-password     → email a single-use reset link
+//   POST   /api/auth/reset-password      → set a new password with the reset token
+//   POST   /api/auth/change-password     → change own password, revokes other sessions
+//   POST   /api/auth/change-email        → email a confirmation link to a new address
+//   GET    /api/auth/password-policy     → password rules (length, classes, history)
+//   POST   /api/auth/verify-email        → verify email (or confirm a change) with the signed link token
+//   POST   /api/auth/verify-email/resend → email a new verification link (protected)
+//   GET    /api/auth/me                  → get current user (protected)
 //
 // NOTE: We use simple manual validation instead of express-validator
 // to avoid Express 5 compatibility issues. This is cleaner and easier to understand.
 //
 // RATE LIMITING:
-//   authLimiter is applied BEFORE register and login to prevent brute-force attacks.
-//   Limit: 10 requests per 15 minutes per IP on these two routes.
+//   authLimiter is applied BEFORE register, login, the password reset/change routes,
+//   email change and verification resend to prevent brute-force attacks and
+//   account enumeration.
+//   Limit: 10 requests per 15 minutes per IP on these routes.
+//
+// TWO-FACTOR:
+//   Enrollment and policy routes live in modules/twoFactor (/api/auth/2fa/*).
+//
+// SINGLE SIGN-ON:
+//   The OIDC login (authorization code + PKCE) lives in modules/sso
+//   (/api/auth/sso/*) and ends in the same token pair as /login.
+//
+// API TOKENS:
+//   Personal access tokens live in modules/apiTokens (/api/auth/tokens/*).
+//   None of the routes here accept them — protectAllowIncomplete only takes
+//   a real login.
+//
+// INCOMPLETE ACCOUNTS:
+//   Routes a user still needs before their account is fully set up (email not
+//   verified, or required 2FA not enrolled yet) use protectAllowIncomplete
+//   instead of protect (see middleware/auth.js).
 // ─────────────────────────────────────────────────────────────────────────────
 
 const express = require("express");
-const { register, login, getMe } = require("./auth.controller");
-const { protect } = require("../../middleware/auth");
+const {
+  register,
+  login,
+  loginTwoFactor,
+  refresh,
+  logout,
+  logoutAll,
+  listSessions,
+  revokeSession,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  changeEmail,
+  getPasswordPolicy,
+  verifyEmail,
+  resendVerification,
+  getMe,
+} = require("./auth.controller");
+const {
+  protectSession,
+  protectAllowIncomplete,
+} = require("../../middleware/auth");
 const { authLimiter } = require("../../middleware/rateLimiter");
 
 const router = express.Router();
@@ -25,6 +77,29 @@ const router = express.Router();
 // This protects login/register from credential stuffing and brute-force attacks
 router.post("/register", authLimiter, register);
 router.post("/login", authLimiter, login);
-router.get("/me", protect, getMe);
+router.post("/login/2fa", authLimiter, loginTwoFactor);
+router.post("/refresh", refresh);
+router.post("/forgot-password", authLimiter, forgotPassword);
+router.post("/reset-password", authLimiter, resetPassword);
+router.post(
+  "/change-password",
+  authLimiter,
+  protectAllowIncomplete,
+  changePassword,
+);
+router.post("/change-email", authLimiter, protectSession, changeEmail);
+router.get("/password-policy", getPasswordPolicy);
+router.post("/verify-email", verifyEmail);
+router.post(
+  "/verify-email/resend",
+  authLimiter,
+  protectAllowIncomplete,
+  resendVerification,
+);
+router.post("/logout", logout);
+router.post("/logout-all", protectAllowIncomplete, logoutAll);
+router.get("/sessions", protectAllowIncomplete, listSessions);
+router.delete("/sessions/:id", protectAllowIncomplete, revokeSession);
+router.get("/me", protectAllowIncomplete, getMe);
 
 module.exports = router;
@@ -1,98 +1,803 @@
 // src/modules/auth/auth.service.js
 // ─────────────────────────────────────────────────────────────────────────────
-// HOW JWT WORKS (Standard Single Token):
+// HOW JWT WORKS (Access Token + Refresh Token):
 //
-//   1. User logs in → server creates ONE token: jwt.sign({ id }, secret, { expiresIn: '7d' })
-//   2. Client stores the token (localStorage or memory)
-//   3. Every request sends: Authorization: Bearer <token>
-//   4. Server verifies: jwt.verify(token, secret)
-//   5. After 7 days → token expires → user must login again
+//   1. User logs in → server creates TWO tokens:
+//        accessToken  → short-lived (15m), sent on every request
+//        refreshToken → long-lived (7d), ONLY sent to /api/auth/refresh
+//   2. Every request sends: Authorization: Bearer <accessToken>
+//   3. When the access token expires, the client calls /api/auth/refresh
+//      with its refresh token and receives a NEW pair of tokens.
 //
-//   Simple, secure, and works great for most apps.
-//   The token expiry can be set to anything: '7d', '15d', '30d'
+//   ROTATION:
+//   Each refresh token can only be used ONCE. Using it marks it as isUsed and
+//   issues a new token in the same "family" (one family = one login).
+//   If a used token is presented again, someone copied it — we revoke the
+//   whole family so both the thief and the victim have to login again.
+//
+//   Refresh tokens live in the RefreshToken collection (a whitelist), so
+//   logout simply deletes them.
+//
+//   TWO-FACTOR LOGIN:
+//   If the user has 2FA enabled, login does NOT return tokens. It returns a
+//   short-lived (5m) challengeToken instead; POST /api/auth/login/2fa trades
+//   challengeToken + TOTP/backup code for the real token pair.
+//
+//   LOCKOUT:
+//   Failed logins are also counted per ACCOUNT (see modules/security) —
+//   progressive delays, then a temporary lock. Every attempt is audited.
+//
+//   SESSIONS:
+//   A token family IS a session (one device/browser). The family id is also
+//   embedded in the access token as "sid", so protect() and Socket.IO can
+//   reject requests from a session the moment it is revoked.
+//
+//   EMAIL CHANGES:
+//   A new address is only used once the link sent TO it has been opened
+//   (same /verify-email endpoint, purpose "email-change"). Until then the
+//   user keeps logging in with the old address, which is told about it.
 // ─────────────────────────────────────────────────────────────────────────────
 
+const crypto = require("crypto");
 const jwt = require("jsonwebtoken");
 const User = require("../../models/User");
+const Organization = require("../../models/Organization");
+const RefreshToken = require("../../models/RefreshToken");
+const logger = require("../../utils/logger");
+const { sendMail, appUrl, escapeHtml } = require("../../utils/mailer");
+const { randomToken, hashToken } = require("../../utils/tokens");
+const { getPasswordPolicy } = require("../../utils/passwordPolicy");
+const { assertCan } = require("../../utils/policy");
+const twoFactorService = require("../twoFactor/twoFactor.service");
+const securityService = require("../security/security.service");
+const { disconnectSession, disconnectUser } = require("../../config/socket");
+
+const ACCESS_EXPIRES_IN = process.env.JWT_EXPIRES_IN || "15m";
+const REFRESH_EXPIRES_IN = process.env.JWT_REFRESH_EXPIRES_IN || "7d";
+const CHALLENGE_EXPIRES_IN = "5m";
+const VERIFY_EXPIRES_IN = process.env.EMAIL_VERIFICATION_EXPIRES_IN || "24h";
+const RESET_EXPIRES_MINUTES =
+  Number(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 30;
+
+// Refresh tokens are signed with their own secret so an access token can
+// never be replayed as a refresh token (and vice versa)
+const refreshSecret = () =>
+  process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET;
 
 // ── Generate JWT Token ────────────────────────────────────────────────────────
 // jwt.sign() creates a signed token with:
-//   payload  → { id: userId } — data we embed in the token
+//   payload  → { id: userId, sid } — data we embed in the token
 //   secret   → JWT_SECRET from .env — used to sign & verify (keep this private!)
 //   options  → { expiresIn } — how long before the token stops working
 //
 // The token is a 3-part string: header.payload.signature
 // Anyone can READ the payload (it's base64 encoded, not encrypted)
 // But only the server can VERIFY it (because only we know the secret)
-const generateToken = (userId) => {
-  return jwt.sign({ id: userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || "7d",
+const generateToken = (userId, sessionId) => {
+  return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_EXPIRES_IN,
   });
 };
 
-// ── Register ──────────────────────────────────────────────────────────────────
-const register = async ({ name, email, password, role }) => {
-  const existingUser = await User.findOne({ email });
-  if (existingUser) {
-    const error = new Error("Email already registered");
-    error.statusCode = 400;
+// ── Issue Refresh Token ───────────────────────────────────────────────────────
+// Signs a refresh JWT and stores it in the whitelist.
+// jti (a random id) guarantees two tokens issued in the same second differ.
+// session = { id, startedAt } — startedAt is carried over on every rotation.
+const issueRefreshToken = async (userId, session, { userAgent, ipAddress }) => {
+  const token = jwt.sign(
+    {
+      id: userId,
+      family: session.id,
+      purpose: "refresh",
+      jti: randomToken(16),
+    },
+    refreshSecret(),
+    { expiresIn: REFRESH_EXPIRES_IN },
+  );
+
+  // Reuse the exp claim so the DB expiry always matches the JWT expiry
+  const { exp } = jwt.decode(token);
+
+  await RefreshToken.create({
+    token,
+    user: userId,
+    family: session.id,
+    sessionStartedAt: session.startedAt,
+    expiresAt: new Date(exp * 1000),
+    userAgent: userAgent || null,
+    ipAddress: ipAddress || null,
+  });
+
+  return token;
+};
+
+// ── Build Auth Response ───────────────────────────────────────────────────────
+// Shared by register, login and refresh so every endpoint returns the same shape
+// Also the one place that refuses sign-ins into a deactivated organization.
+const buildAuthResponse = async (user, session, client) => {
+  if (
+    !(await Organization.exists({ _id: user.organization, isActive: true }))
+  ) {
+    const error = new Error("Your organization has been deactivated");
+    error.statusCode = 403;
     throw error;
   }
 
-  // Password gets hashed automatically by the pre-save hook in User.js
-  const user = await User.create({ name, email, password, role });
-
-  const token = generateToken(user._id);
+  const refreshToken = await issueRefreshToken(user._id, session, client);
 
   return {
-    token,
-    expiresIn: process.env.JWT_EXPIRES_IN || "7d",
+    token: generateToken(user._id, session.id),
+    expiresIn: ACCESS_EXPIRES_IN,
+    refreshToken,
+    refreshExpiresIn: REFRESH_EXPIRES_IN,
     user: {
       id: user._id,
       name: user.name,
       email: user.email,
       role: user.role,
+      organization: user.organization,
+      isSuperAdmin: user.isSuperAdmin,
+      emailVerified: user.emailVerified,
     },
   };
 };
 
+// ── Send Verification Email ─────────────────────────────────────────────────
+// The link carries a SIGNED token (JWT) — nothing is stored in the DB.
+// The email is embedded so the link stops working if the address changes.
+const sendVerificationEmail = async (user) => {
+  const token = jwt.sign(
+    { id: user._id, email: user.email, purpose: "email-verification" },
+    process.env.JWT_SECRET,
+    { expiresIn: VERIFY_EXPIRES_IN },
+  );
+
+  const link = appUrl(`/verify-email?token=${token}`);
+  await sendMail({
+    to: user.email,
+    subject: "Verify your email address",
+    text: `Hi ${user.name},\n\nPlease confirm your email address by opening the link below. It expires in ${VERIFY_EXPIRES_IN}.\n\n${link}`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>Please confirm your email address. The link expires in ${escapeHtml(VERIFY_EXPIRES_IN)}.</p><p><a href="${escapeHtml(link)}">Verify email</a></p>`,
+  });
+};
+
+// Every login/register starts a NEW session (token family)
+const newSession = () => ({ id: crypto.randomUUID(), startedAt: new Date() });
+
+// ── Start Session ─────────────────────────────────────────────────────────────
+// Logs a user in without a password check — for flows that have already
+// proven who the user is (accepting an invitation, ...).
+const startSession = (user, client = {}) =>
+  buildAuthResponse(user, newSession(), client);
+
+// ── Two-Factor Challenge ──────────────────────────────────────────────────────
+// First login step passed (password, SSO, ...) but the user has 2FA on: a
+// short-lived token to trade for tokens at POST /login/2fa with a code.
+// `method` rides along so the completed login is recorded as what it was.
+// Single-use: only the newest challenge's jti is kept on the user.
+const twoFactorChallenge = async (user, method = "password") => {
+  const jwtid = crypto.randomUUID();
+  await User.updateOne({ _id: user._id }, { twoFactorChallengeId: jwtid });
+  const challengeToken = jwt.sign(
+    { id: user._id, purpose: "2fa-challenge", method },
+    process.env.JWT_SECRET,
+    { expiresIn: CHALLENGE_EXPIRES_IN, jwtid },
+  );
+  return {
+    twoFactorRequired: true,
+    challengeToken,
+    expiresIn: CHALLENGE_EXPIRES_IN,
+  };
+};
+
+// ── Revoke Session ────────────────────────────────────────────────────────────
+// Deletes every token of a family and kicks its live sockets off.
+const revokeFamily = async (family) => {
+  await RefreshToken.deleteMany({ family });
+  disconnectSession(family);
+};
+
+// ── Set New Password ──────────────────────────────────────────────────────────
+// Shared by reset and change. Refuses the last N passwords and remembers the
+// old hash. The user must be loaded with +password +passwordHistory.
+// (Format rules — length, character classes, blocklist — are checked by the
+// controllers with validatePassword() before we get here.)
+const setNewPassword = async (user, newPassword) => {
+  const { historyCount } = getPasswordPolicy();
+
+  if (
+    historyCount > 0 &&
+    (await user.isRecentPassword(newPassword, historyCount))
+  ) {
+    const error = new Error(
+      `You can't reuse any of your last ${historyCount} passwords`,
+    );
+    error.statusCode = 400;
+    throw error;
+  }
+
+  // The current hash becomes history; keep N-1 old ones (+ the new = N)
+  user.passwordHistory = [user.password, ...user.passwordHistory].slice(
+    0,
+    Math.max(historyCount - 1, 0),
+  );
+  // Password gets hashed by the pre-save hook in User.js
+  user.password = newPassword;
+  user.passwordChangedAt = new Date();
+  // Any outstanding reset link is now pointless
+  user.passwordResetToken = null;
+  user.passwordResetExpires = null;
+};
+
+// Consistent 401 for every refresh failure — never tell the caller WHY
+const invalidRefreshError = () => {
+  const error = new Error("Invalid or expired refresh token");
+  error.statusCode = 401;
+  return error;
+};
+
+// ── Register ──────────────────────────────────────────────────────────────────
+// SELF_REGISTRATION=disabled turns this off entirely (invitations only).
+// Otherwise self-registered accounts are ALWAYS employees — other roles can
+// only be handed out through invitations (see modules/invitations).
+// The account joins the organization that owns the email's domain; emails of
+// other domains can only join through an invitation.
+const register = async ({ name, email, password }, client = {}) => {
+  if (process.env.SELF_REGISTRATION === "disabled") {
+    const error = new Error(
+      "Self-registration is disabled. Ask an admin or manager for an invitation.",
+    );
+    error.statusCode = 403;
+    throw error;
+  }
+
+  const existingUser = await User.findOne({ email });
+  if (existingUser) {
+    const error = new Error("Email already registered");
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const organization = await Organization.findByEmail(email);
+  if (!organization) {
+    const error = new Error(
+      "No organization accepts sign-ups for this email domain. Ask an admin or manager for an invitation.",
+    );
+    error.statusCode = 403;
+    throw error;
+  }
+
+  // Password gets hashed automatically by the pre-save hook in User.js
+  const user = await User.create({
+    name,
+    email,
+    password,
+    role: "employee",
+    organization: organization._id,
+  });
+
+  // Don't fail the signup if the mail server is down — the user can resend
+  sendVerificationEmail(user).catch((err) =>
+    logger.error(`Verification email failed — userId: ${user._id}`, err),
+  );
+
+  return buildAuthResponse(user, newSession(), client);
+};
+
 // ── Login ─────────────────────────────────────────────────────────────────────
-const login = async ({ email, password }) => {
+const login = async ({ email, password }, client = {}) => {
   // select('+password') overrides the select:false on the password field
   const user = await User.findOne({ email }).select("+password");
 
   if (!user) {
+    await securityService.recordLoginAttempt(
+      { email, user: null, success: false, reason: "unknown_email" },
+      client,
+    );
     const error = new Error("Invalid email or password");
     error.statusCode = 401;
     throw error;
   }
 
+  // Locked or inside the progressive delay → refuse BEFORE checking the
+  // password, otherwise the lock would still leak whether a guess was right
+  await securityService.assertCanAttemptLogin(user, email, client);
+
   // Use the instance method from User.js to compare hashed passwords
   const isMatch = await user.comparePassword(password);
   if (!isMatch) {
+    await securityService.registerFailedLogin(
+      user,
+      email,
+      "wrong_password",
+      client,
+    );
     const error = new Error("Invalid email or password");
     error.statusCode = 401;
     throw error;
   }
 
   if (!user.isActive) {
+    await securityService.recordLoginAttempt(
+      { email, user, success: false, reason: "deactivated" },
+      client,
+    );
     const error = new Error("Account has been deactivated");
     error.statusCode = 401;
     throw error;
   }
 
-  const token = generateToken(user._id);
+  // Password was right, but the second factor is still missing.
+  // The failure counter is NOT reset yet — only a complete login resets it.
+  if (user.twoFactorEnabled) return twoFactorChallenge(user);
+
+  await securityService.registerSuccessfulLogin(user, email, client);
+  return buildAuthResponse(user, newSession(), client);
+};
+
+// ── Login: Second Step (2FA) ──────────────────────────────────────────────────
+// Exchanges the challenge token from login + a TOTP or backup code for tokens.
+const loginTwoFactor = async (challengeToken, code, client = {}) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+  } catch (err) {
+    decoded = null;
+  }
+
+  if (!decoded || decoded.purpose !== "2fa-challenge") {
+    const error = new Error("Login challenge is invalid or has expired");
+    error.statusCode = 401;
+    throw error;
+  }
+
+  const user = await User.findById(decoded.id).select(
+    `${twoFactorService.SECRET_FIELDS} +twoFactorChallengeId`,
+  );
+  if (
+    !user ||
+    !user.isActive ||
+    !user.twoFactorEnabled ||
+    !decoded.jti ||
+    user.twoFactorChallengeId !== decoded.jti
+  ) {
+    const error = new Error("Login challenge is invalid or has expired");
+    error.statusCode = 401;
+    throw error;
+  }
+
+  // Wrong 2FA codes count towards the same per-account lockout
+  await securityService.assertCanAttemptLogin(
+    user,
+    user.email,
+    client,
+    decoded.method,
+  );
+
+  if (!(await twoFactorService.verifyCode(user, code))) {
+    logger.warn(
+      `2FA login failed — userId: ${user._id} | IP: ${client.ipAddress}`,
+    );
+    await securityService.registerFailedLogin(
+      user,
+      user.email,
+      "wrong_2fa_code",
+      client,
+    );
+    const error = new Error("Invalid two-factor code");
+    error.statusCode = 401;
+    throw error;
+  }
+
+  // Use up the challenge — atomic, so two requests can't both redeem it
+  const consumed = await User.updateOne(
+    { _id: user._id, twoFactorChallengeId: decoded.jti },
+    { twoFactorChallengeId: null },
+  );
+  if (consumed.modifiedCount === 0) {
+    const error = new Error("Login challenge is invalid or has expired");
+    error.statusCode = 401;
+    throw error;
+  }
+
+  await securityService.registerSuccessfulLogin(
+    user,
+    user.email,
+    client,
+    decoded.method,
+  );
+  return buildAuthResponse(user, newSession(), client);
+};
+
+// ── Refresh ───────────────────────────────────────────────────────────────────
+// Exchanges a refresh token for a new access + refresh token pair (rotation).
+const refresh = async (refreshToken, client = {}) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(refreshToken, refreshSecret());
+  } catch (err) {
+    throw invalidRefreshError();
+  }
+
+  const stored = await RefreshToken.findOne({ token: refreshToken });
+
+  // Signature is valid but the token is not whitelisted → it was revoked
+  if (!stored) throw invalidRefreshError();
+
+  // ── Reuse Detection ─────────────────────────────────────────────────────────
+  // A used token coming back means it was copied. Kill the entire family.
+  if (stored.isUsed) {
+    await revokeFamily(stored.family);
+    logger.warn(
+      `Refresh token reuse detected — family revoked | userId: ${stored.user} | family: ${stored.family} | IP: ${client.ipAddress}`,
+    );
+    throw invalidRefreshError();
+  }
+
+  // Atomically claim the token so two parallel refreshes can't both succeed
+  const claimed = await RefreshToken.findOneAndUpdate(
+    { _id: stored._id, isUsed: false },
+    { isUsed: true },
+  );
+  if (!claimed) {
+    await revokeFamily(stored.family);
+    throw invalidRefreshError();
+  }
+
+  const user = await User.findById(decoded.id);
+  if (!user || !user.isActive) {
+    await revokeFamily(stored.family);
+    throw invalidRefreshError();
+  }
+
+  return buildAuthResponse(
+    user,
+    { id: stored.family, startedAt: stored.sessionStartedAt },
+    client,
+  );
+};
+
+// ── Logout ────────────────────────────────────────────────────────────────────
+// Revokes the session (token family) the given refresh token belongs to.
+// The token must be a genuine refresh token (signature checked, like
+// refresh) — the route is public, so nothing else may reach the lookup.
+// Genuine tokens that are no longer stored are ignored (already revoked).
+const logout = async (refreshToken) => {
+  if (typeof refreshToken !== "string") throw invalidRefreshError();
+  try {
+    jwt.verify(refreshToken, refreshSecret());
+  } catch (err) {
+    throw invalidRefreshError();
+  }
+
+  const stored = await RefreshToken.findOne({ token: refreshToken });
+  if (stored) {
+    await revokeFamily(stored.family);
+  }
+  return { message: "Logged out successfully" };
+};
+
+// ── Logout All ────────────────────────────────────────────────────────────────
+// Revokes every refresh token of the user (all devices).
+const logoutAll = async (userId) => {
+  const { deletedCount } = await RefreshToken.deleteMany({ user: userId });
+  disconnectUser(userId);
+  return { message: "Logged out from all devices", revoked: deletedCount };
+};
+
+// ── Forgot Password ───────────────────────────────────────────────────────────
+// Always resolves with the SAME message whether or not the email exists,
+// so the endpoint can't be used to discover which accounts are registered.
+// The email is sent in the background for the same reason (equal timing).
+const forgotPassword = async (email) => {
+  const genericResponse = {
+    message: "If that email is registered, a password reset link has been sent",
+  };
+
+  const user = await User.findOne({ email, isActive: true });
+  if (!user) return genericResponse;
+
+  const resetToken = randomToken();
+  user.passwordResetToken = hashToken(resetToken);
+  user.passwordResetExpires = new Date(
+    Date.now() + RESET_EXPIRES_MINUTES * 60 * 1000,
+  );
+  await user.save();
+
+  const link = appUrl(`/reset-password?token=${resetToken}`);
+  sendMail({
+    to: user.email,
+    subject: "Reset your password",
+    text: `Hi ${user.name},\n\nUse the link below to choose a new password. It expires in ${RESET_EXPIRES_MINUTES} minutes.\n\n${link}\n\nIf you didn't ask for this, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>Use the link below to choose a new password. It expires in ${escapeHtml(RESET_EXPIRES_MINUTES)} minutes.</p><p><a href="${escapeHtml(link)}">Reset password</a></p><p>If you didn't ask for this, you can ignore this email.</p>`,
+  }).catch((err) =>
+    logger.error(`Password reset email failed — userId: ${user._id}`, err),
+  );
+
+  return genericResponse;
+};
+
+// ── Reset Password ────────────────────────────────────────────────────────────
+// Consumes the reset token (single-use), sets the new password and revokes
+// every session — whoever had access before the reset is logged out.
+const resetPassword = async (token, newPassword) => {
+  const user = await User.findOne({
+    passwordResetToken: hashToken(token),
+    passwordResetExpires: { $gt: new Date() },
+  }).select("+password +passwordHistory");
+
+  if (!user) {
+    const error = new Error("Password reset token is invalid or has expired");
+    error.statusCode = 400;
+    throw error;
+  }
+
+  await setNewPassword(user, newPassword);
+  // Proving access to the mailbox also lifts a lockout
+  user.failedLoginAttempts = 0;
+  user.lastFailedLoginAt = null;
+  user.lockUntil = null;
+  await user.save();
+
+  await logoutAll(user._id);
+  logger.info(`Password reset completed — userId: ${user._id}`);
+
+  return { message: "Password has been reset. Please login again." };
+};
+
+// ── Change Password ───────────────────────────────────────────────────────────
+// Requires the current password. Every OTHER session is revoked — if someone
+// else was logged in with the old password, they are out now. The session
+// making the request stays logged in.
+const changePassword = async (
+  userId,
+  { currentPassword, newPassword },
+  currentSessionId,
+) => {
+  const user = await User.findById(userId).select("+password +passwordHistory");
+  if (!user) {
+    const error = new Error("User not found");
+    error.statusCode = 404;
+    throw error;
+  }
+
+  if (!(await user.comparePassword(currentPassword))) {
+    const error = new Error("Current password is incorrect");
+    error.statusCode = 401;
+    throw error;
+  }
+
+  await setNewPassword(user, newPassword);
+  await user.save();
+
+  const families = await RefreshToken.distinct("family", {
+    user: user._id,
+    family: { $ne: currentSessionId },
+  });
+  await Promise.all(families.map(revokeFamily));
+
+  logger.info(
+    `Password changed — userId: ${user._id} | other sessions revoked: ${families.length}`,
+  );
+  securityService.notifySecurityEvent(user, "Your password was changed.");
 
   return {
-    token,
-    expiresIn: process.env.JWT_EXPIRES_IN || "7d",
-    user: {
+    message: "Password changed. You have been logged out on other devices.",
+    revokedSessions: families.length,
+  };
+};
+
+// ── Change Email ──────────────────────────────────────────────────────────────
+// Requires the current password. Nothing changes yet — the new address gets
+// a signed link, and confirmEmailChange() switches over once it is opened.
+const requestEmailChange = async (userId, { password, newEmail }) => {
+  const user = await User.findById(userId).select("+password");
+  if (!user) {
+    const error = new Error("User not found");
+    error.statusCode = 404;
+    throw error;
+  }
+
+  if (!(await user.comparePassword(password))) {
+    const error = new Error("Password is incorrect");
+    error.statusCode = 401;
+    throw error;
+  }
+
+  if (newEmail === user.email) {
+    const error = new Error("This is already your email address");
+    error.statusCode = 400;
+    throw error;
+  }
+
+  if (await User.exists({ email: newEmail })) {
+    const error = new Error("Email already registered");
+    error.statusCode = 400;
+    throw error;
+  }
+
+  // The current address is embedded so the link dies if it changes meanwhile
+  const token = jwt.sign(
+    {
       id: user._id,
-      name: user.name,
-      email: user.email,
-      role: user.role,
+      email: newEmail,
+      previousEmail: user.email,
+      purpose: "email-change",
     },
-  };
+    process.env.JWT_SECRET,
+    { expiresIn: VERIFY_EXPIRES_IN },
+  );
+
+  const link = appUrl(`/verify-email?token=${token}`);
+  await sendMail({
+    to: newEmail,
+    subject: "Confirm your new email address",
+    text: `Hi ${user.name},\n\nPlease confirm your new email address by opening the link below. It expires in ${VERIFY_EXPIRES_IN}.\n\n${link}`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>Please confirm your new email address. The link expires in ${escapeHtml(VERIFY_EXPIRES_IN)}.</p><p><a href="${escapeHtml(link)}">Confirm email</a></p>`,
+  });
+
+  sendMail({
+    to: user.email,
+    subject: "Email change requested",
+    text: `Hi ${user.name},\n\nSomeone asked to change the email address of your account to ${newEmail}. Nothing changes until the new address is confirmed.\n\nIf this wasn't you, change your password now.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>Someone asked to change the email address of your account to <b>${escapeHtml(newEmail)}</b>. Nothing changes until the new address is confirmed.</p><p>If this wasn't you, change your password now.</p>`,
+  }).catch((err) =>
+    logger.error(`Email change notice failed — userId: ${user._id}`, err),
+  );
+
+  logger.info(`Email change requested — userId: ${user._id}`);
+  return { message: "Verification email sent to the new address" };
+};
+
+// Called by verifyEmail() for "email-change" links
+const confirmEmailChange = async (decoded) => {
+  const user = await User.findById(decoded.id);
+
+  // The account must still have the address the change was requested from
+  if (!user || user.email !== decoded.previousEmail) {
+    const error = new Error("Verification link is invalid or has expired");
+    error.statusCode = 400;
+    throw error;
+  }
+
+  if (await User.exists({ email: decoded.email })) {
+    const error = new Error("Email already registered");
+    error.statusCode = 400;
+    throw error;
+  }
+
+  user.email = decoded.email;
+  user.emailVerified = true;
+  user.emailVerifiedAt = new Date();
+  await user.save();
+
+  logger.info(`Email changed — userId: ${user._id}`);
+  securityService.notifySecurityEvent(
+    user,
+    `Your email address was changed to ${user.email}.`,
+  );
+  sendMail({
+    to: decoded.previousEmail,
+    subject: "Your email address was changed",
+    text: `Hi ${user.name},\n\nThe email address of your account is now ${user.email}. If this wasn't you, contact your administrator.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>The email address of your account is now <b>${escapeHtml(user.email)}</b>. If this wasn't you, contact your administrator.</p>`,
+  }).catch((err) =>
+    logger.error(`Email changed notice failed — userId: ${user._id}`, err),
+  );
+
+  return { message: "Email address changed" };
+};
+
+// ── Password Policy ───────────────────────────────────────────────────────────
+// Public — lets signup / reset forms show the rules up front
+const getPasswordRules = () => getPasswordPolicy();
+
+// ── Verify Email ──────────────────────────────────────────────────────────────
+// Handles both the sign-up verification and email-change links
+const verifyEmail = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    decoded = null;
+  }
+
+  if (decoded && decoded.purpose === "email-change") {
+    return confirmEmailChange(decoded);
+  }
+
+  const user =
+    decoded && decoded.purpose === "email-verification"
+      ? await User.findById(decoded.id)
+      : null;
+
+  // The token must match the user's CURRENT email address
+  if (!user || user.email !== decoded.email) {
+    const error = new Error("Verification link is invalid or has expired");
+    error.statusCode = 400;
+    throw error;
+  }
+
+  if (!user.emailVerified) {
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+    logger.info(`Email verified — userId: ${user._id}`);
+  }
+
+  return { message: "Email verified successfully" };
+};
+
+// ── Resend Verification ───────────────────────────────────────────────────────
+const resendVerification = async (userId) => {
+  const user = await User.findById(userId);
+
+  if (user.emailVerified) {
+    const error = new Error("Email is already verified");
+    error.statusCode = 400;
+    throw error;
+  }
+
+  await sendVerificationEmail(user);
+  return { message: "Verification email sent" };
+};
+
+// ── List Sessions ─────────────────────────────────────────────────────────────
+// Each family has exactly ONE unused token — the one the device holds right now.
+// Its createdAt is the last time the session refreshed (= last use).
+// Only sessions of users in `organization` can be listed
+const listSessions = async (userId, currentSessionId, organization) => {
+  if (!(await User.exists({ _id: userId, organization }))) {
+    const error = new Error("User not found");
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const tokens = await RefreshToken.find({ user: userId, isUsed: false }).sort({
+    createdAt: -1,
+  });
+
+  return tokens.map((t) => ({
+    id: t.family,
+    userAgent: t.userAgent,
+    ipAddress: t.ipAddress,
+    createdAt: t.sessionStartedAt || t.createdAt,
+    lastUsedAt: t.createdAt,
+    expiresAt: t.expiresAt,
+    current: t.family === currentSessionId,
+  }));
+};
+
+// ── Revoke Session ────────────────────────────────────────────────────────────
+// Users can revoke their own sessions; admins anyone's in their organization.
+const revokeSession = async (sessionId, requester) => {
+  const token = await RefreshToken.findOne({ family: sessionId }).populate(
+    "user",
+    "organization",
+  );
+
+  // Sessions of other organizations look exactly like missing ones
+  if (
+    !token ||
+    !token.user ||
+    String(token.user.organization) !== String(requester.organization)
+  ) {
+    const error = new Error("Session not found");
+    error.statusCode = 404;
+    throw error;
+  }
+
+  assertCan(
+    "session:revoke",
+    { user: requester, resourceType: "session", resource: token },
+    "Not authorized to revoke this session",
+  );
+
+  await revokeFamily(sessionId);
+  logger.info(
+    `Session revoked — sessionId: ${sessionId} | userId: ${token.user._id} | by: ${requester._id}`,
+  );
+  return { message: "Session revoked" };
 };
 
 // ── Get Me ────────────────────────────────────────────────────────────────────
@@ -100,4 +805,23 @@ const getMe = async (userId) => {
   return User.findById(userId).select("-password");
 };
 
-module.exports = { register, login, getMe };
+module.exports = {
+  register,
+  login,
+  loginTwoFactor,
+  startSession,
+  twoFactorChallenge,
+  refresh,
+  logout,
+  logoutAll,
+  listSessions,
+  revokeSession,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  requestEmailChange,
+  getPasswordRules,
+  verifyEmail,
+  resendVerification,
+  getMe,
+};
@@ -7,6 +7,7 @@ const addComment = async (req, res, next) => {
       req.params.taskId,
       req.body.content,
       req.user._id,
+      req.project,
     );
     res.status(201).json({ success: true, data: comment });
   } catch (error) {
@@ -27,8 +28,8 @@ const deleteComment = async (req, res, next) => {
   try {
     const result = await commentsService.deleteComment(
       req.params.id,
-      req.user._id,
-      req.user.role,
+      req.user,
+      req.projectRole,
     );
     res.status(200).json({ success: true, data: result });
   } catch (error) {
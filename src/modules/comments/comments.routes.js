@@ -6,14 +6,33 @@ const {
   deleteComment,
 } = require("./comments.controller");
 const { protect } = require("../../middleware/auth");
+const { requireScope } = require("../../middleware/scope");
+const { authorize, fromTask, fromComment } = require("../../middleware/policy");
 
 const router = express.Router();
 
 router.use(protect);
 
 // Note the :taskId param — comments are always accessed via a task
-router.get("/task/:taskId", getComments);
-router.post("/task/:taskId", addComment);
-router.delete("/:id", deleteComment);
+// Viewers can read the discussion, members can take part in it
+router.get(
+  "/task/:taskId",
+  requireScope("comments:read"),
+  authorize("comment:read", fromTask("taskId")),
+  getComments,
+);
+router.post(
+  "/task/:taskId",
+  requireScope("comments:write"),
+  authorize("comment:create", fromTask("taskId")),
+  addComment,
+);
+// Authors can delete their own comments; maintainers can moderate any
+router.delete(
+  "/:id",
+  requireScope("comments:write"),
+  authorize("comment:delete", fromComment()),
+  deleteComment,
+);
 
 module.exports = router;
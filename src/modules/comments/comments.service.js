@@ -2,17 +2,19 @@
 const Comment = require("../../models/Comment");
 const { getIO } = require("../../config/socket");
 const Task = require("../../models/Task");
+const { assertCan } = require("../../utils/policy");
 
-// Add a comment to a task
-const addComment = async (taskId, content, authorId) => {
+// Add a comment to a task of `project` (loaded and access-checked by the route)
+const addComment = async (taskId, content, authorId, project) => {
   const comment = await Comment.create({
+    organization: project.organization,
     content,
     task: taskId,
     author: authorId,
   });
 
   // Populate author info for the response
-  await comment.populate("author", "name email avatar");
+  await comment.populate("author", "name email avatar avatarUrls");
 
   // Emit real-time event so all users viewing this task see the new comment
   try {
@@ -34,13 +36,14 @@ const addComment = async (taskId, content, authorId) => {
 // Get all comments for a task
 const getComments = async (taskId) => {
   const comments = await Comment.find({ task: taskId })
-    .populate("author", "name email avatar role")
+    .populate("author", "name email avatar avatarUrls role")
     .sort({ createdAt: 1 }); // Oldest first (like a chat)
   return comments;
 };
 
-// Delete a comment (only author or admin)
-const deleteComment = async (commentId, userId, userRole) => {
+// Delete a comment — 'comment:delete' in utils/policy.js
+// (the author, or a maintainer/owner of the project)
+const deleteComment = async (commentId, user, projectRole) => {
   const comment = await Comment.findById(commentId);
   if (!comment) {
     const error = new Error("Comment not found");
@@ -48,12 +51,11 @@ const deleteComment = async (commentId, userId, userRole) => {
     throw error;
   }
 
-  // Only the author or admin can delete
-  if (comment.author.toString() !== userId.toString() && userRole !== "admin") {
-    const error = new Error("Not authorized to delete this comment");
-    error.statusCode = 403;
-    throw error;
-  }
+  assertCan(
+    "comment:delete",
+    { user, projectRole, resourceType: "comment", resource: comment },
+    "Not authorized to delete this comment",
+  );
 
   await comment.deleteOne();
   return { message: "Comment deleted" };
@@ -1,113 +1,196 @@
 // src/modules/dashboard/dashboard.routes.js
 const express = require("express");
 const { protect } = require("../../middleware/auth");
-const { authorize } = require("../../middleware/role");
+const { can } = require("../../utils/policy");
+const { requireScope } = require("../../middleware/scope");
 const Task = require("../../models/Task");
 const Project = require("../../models/Project");
+const { memberFilter } = Project;
 const User = require("../../models/User");
 const Notification = require("../../models/Notification");
+const { startOfDay, startOfNextDay } = require("../../utils/timezone");
+const {
+  STATUS_CATEGORIES,
+  DEFAULT_WORKFLOW,
+  OPEN_TASK,
+} = require("../../utils/workflow");
 
 const router = express.Router();
 
 // @desc    Get dashboard statistics
+//          "Overdue" and "due today" use the user's time zone (preferences).
+//          Tasks are counted by workflow CATEGORY — projects name their
+//          statuses differently (utils/workflow.js). tasksByStatus stays for
+//          existing clients: the default statuses (always there) plus any
+//          status of a project's own workflow.
 // @route   GET /api/dashboard
 // @access  Private
-router.get("/", protect, async (req, res, next) => {
-  try {
-    const userId = req.user._id;
-    const userRole = req.user.role;
+router.get(
+  "/",
+  protect,
+  requireScope("dashboard:read"),
+  async (req, res, next) => {
+    try {
+      const userId = req.user._id;
+      const organization = req.user.organization;
 
-    // ── Build filters based on role ───────────────────────────────────────────
-    const projectFilter = userRole === "admin" ? {} : { members: userId };
-    const taskFilter = userRole === "employee" ? { assignedTo: userId } : {};
+      // ── Build filters based on role ───────────────────────────────────────────
+      // Everything is limited to the user's own organization, and archived
+      // or trashed projects (and their tasks) don't count
+      const projectFilter = can("project:list-all", { user: req.user })
+        ? { organization, archivedAt: null, deletedAt: null }
+        : {
+            organization,
+            archivedAt: null,
+            deletedAt: null,
+            ...memberFilter(req.user),
+          };
+      const taskFilter = can("dashboard:view-organization", { user: req.user })
+        ? { organization }
+        : { organization, assignedTo: userId };
+      // Only count tasks of those projects (for non-admins: the ones the
+      // user is a member of)
+      taskFilter.project = {
+        $in: await Project.find(projectFilter).distinct("_id"),
+      };
 
-    // ── Run all queries in PARALLEL using Promise.all ─────────────────────────
-    // Promise.all([p1, p2, p3]) runs all promises at the same time
-    // and waits for ALL of them to finish — much faster than sequential awaits
-    const [
-      totalProjects,
-      totalTasks,
-      totalUsers,
-      tasksByStatus,
-      recentTasks,
-      unreadNotifications,
-    ] = await Promise.all([
-      Project.countDocuments(projectFilter),
-      Task.countDocuments(taskFilter),
-      userRole === "admin" ? User.countDocuments({ isActive: true }) : null,
+      // ── Due dates in the user's time zone ─────────────────────────────────────
+      // Overdue = open task due before the start of the user's day
+      const { timezone } = req.user.preferences;
+      const todayStart = startOfDay(timezone);
+      const tomorrowStart = startOfNextDay(timezone);
+      const openTaskFilter = { ...taskFilter, ...OPEN_TASK };
 
-      // Aggregate: group tasks by status and count each group
-      // This is MongoDB's aggregation pipeline — like GROUP BY in SQL
-      Task.aggregate([
-        { $match: taskFilter },
-        { $group: { _id: "$status", count: { $sum: 1 } } },
-      ]),
+      // ── Run all queries in PARALLEL using Promise.all ─────────────────────────
+      // Promise.all([p1, p2, p3]) runs all promises at the same time
+      // and waits for ALL of them to finish — much faster than sequential awaits
+      const [
+        totalProjects,
+        totalTasks,
+        totalUsers,
+        tasksByStatus,
+        tasksByCategory,
+        recentTasks,
+        unreadNotifications,
+        overdueTasks,
+        dueTodayTasks,
+      ] = await Promise.all([
+        Project.countDocuments(projectFilter),
+        Task.countDocuments(taskFilter),
+        can("user:list", { user: req.user })
+          ? User.countDocuments({ organization, isActive: true })
+          : null,
 
-      // Get 5 most recently updated tasks
-      Task.find(taskFilter)
-        .populate("assignedTo", "name")
-        .populate("project", "title")
-        .sort({ updatedAt: -1 })
-        .limit(5),
+        // Aggregate: group tasks by status and count each group
+        // This is MongoDB's aggregation pipeline — like GROUP BY in SQL
+        Task.aggregate([
+          { $match: taskFilter },
+          { $group: { _id: "$status", count: { $sum: 1 } } },
+        ]),
 
-      // Count unread notifications for this user
-      Notification.countDocuments({ recipient: userId, isRead: false }),
-    ]);
+        // ...and the same by category
+        Task.aggregate([
+          { $match: taskFilter },
+          { $group: { _id: "$statusCategory", count: { $sum: 1 } } },
+        ]),
 
-    // Transform aggregation result into a cleaner object
-    // e.g., [{ _id: 'todo', count: 5 }] → { todo: 5 }
-    const statusCounts = tasksByStatus.reduce((acc, item) => {
-      acc[item._id] = item.count;
-      return acc;
-    }, {});
+        // Get 5 most recently updated tasks
+        Task.find(taskFilter)
+          .populate("assignedTo", "name")
+          .populate("project", "title")
+          .sort({ updatedAt: -1 })
+          .limit(5),
 
-    res.status(200).json({
-      success: true,
-      data: {
-        stats: {
-          totalProjects,
-          totalTasks,
-          totalUsers,
-          unreadNotifications,
-        },
-        tasksByStatus: {
-          todo: statusCounts.todo || 0,
-          "in-progress": statusCounts["in-progress"] || 0,
-          review: statusCounts.review || 0,
-          done: statusCounts.done || 0,
+        // Count unread notifications for this user
+        Notification.countDocuments({ recipient: userId, isRead: false }),
+
+        Task.countDocuments({
+          ...openTaskFilter,
+          dueDate: { $lt: todayStart },
+        }),
+        Task.countDocuments({
+          ...openTaskFilter,
+          dueDate: { $gte: todayStart, $lt: tomorrowStart },
+        }),
+      ]);
+
+      // Transform aggregation results into cleaner objects
+      // e.g., [{ _id: 'todo', count: 5 }] → { todo: 5, in_progress: 0, done: 0 }
+      const statusCounts = Object.fromEntries([
+        ...DEFAULT_WORKFLOW.statuses.map(({ key }) => [key, 0]),
+        ...tasksByStatus.map((item) => [item._id, item.count]),
+      ]);
+      const categoryCounts = tasksByCategory.reduce((acc, item) => {
+        acc[item._id] = item.count;
+        return acc;
+      }, {});
+
+      res.status(200).json({
+        success: true,
+        data: {
+          stats: {
+            totalProjects,
+            totalTasks,
+            totalUsers,
+            unreadNotifications,
+            overdueTasks,
+            dueTodayTasks,
+          },
+          timezone,
+          tasksByStatus: statusCounts,
+          tasksByCategory: Object.fromEntries(
+            STATUS_CATEGORIES.map((category) => [
+              category,
+              categoryCounts[category] || 0,
+            ]),
+          ),
+          recentTasks,
         },
-        recentTasks,
-      },
-    });
-  } catch (error) {
-    next(error);
-  }
-});
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+);
 
 // @desc    Get user notifications
 // @route   GET /api/dashboard/notifications
-router.get("/notifications", protect, async (req, res, next) => {
-  try {
-    const notifications = await Notification.find({ recipient: req.user._id })
-      .sort({ createdAt: -1 })
-      .limit(20);
-    res.status(200).json({ success: true, data: notifications });
-  } catch (error) {
-    next(error);
-  }
-});
+router.get(
+  "/notifications",
+  protect,
+  requireScope("notifications:read"),
+  async (req, res, next) => {
+    try {
+      const notifications = await Notification.find({ recipient: req.user._id })
+        .sort({ createdAt: -1 })
+        .limit(20);
+      res.status(200).json({ success: true, data: notifications });
+    } catch (error) {
+      next(error);
+    }
+  },
+);
 
 // @desc    Mark notification as read
 // @route   PATCH /api/dashboard/notifications/:id/read
-router.patch("/notifications/:id/read", protect, async (req, res, next) => {
-  try {
-    await Notification.findByIdAndUpdate(req.params.id, { isRead: true });
-    res
-      .status(200)
-      .json({ success: true, message: "Notification marked as read" });
-  } catch (error) {
-    next(error);
-  }
-});
+router.patch(
+  "/notifications/:id/read",
+  protect,
+  requireScope("notifications:write"),
+  async (req, res, next) => {
+    try {
+      // Only the recipient can mark their notification as read
+      await Notification.findOneAndUpdate(
+        { _id: req.params.id, recipient: req.user._id },
+        { isRead: true },
+      );
+      res
+        .status(200)
+        .json({ success: true, message: "Notification marked as read" });
+    } catch (error) {
+      next(error);
+    }
+  },
+);
 
 module.exports = router;
@@ -0,0 +1,115 @@
+// src/modules/invitations/invitations.controller.js
+const invitationsService = require("./invitations.service");
+const { clientInfo } = require("../../utils/request");
+const { validatePassword } = require("../../utils/passwordPolicy");
+
+// @desc    Invite a user by email with a fixed role, projects and teams
+// @route   POST /api/invitations
+// @access  Admin/Manager
+const createInvitation = async (req, res, next) => {
+  try {
+    const { email, role, projects, teams } = req.body;
+
+    const errors = [];
+    if (!email || !/^\S+@\S+\.\S+$/.test(email))
+      errors.push("Valid email is required");
+    if (role && !["admin", "manager", "employee"].includes(role))
+      errors.push("Invalid role");
+    if (projects !== undefined && !Array.isArray(projects))
+      errors.push("projects must be an array of project IDs");
+    if (teams !== undefined && !Array.isArray(teams))
+      errors.push("teams must be an array of team IDs");
+
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, errors });
+    }
+
+    const result = await invitationsService.createInvitation(
+      { email: email.toLowerCase(), role, projects, teams },
+      req.user,
+    );
+    res.status(201).json({ success: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    List invitations (admins: all, managers: their own)
+// @route   GET /api/invitations?status=pending
+// @access  Admin/Manager
+const getInvitations = async (req, res, next) => {
+  try {
+    const result = await invitationsService.getInvitations(req.user, req.query);
+    res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Revoke a pending invitation
+// @route   DELETE /api/invitations/:id
+// @access  Admin/Manager (own invitations)
+const revokeInvitation = async (req, res, next) => {
+  try {
+    const result = await invitationsService.revokeInvitation(
+      req.params.id,
+      req.user,
+    );
+    res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Preview an invitation before accepting it
+// @route   GET /api/invitations/token/:token
+// @access  Public
+const getInvitationByToken = async (req, res, next) => {
+  try {
+    const invitation = await invitationsService.getInvitationByToken(
+      req.params.token,
+    );
+    res.status(200).json({ success: true, data: invitation });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Accept an invitation — creates the account and logs in
+// @route   POST /api/invitations/accept
+// @access  Public (requires invitation token)
+const acceptInvitation = async (req, res, next) => {
+  try {
+    const { token, name, password } = req.body;
+
+    const errors = [];
+    if (!token) errors.push("Invitation token is required");
+    if (!name || name.trim() === "") errors.push("Name is required");
+    if (!password) errors.push("Password is required");
+    else errors.push(...validatePassword(password, { name }));
+
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, errors });
+    }
+
+    const result = await invitationsService.acceptInvitation(
+      { token, name: name.trim(), password },
+      clientInfo(req),
+    );
+    res.status(201).json({
+      success: true,
+      message: "Invitation accepted — account created",
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createInvitation,
+  getInvitations,
+  revokeInvitation,
+  getInvitationByToken,
+  acceptInvitation,
+};
@@ -0,0 +1,54 @@
+// src/modules/invitations/invitations.routes.js
+// ─────────────────────────────────────────────────────────────────────────────
+// Routes:
+//   POST   /api/invitations              → invite by email (admin/manager)
+//   GET    /api/invitations              → list invitations (admin/manager)
+//   DELETE /api/invitations/:id          → revoke a pending invitation
+//   GET    /api/invitations/token/:token → preview an invite (public)
+//   POST   /api/invitations/accept       → accept invite, create account (public)
+// ─────────────────────────────────────────────────────────────────────────────
+
+const express = require("express");
+const {
+  createInvitation,
+  getInvitations,
+  revokeInvitation,
+  getInvitationByToken,
+  acceptInvitation,
+} = require("./invitations.controller");
+const { protect } = require("../../middleware/auth");
+const { authorize } = require("../../middleware/policy");
+const { requireScope } = require("../../middleware/scope");
+const { authLimiter } = require("../../middleware/rateLimiter");
+
+const router = express.Router();
+
+// ── Public (token-based) ──────────────────────────────────────────────────────
+// authLimiter stops brute-forcing invitation tokens
+router.get("/token/:token", authLimiter, getInvitationByToken);
+router.post("/accept", authLimiter, acceptInvitation);
+
+// ── Admin / Manager ───────────────────────────────────────────────────────────
+router.post(
+  "/",
+  protect,
+  requireScope("invitations:write"),
+  authorize("invitation:manage"),
+  createInvitation,
+);
+router.get(
+  "/",
+  protect,
+  requireScope("invitations:read"),
+  authorize("invitation:manage"),
+  getInvitations,
+);
+router.delete(
+  "/:id",
+  protect,
+  requireScope("invitations:write"),
+  authorize("invitation:manage"),
+  revokeInvitation,
+);
+
+module.exports = router;
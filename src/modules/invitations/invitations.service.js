@@ -0,0 +1,352 @@
+// src/modules/invitations/invitations.service.js
+// ─────────────────────────────────────────────────────────────────────────────
+// HOW INVITATIONS WORK:
+//
+//   1. Admin/manager creates an invite → { email, role, projects, teams }
+//   2. We generate a random token, store its HASH and email the link
+//      (the link is also returned so it can be shared by hand)
+//   3. The invitee opens the link and POSTs { token, name, password }
+//   4. We create the user with the invited role, add them to the projects
+//      and teams, mark the invite as accepted (single-use) and log them in.
+//
+//   Nobody can grant more than they have: managers may invite employees and
+//   managers (never admins), only into projects they maintain and only into
+//   teams they lead.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const Invitation = require("../../models/Invitation");
+const User = require("../../models/User");
+const Project = require("../../models/Project");
+const Team = require("../../models/Team");
+const Organization = require("../../models/Organization");
+const authService = require("../auth/auth.service");
+const { sendMail, appUrl, escapeHtml } = require("../../utils/mailer");
+const { randomToken, hashToken } = require("../../utils/tokens");
+const logger = require("../../utils/logger");
+const { can, assertCan, projectRoleOf } = require("../../utils/policy");
+
+const INVITE_EXPIRES_DAYS = Number(process.env.INVITE_EXPIRES_DAYS) || 7;
+
+// Roles each inviter role is allowed to hand out
+const INVITABLE_ROLES = {
+  admin: ["admin", "manager", "employee"],
+  manager: ["manager", "employee"],
+};
+
+// Only pending invites (not accepted, revoked or expired) can be used
+const pendingFilter = () => ({
+  acceptedAt: null,
+  revokedAt: null,
+  expiresAt: { $gt: new Date() },
+});
+
+// ── Create Invitation ─────────────────────────────────────────────────────────
+// Invites into the inviter's own organization. Super-admins can pass another
+// `organizationId` (e.g. to invite the first admin of a new organization).
+const createInvitation = async (
+  { email, role = "employee", projects = [], teams = [], name = null },
+  inviter,
+  organizationId = inviter.organization,
+) => {
+  const crossOrganization =
+    String(organizationId) !== String(inviter.organization);
+  if (crossOrganization) {
+    assertCan(
+      "organization:manage-all",
+      { user: inviter },
+      "Only platform super-admins can invite into other organizations",
+    );
+  }
+
+  const organization = await Organization.findOne({
+    _id: organizationId,
+    isActive: true,
+  });
+  if (!organization) {
+    const error = new Error("Organization not found");
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const invitableRoles = crossOrganization
+    ? INVITABLE_ROLES.admin
+    : INVITABLE_ROLES[inviter.role];
+  if (!invitableRoles.includes(role)) {
+    const error = new Error(
+      `Role '${inviter.role}' cannot invite users as '${role}'`,
+    );
+    error.statusCode = 403;
+    throw error;
+  }
+
+  if (await User.exists({ email })) {
+    const error = new Error("Email already registered");
+    error.statusCode = 400;
+    throw error;
+  }
+
+  // Every project must exist, and managers can only invite into projects
+  // they maintain or own
+  const projectIds = [...new Set(projects.map(String))];
+  if (projectIds.length > 0) {
+    const found = await Project.find({
+      _id: { $in: projectIds },
+      organization: organization._id,
+      deletedAt: null,
+    });
+    const allowed = found.filter((project) =>
+      can("invitation:invite-to-project", {
+        user: inviter,
+        project,
+        projectRole: projectRoleOf(inviter, project),
+      }),
+    );
+    if (allowed.length !== projectIds.length) {
+      const error = new Error(
+        "One or more projects were not found, are archived, or you are not a maintainer of them",
+      );
+      error.statusCode = 400;
+      throw error;
+    }
+  }
+
+  // Same for teams — only the teams the inviter may add members to
+  const teamIds = [...new Set(teams.map(String))];
+  if (teamIds.length > 0) {
+    const found = await Team.find({
+      _id: { $in: teamIds },
+      organization: organization._id,
+    });
+    const allowed = found.filter((team) =>
+      can("team:manage-members", {
+        user: inviter,
+        resourceType: "team",
+        resource: team,
+      }),
+    );
+    if (allowed.length !== teamIds.length) {
+      const error = new Error(
+        "One or more teams were not found or you cannot add members to them",
+      );
+      error.statusCode = 400;
+      throw error;
+    }
+  }
+
+  // A new invite replaces any older pending invite for the same email
+  await Invitation.updateMany(
+    { email, ...pendingFilter() },
+    { revokedAt: new Date() },
+  );
+
+  const token = randomToken();
+  const invitation = await Invitation.create({
+    organization: organization._id,
+    email,
+    name,
+    role,
+    projects: projectIds,
+    teams: teamIds,
+    tokenHash: hashToken(token),
+    invitedBy: inviter._id,
+    expiresAt: new Date(Date.now() + INVITE_EXPIRES_DAYS * 24 * 60 * 60 * 1000),
+  });
+
+  const inviteUrl = appUrl(`/accept-invite?token=${token}`);
+  sendMail({
+    to: email,
+    subject: `You've been invited to ${organization.name} on Work Management`,
+    text: `${inviter.name} invited you to join ${organization.name} on Work Management as ${role}.\n\nCreate your account here (the link expires in ${INVITE_EXPIRES_DAYS} days):\n\n${inviteUrl}`,
+    html: `<p>${escapeHtml(inviter.name)} invited you to join <b>${escapeHtml(organization.name)}</b> on Work Management as <b>${escapeHtml(role)}</b>.</p><p><a href="${escapeHtml(inviteUrl)}">Create your account</a> — the link expires in ${escapeHtml(INVITE_EXPIRES_DAYS)} days.</p>`,
+  }).catch((err) =>
+    logger.error(
+      `Invitation email failed — invitationId: ${invitation._id}`,
+      err,
+    ),
+  );
+
+  logger.info(
+    `Invitation created — email: ${email} | role: ${role} | organization: ${organization._id} | by: ${inviter._id}`,
+  );
+
+  // The plain link is returned ONCE so it can also be shared manually
+  return { invitation, inviteUrl };
+};
+
+// ── List Invitations ──────────────────────────────────────────────────────────
+// Admins see all invitations of their organization; managers only the ones
+// they sent.
+const getInvitations = async (requester, query = {}) => {
+  const { status, page = 1, limit = 10 } = query;
+  const filter = { organization: requester.organization };
+
+  if (!can("invitation:list-all", { user: requester })) {
+    filter.invitedBy = requester._id;
+  }
+
+  // status is a virtual — translate it into a date-based filter
+  const now = new Date();
+  if (status === "pending") Object.assign(filter, pendingFilter());
+  if (status === "accepted") filter.acceptedAt = { $ne: null };
+  if (status === "revoked") filter.revokedAt = { $ne: null };
+  if (status === "expired") {
+    Object.assign(filter, {
+      acceptedAt: null,
+      revokedAt: null,
+      expiresAt: { $lte: now },
+    });
+  }
+
+  const skip = (page - 1) * limit;
+
+  const [invitations, total] = await Promise.all([
+    Invitation.find(filter)
+      .populate("invitedBy", "name email")
+      .populate("projects", "title")
+      .skip(skip)
+      .limit(Number(limit))
+      .sort({ createdAt: -1 }),
+    Invitation.countDocuments(filter),
+  ]);
+
+  return {
+    invitations,
+    pagination: { total, page: Number(page), pages: Math.ceil(total / limit) },
+  };
+};
+
+// ── Revoke Invitation ─────────────────────────────────────────────────────────
+const revokeInvitation = async (id, requester) => {
+  const invitation = await Invitation.findOne({
+    _id: id,
+    organization: requester.organization,
+  });
+  if (!invitation) {
+    const error = new Error("Invitation not found");
+    error.statusCode = 404;
+    throw error;
+  }
+
+  assertCan(
+    "invitation:revoke",
+    { user: requester, resourceType: "invitation", resource: invitation },
+    "Not authorized to revoke this invitation",
+  );
+
+  if (invitation.status !== "pending") {
+    const error = new Error(`Invitation is already ${invitation.status}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  invitation.revokedAt = new Date();
+  await invitation.save();
+  return { message: "Invitation revoked" };
+};
+
+// ── Preview Invitation ────────────────────────────────────────────────────────
+// Lets the accept page show "You're invited as manager to ..." before signup.
+const getInvitationByToken = async (token) => {
+  const invitation = await Invitation.findOne({
+    tokenHash: hashToken(token),
+    ...pendingFilter(),
+  })
+    .populate("invitedBy", "name")
+    .populate("projects", "title")
+    .populate("teams", "name")
+    .populate("organization", "name slug");
+
+  if (!invitation) {
+    const error = new Error("Invitation is invalid or has expired");
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return {
+    email: invitation.email,
+    name: invitation.name,
+    role: invitation.role,
+    organization: invitation.organization,
+    projects: invitation.projects,
+    teams: invitation.teams,
+    invitedBy: invitation.invitedBy,
+    expiresAt: invitation.expiresAt,
+  };
+};
+
+// ── Accept Invitation ─────────────────────────────────────────────────────────
+const acceptInvitation = async ({ token, name, password }, client = {}) => {
+  // Atomically claim the invite so the same link can't create two accounts
+  const invitation = await Invitation.findOneAndUpdate(
+    { tokenHash: hashToken(token), ...pendingFilter() },
+    { acceptedAt: new Date() },
+    { new: true },
+  );
+
+  if (!invitation) {
+    const error = new Error("Invitation is invalid or has expired");
+    error.statusCode = 400;
+    throw error;
+  }
+
+  let user;
+  try {
+    if (await User.exists({ email: invitation.email })) {
+      const error = new Error("Email already registered");
+      error.statusCode = 400;
+      throw error;
+    }
+
+    // Teams deleted since the invite was sent are dropped
+    const teams = await Team.find({
+      _id: { $in: invitation.teams },
+      organization: invitation.organization,
+    }).distinct("_id");
+
+    // The invite link was delivered to this address — that proves ownership,
+    // so the account starts with a verified email
+    user = await User.create({
+      name,
+      email: invitation.email,
+      password,
+      role: invitation.role,
+      organization: invitation.organization,
+      teams,
+      emailVerified: true,
+      emailVerifiedAt: new Date(),
+    });
+  } catch (err) {
+    // Release the invite again so the user can retry (e.g. validation error)
+    await Invitation.updateOne({ _id: invitation._id }, { acceptedAt: null });
+    throw err;
+  }
+
+  invitation.acceptedUser = user._id;
+  await invitation.save();
+
+  if (invitation.projects.length > 0) {
+    // New joiners start as plain members
+    await Project.updateMany(
+      {
+        _id: { $in: invitation.projects },
+        organization: invitation.organization,
+        "members.user": { $ne: user._id },
+      },
+      { $push: { members: { user: user._id, role: "member" } } },
+    );
+  }
+
+  logger.info(
+    `Invitation accepted — userId: ${user._id} | role: ${user.role} | invitationId: ${invitation._id}`,
+  );
+
+  return authService.startSession(user, client);
+};
+
+module.exports = {
+  createInvitation,
+  getInvitations,
+  revokeInvitation,
+  getInvitationByToken,
+  acceptInvitation,
+};
@@ -0,0 +1,125 @@
+// src/modules/milestones/milestones.controller.js
+const milestonesService = require("./milestones.service");
+const { MILESTONE_STATUSES } = require("../../models/Milestone");
+const { isDateKey } = require("../../utils/timezone");
+
+const validateMilestone = (body, { partial = false } = {}) => {
+  const { name, goal, startDate, endDate, status } = body;
+  const errors = [];
+
+  if (name !== undefined || !partial) {
+    if (typeof name !== "string" || !name.trim())
+      errors.push("Name is required");
+    else if (name.trim().length > 100)
+      errors.push("Name cannot exceed 100 characters");
+  }
+  if (goal !== undefined && (typeof goal !== "string" || goal.length > 500))
+    errors.push("Goal must be text of at most 500 characters");
+  if ((startDate !== undefined || !partial) && !isDateKey(startDate))
+    errors.push("startDate must be a date (YYYY-MM-DD)");
+  if ((endDate !== undefined || !partial) && !isDateKey(endDate))
+    errors.push("endDate must be a date (YYYY-MM-DD)");
+  if (isDateKey(startDate) && isDateKey(endDate) && endDate < startDate)
+    errors.push("endDate cannot be before startDate");
+  if (status !== undefined) {
+    if (!partial) errors.push("New milestones are always open");
+    else if (!MILESTONE_STATUSES.includes(status))
+      errors.push(`status must be one of: ${MILESTONE_STATUSES.join(", ")}`);
+  }
+
+  return errors;
+};
+
+// @desc    List a project's milestones with their progress (?status=)
+// @route   GET /api/milestones/project/:projectId
+// @access  Project viewer+
+const getMilestones = async (req, res, next) => {
+  try {
+    const milestones = await milestonesService.getMilestones(
+      req.project,
+      req.query,
+    );
+    res.status(200).json({ success: true, data: milestones });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create a milestone in a project
+// @route   POST /api/milestones/project/:projectId
+// @access  Project maintainer+
+const createMilestone = async (req, res, next) => {
+  try {
+    const errors = validateMilestone(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, errors });
+    }
+
+    const milestone = await milestonesService.createMilestone(
+      req.project,
+      { ...req.body, name: req.body.name.trim() },
+      req.user,
+    );
+    res.status(201).json({ success: true, data: milestone });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// req.resource is the milestone loaded by authorize() (middleware/policy.js)
+
+// @desc    Get a milestone with its progress
+// @route   GET /api/milestones/:id
+// @access  Project viewer+
+const getMilestoneById = async (req, res, next) => {
+  try {
+    const milestone = await milestonesService.getMilestoneById(req.resource);
+    res.status(200).json({ success: true, data: milestone });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update a milestone (name, goal, dates, status)
+// @route   PATCH /api/milestones/:id
+// @access  Project maintainer+
+const updateMilestone = async (req, res, next) => {
+  try {
+    const errors = validateMilestone(req.body, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, errors });
+    }
+
+    const { name, goal, startDate, endDate, status } = req.body;
+    const milestone = await milestonesService.updateMilestone(req.resource, {
+      name: name !== undefined ? name.trim() : undefined,
+      goal,
+      startDate,
+      endDate,
+      status,
+    });
+    res.status(200).json({ success: true, data: milestone });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete a milestone (its tasks are kept)
+// @route   DELETE /api/milestones/:id
+// @access  Project maintainer+
+const deleteMilestone = async (req, res, next) => {
+  try {
+    await milestonesService.deleteMilestone(req.resource, req.user);
+    res.status(200).json({ success: true, message: "Milestone deleted" });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getMilestones,
+  createMilestone,
+  getMilestoneById,
+  updateMilestone,
+  deleteMilestone,
+};
@@ -0,0 +1,64 @@
+// src/modules/milestones/milestones.routes.js
+// ─────────────────────────────────────────────────────────────────────────────
+// Routes:
+//   GET    /api/milestones/project/:projectId   → a project's milestones
+//   POST   /api/milestones/project/:projectId   → create one (maintainer+)
+//   GET    /api/milestones/:id                  → milestone with progress
+//   PATCH  /api/milestones/:id                  → name / goal / dates / status
+//   DELETE /api/milestones/:id                  → delete (tasks are kept)
+//
+// Tasks are put into a milestone through POST / PUT /api/tasks (milestone).
+// ─────────────────────────────────────────────────────────────────────────────
+
+const express = require("express");
+const {
+  getMilestones,
+  createMilestone,
+  getMilestoneById,
+  updateMilestone,
+  deleteMilestone,
+} = require("./milestones.controller");
+const { protect } = require("../../middleware/auth");
+const { requireScope } = require("../../middleware/scope");
+const {
+  authorize,
+  fromParam,
+  fromMilestone,
+} = require("../../middleware/policy");
+
+const router = express.Router();
+
+router.use(protect);
+
+router.get(
+  "/project/:projectId",
+  requireScope("projects:read"),
+  authorize("milestone:read", fromParam("projectId")),
+  getMilestones,
+);
+router.post(
+  "/project/:projectId",
+  requireScope("projects:write"),
+  authorize("milestone:manage", fromParam("projectId")),
+  createMilestone,
+);
+router.get(
+  "/:id",
+  requireScope("projects:read"),
+  authorize("milestone:read", fromMilestone()),
+  getMilestoneById,
+);
+router.patch(
+  "/:id",
+  requireScope("projects:write"),
+  authorize("milestone:manage", fromMilestone()),
+  updateMilestone,
+);
+router.delete(
+  "/:id",
+  requireScope("projects:write"),
+  authorize("milestone:manage", fromMilestone()),
+  deleteMilestone,
+);
+
+module.exports = router;
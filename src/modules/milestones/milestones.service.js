@@ -0,0 +1,121 @@
+// src/modules/milestones/milestones.service.js
+// ─────────────────────────────────────────────────────────────────────────────
+// KEY CONCEPT: Progress is counted, not stored
+//   A milestone doesn't keep a list of its tasks — tasks point to it
+//   (Task.milestone). Its progress ({ total, done }) is counted from them
+//   whenever milestones are read, so it can never go stale.
+//
+// ACCESS:
+//   Routes check the caller's permission first (middleware/policy.js) and
+//   pass the loaded project or milestone in.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const Milestone = require("../../models/Milestone");
+const Task = require("../../models/Task");
+const logger = require("../../utils/logger");
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Milestone ids → Map(id → { total, done }) in one query
+const progressOf = async (milestoneIds) => {
+  const counts = await Task.aggregate([
+    { $match: { milestone: { $in: milestoneIds } } },
+    {
+      $group: {
+        _id: "$milestone",
+        total: { $sum: 1 },
+        done: {
+          $sum: { $cond: [{ $eq: ["$statusCategory", "done"] }, 1, 0] },
+        },
+      },
+    },
+  ]);
+  return new Map(
+    counts.map((c) => [String(c._id), { total: c.total, done: c.done }]),
+  );
+};
+
+const withProgress = (milestone, progress) => ({
+  ...milestone.toObject(),
+  progress: progress.get(String(milestone._id)) || { total: 0, done: 0 },
+});
+
+// Get a project's milestones in date order (?status=)
+const getMilestones = async (project, query = {}) => {
+  const filter = { project: project._id };
+  if (query.status) filter.status = query.status;
+
+  const milestones = await Milestone.find(filter).sort({
+    startDate: 1,
+    milestoneId: 1,
+  });
+  const progress = await progressOf(milestones.map((m) => m._id));
+  return milestones.map((milestone) => withProgress(milestone, progress));
+};
+
+const getMilestoneById = async (milestone) =>
+  withProgress(milestone, await progressOf([milestone._id]));
+
+const createMilestone = async (project, data, user) => {
+  const { name, goal, startDate, endDate } = data;
+  const milestone = await Milestone.create({
+    organization: project.organization,
+    project: project._id,
+    name,
+    goal,
+    startDate,
+    endDate,
+    createdBy: user._id,
+  });
+
+  logger.info(
+    `Milestone created — ${milestone.name} | milestoneId: ${milestone._id} | project: ${project._id} | by: ${user._id}`,
+  );
+  return getMilestoneById(milestone);
+};
+
+// Change name / goal / dates / status (closing it records when)
+const updateMilestone = async (milestone, data) => {
+  const { name, goal, startDate, endDate, status } = data;
+
+  if (name !== undefined) milestone.name = name;
+  if (goal !== undefined) milestone.goal = goal;
+  if (startDate !== undefined) milestone.startDate = startDate;
+  if (endDate !== undefined) milestone.endDate = endDate;
+  if (milestone.endDate < milestone.startDate) {
+    throw badRequest("endDate cannot be before startDate");
+  }
+
+  if (status !== undefined && status !== milestone.status) {
+    milestone.status = status;
+    milestone.closedAt = status === "closed" ? new Date() : null;
+  }
+
+  await milestone.save();
+  return getMilestoneById(milestone);
+};
+
+// Delete a milestone — its tasks stay, without a milestone
+const deleteMilestone = async (milestone, user) => {
+  const { modifiedCount } = await Task.updateMany(
+    { milestone: milestone._id },
+    { milestone: null },
+  );
+  await milestone.deleteOne();
+
+  logger.info(
+    `Milestone deleted — milestoneId: ${milestone._id} | tasks: ${modifiedCount} | by: ${user._id}`,
+  );
+};
+
+module.exports = {
+  getMilestones,
+  getMilestoneById,
+  createMilestone,
+  updateMilestone,
+  deleteMilestone,
+};
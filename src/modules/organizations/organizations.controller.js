@@ -0,0 +1,186 @@
+// src/modules/organizations/organizations.controller.js
+const mongoose = require("mongoose");
+const organizationsService = require("./organizations.service");
+const invitationsService = require("../invitations/invitations.service");
+
+const SLUG_PATTERN = /^[a-z0-9](?:[a-z0-9-]{0,38}[a-z0-9])?$/;
+const DOMAIN_PATTERN = /^[a-z0-9-]+(\.[a-z0-9-]+)+$/i;
+
+const validateName = (name, errors) => {
+  if (typeof name !== "string" || !name.trim()) errors.push("Name is required");
+  else if (name.trim().length > 100)
+    errors.push("Name cannot exceed 100 characters");
+};
+
+const validateDomains = (domains, errors) => {
+  if (!Array.isArray(domains)) {
+    errors.push("domains must be an array");
+  } else if (domains.some((d) => !DOMAIN_PATTERN.test(String(d)))) {
+    errors.push("domains must be valid domain names, e.g. acme.com");
+  }
+};
+
+const invalidId = (res) =>
+  res.status(404).json({ success: false, message: "Organization not found" });
+
+// @desc    Get the current user's organization
+// @route   GET /api/organizations/current
+// @access  Private
+const getCurrentOrganization = async (req, res, next) => {
+  try {
+    const organization = await organizationsService.getCurrentOrganization(
+      req.user.organization,
+    );
+    res.status(200).json({ success: true, data: organization });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Rename the current user's organization
+// @route   PATCH /api/organizations/current
+// @access  Organization admin
+const updateCurrentOrganization = async (req, res, next) => {
+  try {
+    const errors = [];
+    validateName(req.body.name, errors);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, errors });
+    }
+
+    const organization = await organizationsService.updateCurrentOrganization(
+      req.user.organization,
+      { name: req.body.name.trim() },
+    );
+    res.status(200).json({ success: true, data: organization });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    List all organizations (?search= &isActive= &page &limit)
+// @route   GET /api/organizations
+// @access  Super-admin
+const getOrganizations = async (req, res, next) => {
+  try {
+    const result = await organizationsService.getOrganizations(req.query);
+    res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get one organization
+// @route   GET /api/organizations/:id
+// @access  Super-admin
+const getOrganizationById = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return invalidId(res);
+
+    const organization = await organizationsService.getOrganizationById(
+      req.params.id,
+    );
+    res.status(200).json({ success: true, data: organization });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create an organization
+// @route   POST /api/organizations
+// @access  Super-admin
+const createOrganization = async (req, res, next) => {
+  try {
+    const { name, slug, domains } = req.body;
+
+    const errors = [];
+    validateName(name, errors);
+    if (!slug || !SLUG_PATTERN.test(String(slug).toLowerCase()))
+      errors.push(
+        "A slug of lowercase letters, numbers and dashes is required",
+      );
+    if (domains !== undefined) validateDomains(domains, errors);
+
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, errors });
+    }
+
+    const organization = await organizationsService.createOrganization(
+      { name: name.trim(), slug, domains },
+      req.user,
+    );
+    res.status(201).json({ success: true, data: organization });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Rename, change domains, or (de)activate an organization
+// @route   PATCH /api/organizations/:id
+// @access  Super-admin
+const updateOrganization = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return invalidId(res);
+
+    const { name, domains, isActive } = req.body;
+
+    const errors = [];
+    if (name !== undefined) validateName(name, errors);
+    if (domains !== undefined) validateDomains(domains, errors);
+    if (isActive !== undefined && typeof isActive !== "boolean")
+      errors.push("isActive must be true or false");
+
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, errors });
+    }
+
+    const organization = await organizationsService.updateOrganization(
+      req.params.id,
+      { name: name && name.trim(), domains, isActive },
+      req.user,
+    );
+    res.status(200).json({ success: true, data: organization });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Invite a user into an organization (e.g. its first admin)
+// @route   POST /api/organizations/:id/invitations
+// @access  Super-admin
+const inviteToOrganization = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return invalidId(res);
+
+    const { email, role = "admin" } = req.body;
+
+    const errors = [];
+    if (!email || !/^\S+@\S+\.\S+$/.test(email))
+      errors.push("Valid email is required");
+    if (!["admin", "manager", "employee"].includes(role))
+      errors.push("Invalid role");
+
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, errors });
+    }
+
+    const result = await invitationsService.createInvitation(
+      { email: email.toLowerCase(), role },
+      req.user,
+      req.params.id,
+    );
+    res.status(201).json({ success: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getCurrentOrganization,
+  updateCurrentOrganization,
+  getOrganizations,
+  getOrganizationById,
+  createOrganization,
+  updateOrganization,
+  inviteToOrganization,
+};
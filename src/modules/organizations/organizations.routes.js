@@ -0,0 +1,53 @@
+// src/modules/organizations/organizations.routes.js
+// ─────────────────────────────────────────────────────────────────────────────
+// Routes:
+//   GET    /api/organizations/current         → own organization
+//   PATCH  /api/organizations/current         → rename it (organization admin)
+//
+//   Platform (super-admin only):
+//   GET    /api/organizations                 → list organizations
+//   POST   /api/organizations                 → create an organization
+//   GET    /api/organizations/:id             → organization details
+//   PATCH  /api/organizations/:id             → rename / domains / (de)activate
+//   POST   /api/organizations/:id/invitations → invite a user (e.g. first admin)
+// ─────────────────────────────────────────────────────────────────────────────
+
+const express = require("express");
+const {
+  getCurrentOrganization,
+  updateCurrentOrganization,
+  getOrganizations,
+  getOrganizationById,
+  createOrganization,
+  updateOrganization,
+  inviteToOrganization,
+} = require("./organizations.controller");
+const { protect, protectSession } = require("../../middleware/auth");
+const { authorize } = require("../../middleware/policy");
+
+const router = express.Router();
+
+// ── Own Organization ──────────────────────────────────────────────────────────
+router.get(
+  "/current",
+  protect,
+  authorize("organization:read"),
+  getCurrentOrganization,
+);
+router.patch(
+  "/current",
+  protectSession,
+  authorize("organization:update"),
+  updateCurrentOrganization,
+);
+
+// ── Platform (Super-Admin) ────────────────────────────────────────────────────
+router.use(protectSession, authorize("organization:manage-all"));
+
+router.get("/", getOrganizations);
+router.post("/", createOrganization);
+router.get("/:id", getOrganizationById);
+router.patch("/:id", updateOrganization);
+router.post("/:id/invitations", inviteToOrganization);
+
+module.exports = router;
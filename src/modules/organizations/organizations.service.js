@@ -0,0 +1,175 @@
+// src/modules/organizations/organizations.service.js
+// ─────────────────────────────────────────────────────────────────────────────
+// Organizations (tenants) — see models/Organization.js.
+//   - Every user can read their own organization; its admins can rename it.
+//   - Platform super-admins create, list and (de)activate organizations.
+//     Deactivating one ends all sessions of its users immediately.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const Organization = require("../../models/Organization");
+const User = require("../../models/User");
+const RefreshToken = require("../../models/RefreshToken");
+const { disconnectOrganization } = require("../../config/socket");
+const logger = require("../../utils/logger");
+
+const notFound = () => {
+  const error = new Error("Organization not found");
+  error.statusCode = 404;
+  return error;
+};
+
+const normalizeDomains = (domains) => [
+  ...new Set(domains.map((d) => String(d).trim().toLowerCase())),
+];
+
+// A slug or domain can only belong to one organization
+const assertAvailable = async ({ slug, domains }, excludeId = null) => {
+  const exclude = excludeId ? { _id: { $ne: excludeId } } : {};
+
+  if (slug && (await Organization.exists({ slug, ...exclude }))) {
+    const error = new Error(`Slug '${slug}' is already taken`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  if (domains && domains.length > 0) {
+    const taken = await Organization.findOne({
+      domains: { $in: domains },
+      ...exclude,
+    }).select("domains");
+    if (taken) {
+      const domain = domains.find((d) => taken.domains.includes(d));
+      const error = new Error(
+        `Domain '${domain}' already belongs to another organization`,
+      );
+      error.statusCode = 400;
+      throw error;
+    }
+  }
+};
+
+// ── Own Organization ──────────────────────────────────────────────────────────
+const getCurrentOrganization = async (organizationId) => {
+  const organization = await Organization.findById(organizationId);
+  if (!organization) throw notFound();
+  return organization;
+};
+
+// Organization admins can only rename — domains and status are up to the
+// platform (a domain decides who may join without an invitation)
+const updateCurrentOrganization = async (organizationId, { name }) => {
+  const organization = await Organization.findByIdAndUpdate(
+    organizationId,
+    { name },
+    { new: true, runValidators: true },
+  );
+  if (!organization) throw notFound();
+  return organization;
+};
+
+// ── Platform (Super-Admin) ────────────────────────────────────────────────────
+const getOrganizations = async (query = {}) => {
+  const { search, isActive, page = 1, limit = 10 } = query;
+
+  const filter = {};
+  if (isActive !== undefined) filter.isActive = isActive === "true";
+  if (search) {
+    filter.$or = [
+      { name: { $regex: search, $options: "i" } },
+      { slug: { $regex: search, $options: "i" } },
+    ];
+  }
+
+  const skip = (page - 1) * limit;
+
+  const [organizations, total] = await Promise.all([
+    Organization.find(filter)
+      .skip(skip)
+      .limit(Number(limit))
+      .sort({ createdAt: -1 }),
+    Organization.countDocuments(filter),
+  ]);
+
+  return {
+    organizations,
+    pagination: {
+      total,
+      page: Number(page),
+      pages: Math.ceil(total / limit),
+    },
+  };
+};
+
+const getOrganizationById = async (id) => {
+  const organization = await Organization.findById(id);
+  if (!organization) throw notFound();
+
+  const userCount = await User.countDocuments({
+    organization: organization._id,
+    isActive: true,
+  });
+  return { ...organization.toObject(), userCount };
+};
+
+const createOrganization = async ({ name, slug, domains = [] }, creator) => {
+  const data = {
+    name,
+    slug: slug.toLowerCase(),
+    domains: normalizeDomains(domains),
+  };
+  await assertAvailable(data);
+
+  const organization = await Organization.create({
+    ...data,
+    createdBy: creator._id,
+  });
+
+  logger.info(
+    `Organization created — ${organization.slug} | by: ${creator._id}`,
+  );
+  return organization;
+};
+
+const updateOrganization = async (id, { name, domains, isActive }, admin) => {
+  const organization = await Organization.findById(id);
+  if (!organization) throw notFound();
+
+  if (domains !== undefined) {
+    const normalized = normalizeDomains(domains);
+    await assertAvailable({ domains: normalized }, organization._id);
+    organization.domains = normalized;
+  }
+  if (name !== undefined) organization.name = name;
+
+  const deactivated = isActive === false && organization.isActive;
+  if (isActive !== undefined) organization.isActive = isActive;
+
+  await organization.save();
+
+  if (deactivated) {
+    // Access tokens are already rejected by protect(); ending the sessions
+    // also stops refreshes and drops open sockets right away
+    const userIds = await User.find({
+      organization: organization._id,
+    }).distinct("_id");
+    const { deletedCount } = await RefreshToken.deleteMany({
+      user: { $in: userIds },
+    });
+    disconnectOrganization(organization._id);
+
+    logger.warn(
+      `Organization deactivated — ${organization.slug} | by: ${admin._id} | ${deletedCount} session token(s) revoked`,
+    );
+  }
+
+  return organization;
+};
+
+module.exports = {
+  getCurrentOrganization,
+  updateCurrentOrganization,
+  getOrganizations,
+  getOrganizationById,
+  createOrganization,
+  updateOrganization,
+};
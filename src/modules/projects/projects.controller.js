@@ -1,9 +1,23 @@
 // src/modules/projects/projects.controller.js
+const mongoose = require("mongoose");
 const projectsService = require("./projects.service");
+const { isDateKey } = require("../../utils/timezone");
+const { STATUS_CATEGORIES } = require("../../utils/workflow");
+const { CUSTOM_FIELD_TYPES } = require("../../utils/customFields");
+const { PROJECT_ROLES } = require("../../models/Project");
+
+const CLONE_OPTIONS = ["includeTasks", "includeMembers", "includeAttachments"];
+const STATUS_KEY = /^[a-z][a-z0-9-]{0,29}$/;
+const MAX_STATUSES = 20;
+const MAX_TRANSITIONS = 200;
+const FIELD_KEY = /^[a-z][a-z0-9-]{0,29}$/;
+const MAX_FIELDS = 30;
+const MAX_OPTIONS = 50;
+const SELECT_TYPES = ["select", "multiselect"];
 
 const createProject = async (req, res, next) => {
   try {
-    const project = await projectsService.createProject(req.body, req.user._id);
+    const project = await projectsService.createProject(req.body, req.user);
     res.status(201).json({ success: true, data: project });
   } catch (error) {
     next(error);
@@ -12,11 +26,7 @@ const createProject = async (req, res, next) => {
 
 const getProjects = async (req, res, next) => {
   try {
-    const result = await projectsService.getProjects(
-      req.user._id,
-      req.user.role,
-      req.query,
-    );
+    const result = await projectsService.getProjects(req.user, req.query);
     res.status(200).json({ success: true, data: result });
   } catch (error) {
     next(error);
@@ -44,11 +54,40 @@ const updateProject = async (req, res, next) => {
   }
 };
 
+// req.project / req.projectRole are set by authorize() (middleware/policy.js)
 const addMember = async (req, res, next) => {
   try {
+    const { userId, role } = req.body;
+    if (!userId) {
+      return res
+        .status(400)
+        .json({ success: false, errors: ["userId is required"] });
+    }
+
     const project = await projectsService.addMember(
-      req.params.id,
-      req.body.userId,
+      req.project,
+      { userId, role },
+      req.projectRole,
+    );
+    res.status(200).json({ success: true, data: project });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const updateMemberRole = async (req, res, next) => {
+  try {
+    if (!req.body.role) {
+      return res
+        .status(400)
+        .json({ success: false, errors: ["role is required"] });
+    }
+
+    const project = await projectsService.updateMemberRole(
+      req.project,
+      req.params.userId,
+      req.body.role,
+      req.projectRole,
     );
     res.status(200).json({ success: true, data: project });
   } catch (error) {
@@ -58,9 +97,57 @@ const addMember = async (req, res, next) => {
 
 const removeMember = async (req, res, next) => {
   try {
+    if (!req.body.userId) {
+      return res
+        .status(400)
+        .json({ success: false, errors: ["userId is required"] });
+    }
+
     const project = await projectsService.removeMember(
-      req.params.id,
+      req.project,
       req.body.userId,
+      req.projectRole,
+    );
+    res.status(200).json({ success: true, data: project });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const addTeam = async (req, res, next) => {
+  try {
+    const { teamId, role } = req.body;
+    if (!teamId || !mongoose.isValidObjectId(teamId)) {
+      return res
+        .status(400)
+        .json({ success: false, errors: ["A valid teamId is required"] });
+    }
+
+    const project = await projectsService.addTeam(
+      req.project,
+      { teamId, role },
+      req.user,
+      req.projectRole,
+    );
+    res.status(200).json({ success: true, data: project });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const updateTeamRole = async (req, res, next) => {
+  try {
+    if (!req.body.role) {
+      return res
+        .status(400)
+        .json({ success: false, errors: ["role is required"] });
+    }
+
+    const project = await projectsService.updateTeamRole(
+      req.project,
+      req.params.teamId,
+      req.body.role,
+      req.projectRole,
     );
     res.status(200).json({ success: true, data: project });
   } catch (error) {
@@ -68,11 +155,347 @@ const removeMember = async (req, res, next) => {
   }
 };
 
+const removeTeam = async (req, res, next) => {
+  try {
+    const project = await projectsService.removeTeam(
+      req.project,
+      req.params.teamId,
+      req.projectRole,
+    );
+    res.status(200).json({ success: true, data: project });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// ── Archive & Trash ───────────────────────────────────────────────────────────
+const archiveProject = async (req, res, next) => {
+  try {
+    const project = await projectsService.archiveProject(req.project, req.user);
+    res.status(200).json({ success: true, data: project });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const unarchiveProject = async (req, res, next) => {
+  try {
+    const project = await projectsService.unarchiveProject(
+      req.project,
+      req.user,
+    );
+    res.status(200).json({ success: true, data: project });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const deleteProject = async (req, res, next) => {
+  try {
+    const result = await projectsService.deleteProject(req.project, req.user);
+    res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getTrash = async (req, res, next) => {
+  try {
+    const result = await projectsService.getTrash(req.user, req.query);
+    res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const restoreProject = async (req, res, next) => {
+  try {
+    const project = await projectsService.restoreProject(req.project, req.user);
+    res.status(200).json({ success: true, data: project });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const purgeProject = async (req, res, next) => {
+  try {
+    const result = await projectsService.purgeProject(req.project, req.user);
+    res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// ── Workflow ──────────────────────────────────────────────────────────────────
+const validateWorkflow = (body) => {
+  const { statuses, transitions = [], remap = {} } = body;
+  const errors = [];
+
+  if (
+    !Array.isArray(statuses) ||
+    statuses.length === 0 ||
+    statuses.length > MAX_STATUSES
+  ) {
+    errors.push(`statuses must be a list of 1 to ${MAX_STATUSES} statuses`);
+    return errors;
+  }
+
+  const keys = [];
+  statuses.forEach((status, i) => {
+    const { key, name, category } = status || {};
+    if (typeof key !== "string" || !STATUS_KEY.test(key))
+      errors.push(
+        `statuses[${i}].key must be lowercase letters, digits and dashes (max 30)`,
+      );
+    else if (keys.includes(key))
+      errors.push(`statuses[${i}].key '${key}' is used twice`);
+    else keys.push(key);
+    if (typeof name !== "string" || !name.trim() || name.trim().length > 50)
+      errors.push(`statuses[${i}].name must be text of at most 50 characters`);
+    if (!STATUS_CATEGORIES.includes(category))
+      errors.push(
+        `statuses[${i}].category must be one of: ${STATUS_CATEGORIES.join(", ")}`,
+      );
+  });
+  if (!statuses.some((status) => status && status.category === "done"))
+    errors.push("A workflow needs at least one status in the done category");
+  if (statuses[0] && statuses[0].category === "done")
+    errors.push("The first status is where new tasks start — it can't be done");
+
+  if (!Array.isArray(transitions) || transitions.length > MAX_TRANSITIONS) {
+    errors.push(`transitions must be a list of at most ${MAX_TRANSITIONS}`);
+  } else {
+    transitions.forEach((rule, i) => {
+      const { from, to, minRole } = rule || {};
+      if (from !== "*" && !keys.includes(from))
+        errors.push(`transitions[${i}].from must be a status key or "*"`);
+      if (!keys.includes(to))
+        errors.push(`transitions[${i}].to must be a status key`);
+      else if (from === to)
+        errors.push(`transitions[${i}] must move to another status`);
+      if (
+        minRole !== undefined &&
+        minRole !== null &&
+        !PROJECT_ROLES.includes(minRole)
+      )
+        errors.push(
+          `transitions[${i}].minRole must be one of: ${PROJECT_ROLES.join(", ")}`,
+        );
+    });
+  }
+
+  if (!remap || typeof remap !== "object" || Array.isArray(remap))
+    errors.push("remap must be an object of { oldStatus: newStatus }");
+  else
+    Object.entries(remap).forEach(([from, to]) => {
+      if (!keys.includes(to))
+        errors.push(`remap.${from} must be a status of the new workflow`);
+    });
+
+  return errors;
+};
+
+const getWorkflow = async (req, res, next) => {
+  try {
+    const workflow = await projectsService.getWorkflow(req.project);
+    res.status(200).json({ success: true, data: workflow });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const updateWorkflow = async (req, res, next) => {
+  try {
+    const errors = validateWorkflow(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, errors });
+    }
+
+    const { statuses, transitions = [], remap = {} } = req.body;
+    const workflow = await projectsService.updateWorkflow(
+      req.project,
+      {
+        statuses: statuses.map(({ key, name, category }) => ({
+          key,
+          name: name.trim(),
+          category,
+        })),
+        transitions: transitions.map(({ from, to, minRole = null }) => ({
+          from,
+          to,
+          minRole,
+        })),
+        remap,
+      },
+      req.user,
+    );
+    res.status(200).json({ success: true, data: workflow });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// ── Clone ─────────────────────────────────────────────────────────────────────
+const validateClone = (body) => {
+  const { title, startDate } = body;
+  const errors = [];
+
+  if (
+    title !== undefined &&
+    (typeof title !== "string" || !title.trim() || title.trim().length > 100)
+  )
+    errors.push("title must be text of at most 100 characters");
+  if (startDate !== undefined && !isDateKey(startDate))
+    errors.push("startDate must be a date (YYYY-MM-DD)");
+  for (const option of CLONE_OPTIONS) {
+    if (body[option] !== undefined && typeof body[option] !== "boolean")
+      errors.push(`${option} must be true or false`);
+  }
+  if (body.includeAttachments && body.includeTasks === false)
+    errors.push("includeAttachments needs includeTasks");
+
+  return errors;
+};
+
+const cloneProject = async (req, res, next) => {
+  try {
+    const body = req.body || {};
+    const errors = validateClone(body);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, errors });
+    }
+
+    const result = await projectsService.cloneProject(
+      req.project,
+      {
+        title: body.title && body.title.trim(),
+        startDate: body.startDate,
+        includeTasks: body.includeTasks,
+        includeMembers: body.includeMembers,
+        includeAttachments: body.includeAttachments,
+      },
+      req.user,
+    );
+    res.status(201).json({ success: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// ── Custom Fields ───────────────────────────────────────────────────────────
+const validateCustomFields = (body) => {
+  const { fields } = body;
+  const errors = [];
+
+  if (!Array.isArray(fields) || fields.length > MAX_FIELDS) {
+    errors.push(`fields must be a list of at most ${MAX_FIELDS} fields`);
+    return errors;
+  }
+
+  const keys = [];
+  fields.forEach((field, i) => {
+    const { key, name, type, options, required } = field || {};
+    if (typeof key !== "string" || !FIELD_KEY.test(key))
+      errors.push(
+        `fields[${i}].key must be lowercase letters, digits and dashes (max 30)`,
+      );
+    else if (keys.includes(key))
+      errors.push(`fields[${i}].key '${key}' is used twice`);
+    else keys.push(key);
+    if (typeof name !== "string" || !name.trim() || name.trim().length > 50)
+      errors.push(`fields[${i}].name must be text of at most 50 characters`);
+    if (!CUSTOM_FIELD_TYPES.includes(type))
+      errors.push(
+        `fields[${i}].type must be one of: ${CUSTOM_FIELD_TYPES.join(", ")}`,
+      );
+    if (required !== undefined && typeof required !== "boolean")
+      errors.push(`fields[${i}].required must be true or false`);
+
+    if (!SELECT_TYPES.includes(type)) return;
+    if (
+      !Array.isArray(options) ||
+      options.length === 0 ||
+      options.length > MAX_OPTIONS
+    ) {
+      errors.push(
+        `fields[${i}].options must be a list of 1 to ${MAX_OPTIONS} choices`,
+      );
+      return;
+    }
+    // Filters take a comma-separated list of options — no commas in them
+    if (
+      !options.every(
+        (o) =>
+          typeof o === "string" &&
+          o.trim() &&
+          o.length <= 50 &&
+          !o.includes(","),
+      )
+    )
+      errors.push(
+        `fields[${i}].options must be text of at most 50 characters, without commas`,
+      );
+    else if (new Set(options.map((o) => o.trim())).size < options.length)
+      errors.push(`fields[${i}].options must not repeat`);
+  });
+
+  return errors;
+};
+
+const getCustomFields = async (req, res, next) => {
+  try {
+    res.status(200).json({ success: true, data: req.project.customFields });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const updateCustomFields = async (req, res, next) => {
+  try {
+    const errors = validateCustomFields(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, errors });
+    }
+
+    const fields = await projectsService.updateCustomFields(
+      req.project,
+      req.body.fields.map(({ key, name, type, options, required = false }) => ({
+        key,
+        name: name.trim(),
+        type,
+        options: SELECT_TYPES.includes(type)
+          ? options.map((o) => o.trim())
+          : undefined,
+        required,
+      })),
+      req.user,
+    );
+    res.status(200).json({ success: true, data: fields });
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   createProject,
   getProjects,
   getProjectById,
   updateProject,
   addMember,
+  updateMemberRole,
   removeMember,
+  addTeam,
+  updateTeamRole,
+  removeTeam,
+  archiveProject,
+  unarchiveProject,
+  deleteProject,
+  getTrash,
+  restoreProject,
+  purgeProject,
+  getWorkflow,
+  updateWorkflow,
+  getCustomFields,
+  updateCustomFields,
+  cloneProject,
 };
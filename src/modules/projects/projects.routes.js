@@ -1,4 +1,28 @@
 // src/modules/projects/projects.routes.js
+// ─────────────────────────────────────────────────────────────────────────────
+// Routes:
+//   GET    /api/projects                    → my projects (?archived=true)
+//   POST   /api/projects                    → create (admin, manager)
+//   GET    /api/projects/:id                → project with members and teams
+//   PUT    /api/projects/:id                → update
+//   DELETE /api/projects/:id                → move to the trash (owner)
+//   POST   /api/projects/:id/archive        → read-only, hidden from the list
+//   POST   /api/projects/:id/unarchive      → back to normal
+//   POST   /api/projects/:id/clone          → copy (tasks, members, files)
+//   GET    /api/projects/:id/workflow       → task statuses and transitions
+//   PUT    /api/projects/:id/workflow       → replace them (owner)
+//   GET    /api/projects/:id/custom-fields  → custom task field definitions
+//   PUT    /api/projects/:id/custom-fields  → replace them (maintainer+)
+//   POST   /api/projects/:id/members        → add a member
+//   PATCH  /api/projects/:id/members/:userId → change a member's role
+//   DELETE /api/projects/:id/members        → remove a member
+//   POST   /api/projects/:id/teams          → add a team
+//   PATCH  /api/projects/:id/teams/:teamId  → change a team's role
+//   DELETE /api/projects/:id/teams/:teamId  → remove a team
+//   GET    /api/projects/trash              → trashed projects
+//   POST   /api/projects/trash/:id/restore  → take out of the trash (owner)
+//   DELETE /api/projects/trash/:id          → purge now (admin)
+// ─────────────────────────────────────────────────────────────────────────────
 const express = require("express");
 const {
   createProject,
@@ -6,21 +30,164 @@ const {
   getProjectById,
   updateProject,
   addMember,
+  updateMemberRole,
   removeMember,
+  addTeam,
+  updateTeamRole,
+  removeTeam,
+  archiveProject,
+  unarchiveProject,
+  deleteProject,
+  getTrash,
+  restoreProject,
+  purgeProject,
+  getWorkflow,
+  updateWorkflow,
+  getCustomFields,
+  updateCustomFields,
+  cloneProject,
 } = require("./projects.controller");
 const { protect } = require("../../middleware/auth");
-const { authorize } = require("../../middleware/role");
+const { requireScope } = require("../../middleware/scope");
+const { authorize, fromParam, fromTrash } = require("../../middleware/policy");
 
 const router = express.Router();
 
 // All project routes require authentication
 router.use(protect);
 
-router.get("/", getProjects);
-router.post("/", authorize("admin", "manager"), createProject);
-router.get("/:id", getProjectById);
-router.put("/:id", authorize("admin", "manager"), updateProject);
-router.post("/:id/members", authorize("admin", "manager"), addMember);
-router.delete("/:id/members", authorize("admin", "manager"), removeMember);
+// Creating a project is a GLOBAL permission (admin/manager) — the creator
+// becomes its owner. Everything else depends on the caller's PROJECT role
+// (rules in utils/policy.js).
+router.get("/", requireScope("projects:read"), getProjects);
+router.post(
+  "/",
+  requireScope("projects:write"),
+  authorize("project:create"),
+  createProject,
+);
+
+// ── Trash ─────────────────────────────────────────────────────────────────────
+// Before /:id — and trashed projects are only found through these routes
+// (fromTrash); everywhere else they look missing
+router.get("/trash", requireScope("projects:read"), getTrash);
+router.post(
+  "/trash/:id/restore",
+  requireScope("projects:write"),
+  authorize("project:restore", fromTrash()),
+  restoreProject,
+);
+router.delete(
+  "/trash/:id",
+  requireScope("projects:write"),
+  authorize("project:purge", fromTrash()),
+  purgeProject,
+);
+
+router.get(
+  "/:id",
+  requireScope("projects:read"),
+  authorize("project:read", fromParam()),
+  getProjectById,
+);
+router.put(
+  "/:id",
+  requireScope("projects:write"),
+  authorize("project:update", fromParam()),
+  updateProject,
+);
+router.delete(
+  "/:id",
+  requireScope("projects:write"),
+  authorize("project:delete", fromParam()),
+  deleteProject,
+);
+
+// Archived projects are read-only — see notArchived in utils/policy.js
+router.post(
+  "/:id/archive",
+  requireScope("projects:write"),
+  authorize("project:archive", fromParam()),
+  archiveProject,
+);
+router.post(
+  "/:id/unarchive",
+  requireScope("projects:write"),
+  authorize("project:archive", fromParam()),
+  unarchiveProject,
+);
+
+router.get(
+  "/:id/workflow",
+  requireScope("projects:read"),
+  authorize("project:read", fromParam()),
+  getWorkflow,
+);
+router.put(
+  "/:id/workflow",
+  requireScope("projects:write"),
+  authorize("project:manage-workflow", fromParam()),
+  updateWorkflow,
+);
+
+router.get(
+  "/:id/custom-fields",
+  requireScope("projects:read"),
+  authorize("project:read", fromParam()),
+  getCustomFields,
+);
+router.put(
+  "/:id/custom-fields",
+  requireScope("projects:write"),
+  authorize("project:manage-fields", fromParam()),
+  updateCustomFields,
+);
+
+// Archived projects can be cloned — the copy starts out active
+router.post(
+  "/:id/clone",
+  requireScope("projects:write"),
+  authorize("project:clone", fromParam()),
+  cloneProject,
+);
+
+router.post(
+  "/:id/members",
+  requireScope("projects:write"),
+  authorize("project:manage-members", fromParam()),
+  addMember,
+);
+router.patch(
+  "/:id/members/:userId",
+  requireScope("projects:write"),
+  authorize("project:manage-members", fromParam()),
+  updateMemberRole,
+);
+router.delete(
+  "/:id/members",
+  requireScope("projects:write"),
+  authorize("project:manage-members", fromParam()),
+  removeMember,
+);
+
+// Teams — same permissions as individual members
+router.post(
+  "/:id/teams",
+  requireScope("projects:write"),
+  authorize("project:manage-members", fromParam()),
+  addTeam,
+);
+router.patch(
+  "/:id/teams/:teamId",
+  requireScope("projects:write"),
+  authorize("project:manage-members", fromParam()),
+  updateTeamRole,
+);
+router.delete(
+  "/:id/teams/:teamId",
+  requireScope("projects:write"),
+  authorize("project:manage-members", fromParam()),
+  removeTeam,
+);
 
 module.exports = router;
@@ -4,31 +4,145 @@
 //   When we store a user's ObjectId in project.createdBy, MongoDB only stores
 //   the ID. .populate('createdBy') replaces that ID with the actual User document.
 //   This is like a JOIN in SQL, but done at the application level.
+//
+// ACCESS:
+//   Routes check the caller's permission first (middleware/policy.js) and
+//   pass the loaded project + role in. On top of that, members/viewers can be
+//   managed by maintainers but maintainers/owners only by owners
+//   ('project:manage-maintainers'), and a project always keeps an owner.
+//   The same rules apply to TEAMS added to a project (Project.teams) — their
+//   members get the team's role for as long as they are in the team.
+//
+// ARCHIVE & TRASH:
+//   Archiving makes a project read-only (the policy refuses every change)
+//   and hides it from the default list. Deleting moves it to the trash,
+//   where it stays restorable for TRASH_RETENTION_DAYS (default 30) before
+//   startTrashPurger() removes it for good — tasks, sprints, comments,
+//   notifications and attachment files included. Admins can purge earlier.
+//
+// WORKFLOW:
+//   Owners can replace the default statuses (utils/workflow.js). Statuses
+//   that tasks are still in must be mapped to new ones (remap), and every
+//   task's statusCategory is brought in line with the new workflow.
+//
+// CUSTOM FIELDS:
+//   Maintainers define extra task fields (utils/customFields.js). A field's
+//   type can't change once it exists; removing a field — or an option of a
+//   select field — removes those values from the project's tasks.
+//
+// CLONING:
+//   A clone is a new project owned by whoever cloned it. Tasks (with their
+//   subtask tree), members and attachment files are copied on request; task
+//   dates move along when a new start date is given.
 // ─────────────────────────────────────────────────────────────────────────────
 
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const mongoose = require("mongoose");
 const Project = require("../../models/Project");
+const User = require("../../models/User");
+const Team = require("../../models/Team");
+const Task = require("../../models/Task");
+const Comment = require("../../models/Comment");
+const Notification = require("../../models/Notification");
+const Invitation = require("../../models/Invitation");
+const Sprint = require("../../models/Sprint");
+const Milestone = require("../../models/Milestone");
+const { getIO } = require("../../config/socket");
+const logger = require("../../utils/logger");
+const { can, assertCan } = require("../../utils/policy");
+const { notifyUsers } = require("../../utils/notify");
+const { dayStart, shiftDays, daysBetween } = require("../../utils/timezone");
+const {
+  DEFAULT_WORKFLOW,
+  workflowOf,
+  initialStatus,
+} = require("../../utils/workflow");
 
-// Create a new project
-const createProject = async (data, userId) => {
-  // Add the logged-in user as creator and first member
+const { PROJECT_ROLES, TEAM_PROJECT_ROLES, hasProjectRole, memberFilter } =
+  Project;
+
+const MEMBER_FIELDS = "name email role avatar avatarUrls";
+const TEAM_FIELDS = "name lead";
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// What a plain create / update may set — membership, the organization, the
+// lifecycle (archive / delete / restore), the workflow and custom fields
+// all have their own endpoints
+const UPDATABLE_FIELDS = [
+  "title",
+  "description",
+  "status",
+  "priority",
+  "deadline",
+];
+
+// The updatable fields of a request body. Update operators ($set, ...)
+// would reach any path past the list, so a body with them is refused.
+const updatableFields = (data) => {
+  if (Object.keys(data).some((key) => key.startsWith("$"))) {
+    throw badRequest("Update operators ($set, ...) are not allowed");
+  }
+  return Object.fromEntries(
+    Object.entries(data).filter(([key]) => UPDATABLE_FIELDS.includes(key)),
+  );
+};
+
+// Throws unless `actorRole` may add/remove/change someone with `targetRole`
+const assertCanManage = (actorRole, targetRole) => {
+  if (hasProjectRole(targetRole, "maintainer")) {
+    assertCan(
+      "project:manage-maintainers",
+      { projectRole: actorRole },
+      "Only project owners can manage maintainers and owners",
+    );
+  }
+};
+
+const ownerCount = (project) =>
+  project.members.filter((m) => m.role === "owner").length;
+
+const lastOwnerError = () => {
+  const error = new Error("A project must keep at least one owner");
+  error.statusCode = 400;
+  return error;
+};
+
+// Create a new project in the creator's organization
+const createProject = async (data, user) => {
+  // The creator becomes the project's first owner
   const project = await Project.create({
-    ...data,
-    createdBy: userId,
-    members: [userId], // Creator is automatically a member
+    ...updatableFields(data),
+    organization: user.organization,
+    createdBy: user._id,
+    members: [{ user: user._id, role: "owner" }],
   });
 
   // Populate createdBy to return user info instead of just the ID
   return project.populate("createdBy", "name email role");
 };
 
-// Get all projects — filtered by role
-const getProjects = async (userId, userRole, query = {}) => {
-  const { status, page = 1, limit = 10 } = query;
-  const filter = {};
+// Get all projects — admins see all of their organization's projects,
+// everyone else only their projects. Archived projects only with
+// ?archived=true (and then only those); trashed ones never.
+const getProjects = async (user, query = {}) => {
+  const { status, archived, page = 1, limit = 10 } = query;
+  const filter = {
+    organization: user.organization,
+    archivedAt: archived === "true" ? { $ne: null } : null,
+    deletedAt: null,
+  };
 
   // Admins see all projects; others only see projects they're members of
-  if (userRole !== "admin") {
-    filter.members = userId; // MongoDB: find docs where members array contains userId
+  // (any membership, whatever the role — directly or through a team)
+  if (!can("project:list-all", { user })) {
+    Object.assign(filter, memberFilter(user));
   }
 
   if (status) filter.status = status;
@@ -38,7 +152,8 @@ const getProjects = async (userId, userRole, query = {}) => {
   const [projects, total] = await Promise.all([
     Project.find(filter)
       .populate("createdBy", "name email")
-      .populate("members", "name email role")
+      .populate("members.user", "name email role")
+      .populate("teams.team", TEAM_FIELDS)
       .skip(skip)
       .limit(Number(limit))
       .sort({ createdAt: -1 }),
@@ -55,7 +170,8 @@ const getProjects = async (userId, userRole, query = {}) => {
 const getProjectById = async (id) => {
   const project = await Project.findById(id)
     .populate("createdBy", "name email role")
-    .populate("members", "name email role avatar");
+    .populate("members.user", MEMBER_FIELDS)
+    .populate("teams.team", TEAM_FIELDS);
 
   if (!project) {
     const error = new Error("Project not found");
@@ -65,9 +181,9 @@ const getProjectById = async (id) => {
   return project;
 };
 
-// Update project
+// Update project — only UPDATABLE_FIELDS
 const updateProject = async (id, data) => {
-  const project = await Project.findByIdAndUpdate(id, data, {
+  const project = await Project.findByIdAndUpdate(id, updatableFields(data), {
     new: true,
     runValidators: true,
   }).populate("createdBy", "name email");
@@ -80,39 +196,771 @@ const updateProject = async (id, data) => {
   return project;
 };
 
-// Add a member to a project
-const addMember = async (projectId, memberId) => {
-  // $addToSet adds memberId to members array ONLY if it's not already there
-  // (prevents duplicates — unlike $push which always adds)
-  const project = await Project.findByIdAndUpdate(
-    projectId,
-    { $addToSet: { members: memberId } },
+// Add a member to a project with a project role (default: member)
+const addMember = async (project, { userId, role = "member" }, actorRole) => {
+  if (!PROJECT_ROLES.includes(role)) {
+    const error = new Error(`Invalid project role '${role}'`);
+    error.statusCode = 400;
+    throw error;
+  }
+  assertCanManage(actorRole, role);
+
+  // Only users of the project's own organization can join it
+  const user = await User.findOne({
+    _id: userId,
+    organization: project.organization,
+  }).select("isActive");
+  if (!user || !user.isActive) {
+    const error = new Error("User not found");
+    error.statusCode = 404;
+    throw error;
+  }
+
+  // The "members.user $ne" condition makes the check-and-add atomic —
+  // two parallel requests can't add the same user twice
+  const updated = await Project.findOneAndUpdate(
+    { _id: project._id, "members.user": { $ne: userId } },
+    { $push: { members: { user: userId, role } } },
     { new: true },
-  ).populate("members", "name email role");
+  ).populate("members.user", MEMBER_FIELDS);
 
-  if (!project) {
-    const error = new Error("Project not found");
+  if (!updated) {
+    const error = new Error(
+      "User is already a member of this project — change their role instead",
+    );
+    error.statusCode = 400;
+    throw error;
+  }
+  return updated;
+};
+
+// Change a member's project role
+const updateMemberRole = async (project, userId, role, actorRole) => {
+  if (!PROJECT_ROLES.includes(role)) {
+    const error = new Error(`Invalid project role '${role}'`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const currentRole = project.roleOf(userId);
+  if (!currentRole) {
+    const error = new Error("User is not a member of this project");
     error.statusCode = 404;
     throw error;
   }
-  return project;
+  assertCanManage(actorRole, currentRole);
+  assertCanManage(actorRole, role);
+
+  if (currentRole === "owner" && role !== "owner" && ownerCount(project) < 2) {
+    throw lastOwnerError();
+  }
+
+  // members.$ is the membership matched by "members.user" in the filter
+  return Project.findOneAndUpdate(
+    { _id: project._id, "members.user": userId },
+    { $set: { "members.$.role": role } },
+    { new: true },
+  ).populate("members.user", MEMBER_FIELDS);
 };
 
 // Remove a member from a project
-const removeMember = async (projectId, memberId) => {
-  // $pull removes a value from an array
-  const project = await Project.findByIdAndUpdate(
-    projectId,
-    { $pull: { members: memberId } },
+const removeMember = async (project, userId, actorRole) => {
+  const currentRole = project.roleOf(userId);
+  if (!currentRole) {
+    const error = new Error("User is not a member of this project");
+    error.statusCode = 404;
+    throw error;
+  }
+  assertCanManage(actorRole, currentRole);
+
+  if (currentRole === "owner" && ownerCount(project) < 2) {
+    throw lastOwnerError();
+  }
+
+  // $pull removes every array element matching the condition
+  return Project.findByIdAndUpdate(
+    project._id,
+    { $pull: { members: { user: userId } } },
     { new: true },
-  ).populate("members", "name email role");
+  ).populate("members.user", MEMBER_FIELDS);
+};
 
-  if (!project) {
-    const error = new Error("Project not found");
+// ── Teams ─────────────────────────────────────────────────────────────────────
+const teamRoleOf = (project, teamId) => {
+  const grant = (project.teams || []).find(
+    (g) => g.team.toString() === String(teamId),
+  );
+  return grant ? grant.role : null;
+};
+
+const assertTeamRole = (role) => {
+  if (!TEAM_PROJECT_ROLES.includes(role)) {
+    const error = new Error(
+      `Invalid team role '${role}' — one of: ${TEAM_PROJECT_ROLES.join(", ")}`,
+    );
+    error.statusCode = 400;
+    throw error;
+  }
+};
+
+const teamNotOnProject = () => {
+  const error = new Error("Team has not been added to this project");
+  error.statusCode = 404;
+  return error;
+};
+
+// Add a team — all of its members get `role` (default: member)
+const addTeam = async (
+  project,
+  { teamId, role = "member" },
+  actor,
+  actorRole,
+) => {
+  assertTeamRole(role);
+  assertCanManage(actorRole, role);
+
+  const team = await Team.findOne({
+    _id: teamId,
+    organization: project.organization,
+  });
+  if (!team) {
+    const error = new Error("Team not found");
     error.statusCode = 404;
     throw error;
   }
-  return project;
+
+  // "teams.team $ne" makes the check-and-add atomic
+  const updated = await Project.findOneAndUpdate(
+    { _id: project._id, "teams.team": { $ne: team._id } },
+    { $push: { teams: { team: team._id, role } } },
+    { new: true },
+  )
+    .populate("members.user", MEMBER_FIELDS)
+    .populate("teams.team", TEAM_FIELDS);
+
+  if (!updated) {
+    const error = new Error(
+      "Team has already been added to this project — change its role instead",
+    );
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const members = await User.find({
+    teams: team._id,
+    isActive: true,
+    _id: { $ne: actor._id },
+  }).distinct("_id");
+  await notifyUsers(members, {
+    organization: project.organization,
+    message: `Your team "${team.name}" was added to project "${project.title}" as ${role}`,
+    type: "project_added",
+    relatedProject: project._id,
+  });
+
+  return updated;
+};
+
+// Change a team's project role
+const updateTeamRole = async (project, teamId, role, actorRole) => {
+  assertTeamRole(role);
+
+  const currentRole = teamRoleOf(project, teamId);
+  if (!currentRole) throw teamNotOnProject();
+  assertCanManage(actorRole, currentRole);
+  assertCanManage(actorRole, role);
+
+  return Project.findOneAndUpdate(
+    { _id: project._id, "teams.team": teamId },
+    { $set: { "teams.$.role": role } },
+    { new: true },
+  )
+    .populate("members.user", MEMBER_FIELDS)
+    .populate("teams.team", TEAM_FIELDS);
+};
+
+// Remove a team — its members keep only their direct memberships
+const removeTeam = async (project, teamId, actorRole) => {
+  const currentRole = teamRoleOf(project, teamId);
+  if (!currentRole) throw teamNotOnProject();
+  assertCanManage(actorRole, currentRole);
+
+  return Project.findByIdAndUpdate(
+    project._id,
+    { $pull: { teams: { team: teamId } } },
+    { new: true },
+  )
+    .populate("members.user", MEMBER_FIELDS)
+    .populate("teams.team", TEAM_FIELDS);
+};
+
+// ── Archive ───────────────────────────────────────────────────────────────────
+// Conditional updates — archiving twice (or unarchiving twice) is a 400
+const archiveProject = async (project, user) => {
+  const archived = await Project.findOneAndUpdate(
+    { _id: project._id, archivedAt: null },
+    { archivedAt: new Date(), archivedBy: user._id },
+    { new: true },
+  );
+  if (!archived) throw badRequest("Project is already archived");
+
+  logger.info(`Project archived — projectId: ${project._id} | by: ${user._id}`);
+  return getProjectById(project._id);
+};
+
+const unarchiveProject = async (project, user) => {
+  const unarchived = await Project.findOneAndUpdate(
+    { _id: project._id, archivedAt: { $ne: null } },
+    { archivedAt: null, archivedBy: null },
+    { new: true },
+  );
+  if (!unarchived) throw badRequest("Project is not archived");
+
+  logger.info(
+    `Project unarchived — projectId: ${project._id} | by: ${user._id}`,
+  );
+  return getProjectById(project._id);
+};
+
+// ── Trash ─────────────────────────────────────────────────────────────────────
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Attachments are stored by multer in uploads/ (tasks.routes.js)
+const UPLOAD_DIR = path.join(__dirname, "../../../uploads");
+
+const purgeAfter = (project) =>
+  new Date(project.deletedAt.getTime() + TRASH_RETENTION_DAYS * DAY_MS);
+
+// Move a project to the trash — everything stays until it is purged
+const deleteProject = async (project, user) => {
+  const deleted = await Project.findOneAndUpdate(
+    { _id: project._id, deletedAt: null },
+    { deletedAt: new Date(), deletedBy: user._id },
+    { new: true },
+  );
+  if (!deleted) throw badRequest("Project is already in the trash");
+
+  // Clients viewing the project lose access right away
+  try {
+    getIO()
+      .to(`project:${project._id}`)
+      .emit("project:deleted", { projectId: project._id });
+  } catch (e) {
+    console.warn("Socket emit failed:", e.message);
+  }
+
+  logger.warn(
+    `Project moved to trash — ${deleted.title} | projectId: ${project._id} | by: ${user._id}`,
+  );
+  return {
+    _id: deleted._id,
+    title: deleted.title,
+    deletedAt: deleted.deletedAt,
+    purgeAfter: purgeAfter(deleted),
+  };
+};
+
+// The trash — admins see the organization's, everyone else the projects
+// they own
+const getTrash = async (user, query = {}) => {
+  const { page = 1, limit = 10 } = query;
+  const filter = { organization: user.organization, deletedAt: { $ne: null } };
+  if (!can("project:list-all", { user })) {
+    filter.members = { $elemMatch: { user: user._id, role: "owner" } };
+  }
+
+  const skip = (page - 1) * limit;
+
+  const [projects, total] = await Promise.all([
+    Project.find(filter)
+      .select("projectId title status archivedAt deletedAt deletedBy")
+      .populate("deletedBy", "name email")
+      .skip(skip)
+      .limit(Number(limit))
+      .sort({ deletedAt: -1 }),
+    Project.countDocuments(filter),
+  ]);
+
+  return {
+    projects: projects.map((project) => ({
+      ...project.toObject(),
+      purgeAfter: purgeAfter(project),
+    })),
+    pagination: { total, page: Number(page), pages: Math.ceil(total / limit) },
+  };
+};
+
+// Bring a project back from the trash (an archived one stays archived)
+const restoreProject = async (project, user) => {
+  const restored = await Project.findOneAndUpdate(
+    { _id: project._id, deletedAt: { $ne: null } },
+    { deletedAt: null, deletedBy: null },
+    { new: true },
+  );
+  if (!restored) throw badRequest("Project is not in the trash");
+
+  logger.info(`Project restored — projectId: ${project._id} | by: ${user._id}`);
+  return getProjectById(project._id);
+};
+
+const deleteAttachmentFiles = async (tasks) => {
+  const files = tasks.flatMap((task) =>
+    task.attachments.map((attachment) => attachment.filename),
+  );
+
+  await Promise.all(
+    files.filter(Boolean).map((filename) =>
+      fs.promises
+        .unlink(path.join(UPLOAD_DIR, path.basename(filename)))
+        .catch((err) => {
+          if (err.code !== "ENOENT") {
+            logger.error(`Attachment could not be deleted — ${filename}`, err);
+          }
+        }),
+    ),
+  );
+  return files.length;
+};
+
+// Delete a project for good → counts of what went with it.
+// Files go last: if a database step fails, nothing points to missing files.
+const purgeProject = async (project, actor = null) => {
+  const tasks = await Task.find({ project: project._id }).select("attachments");
+  const taskIds = tasks.map((task) => task._id);
+
+  const [comments, notifications] = await Promise.all([
+    Comment.deleteMany({ task: { $in: taskIds } }),
+    Notification.deleteMany({
+      $or: [{ relatedProject: project._id }, { relatedTask: { $in: taskIds } }],
+    }),
+    Invitation.updateMany(
+      { projects: project._id },
+      { $pull: { projects: project._id } },
+    ),
+    User.updateMany(
+      { "preferences.defaultProject": project._id },
+      { "preferences.defaultProject": null },
+    ),
+  ]);
+  await Promise.all([
+    Task.deleteMany({ project: project._id }),
+    Sprint.deleteMany({ project: project._id }),
+    Milestone.deleteMany({ project: project._id }),
+  ]);
+  await Project.deleteOne({ _id: project._id });
+  const files = await deleteAttachmentFiles(tasks);
+
+  const result = {
+    tasks: taskIds.length,
+    comments: comments.deletedCount,
+    notifications: notifications.deletedCount,
+    files,
+  };
+  logger.warn(
+    `Project purged — ${project.title} | projectId: ${project._id} | by: ${actor ? actor._id : "retention"} | ${JSON.stringify(result)}`,
+  );
+  return result;
+};
+
+// ── Trash Purge Job ───────────────────────────────────────────────────────────
+// Purges every project that has been in the trash longer than the retention
+// period → number of projects purged
+const purgeExpiredTrash = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - TRASH_RETENTION_DAYS * DAY_MS);
+  const expired = await Project.find({ deletedAt: { $lte: cutoff } }).select(
+    "title",
+  );
+
+  let purged = 0;
+  for (const project of expired) {
+    try {
+      await purgeProject(project);
+      purged++;
+    } catch (err) {
+      logger.error(`Trash purge failed — projectId: ${project._id}`, err);
+    }
+  }
+  return purged;
+};
+
+let purgeTimer = null;
+
+// Hourly — called from server.js
+const startTrashPurger = () => {
+  if (purgeTimer) return;
+
+  purgeTimer = setInterval(
+    () => {
+      purgeExpiredTrash().catch((err) =>
+        logger.error("Trash purge run failed", err),
+      );
+    },
+    60 * 60 * 1000,
+  );
+  // The timer alone must not keep the process alive (clean shutdowns)
+  purgeTimer.unref();
+
+  logger.info(`🗑️  Trash purged after ${TRASH_RETENTION_DAYS} days`);
+};
+
+// ── Task Trees (cloning, templates) ───────────────────────────────────────────
+// The project's tasks as a tree → [{ task, subtasks: [...] }], oldest first
+const taskTreeOf = async (projectId) => {
+  const tasks = await Task.find({ project: projectId })
+    .sort({ taskId: 1 })
+    .lean();
+  const nodes = new Map(
+    tasks.map((task) => [String(task._id), { task, subtasks: [] }]),
+  );
+
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent =
+      node.task.parentTask && nodes.get(String(node.task.parentTask));
+    (parent ? parent.subtasks : roots).push(node);
+  }
+  return roots;
+};
+
+// Creates `nodes` ({ ...task fields, subtasks }) as tasks of `project` →
+// number of tasks created. The _ids are made up front so subtasks can point
+// to their parent; saving in series gives parents the lower taskIds.
+const createTaskTree = async (project, nodes, creatorId) => {
+  const initial = initialStatus(workflowOf(project));
+  const docs = [];
+  const add = (list, parentTask) => {
+    for (const { subtasks = [], ...fields } of list) {
+      const _id = new mongoose.Types.ObjectId();
+      docs.push({
+        status: initial.key,
+        statusCategory: initial.category,
+        ...fields,
+        _id,
+        parentTask,
+        organization: project.organization,
+        project: project._id,
+        createdBy: creatorId,
+      });
+      add(subtasks, _id);
+    }
+  };
+  add(nodes, null);
+
+  if (docs.length > 0) await Task.create(docs, { ordered: true });
+  return docs.length;
+};
+
+// ── Workflow ──────────────────────────────────────────────────────────────────
+// The project's workflow with the number of tasks in each status
+const getWorkflow = async (project) => {
+  const workflow = workflowOf(project);
+  const counts = await Task.aggregate([
+    { $match: { project: project._id } },
+    { $group: { _id: "$status", count: { $sum: 1 } } },
+  ]);
+  const countOf = new Map(counts.map((c) => [c._id, c.count]));
+
+  return {
+    isDefault: workflow === DEFAULT_WORKFLOW,
+    statuses: workflow.statuses.map(({ key, name, category }) => ({
+      key,
+      name,
+      category,
+      taskCount: countOf.get(key) || 0,
+    })),
+    transitions: workflow.transitions.map(({ from, to, minRole }) => ({
+      from,
+      to,
+      minRole: minRole || null,
+    })),
+  };
+};
+
+// Replace the workflow. `remap` ({ oldKey: newKey }) moves the tasks of
+// statuses that no longer exist; without it such statuses can't be dropped.
+const updateWorkflow = async (project, data, user) => {
+  const { statuses, transitions = [], remap = {} } = data;
+  const categoryOf = new Map(statuses.map((s) => [s.key, s.category]));
+
+  const inUse = await Task.distinct("status", { project: project._id });
+  const dropped = inUse.filter((key) => !categoryOf.has(key));
+  const unmapped = dropped.filter((key) => !categoryOf.has(remap[key]));
+  if (unmapped.length > 0) {
+    throw badRequest(
+      `Tasks are still in ${unmapped.map((key) => `'${key}'`).join(", ")} — remap to a status of the new workflow`,
+    );
+  }
+
+  const updated = await Project.findByIdAndUpdate(
+    project._id,
+    { workflow: { statuses, transitions } },
+    { new: true, runValidators: true },
+  );
+
+  // Moved tasks first, then every task's category in step with its status
+  const ops = [
+    ...dropped.map((key) => ({
+      updateMany: {
+        filter: { project: project._id, status: key },
+        update: {
+          status: remap[key],
+          statusCategory: categoryOf.get(remap[key]),
+        },
+      },
+    })),
+    ...statuses.map(({ key, category }) => ({
+      updateMany: {
+        filter: { project: project._id, status: key },
+        update: { statusCategory: category },
+      },
+    })),
+  ];
+  await Task.bulkWrite(ops, { ordered: true });
+
+  // Boards re-render their columns
+  try {
+    getIO()
+      .to(`project:${project._id}`)
+      .emit("project:workflow-updated", { projectId: project._id });
+  } catch (e) {
+    console.warn("Socket emit failed:", e.message);
+  }
+
+  logger.info(
+    `Workflow updated — projectId: ${project._id} | statuses: ${statuses.length} | transitions: ${transitions.length} | remapped: ${dropped.length} | by: ${user._id}`,
+  );
+  return getWorkflow(updated);
+};
+
+// ── Custom Fields ───────────────────────────────────────────────────────────
+// Replace the project's custom field definitions → the new list
+const updateCustomFields = async (project, fields, user) => {
+  const before = new Map(project.customFields.map((f) => [f.key, f]));
+  for (const field of fields) {
+    const old = before.get(field.key);
+    if (old && old.type !== field.type) {
+      throw badRequest(
+        `${field.key} is a ${old.type} field — remove it and add a new one to change its type`,
+      );
+    }
+  }
+
+  const updated = await Project.findByIdAndUpdate(
+    project._id,
+    { customFields: fields },
+    { new: true, runValidators: true },
+  );
+
+  // Values of removed fields and options go away with them
+  const keys = new Set(fields.map((field) => field.key));
+  const removed = [...before.keys()].filter((key) => !keys.has(key));
+  const ops = removed.map((key) => ({
+    updateMany: {
+      filter: { project: project._id },
+      update: { $unset: { [`customFields.${key}`]: 1 } },
+    },
+  }));
+  for (const field of fields) {
+    const old = before.get(field.key);
+    const dropped = old
+      ? (old.options || []).filter((o) => !field.options.includes(o))
+      : [];
+    if (dropped.length === 0) continue;
+
+    const path = `customFields.${field.key}`;
+    ops.push({
+      updateMany: {
+        filter: { project: project._id, [path]: { $in: dropped } },
+        update:
+          field.type === "select"
+            ? { $unset: { [path]: 1 } }
+            : { $pull: { [path]: { $in: dropped } } },
+      },
+    });
+    if (field.type === "multiselect") {
+      // Nothing left → no value
+      ops.push({
+        updateMany: {
+          filter: { project: project._id, [path]: { $size: 0 } },
+          update: { $unset: { [path]: 1 } },
+        },
+      });
+    }
+  }
+  if (ops.length > 0) await Task.bulkWrite(ops, { ordered: true });
+
+  // Task forms and boards pick up the new fields
+  try {
+    getIO()
+      .to(`project:${project._id}`)
+      .emit("project:custom-fields-updated", { projectId: project._id });
+  } catch (e) {
+    console.warn("Socket emit failed:", e.message);
+  }
+
+  logger.info(
+    `Custom fields updated — projectId: ${project._id} | fields: ${fields.length} | removed: ${removed.length} | by: ${user._id}`,
+  );
+  return updated.customFields;
+};
+
+// ── Clone ─────────────────────────────────────────────────────────────────────
+// Copies of attachment files under new names (files already gone are skipped)
+const copyAttachments = async (attachments) => {
+  const copies = [];
+  for (const { filename, originalName, mimetype, size } of attachments) {
+    const copy = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}-${path.basename(originalName || filename)}`;
+    try {
+      await fs.promises.copyFile(
+        path.join(UPLOAD_DIR, path.basename(filename)),
+        path.join(UPLOAD_DIR, copy),
+      );
+      copies.push({ filename: copy, originalName, mimetype, size });
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+    }
+  }
+  return copies;
+};
+
+const copyTitle = (title) => `${title.slice(0, 93)} (copy)`;
+
+// Clone `source` → { project, tasks, attachments } (counts of copies).
+// options: { title, startDate ("YYYY-MM-DD"), includeTasks, includeMembers,
+// includeAttachments }. With a startDate, every date moves by the days
+// between the source's creation and that date (in the caller's time zone).
+const cloneProject = async (source, options, user) => {
+  const {
+    title,
+    startDate = null,
+    includeTasks = true,
+    includeMembers = false,
+    includeAttachments = false,
+  } = options;
+  const { timezone } = user.preferences;
+  const shift = startDate
+    ? daysBetween(timezone, source.createdAt, dayStart(timezone, startDate))
+    : 0;
+  const moved = (date) =>
+    date && shift ? shiftDays(timezone, date, shift) : date;
+
+  // Members (and team grants) come along only on request — and only people
+  // who can still sign in. The cloner is always the owner.
+  let members = [];
+  if (includeMembers) {
+    const others = source.members.filter((m) => !m.user.equals(user._id));
+    const active = (
+      await User.find({
+        _id: { $in: others.map((m) => m.user) },
+        isActive: true,
+      }).distinct("_id")
+    ).map(String);
+    members = others
+      .filter((m) => active.includes(String(m.user)))
+      .map(({ user: memberId, role }) => ({ user: memberId, role }));
+  }
+
+  const project = await Project.create({
+    organization: source.organization,
+    title: title || copyTitle(source.title),
+    description: source.description,
+    priority: source.priority,
+    deadline: moved(source.deadline),
+    workflow: source.workflow ? source.workflow.toObject() : null,
+    customFields: source.customFields.map((field) => field.toObject()),
+    createdBy: user._id,
+    members: [{ user: user._id, role: "owner" }, ...members],
+    teams: includeMembers
+      ? source.teams.map(({ team, role }) => ({ team, role }))
+      : [],
+  });
+
+  let tasks = 0;
+  let attachments = 0;
+  if (includeTasks) {
+    try {
+      const tree = await taskTreeOf(source._id);
+
+      // Assignees stay only if they can work in the NEW project, people in
+      // user fields only if they are in it
+      const userFields = source.customFields.filter((f) => f.type === "user");
+      const dateFields = source.customFields.filter((f) => f.type === "date");
+      const userIds = [];
+      const collect = (nodes) =>
+        nodes.forEach(({ task, subtasks }) => {
+          if (task.assignedTo) userIds.push(task.assignedTo);
+          for (const field of userFields) {
+            const value = (task.customFields || {})[field.key];
+            if (value) userIds.push(value);
+          }
+          collect(subtasks);
+        });
+      collect(tree);
+      const people = await User.find({
+        _id: { $in: userIds },
+        isActive: true,
+      }).select("teams");
+      const roleIn = (person) => project.roleOf(person._id, person.teams);
+      const assignable = people
+        .filter((person) =>
+          can("task:be-assigned", { project, projectRole: roleIn(person) }),
+        )
+        .map((person) => String(person._id));
+      const inProject = people
+        .filter((person) => roleIn(person))
+        .map((person) => String(person._id));
+
+      const copyValues = (values = {}) => {
+        const copy = { ...values };
+        for (const { key } of dateFields) {
+          if (copy[key]) copy[key] = moved(copy[key]);
+        }
+        for (const { key } of userFields) {
+          if (copy[key] && !inProject.includes(String(copy[key]))) {
+            delete copy[key];
+          }
+        }
+        return copy;
+      };
+
+      // One task (and file copy) at a time
+      const toNodes = async (list) => {
+        const nodes = [];
+        for (const { task, subtasks } of list) {
+          const files = includeAttachments
+            ? await copyAttachments(task.attachments)
+            : [];
+          attachments += files.length;
+          nodes.push({
+            title: task.title,
+            description: task.description,
+            priority: task.priority,
+            dueDate: moved(task.dueDate),
+            assignedTo: assignable.includes(String(task.assignedTo))
+              ? task.assignedTo
+              : null,
+            assignedTeam: includeMembers ? task.assignedTeam : null,
+            customFields: copyValues(task.customFields),
+            attachments: files,
+            subtasks: await toNodes(subtasks),
+          });
+        }
+        return nodes;
+      };
+
+      tasks = await createTaskTree(project, await toNodes(tree), user._id);
+    } catch (error) {
+      // No half-copied project is left behind
+      await purgeProject(project, user);
+      throw error;
+    }
+  }
+
+  logger.info(
+    `Project cloned — from: ${source._id} | to: ${project._id} | tasks: ${tasks} | attachments: ${attachments} | by: ${user._id}`,
+  );
+  return { project: await getProjectById(project._id), tasks, attachments };
 };
 
 module.exports = {
@@ -121,5 +969,23 @@ module.exports = {
   getProjectById,
   updateProject,
   addMember,
+  updateMemberRole,
   removeMember,
+  addTeam,
+  updateTeamRole,
+  removeTeam,
+  archiveProject,
+  unarchiveProject,
+  deleteProject,
+  getTrash,
+  restoreProject,
+  purgeProject,
+  purgeExpiredTrash,
+  startTrashPurger,
+  getWorkflow,
+  updateWorkflow,
+  updateCustomFields,
+  taskTreeOf,
+  createTaskTree,
+  cloneProject,
 };
@@ -0,0 +1,164 @@
+// src/modules/reminders/reminders.service.js
+// ─────────────────────────────────────────────────────────────────────────────
+// WHY THIS FILE EXISTS:
+//   Users get ONE in-app reminder per working day about their open tasks that
+//   are due today or overdue. It arrives when THEIR working day starts —
+//   preferences.workingHours.start on one of preferences.workingHours.days,
+//   in preferences.timezone — not at a fixed server time.
+//
+//   HOW IT RUNS:
+//   startReminderScheduler() (called from server.js) checks every
+//   REMINDER_INTERVAL_MINUTES (default 15). A user whose working day has
+//   started and who hasn't been reminded on their current local date gets a
+//   reminder; User.dueReminderSentOn records that date. The date is claimed
+//   with a conditional update first, so even several server instances never
+//   send the same reminder twice.
+//
+//   Users can turn reminders off (preferences.notifications.dueDateReminders);
+//   DUE_REMINDERS=disabled turns the scheduler off for the whole server.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const User = require("../../models/User");
+const Task = require("../../models/Task");
+const Project = require("../../models/Project");
+const Notification = require("../../models/Notification");
+const { getIO } = require("../../config/socket");
+const logger = require("../../utils/logger");
+const { OPEN_TASK } = require("../../utils/workflow");
+const {
+  localParts,
+  localDateKey,
+  startOfDay,
+  startOfNextDay,
+} = require("../../utils/timezone");
+
+const INTERVAL_MINUTES = Number(process.env.REMINDER_INTERVAL_MINUTES) || 15;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+// Has the user's working day started, and are they not reminded yet today?
+const isReminderDue = (user, now) => {
+  const { timezone, workingHours } = user.preferences;
+  const local = localParts(timezone, now);
+
+  if (!workingHours.days.includes(local.weekday)) return false;
+  if (local.hour * 60 + local.minute < toMinutes(workingHours.start)) {
+    return false;
+  }
+  return user.dueReminderSentOn !== localDateKey(timezone, now);
+};
+
+// ── Counts in the user's time zone ────────────────────────────────────────────
+// Open = anything not in a done status (utils/workflow.js). Overdue = due before the start of the user's day.
+// Tasks of archived or trashed projects (`hiddenProjects`) don't count.
+const countDueTasks = async (user, now, hiddenProjects) => {
+  const { timezone } = user.preferences;
+  const todayStart = startOfDay(timezone, now);
+  const tomorrowStart = startOfNextDay(timezone, now);
+  const open = {
+    assignedTo: user._id,
+    ...OPEN_TASK,
+    project: { $nin: hiddenProjects },
+  };
+
+  const [dueToday, overdue] = await Promise.all([
+    Task.countDocuments({
+      ...open,
+      dueDate: { $gte: todayStart, $lt: tomorrowStart },
+    }),
+    Task.countDocuments({ ...open, dueDate: { $lt: todayStart } }),
+  ]);
+  return { dueToday, overdue };
+};
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? "" : "s"}`;
+
+// → true when a reminder was sent
+const remindUser = async (user, now, hiddenProjects) => {
+  const today = localDateKey(user.preferences.timezone, now);
+
+  // Claim today's reminder — if another run already did, stop here
+  const { modifiedCount } = await User.updateOne(
+    { _id: user._id, dueReminderSentOn: { $ne: today } },
+    { dueReminderSentOn: today },
+  );
+  if (modifiedCount === 0) return false;
+
+  const { dueToday, overdue } = await countDueTasks(user, now, hiddenProjects);
+  if (dueToday + overdue === 0) return false;
+
+  const parts = [];
+  if (dueToday > 0) parts.push(`${plural(dueToday, "task")} due today`);
+  if (overdue > 0) parts.push(`${plural(overdue, "overdue task")}`);
+
+  const notification = await Notification.create({
+    organization: user.organization,
+    message: `Reminder: you have ${parts.join(" and ")}.`,
+    type: "task_due",
+    recipient: user._id,
+  });
+
+  try {
+    getIO().to(`user:${user._id}`).emit("notification:new", notification);
+  } catch (e) {
+    console.warn("Socket emit failed:", e.message);
+  }
+  return true;
+};
+
+// ── sendDueReminders ──────────────────────────────────────────────────────────
+// One pass over every user who wants reminders → number of reminders sent
+const sendDueReminders = async (now = new Date()) => {
+  const hiddenProjects = await Project.find({
+    $or: [{ archivedAt: { $ne: null } }, { deletedAt: { $ne: null } }],
+  }).distinct("_id");
+
+  const cursor = User.find({
+    isActive: true,
+    "preferences.notifications.dueDateReminders": { $ne: false },
+  })
+    .select("organization preferences dueReminderSentOn")
+    .cursor();
+
+  let sent = 0;
+  for await (const user of cursor) {
+    try {
+      if (
+        isReminderDue(user, now) &&
+        (await remindUser(user, now, hiddenProjects))
+      ) {
+        sent++;
+      }
+    } catch (err) {
+      logger.error(`Due date reminder failed — userId: ${user._id}`, err);
+    }
+  }
+
+  if (sent > 0) logger.info(`⏰ Due date reminders sent — ${sent} user(s)`);
+  return sent;
+};
+
+// ── Scheduler ─────────────────────────────────────────────────────────────────
+let timer = null;
+
+const startReminderScheduler = () => {
+  if (timer || process.env.DUE_REMINDERS === "disabled") return;
+
+  timer = setInterval(
+    () => {
+      sendDueReminders().catch((err) =>
+        logger.error("Due date reminder run failed", err),
+      );
+    },
+    INTERVAL_MINUTES * 60 * 1000,
+  );
+  // The timer alone must not keep the process alive (clean shutdowns)
+  timer.unref();
+
+  logger.info(`⏰ Due date reminders every ${INTERVAL_MINUTES} min`);
+};
+
+module.exports = { sendDueReminders, startReminderScheduler };
@@ -0,0 +1,87 @@
+// src/modules/search/search.controller.js
+const searchService = require("./search.service");
+
+const { SEARCH_TYPES } = searchService;
+
+// API tokens only search the types their scopes can read
+const TYPE_SCOPES = {
+  projects: "projects:read",
+  tasks: "tasks:read",
+  comments: "comments:read",
+  users: "users:read",
+};
+
+const validateSearch = (query) => {
+  const { q, types, page = 1, limit = 5 } = query;
+  const errors = [];
+
+  const text = typeof q === "string" ? q.trim() : "";
+  if (text.length < 2 || text.length > 100)
+    errors.push("q must be between 2 and 100 characters");
+
+  const requested =
+    types === undefined
+      ? SEARCH_TYPES
+      : String(types)
+          .split(",")
+          .map((type) => type.trim())
+          .filter(Boolean);
+  if (
+    requested.length === 0 ||
+    requested.some((type) => !SEARCH_TYPES.includes(type))
+  )
+    errors.push(
+      `types must be a comma-separated list of: ${SEARCH_TYPES.join(", ")}`,
+    );
+
+  if (!Number.isInteger(Number(page)) || Number(page) < 1)
+    errors.push("page must be a positive integer");
+  if (
+    !Number.isInteger(Number(limit)) ||
+    Number(limit) < 1 ||
+    Number(limit) > 20
+  )
+    errors.push("limit must be between 1 and 20");
+
+  return {
+    errors,
+    options: {
+      q: text,
+      types: [...new Set(requested)],
+      page: Number(page),
+      limit: Number(limit),
+    },
+  };
+};
+
+// @desc    Search projects, tasks, comments and users
+//          (?q= &types=tasks,comments &page &limit — limit is per type)
+// @route   GET /api/search
+// @access  Private (results limited to what the caller can see)
+const search = async (req, res, next) => {
+  try {
+    const { errors, options } = validateSearch(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, errors });
+    }
+
+    if (req.apiToken) {
+      options.types = options.types.filter((type) =>
+        req.apiToken.scopes.includes(TYPE_SCOPES[type]),
+      );
+      if (options.types.length === 0) {
+        return res.status(403).json({
+          success: false,
+          message: "API token has no read scope for the requested types",
+        });
+      }
+    }
+
+    const result = await searchService.search(req.user, options);
+    res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { search };
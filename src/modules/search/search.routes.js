@@ -0,0 +1,18 @@
+// src/modules/search/search.routes.js
+// ─────────────────────────────────────────────────────────────────────────────
+// Routes:
+//   GET /api/search?q=   → ranked, highlighted results grouped by type
+//
+// No authorize() — every user may search; the service limits the results to
+// what the caller can see. API tokens are checked per type (read scopes).
+// ─────────────────────────────────────────────────────────────────────────────
+
+const express = require("express");
+const { search } = require("./search.controller");
+const { protect } = require("../../middleware/auth");
+
+const router = express.Router();
+
+router.get("/", protect, search);
+
+module.exports = router;
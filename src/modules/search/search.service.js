@@ -0,0 +1,190 @@
+// src/modules/search/search.service.js
+// ─────────────────────────────────────────────────────────────────────────────
+// KEY CONCEPT: One search, one ranked list per type
+//   Projects, tasks, comments and users each have a TEXT INDEX (see the
+//   models). A $text query uses it and gives every hit a relevance score;
+//   results are sorted by that score within their type, never mixed —
+//   a task's score and a user's score aren't comparable.
+//
+// ACCESS:
+//   The same rules as the list endpoints: admins see the whole
+//   organization, everyone else only projects they're a member of (directly
+//   or through a team), the tasks in them and the comments on those tasks.
+//   Active users of the organization are visible to everyone (user:read).
+//   Trashed projects are left out; archived ones are still found — that's
+//   where the old tasks people look for usually are.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const Project = require("../../models/Project");
+const { memberFilter } = Project;
+const Task = require("../../models/Task");
+const Comment = require("../../models/Comment");
+const User = require("../../models/User");
+const { can } = require("../../utils/policy");
+const { searchTerms, highlightFields } = require("../../utils/highlight");
+
+const SEARCH_TYPES = ["projects", "tasks", "comments", "users"];
+
+const byScore = { score: { $meta: "textScore" } };
+
+// One ranked page of `Model` → { total, items } (plain objects with score)
+const ranked = async (Model, filter, { fields, populate, page, limit }) => {
+  let query = Model.find(filter)
+    .select(fields)
+    .select(byScore)
+    .sort(byScore)
+    .skip((page - 1) * limit)
+    .limit(limit)
+    .lean();
+  for (const [path, select] of populate) query = query.populate(path, select);
+
+  const [items, total] = await Promise.all([
+    query,
+    Model.countDocuments(filter),
+  ]);
+  return { total, items };
+};
+
+// ── Per-type searches ─────────────────────────────────────────────────────────
+// Each gets the access-limited filter and returns { total, items }
+
+const searchProjects = async (filter, options, terms) => {
+  const { total, items } = await ranked(Project, filter, {
+    ...options,
+    fields: "projectId title description status",
+    populate: [],
+  });
+  return {
+    total,
+    items: items.map(({ description, ...project }) => ({
+      ...project,
+      highlights: highlightFields(
+        { title: project.title, description },
+        ["title", "description"],
+        terms,
+      ),
+    })),
+  };
+};
+
+const searchTasks = async (filter, options, terms) => {
+  const { total, items } = await ranked(Task, filter, {
+    ...options,
+    fields:
+      "taskId title description status priority dueDate project assignedTo",
+    populate: [
+      ["project", "title"],
+      ["assignedTo", "name avatarUrls"],
+    ],
+  });
+  return {
+    total,
+    items: items.map(({ description, ...task }) => ({
+      ...task,
+      highlights: highlightFields(
+        { title: task.title, description },
+        ["title", "description"],
+        terms,
+      ),
+    })),
+  };
+};
+
+const searchComments = async (filter, options, terms) => {
+  const { total, items } = await ranked(Comment, filter, {
+    ...options,
+    fields: "commentId content task author createdAt",
+    populate: [
+      ["task", "taskId title project"],
+      ["author", "name avatarUrls"],
+    ],
+  });
+  return {
+    total,
+    // Only the snippet — a comment can be 1000 characters long
+    items: items.map(({ content, ...comment }) => ({
+      ...comment,
+      highlights: highlightFields({ content }, ["content"], terms),
+    })),
+  };
+};
+
+const searchUsers = async (filter, options, terms) => {
+  const { total, items } = await ranked(User, filter, {
+    ...options,
+    fields: "userId name email role avatarUrls",
+    populate: [],
+  });
+  return {
+    total,
+    items: items.map((user) => ({
+      ...user,
+      highlights: highlightFields(user, ["name", "email"], terms),
+    })),
+  };
+};
+
+// ── Search ────────────────────────────────────────────────────────────────────
+// → { query, page, results: { projects?, tasks?, comments?, users? } }
+// `types` picks the groups to search (default: all of them)
+const search = async (
+  user,
+  { q, types = SEARCH_TYPES, page = 1, limit = 5 },
+) => {
+  const { organization } = user;
+  const base = { organization, $text: { $search: q } };
+  const options = { page, limit };
+  const terms = searchTerms(q);
+
+  // Admins search everything but the trash, everyone else their projects
+  // → the projects (and tasks, for comments) a hit may belong to
+  let projectScope;
+  let taskScope = null;
+  if (can("project:list-all", { user })) {
+    const trashed = await Project.find({
+      organization,
+      deletedAt: { $ne: null },
+    }).distinct("_id");
+    projectScope = { $nin: trashed };
+    if (types.includes("comments")) {
+      taskScope = {
+        $nin: await Task.find({ project: { $in: trashed } }).distinct("_id"),
+      };
+    }
+  } else {
+    const visible = await Project.find({
+      organization,
+      deletedAt: null,
+      ...memberFilter(user),
+    }).distinct("_id");
+    projectScope = { $in: visible };
+    if (types.includes("comments")) {
+      taskScope = {
+        $in: await Task.find({
+          organization,
+          project: { $in: visible },
+        }).distinct("_id"),
+      };
+    }
+  }
+
+  const searches = {
+    projects: () =>
+      searchProjects({ ...base, _id: projectScope }, options, terms),
+    tasks: () =>
+      searchTasks({ ...base, project: projectScope }, options, terms),
+    comments: () =>
+      searchComments({ ...base, task: taskScope }, options, terms),
+    users: () => searchUsers({ ...base, isActive: true }, options, terms),
+  };
+
+  const groups = await Promise.all(types.map((type) => searches[type]()));
+
+  return {
+    query: q,
+    page,
+    results: Object.fromEntries(types.map((type, i) => [type, groups[i]])),
+  };
+};
+
+module.exports = { SEARCH_TYPES, search };
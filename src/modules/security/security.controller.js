@@ -0,0 +1,58 @@
+// src/modules/security/security.controller.js
+const mongoose = require("mongoose");
+const securityService = require("./security.service");
+
+// @desc    Review login attempts (filter by user, email, IP, success)
+// @route   GET /api/security/login-attempts
+// @access  Admin
+const getLoginAttempts = async (req, res, next) => {
+  try {
+    const result = await securityService.getLoginAttempts(req.user, req.query);
+    res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Unlock an account locked by too many failed logins
+// @route   POST /api/security/users/:id/unlock
+// @access  Admin
+const unlockUser = async (req, res, next) => {
+  try {
+    const result = await securityService.unlockUser(req.params.id, req.user);
+    res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    What can a user do — globally, or on a project/task/comment/team?
+//          ?project= | ?task= | ?comment= | ?team=
+// @route   GET /api/security/users/:id/permissions
+// @access  Admin
+const getEffectivePermissions = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const invalid = ["project", "task", "comment", "team"].filter(
+      (key) => req.query[key] && !mongoose.isValidObjectId(req.query[key]),
+    );
+    if (!mongoose.isValidObjectId(id)) invalid.unshift("id");
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        errors: invalid.map((key) => `${key} must be a valid ID`),
+      });
+    }
+
+    const result = await securityService.getEffectivePermissions(
+      id,
+      req.query,
+      req.user.organization,
+    );
+    res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { getLoginAttempts, unlockUser, getEffectivePermissions };
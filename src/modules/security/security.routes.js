@@ -0,0 +1,27 @@
+// src/modules/security/security.routes.js
+// ─────────────────────────────────────────────────────────────────────────────
+// Routes (admin only):
+//   GET    /api/security/login-attempts   → audit log of login attempts
+//   POST   /api/security/users/:id/unlock → lift a failed-login lockout
+//   GET    /api/security/users/:id/permissions → effective permissions
+//                                          (?project= | ?task= | ?comment=)
+// ─────────────────────────────────────────────────────────────────────────────
+
+const express = require("express");
+const {
+  getLoginAttempts,
+  unlockUser,
+  getEffectivePermissions,
+} = require("./security.controller");
+const { protectSession } = require("../../middleware/auth");
+const { authorize } = require("../../middleware/policy");
+
+const router = express.Router();
+
+router.use(protectSession, authorize("security:manage"));
+
+router.get("/login-attempts", getLoginAttempts);
+router.post("/users/:id/unlock", unlockUser);
+router.get("/users/:id/permissions", getEffectivePermissions);
+
+module.exports = router;
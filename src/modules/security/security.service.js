@@ -0,0 +1,340 @@
+// src/modules/security/security.service.js
+// ─────────────────────────────────────────────────────────────────────────────
+// PER-ACCOUNT LOGIN PROTECTION:
+//
+//   authLimiter only counts requests per IP. An attacker with a botnet can
+//   try one password per IP against the SAME mailbox and never be throttled.
+//   So we also count failures per ACCOUNT:
+//
+//   failures  │ effect
+//   ──────────┼──────────────────────────────────────────────────────────────
+//   1         │ nothing
+//   2..N-1    │ progressive delay — next try allowed after 1s, 2s, 4s, ...
+//   N         │ account locked for LOGIN_LOCK_MINUTES + security notification
+//
+//   A successful login resets the counter. Admins can unlock early.
+//   Every attempt (success or failure) is stored in LoginAttempt.
+//
+// EFFECTIVE PERMISSIONS:
+//   getEffectivePermissions() lets admins ask "what can this user do here?"
+//   — it runs utils/policy.js for a user on a project, task or comment.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const User = require("../../models/User");
+const LoginAttempt = require("../../models/LoginAttempt");
+const Notification = require("../../models/Notification");
+const Project = require("../../models/Project");
+const Task = require("../../models/Task");
+const Comment = require("../../models/Comment");
+const Team = require("../../models/Team");
+const {
+  can,
+  effectivePermissions,
+  projectRoleOf,
+} = require("../../utils/policy");
+const { getIO } = require("../../config/socket");
+const { sendMail, escapeHtml } = require("../../utils/mailer");
+const logger = require("../../utils/logger");
+
+const MAX_ATTEMPTS = Number(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const LOCK_MINUTES = Number(process.env.LOGIN_LOCK_MINUTES) || 15;
+const MAX_DELAY_SECONDS = 30;
+
+// Seconds to wait after the Nth consecutive failure: 0, 1, 2, 4, 8 ... (max 30)
+const delayFor = (failures) =>
+  failures < 2 ? 0 : Math.min(2 ** (failures - 2), MAX_DELAY_SECONDS);
+
+// ── Record Attempt ────────────────────────────────────────────────────────────
+// Never let audit logging break a login — failures are only logged.
+const recordLoginAttempt = async (
+  { email, user, success, reason, method = "password" },
+  client,
+) => {
+  try {
+    await LoginAttempt.create({
+      email,
+      user: user ? user._id : null,
+      organization: user ? user.organization : null,
+      method,
+      success,
+      reason: success ? null : reason,
+      ipAddress: client.ipAddress || null,
+      userAgent: client.userAgent || null,
+    });
+  } catch (err) {
+    logger.error(`Failed to record login attempt — email: ${email}`, err);
+  }
+};
+
+// ── Security Notification ─────────────────────────────────────────────────────
+// In-app notification + real-time event + email for security-relevant events
+const notifySecurityEvent = async (user, message) => {
+  try {
+    const notification = await Notification.create({
+      organization: user.organization,
+      message,
+      type: "security_alert",
+      recipient: user._id,
+    });
+
+    try {
+      getIO().to(`user:${user._id}`).emit("notification:new", notification);
+    } catch (e) {
+      console.warn("Socket emit failed:", e.message);
+    }
+
+    await sendMail({
+      to: user.email,
+      subject: "Security alert for your account",
+      text: `Hi ${user.name},\n\n${message}\n\nIf this wasn't you, reset your password and contact an administrator.`,
+      html: `<p>Hi ${escapeHtml(user.name)},</p><p>${escapeHtml(message)}</p><p>If this wasn't you, reset your password and contact an administrator.</p>`,
+    });
+  } catch (err) {
+    logger.error(`Security notification failed — userId: ${user._id}`, err);
+  }
+};
+
+// ── Assert Can Attempt ────────────────────────────────────────────────────────
+// Called BEFORE checking the password. Throws 423 while locked, and 429
+// during the progressive delay after repeated failures.
+const assertCanAttemptLogin = async (
+  user,
+  email,
+  client,
+  method = "password",
+) => {
+  const now = Date.now();
+
+  if (user.lockUntil && user.lockUntil.getTime() > now) {
+    await recordLoginAttempt(
+      { email, user, success: false, reason: "locked", method },
+      client,
+    );
+    const minutes = Math.ceil((user.lockUntil.getTime() - now) / 60000);
+    const error = new Error(
+      `Account is temporarily locked after too many failed logins. Try again in ${minutes} minute(s).`,
+    );
+    error.statusCode = 423; // 423 Locked
+    throw error;
+  }
+
+  const delay = delayFor(user.failedLoginAttempts);
+  if (delay > 0 && user.lastFailedLoginAt) {
+    const retryAt = user.lastFailedLoginAt.getTime() + delay * 1000;
+    if (retryAt > now) {
+      await recordLoginAttempt(
+        { email, user, success: false, reason: "throttled", method },
+        client,
+      );
+      const error = new Error(
+        `Too many failed login attempts. Try again in ${Math.ceil((retryAt - now) / 1000)} second(s).`,
+      );
+      error.statusCode = 429;
+      throw error;
+    }
+  }
+};
+
+// ── Register Failure ──────────────────────────────────────────────────────────
+// $inc is atomic — parallel wrong guesses can't "skip" the lock threshold.
+const registerFailedLogin = async (user, email, reason, client) => {
+  await recordLoginAttempt({ email, user, success: false, reason }, client);
+
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    { $inc: { failedLoginAttempts: 1 }, lastFailedLoginAt: new Date() },
+    { new: true },
+  );
+
+  if (updated.failedLoginAttempts >= MAX_ATTEMPTS) {
+    const lockUntil = new Date(Date.now() + LOCK_MINUTES * 60 * 1000);
+    await User.updateOne(
+      { _id: user._id },
+      // A pending 2FA challenge dies with the lock — log in again afterwards
+      { lockUntil, failedLoginAttempts: 0, twoFactorChallengeId: null },
+    );
+
+    logger.warn(
+      `Account locked — userId: ${user._id} | ${MAX_ATTEMPTS} failed logins | last IP: ${client.ipAddress}`,
+    );
+    await notifySecurityEvent(
+      updated,
+      `Your account was locked for ${LOCK_MINUTES} minutes after ${MAX_ATTEMPTS} failed login attempts (last attempt from IP ${client.ipAddress || "unknown"}).`,
+    );
+  }
+};
+
+// ── Register Success ──────────────────────────────────────────────────────────
+const registerSuccessfulLogin = async (
+  user,
+  email,
+  client,
+  method = "password",
+) => {
+  await recordLoginAttempt({ email, user, success: true, method }, client);
+
+  if (user.failedLoginAttempts > 0 || user.lockUntil) {
+    await User.updateOne(
+      { _id: user._id },
+      { failedLoginAttempts: 0, lastFailedLoginAt: null, lockUntil: null },
+    );
+  }
+};
+
+// ── Unlock (Admin) ────────────────────────────────────────────────────────────
+const unlockUser = async (userId, admin) => {
+  const user = await User.findOneAndUpdate(
+    { _id: userId, organization: admin.organization },
+    { failedLoginAttempts: 0, lastFailedLoginAt: null, lockUntil: null },
+    { new: true },
+  ).select("-password");
+
+  if (!user) {
+    const error = new Error("User not found");
+    error.statusCode = 404;
+    throw error;
+  }
+
+  logger.info(`Account unlocked — userId: ${userId} | by: ${admin._id}`);
+  return { message: "Account unlocked", user };
+};
+
+// ── Login Attempts (Admin) ────────────────────────────────────────────────────
+// Filters: ?userId= &email= &ipAddress= &success=true|false &page &limit
+// Organization admins only see their own organization's users; platform
+// super-admins see everything (including attempts on unknown emails).
+const getLoginAttempts = async (requester, query = {}) => {
+  const { userId, email, ipAddress, success, page = 1, limit = 20 } = query;
+  const filter = {};
+
+  if (!can("security:view-all-organizations", { user: requester })) {
+    filter.organization = requester.organization;
+  }
+
+  if (userId) filter.user = userId;
+  if (email) filter.email = String(email).toLowerCase();
+  if (ipAddress) filter.ipAddress = ipAddress;
+  if (success === "true" || success === "false") {
+    filter.success = success === "true";
+  }
+
+  const skip = (page - 1) * limit;
+
+  const [attempts, total] = await Promise.all([
+    LoginAttempt.find(filter)
+      .populate("user", "name email")
+      .skip(skip)
+      .limit(Number(limit))
+      .sort({ createdAt: -1 }),
+    LoginAttempt.countDocuments(filter),
+  ]);
+
+  return {
+    attempts,
+    pagination: { total, page: Number(page), pages: Math.ceil(total / limit) },
+  };
+};
+
+// ── Effective Permissions (Admin) ─────────────────────────────────────────────
+// Optional resource: ONE of { project, task, comment, team } (IDs).
+// Without a resource only the global actions are listed.
+const RESOURCE_TYPES = ["project", "task", "comment", "team"];
+
+const loadResource = async (type, id, organization) => {
+  const notFound = () => {
+    const error = new Error(
+      `${type[0].toUpperCase()}${type.slice(1)} not found`,
+    );
+    error.statusCode = 404;
+    return error;
+  };
+
+  if (type === "project") {
+    const project = await Project.findOne({ _id: id, organization });
+    if (!project) throw notFound();
+    return { project, resource: project };
+  }
+
+  if (type === "task") {
+    const task = await Task.findOne({ _id: id, organization }).select(
+      "title project assignedTo assignedTeam",
+    );
+    if (!task) throw notFound();
+    return { project: await Project.findById(task.project), resource: task };
+  }
+
+  if (type === "team") {
+    const team = await Team.findOne({ _id: id, organization });
+    if (!team) throw notFound();
+    return { project: null, resource: team };
+  }
+
+  const comment = await Comment.findOne({ _id: id, organization })
+    .select("task author")
+    .populate("task", "project");
+  if (!comment || !comment.task) throw notFound();
+  return {
+    project: await Project.findById(comment.task.project),
+    resource: comment,
+  };
+};
+
+// Only for users of the admin's own organization
+const getEffectivePermissions = async (userId, query, organization) => {
+  const user = await User.findOne({ _id: userId, organization }).select(
+    "name email role organization isSuperAdmin teams",
+  );
+  if (!user) {
+    const error = new Error("User not found");
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const given = RESOURCE_TYPES.filter((type) => query[type]);
+  if (given.length > 1) {
+    const error = new Error(
+      "Pass at most one of: project, task, comment, team",
+    );
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const ctx = { user };
+  const resourceType = given[0];
+  if (resourceType) {
+    const { project, resource } = await loadResource(
+      resourceType,
+      query[resourceType],
+      organization,
+    );
+    Object.assign(ctx, {
+      project,
+      projectRole: projectRoleOf(user, project),
+      resourceType,
+      resource,
+    });
+  }
+
+  return {
+    user,
+    resource: resourceType
+      ? { type: resourceType, id: ctx.resource._id }
+      : null,
+    project: ctx.project
+      ? { _id: ctx.project._id, title: ctx.project.title }
+      : null,
+    projectRole: ctx.projectRole || null,
+    permissions: effectivePermissions(ctx),
+  };
+};
+
+module.exports = {
+  recordLoginAttempt,
+  notifySecurityEvent,
+  assertCanAttemptLogin,
+  registerFailedLogin,
+  registerSuccessfulLogin,
+  unlockUser,
+  getLoginAttempts,
+  getEffectivePermissions,
+};
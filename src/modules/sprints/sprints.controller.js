@@ -0,0 +1,156 @@
+// src/modules/sprints/sprints.controller.js
+const sprintsService = require("./sprints.service");
+const { isDateKey } = require("../../utils/timezone");
+
+const validateSprint = (body, { partial = false } = {}) => {
+  const { name, goal, startDate, endDate, status } = body;
+  const errors = [];
+
+  if (name !== undefined || !partial) {
+    if (typeof name !== "string" || !name.trim())
+      errors.push("Name is required");
+    else if (name.trim().length > 100)
+      errors.push("Name cannot exceed 100 characters");
+  }
+  if (goal !== undefined && (typeof goal !== "string" || goal.length > 500))
+    errors.push("Goal must be text of at most 500 characters");
+  if ((startDate !== undefined || !partial) && !isDateKey(startDate))
+    errors.push("startDate must be a date (YYYY-MM-DD)");
+  if ((endDate !== undefined || !partial) && !isDateKey(endDate))
+    errors.push("endDate must be a date (YYYY-MM-DD)");
+  if (isDateKey(startDate) && isDateKey(endDate) && endDate < startDate)
+    errors.push("endDate cannot be before startDate");
+  if (status !== undefined)
+    errors.push("Use /start and /close to change a sprint's status");
+
+  return errors;
+};
+
+// @desc    List a project's sprints with their task counts (?status=)
+// @route   GET /api/sprints/project/:projectId
+// @access  Project viewer+
+const getSprints = async (req, res, next) => {
+  try {
+    const sprints = await sprintsService.getSprints(req.project, req.query);
+    res.status(200).json({ success: true, data: sprints });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Plan a sprint in a project
+// @route   POST /api/sprints/project/:projectId
+// @access  Project maintainer+
+const createSprint = async (req, res, next) => {
+  try {
+    const errors = validateSprint(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, errors });
+    }
+
+    const sprint = await sprintsService.createSprint(
+      req.project,
+      { ...req.body, name: req.body.name.trim() },
+      req.user,
+    );
+    res.status(201).json({ success: true, data: sprint });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// req.resource is the sprint loaded by authorize() (middleware/policy.js)
+
+// @desc    Get a sprint with its committed vs completed report
+// @route   GET /api/sprints/:id
+// @access  Project viewer+
+const getSprintById = async (req, res, next) => {
+  try {
+    const sprint = await sprintsService.getSprintById(req.resource);
+    res.status(200).json({ success: true, data: sprint });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update a sprint (name, goal, dates) — not once it is closed
+// @route   PATCH /api/sprints/:id
+// @access  Project maintainer+
+const updateSprint = async (req, res, next) => {
+  try {
+    const errors = validateSprint(req.body, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, errors });
+    }
+
+    const { name, goal, startDate, endDate } = req.body;
+    const sprint = await sprintsService.updateSprint(req.resource, {
+      name: name !== undefined ? name.trim() : undefined,
+      goal,
+      startDate,
+      endDate,
+    });
+    res.status(200).json({ success: true, data: sprint });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete a sprint that isn't active (its tasks go to the backlog)
+// @route   DELETE /api/sprints/:id
+// @access  Project maintainer+
+const deleteSprint = async (req, res, next) => {
+  try {
+    await sprintsService.deleteSprint(req.resource, req.user);
+    res.status(200).json({ success: true, message: "Sprint deleted" });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Start a sprint — its current tasks become the commitment
+// @route   POST /api/sprints/:id/start
+// @access  Project maintainer+
+const startSprint = async (req, res, next) => {
+  try {
+    const sprint = await sprintsService.startSprint(req.resource, req.user);
+    res.status(200).json({ success: true, data: sprint });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Close a sprint and roll unfinished tasks over
+//          ({ rollover: "next" | "backlog" | sprint ID }, default "next")
+// @route   POST /api/sprints/:id/close
+// @access  Project maintainer+
+const closeSprint = async (req, res, next) => {
+  try {
+    const { rollover } = req.body || {};
+    if (rollover !== undefined && typeof rollover !== "string") {
+      return res.status(400).json({
+        success: false,
+        errors: ['rollover must be "next", "backlog" or a sprint ID'],
+      });
+    }
+
+    const sprint = await sprintsService.closeSprint(
+      req.resource,
+      { rollover },
+      req.user,
+    );
+    res.status(200).json({ success: true, data: sprint });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getSprints,
+  createSprint,
+  getSprintById,
+  updateSprint,
+  deleteSprint,
+  startSprint,
+  closeSprint,
+};
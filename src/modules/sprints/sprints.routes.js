@@ -0,0 +1,77 @@
+// src/modules/sprints/sprints.routes.js
+// ─────────────────────────────────────────────────────────────────────────────
+// Routes:
+//   GET    /api/sprints/project/:projectId   → a project's sprints
+//   POST   /api/sprints/project/:projectId   → plan one (maintainer+)
+//   GET    /api/sprints/:id                  → sprint with its report
+//   PATCH  /api/sprints/:id                  → name / goal / dates
+//   DELETE /api/sprints/:id                  → delete (tasks → backlog)
+//   POST   /api/sprints/:id/start            → open → active
+//   POST   /api/sprints/:id/close            → active → closed + rollover
+//
+// Tasks are put into a sprint through POST / PUT /api/tasks (sprint);
+// GET /api/tasks?sprint=none lists a project's backlog.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const express = require("express");
+const {
+  getSprints,
+  createSprint,
+  getSprintById,
+  updateSprint,
+  deleteSprint,
+  startSprint,
+  closeSprint,
+} = require("./sprints.controller");
+const { protect } = require("../../middleware/auth");
+const { requireScope } = require("../../middleware/scope");
+const { authorize, fromParam, fromSprint } = require("../../middleware/policy");
+
+const router = express.Router();
+
+router.use(protect);
+
+router.get(
+  "/project/:projectId",
+  requireScope("projects:read"),
+  authorize("sprint:read", fromParam("projectId")),
+  getSprints,
+);
+router.post(
+  "/project/:projectId",
+  requireScope("projects:write"),
+  authorize("sprint:manage", fromParam("projectId")),
+  createSprint,
+);
+router.get(
+  "/:id",
+  requireScope("projects:read"),
+  authorize("sprint:read", fromSprint()),
+  getSprintById,
+);
+router.patch(
+  "/:id",
+  requireScope("projects:write"),
+  authorize("sprint:manage", fromSprint()),
+  updateSprint,
+);
+router.delete(
+  "/:id",
+  requireScope("projects:write"),
+  authorize("sprint:manage", fromSprint()),
+  deleteSprint,
+);
+router.post(
+  "/:id/start",
+  requireScope("projects:write"),
+  authorize("sprint:manage", fromSprint()),
+  startSprint,
+);
+router.post(
+  "/:id/close",
+  requireScope("projects:write"),
+  authorize("sprint:manage", fromSprint()),
+  closeSprint,
+);
+
+module.exports = router;
@@ -0,0 +1,285 @@
+// src/modules/sprints/sprints.service.js
+// ─────────────────────────────────────────────────────────────────────────────
+// KEY CONCEPT: Commit at the start, report at the end
+//   Starting a sprint records which tasks were in it (Sprint.committedTasks).
+//   Until it is closed its report is worked out live from the tasks; closing
+//   it stores the final report and ROLLS OVER every unfinished task — to the
+//   next open sprint of the project, a chosen sprint, or the backlog.
+//
+//     committed  tasks in the sprint when it started
+//     added      tasks put in after that
+//     removed    committed tasks taken out again before the end
+//     completed  tasks done (completedCommitted: of the committed ones)
+//     unfinished tasks not done — what rolls over
+//
+// ACCESS:
+//   Routes check the caller's permission first (middleware/policy.js) and
+//   pass the loaded project or sprint in.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const mongoose = require("mongoose");
+const Sprint = require("../../models/Sprint");
+const Task = require("../../models/Task");
+const { getIO } = require("../../config/socket");
+const logger = require("../../utils/logger");
+const { OPEN_TASK } = require("../../utils/workflow");
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Tell everyone viewing the project (start / close change the board)
+const emitToProject = (sprint, event, payload) => {
+  try {
+    getIO()
+      .to(`project:${sprint.project}`)
+      .emit(event, { sprintId: sprint._id, ...payload });
+  } catch (e) {
+    console.warn("Socket emit failed:", e.message);
+  }
+};
+
+// ── Report ────────────────────────────────────────────────────────────────────
+// The stored report of a closed sprint, or the live one of any other
+// (an open sprint counts everything in it as committed)
+const reportOf = async (sprint) => {
+  if (sprint.status === "closed") return sprint.report.toObject();
+
+  const tasks = await Task.find({ sprint: sprint._id })
+    .select("statusCategory")
+    .lean();
+  const inSprint = new Set(tasks.map((task) => String(task._id)));
+  const committed = new Set(
+    sprint.status === "active"
+      ? sprint.committedTasks.map(String)
+      : [...inSprint],
+  );
+  const done = tasks.filter((task) => task.statusCategory === "done");
+
+  return {
+    committed: committed.size,
+    added: [...inSprint].filter((id) => !committed.has(id)).length,
+    removed: [...committed].filter((id) => !inSprint.has(id)).length,
+    completed: done.length,
+    completedCommitted: done.filter((task) => committed.has(String(task._id)))
+      .length,
+    unfinished: tasks.length - done.length,
+  };
+};
+
+// Sprint ids → Map(id → { total, done }) in one query
+const countsOf = async (sprintIds) => {
+  const counts = await Task.aggregate([
+    { $match: { sprint: { $in: sprintIds } } },
+    {
+      $group: {
+        _id: "$sprint",
+        total: { $sum: 1 },
+        done: {
+          $sum: { $cond: [{ $eq: ["$statusCategory", "done"] }, 1, 0] },
+        },
+      },
+    },
+  ]);
+  return new Map(
+    counts.map((c) => [String(c._id), { total: c.total, done: c.done }]),
+  );
+};
+
+// ── CRUD ──────────────────────────────────────────────────────────────────────
+
+// Get a project's sprints in date order (?status=) with their task counts
+const getSprints = async (project, query = {}) => {
+  const filter = { project: project._id };
+  if (query.status) filter.status = query.status;
+
+  const sprints = await Sprint.find(filter)
+    .select("-committedTasks")
+    .sort({ startDate: 1, sprintId: 1 });
+  const counts = await countsOf(sprints.map((sprint) => sprint._id));
+  return sprints.map((sprint) => ({
+    ...sprint.toObject(),
+    tasks: counts.get(String(sprint._id)) || { total: 0, done: 0 },
+  }));
+};
+
+// Sprint with its (live or final) report
+const getSprintById = async (sprint) => {
+  const { committedTasks, ...fields } = sprint.toObject();
+  return { ...fields, report: await reportOf(sprint) };
+};
+
+const createSprint = async (project, data, user) => {
+  const { name, goal, startDate, endDate } = data;
+  const sprint = await Sprint.create({
+    organization: project.organization,
+    project: project._id,
+    name,
+    goal,
+    startDate,
+    endDate,
+    createdBy: user._id,
+  });
+
+  logger.info(
+    `Sprint created — ${sprint.name} | sprintId: ${sprint._id} | project: ${project._id} | by: ${user._id}`,
+  );
+  return getSprintById(sprint);
+};
+
+// Change name / goal / dates — a closed sprint is history and stays as is
+const updateSprint = async (sprint, data) => {
+  if (sprint.status === "closed") {
+    throw badRequest("A closed sprint can't be changed");
+  }
+  const { name, goal, startDate, endDate } = data;
+
+  if (name !== undefined) sprint.name = name;
+  if (goal !== undefined) sprint.goal = goal;
+  if (startDate !== undefined) sprint.startDate = startDate;
+  if (endDate !== undefined) sprint.endDate = endDate;
+  if (sprint.endDate < sprint.startDate) {
+    throw badRequest("endDate cannot be before startDate");
+  }
+
+  await sprint.save();
+  return getSprintById(sprint);
+};
+
+// Delete a sprint that isn't running — its tasks go back to the backlog
+const deleteSprint = async (sprint, user) => {
+  if (sprint.status === "active") {
+    throw badRequest("Close the sprint before deleting it");
+  }
+  const { modifiedCount } = await Task.updateMany(
+    { sprint: sprint._id },
+    { sprint: null },
+  );
+  await Sprint.updateMany({ rolledOverTo: sprint._id }, { rolledOverTo: null });
+  await sprint.deleteOne();
+
+  logger.info(
+    `Sprint deleted — sprintId: ${sprint._id} | tasks: ${modifiedCount} | by: ${user._id}`,
+  );
+};
+
+// ── Start / Close ─────────────────────────────────────────────────────────────
+
+// open → active: the tasks in it now are what the sprint commits to.
+// A project has at most one active sprint.
+const startSprint = async (sprint, user) => {
+  if (sprint.status !== "open") {
+    throw badRequest(`Sprint is already ${sprint.status}`);
+  }
+  const running = await Sprint.findOne({
+    project: sprint.project,
+    status: "active",
+  }).select("name");
+  if (running) {
+    throw badRequest(
+      `Sprint '${running.name}' is still active — close it first`,
+    );
+  }
+
+  const committedTasks = await Task.find({ sprint: sprint._id }).distinct(
+    "_id",
+  );
+  let started;
+  try {
+    // Only if it is still open — a second start finds nothing
+    started = await Sprint.findOneAndUpdate(
+      { _id: sprint._id, status: "open" },
+      { status: "active", startedAt: new Date(), committedTasks },
+      { new: true },
+    );
+  } catch (error) {
+    // Another sprint of the project was started at the same moment
+    if (error.code === 11000) {
+      throw badRequest("Another sprint of this project is already active");
+    }
+    throw error;
+  }
+  if (!started) throw badRequest("Sprint is no longer open");
+
+  emitToProject(started, "sprint:started", {
+    committed: committedTasks.length,
+    startedBy: user.name,
+  });
+  logger.info(
+    `Sprint started — ${started.name} | sprintId: ${started._id} | committed: ${committedTasks.length} | by: ${user._id}`,
+  );
+  return getSprintById(started);
+};
+
+// Where unfinished tasks go: "next" (the earliest open sprint, or the
+// backlog if there is none), "backlog", or the ID of an open sprint
+const rolloverTarget = async (sprint, rollover = "next") => {
+  if (rollover === "backlog") return null;
+  if (rollover === "next") {
+    return Sprint.findOne({
+      project: sprint.project,
+      status: "open",
+      _id: { $ne: sprint._id },
+    }).sort({ startDate: 1, sprintId: 1 });
+  }
+
+  const target = mongoose.isValidObjectId(rollover)
+    ? await Sprint.findOne({
+        _id: rollover,
+        project: sprint.project,
+        status: "open",
+      })
+    : null;
+  if (!target) {
+    throw badRequest("rollover must be an open sprint of the same project");
+  }
+  return target;
+};
+
+// active → closed: stores the final report and rolls unfinished tasks over
+const closeSprint = async (sprint, { rollover } = {}, user) => {
+  if (sprint.status !== "active") {
+    throw badRequest("Only an active sprint can be closed");
+  }
+  const target = await rolloverTarget(sprint, rollover);
+  const report = await reportOf(sprint);
+
+  const closed = await Sprint.findOneAndUpdate(
+    { _id: sprint._id, status: "active" },
+    {
+      status: "closed",
+      closedAt: new Date(),
+      report,
+      rolledOverTo: target ? target._id : null,
+    },
+    { new: true },
+  );
+  if (!closed) throw badRequest("Sprint is no longer active");
+
+  const { modifiedCount } = await Task.updateMany(
+    { sprint: sprint._id, ...OPEN_TASK },
+    { sprint: target ? target._id : null },
+  );
+
+  emitToProject(closed, "sprint:closed", {
+    report,
+    rolledOverTo: closed.rolledOverTo,
+    closedBy: user.name,
+  });
+  logger.info(
+    `Sprint closed — ${closed.name} | sprintId: ${closed._id} | rolled over: ${modifiedCount} → ${target ? target._id : "backlog"} | by: ${user._id}`,
+  );
+  return getSprintById(closed);
+};
+
+module.exports = {
+  getSprints,
+  getSprintById,
+  createSprint,
+  updateSprint,
+  deleteSprint,
+  startSprint,
+  closeSprint,
+};
@@ -0,0 +1,55 @@
+// src/modules/sso/sso.controller.js
+const ssoService = require("./sso.service");
+const { clientInfo } = require("../../utils/request");
+
+// @desc    Whether SSO is enabled (and what to call the login button)
+// @route   GET /api/auth/sso
+// @access  Public
+const getConfig = (req, res) => {
+  res.status(200).json({ success: true, data: ssoService.getConfig() });
+};
+
+// @desc    Start an SSO login — returns the identity provider URL
+// @route   GET /api/auth/sso/authorize
+// @access  Public
+const authorize = async (req, res, next) => {
+  try {
+    const result = await ssoService.authorize();
+    res.status(200).json({
+      success: true,
+      message: result.twoFactorRequired
+        ? "Two-factor code required"
+        : "Login successful",
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Finish an SSO login with the code + state from the IdP redirect
+// @route   POST /api/auth/sso/callback
+// @access  Public
+const callback = async (req, res, next) => {
+  try {
+    const { code, state } = req.body;
+
+    const errors = [];
+    if (!code) errors.push("Code is required");
+    if (!state) errors.push("State is required");
+
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, errors });
+    }
+
+    const result = await ssoService.callback(
+      { code: String(code), state: String(state) },
+      clientInfo(req),
+    );
+    res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { getConfig, authorize, callback };
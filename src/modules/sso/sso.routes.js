@@ -0,0 +1,22 @@
+// src/modules/sso/sso.routes.js
+// ─────────────────────────────────────────────────────────────────────────────
+// Routes (mounted at /api/auth/sso):
+//   GET    /api/auth/sso           → is SSO enabled? (login page button)
+//   GET    /api/auth/sso/authorize → start login, returns the IdP URL
+//   POST   /api/auth/sso/callback  → exchange code + state for tokens
+//
+// All public — the identity provider does the authentication.
+// authLimiter protects the two login routes like /api/auth/login.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const express = require("express");
+const { getConfig, authorize, callback } = require("./sso.controller");
+const { authLimiter } = require("../../middleware/rateLimiter");
+
+const router = express.Router();
+
+router.get("/", getConfig);
+router.get("/authorize", authLimiter, authorize);
+router.post("/callback", authLimiter, callback);
+
+module.exports = router;
@@ -0,0 +1,299 @@
+// src/modules/sso/sso.service.js
+// ─────────────────────────────────────────────────────────────────────────────
+// HOW SSO LOGIN WORKS (OIDC authorization code flow + PKCE):
+//
+//   1. GET /sso/authorize → we create state, nonce and a PKCE code verifier,
+//      remember them (OidcState) and return the IdP's authorization URL
+//   2. The browser goes to the IdP, the user signs in there
+//   3. The IdP redirects back to OIDC_REDIRECT_URI with ?code=&state=
+//   4. POST /sso/callback { code, state } → we redeem the code (sending the
+//      code verifier), validate the ID token (signature, issuer, audience,
+//      nonce, expiry) and read the user's claims
+//   5. We find the matching user and start a normal session (same tokens as
+//      a password login). Lockout, deactivation and 2FA apply as for a
+//      password login — with 2FA on, the response is the same challenge,
+//      finished at POST /api/auth/login/2fa
+//
+//   FINDING THE USER:
+//     a. already linked      → same issuer + "sub" claim
+//     b. same email address  → link the identity to that account
+//                              (only if the IdP says the email is verified)
+//     c. no account yet      → create one if OIDC_AUTO_PROVISION=true, with
+//                              a role mapped from a claim (OIDC_ROLE_CLAIM),
+//                              in the organization that owns the email's
+//                              domain (see models/Organization.js)
+//
+//   SSO users still have a password column, but provisioned users get a
+//   random one nobody knows — they can only sign in through the IdP.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const { generators } = require("openid-client");
+const User = require("../../models/User");
+const Organization = require("../../models/Organization");
+const OidcState = require("../../models/OidcState");
+const authService = require("../auth/auth.service");
+const securityService = require("../security/security.service");
+const {
+  isOidcEnabled,
+  redirectUri,
+  getOidcClient,
+} = require("../../config/oidc");
+const { randomToken, hashToken } = require("../../utils/tokens");
+const logger = require("../../utils/logger");
+
+const OIDC_SCOPES = process.env.OIDC_SCOPES || "openid email profile";
+const STATE_MAX_AGE_MS = 10 * 60 * 1000;
+
+// Higher rank wins when a user's claim maps to several roles
+const ROLE_RANK = { employee: 1, manager: 2, admin: 3 };
+
+// OIDC_ROLE_MAP='{"wm-admins":"admin","wm-managers":"manager"}'
+const parseRoleMap = () => {
+  try {
+    return JSON.parse(process.env.OIDC_ROLE_MAP || "{}");
+  } catch (err) {
+    logger.error("OIDC_ROLE_MAP is not valid JSON — ignoring it", err);
+    return {};
+  }
+};
+
+// ── Map Role ──────────────────────────────────────────────────────────────────
+// Reads OIDC_ROLE_CLAIM (a string or an array, e.g. "groups") and returns the
+// highest role any of its values maps to, else OIDC_DEFAULT_ROLE (employee).
+const mapRole = (claims) => {
+  const defaultRole = ROLE_RANK[process.env.OIDC_DEFAULT_ROLE]
+    ? process.env.OIDC_DEFAULT_ROLE
+    : "employee";
+
+  const claimName = process.env.OIDC_ROLE_CLAIM;
+  if (!claimName) return defaultRole;
+
+  const raw = claims[claimName];
+  const values = Array.isArray(raw) ? raw : raw ? [raw] : [];
+  const roleMap = parseRoleMap();
+
+  const roles = values
+    .map((value) => roleMap[value])
+    .filter((role) => ROLE_RANK[role]);
+
+  if (roles.length === 0) return defaultRole;
+  return roles.sort((a, b) => ROLE_RANK[b] - ROLE_RANK[a])[0];
+};
+
+// Display name from the standard profile claims
+const nameFromClaims = (claims, email) => {
+  const name =
+    claims.name ||
+    [claims.given_name, claims.family_name].filter(Boolean).join(" ") ||
+    email.split("@")[0];
+  return name.slice(0, 50);
+};
+
+// ── Resolve User ──────────────────────────────────────────────────────────────
+// Finds (a), links (b) or provisions (c) the user for an IdP identity.
+const resolveUser = async (claims, issuer, client) => {
+  // a. Already linked
+  let user = await User.findOne({
+    oidcIssuer: issuer,
+    oidcSubject: claims.sub,
+  });
+  if (user) return user;
+
+  const email = claims.email ? String(claims.email).toLowerCase() : null;
+  if (!email) {
+    const error = new Error(
+      "The identity provider did not return an email address",
+    );
+    error.statusCode = 400;
+    throw error;
+  }
+
+  // Linking by an UNVERIFIED email would let anyone who can create an IdP
+  // account with that address take over the matching user
+  if (
+    process.env.OIDC_REQUIRE_EMAIL_VERIFIED !== "false" &&
+    claims.email_verified !== true
+  ) {
+    const error = new Error(
+      "The identity provider has not verified this email address",
+    );
+    error.statusCode = 403;
+    throw error;
+  }
+
+  // b. Existing account with the same email → link it
+  user = await User.findOne({ email });
+  if (user) {
+    if (user.oidcSubject) {
+      const error = new Error(
+        "This account is already linked to another single sign-on identity",
+      );
+      error.statusCode = 409;
+      throw error;
+    }
+
+    user.oidcIssuer = issuer;
+    user.oidcSubject = claims.sub;
+    // The IdP vouches for the address
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    logger.info(
+      `SSO identity linked — userId: ${user._id} | sub: ${claims.sub}`,
+    );
+    return user;
+  }
+
+  // c. No account yet
+  const organization =
+    process.env.OIDC_AUTO_PROVISION === "true"
+      ? await Organization.findByEmail(email)
+      : null;
+  if (!organization) {
+    await securityService.recordLoginAttempt(
+      {
+        email,
+        user: null,
+        success: false,
+        reason: "unknown_email",
+        method: "sso",
+      },
+      client,
+    );
+    const error = new Error(
+      "No account exists for this email. Ask an admin or manager for an invitation.",
+    );
+    error.statusCode = 403;
+    throw error;
+  }
+
+  user = await User.create({
+    name: nameFromClaims(claims, email),
+    email,
+    password: randomToken(), // unusable — SSO users don't get a password
+    role: mapRole(claims),
+    organization: organization._id,
+    emailVerified: true,
+    emailVerifiedAt: new Date(),
+    oidcIssuer: issuer,
+    oidcSubject: claims.sub,
+  });
+
+  logger.info(
+    `SSO user provisioned — userId: ${user._id} | role: ${user.role} | organization: ${organization._id} | sub: ${claims.sub}`,
+  );
+  return user;
+};
+
+// ── Config ────────────────────────────────────────────────────────────────────
+// Lets the login page decide whether to show the "Sign in with SSO" button
+const getConfig = () => ({
+  enabled: isOidcEnabled(),
+  providerName: process.env.OIDC_PROVIDER_NAME || "Single sign-on",
+});
+
+// ── Authorize ─────────────────────────────────────────────────────────────────
+// Returns the IdP URL to send the browser to. The state is returned as well
+// so the frontend can keep it (e.g. sessionStorage) and check that the
+// callback belongs to a login started in THIS browser.
+const authorize = async () => {
+  const oidc = await getOidcClient();
+
+  const state = generators.state();
+  const nonce = generators.nonce();
+  const codeVerifier = generators.codeVerifier();
+
+  await OidcState.create({ stateHash: hashToken(state), nonce, codeVerifier });
+
+  const authorizationUrl = oidc.authorizationUrl({
+    scope: OIDC_SCOPES,
+    state,
+    nonce,
+    code_challenge: generators.codeChallenge(codeVerifier),
+    code_challenge_method: "S256",
+  });
+
+  return { authorizationUrl, state };
+};
+
+// ── Callback ──────────────────────────────────────────────────────────────────
+const callback = async ({ code, state }, client = {}) => {
+  const oidc = await getOidcClient();
+
+  // Single-use: the state is deleted as soon as it's looked up
+  const saved = await OidcState.findOneAndDelete({
+    stateHash: hashToken(state),
+  });
+  if (!saved || Date.now() - saved.createdAt.getTime() > STATE_MAX_AGE_MS) {
+    const error = new Error(
+      "Single sign-on request is invalid or has expired. Please start again.",
+    );
+    error.statusCode = 400;
+    throw error;
+  }
+
+  let tokenSet;
+  let claims;
+  try {
+    // Redeems the code and validates the ID token (signature via the IdP's
+    // JWKS, iss, aud, exp, nonce) — throws on any mismatch
+    tokenSet = await oidc.callback(
+      redirectUri(),
+      { code, state },
+      { state, nonce: saved.nonce, code_verifier: saved.codeVerifier },
+    );
+    claims = tokenSet.claims();
+
+    // Some IdPs keep the email out of the ID token — ask userinfo for it.
+    // Passing the tokenSet makes openid-client check that "sub" matches.
+    if (!claims.email && tokenSet.access_token) {
+      claims = { ...(await oidc.userinfo(tokenSet)), ...claims };
+    }
+  } catch (err) {
+    logger.warn(
+      `SSO callback failed — ${err.message} | IP: ${client.ipAddress}`,
+    );
+    const error = new Error("Single sign-on failed. Please try again.");
+    error.statusCode = 401;
+    throw error;
+  }
+
+  const user = await resolveUser(claims, oidc.issuer.metadata.issuer, client);
+
+  // A locked account stays locked — the IdP knows nothing about our lockout
+  await securityService.assertCanAttemptLogin(user, user.email, client, "sso");
+
+  if (!user.isActive) {
+    await securityService.recordLoginAttempt(
+      {
+        email: user.email,
+        user,
+        success: false,
+        reason: "deactivated",
+        method: "sso",
+      },
+      client,
+    );
+    const error = new Error("Account has been deactivated");
+    error.statusCode = 401;
+    throw error;
+  }
+
+  // The IdP's own MFA is outside our control, so 2FA works as for a password
+  // login: enrolled users get the challenge, and a role that requires 2FA
+  // without it enrolled is limited to setting it up (middleware/auth.js)
+  if (user.twoFactorEnabled) return authService.twoFactorChallenge(user, "sso");
+
+  await securityService.registerSuccessfulLogin(
+    user,
+    user.email,
+    client,
+    "sso",
+  );
+  return authService.startSession(user, client);
+};
+
+module.exports = { getConfig, authorize, callback };
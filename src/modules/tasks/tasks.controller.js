@@ -3,7 +3,7 @@ const tasksService = require("./tasks.service");
 
 const createTask = async (req, res, next) => {
   try {
-    const task = await tasksService.createTask(req.body, req.user._id);
+    const task = await tasksService.createTask(req.body, req.user, req.project);
     res.status(201).json({ success: true, data: task });
   } catch (error) {
     next(error);
@@ -12,11 +12,7 @@ const createTask = async (req, res, next) => {
 
 const getTasks = async (req, res, next) => {
   try {
-    const result = await tasksService.getTasks(
-      req.user._id,
-      req.user.role,
-      req.query,
-    );
+    const result = await tasksService.getTasks(req.user, req.query);
     res.status(200).json({ success: true, data: result });
   } catch (error) {
     next(error);
@@ -34,10 +30,18 @@ const getTaskById = async (req, res, next) => {
 
 const updateTaskStatus = async (req, res, next) => {
   try {
+    if (typeof req.body.status !== "string" || !req.body.status) {
+      return res
+        .status(400)
+        .json({ success: false, errors: ["status is required"] });
+    }
+
     const task = await tasksService.updateTaskStatus(
       req.params.id,
       req.body.status,
       req.user,
+      req.project,
+      req.projectRole,
     );
     res.status(200).json({ success: true, data: task });
   } catch (error) {
@@ -51,6 +55,7 @@ const assignTask = async (req, res, next) => {
       req.params.id,
       req.body.userId,
       req.user,
+      req.project,
     );
     res.status(200).json({ success: true, data: task });
   } catch (error) {
@@ -60,13 +65,66 @@ const assignTask = async (req, res, next) => {
 
 const updateTask = async (req, res, next) => {
   try {
-    const task = await tasksService.updateTask(req.params.id, req.body);
+    const task = await tasksService.updateTask(
+      req.params.id,
+      req.body,
+      req.user,
+      req.project,
+      req.projectRole,
+    );
     res.status(200).json({ success: true, data: task });
   } catch (error) {
     next(error);
   }
 };
 
+const assignTeam = async (req, res, next) => {
+  try {
+    if (!req.body.teamId) {
+      return res
+        .status(400)
+        .json({ success: false, errors: ["teamId is required"] });
+    }
+
+    const task = await tasksService.assignTeam(
+      req.params.id,
+      req.body.teamId,
+      req.user,
+      req.project,
+    );
+    res.status(200).json({ success: true, data: task });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const claimTask = async (req, res, next) => {
+  try {
+    const task = await tasksService.claimTask(req.params.id, req.user);
+    res.status(200).json({ success: true, data: task });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Streams the file as a download under its original name
+const downloadAttachment = async (req, res, next) => {
+  try {
+    const { filePath, originalName, mimetype } =
+      await tasksService.getAttachment(req.params.id, req.params.filename);
+    if (mimetype) res.type(mimetype);
+    res.download(filePath, originalName, (error) => {
+      if (!error || res.headersSent) return;
+      // Recorded on the task, but the file itself is gone
+      const missing = new Error("Attachment not found");
+      missing.statusCode = 404;
+      next(missing);
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   createTask,
   getTasks,
@@ -74,4 +132,7 @@ module.exports = {
   updateTaskStatus,
   assignTask,
   updateTask,
+  assignTeam,
+  claimTask,
+  downloadAttachment,
 };
@@ -1,5 +1,6 @@
 // src/modules/tasks/tasks.routes.js
 const express = require("express");
+const crypto = require("crypto");
 const multer = require("multer");
 const path = require("path");
 const {
@@ -9,9 +10,13 @@ const {
   updateTaskStatus,
   assignTask,
   updateTask,
+  assignTeam,
+  claimTask,
+  downloadAttachment,
 } = require("./tasks.controller");
 const { protect } = require("../../middleware/auth");
-const { authorize } = require("../../middleware/role");
+const { requireScope } = require("../../middleware/scope");
+const { authorize, fromBody, fromTask } = require("../../middleware/policy");
 
 const router = express.Router();
 
@@ -24,9 +29,10 @@ const storage = multer.diskStorage({
     cb(null, "uploads/");
   },
   filename: (req, file, cb) => {
-    // Create unique filename: timestamp-originalname
-    // This prevents overwriting files with the same name
-    const uniqueName = `${Date.now()}-${file.originalname}`;
+    // Create unique filename: timestamp-random-originalname
+    // This prevents overwriting files with the same name, and the random
+    // part keeps names from being guessed
+    const uniqueName = `${Date.now()}-${crypto.randomBytes(8).toString("hex")}-${path.basename(file.originalname)}`;
     cb(null, uniqueName);
   },
 });
@@ -51,22 +57,65 @@ const upload = multer({
 });
 
 // ── Routes ────────────────────────────────────────────────────────────────────
+// Access rules per action are defined in utils/policy.js
 router.use(protect);
 
-router.get("/", getTasks);
-router.post("/", authorize("admin", "manager"), createTask);
-router.get("/:id", getTaskById);
-router.put("/:id", authorize("admin", "manager"), updateTask);
+// The list is filtered to the caller's projects inside the service
+router.get("/", requireScope("tasks:read"), getTasks);
+router.post(
+  "/",
+  requireScope("tasks:write"),
+  authorize("task:create", fromBody("project")),
+  createTask,
+);
+router.get(
+  "/:id",
+  requireScope("tasks:read"),
+  authorize("task:read", fromTask()),
+  getTaskById,
+);
+router.put(
+  "/:id",
+  requireScope("tasks:write"),
+  authorize("task:update", fromTask()),
+  updateTask,
+);
 
-// Status update — employees can update their own task status
-router.patch("/:id/status", updateTaskStatus);
+// Status — the assignee, or a maintainer of the project
+router.patch(
+  "/:id/status",
+  requireScope("tasks:write"),
+  authorize("task:update-status", fromTask()),
+  updateTaskStatus,
+);
 
-// Assign task — managers/admins only
-router.post("/:id/assign", authorize("admin", "manager"), assignTask);
+router.post(
+  "/:id/assign",
+  requireScope("tasks:write"),
+  authorize("task:assign", fromTask()),
+  assignTask,
+);
+
+// Team queue — a maintainer queues the task, a member of the team claims it
+router.post(
+  "/:id/assign-team",
+  requireScope("tasks:write"),
+  authorize("task:assign", fromTask()),
+  assignTeam,
+);
+router.post(
+  "/:id/claim",
+  requireScope("tasks:write"),
+  authorize("task:claim", fromTask()),
+  claimTask,
+);
 
 // File upload — upload.single('file') processes one file from the 'file' field
+// The permission check runs first so rejected requests never write to disk
 router.post(
   "/:id/attachments",
+  requireScope("tasks:write"),
+  authorize("task:attach", fromTask()),
   upload.single("file"),
   async (req, res, next) => {
     try {
@@ -100,4 +149,12 @@ router.post(
   },
 );
 
+// Download — the same access as reading the task (files are not public)
+router.get(
+  "/:id/attachments/:filename",
+  requireScope("tasks:read"),
+  authorize("task:read", fromTask()),
+  downloadAttachment,
+);
+
 module.exports = router;
@@ -4,15 +4,313 @@
 //   When a task status changes, we use getIO() to emit a Socket.IO event.
 //   This notifies ALL clients in the project room instantly — without them
 //   needing to refresh or poll the API.
+//
+// ACCESS:
+//   Routes check the caller's permission before calling in
+//   (middleware/policy.js). Lists are filtered to the caller's projects.
+//
+// WORKFLOWS:
+//   Which statuses exist — and which moves between them are allowed — is
+//   up to the task's project (utils/workflow.js). Every status change is
+//   checked against it, and statusCategory is kept in step with status.
+//
+// CUSTOM FIELDS:
+//   Values in customFields are checked against the project's field
+//   definitions (utils/customFields.js) on create and update — unknown
+//   fields, wrong types and missing required values are refused. Updates
+//   only touch the fields sent; null clears one. GET /tasks filters and
+//   sorts by them (?cf.<key>=, ?sort=cf.<key>) within one project.
+//
+// TEAM QUEUES:
+//   A task can be queued for a team (assignedTeam) instead of a person. Every
+//   current member of the team is notified, and the first one to claim it
+//   becomes the assignee.
 // ─────────────────────────────────────────────────────────────────────────────
 
+const path = require("path");
+const mongoose = require("mongoose");
 const Task = require("../../models/Task");
+const Project = require("../../models/Project");
+const User = require("../../models/User");
+const Team = require("../../models/Team");
+const Sprint = require("../../models/Sprint");
+const Milestone = require("../../models/Milestone");
+const { can } = require("../../utils/policy");
 const Notification = require("../../models/Notification");
 const { getIO } = require("../../config/socket");
+const { notifyUsers } = require("../../utils/notify");
+const {
+  workflowOf,
+  findStatus,
+  initialStatus,
+  checkTransition,
+} = require("../../utils/workflow");
+const {
+  fieldsOf,
+  findField,
+  parseValue,
+  parseFilter,
+} = require("../../utils/customFields");
 
-// Create a task
-const createTask = async (data, userId) => {
-  const task = await Task.create({ ...data, createdBy: userId });
+const { memberFilter, hasProjectRole } = Project;
+
+// Attachments are stored by multer in uploads/ (tasks.routes.js)
+const UPLOAD_DIR = path.join(__dirname, "../../../uploads");
+
+// GET /tasks ?sort= — these fields, or cf.<key> (a "-" in front → descending)
+const SORT_FIELDS = ["createdAt", "dueDate", "taskId", "title"];
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// What PUT /tasks/:id may change. Moving a task to another project (or
+// rewriting its history) would bypass the access checks, and the team queue
+// has its own endpoint — those fields can't be changed here.
+const UPDATABLE_FIELDS = [
+  "title",
+  "description",
+  "priority",
+  "assignedTo",
+  "sprint",
+  "milestone",
+  "dueDate",
+  "status",
+  "customFields",
+];
+
+// A new task can also be a subtask. The project comes from the route; team
+// queues are set through /tasks/:id/assign-team.
+const CREATE_FIELDS = [...UPDATABLE_FIELDS, "parentTask"];
+
+// The allowed fields of a request body. Update operators ($set, ...) would
+// reach any path past the list, so a body with them is refused.
+const pickFields = (data, allowed) => {
+  if (Object.keys(data).some((key) => key.startsWith("$"))) {
+    throw badRequest("Update operators ($set, ...) are not allowed");
+  }
+  return Object.fromEntries(
+    Object.entries(data).filter(([key]) => allowed.includes(key)),
+  );
+};
+
+// Tasks can only be assigned to people who can work in the project
+// (member or above — viewers are read-only). Team roles count.
+const assertAssignable = async (project, userId) => {
+  const assignee = mongoose.isValidObjectId(userId)
+    ? await User.findOne({
+        _id: userId,
+        organization: project.organization,
+      }).select("teams")
+    : null;
+  const ctx = {
+    project,
+    projectRole: assignee ? project.roleOf(userId, assignee.teams) : null,
+  };
+  if (!can("task:be-assigned", ctx)) {
+    const error = new Error(
+      "Tasks can only be assigned to project members (not viewers)",
+    );
+    error.statusCode = 400;
+    throw error;
+  }
+};
+
+// A subtask's parent must be a task of the same project
+const assertParentTask = async (project, parentTask) => {
+  const exists =
+    mongoose.isValidObjectId(parentTask) &&
+    (await Task.exists({ _id: parentTask, project: project._id }));
+  if (!exists) {
+    const error = new Error("parentTask must be a task of the same project");
+    error.statusCode = 400;
+    throw error;
+  }
+};
+
+// A status of the project's workflow → the fields to store for it
+const statusFields = (project, key) => {
+  const status = findStatus(workflowOf(project), key);
+  if (!status) {
+    const error = new Error(
+      `'${key}' is not a status of this project's workflow`,
+    );
+    error.statusCode = 400;
+    throw error;
+  }
+  return { status: status.key, statusCategory: status.category };
+};
+
+// Throws unless `projectRole` may move a task from one status to another
+const assertTransition = (project, from, to, projectRole) => {
+  const result = checkTransition(workflowOf(project), from, to, projectRole);
+  if (result.allowed) return;
+
+  const error = new Error(
+    result.rule
+      ? `Moving a task from '${from}' to '${to}' requires project role ${result.minRole}`
+      : `Moving a task from '${from}' to '${to}' is not allowed in this project's workflow`,
+  );
+  error.statusCode = result.rule ? 403 : 400;
+  throw error;
+};
+
+// Sprints and milestones must be of the same project and not closed
+const assertPlanItem = async (Model, field, project, id) => {
+  const item = mongoose.isValidObjectId(id)
+    ? await Model.findOne({ _id: id, project: project._id }).select("status")
+    : null;
+  if (!item || item.status === "closed") {
+    const error = new Error(
+      `${field} must be an open or active ${field} of the same project`,
+    );
+    error.statusCode = 400;
+    throw error;
+  }
+};
+
+// Checks the sprint / milestone of new or updated task fields
+const assertPlanning = async (project, fields) => {
+  if (fields.sprint) {
+    await assertPlanItem(Sprint, "sprint", project, fields.sprint);
+  }
+  if (fields.milestone) {
+    await assertPlanItem(Milestone, "milestone", project, fields.milestone);
+  }
+};
+
+// ── Custom Fields ───────────────────────────────────────────────────────────
+// Users picked in user fields must be in the project (any role)
+const assertFieldUsers = async (project, fields, values) => {
+  const picked = fields.filter(
+    (field) => field.type === "user" && values[field.key],
+  );
+  if (picked.length === 0) return;
+
+  const users = await User.find({
+    _id: { $in: picked.map((field) => values[field.key]) },
+    organization: project.organization,
+  }).select("teams");
+  for (const field of picked) {
+    const user = users.find((u) => u._id.equals(values[field.key]));
+    if (!user || !project.roleOf(user._id, user.teams)) {
+      throw badRequest(`${field.key} must be a member of the project`);
+    }
+  }
+};
+
+// Custom field values sent for a task → { set: { key: value }, unset: [key] }
+// in their stored form. A new task needs a value for every required field.
+const parseCustomFields = async (
+  project,
+  values = {},
+  { creating = false, timeZone } = {},
+) => {
+  if (!values || typeof values !== "object" || Array.isArray(values)) {
+    throw badRequest("customFields must be an object of { fieldKey: value }");
+  }
+  const fields = fieldsOf(project);
+  const set = {};
+  const unset = [];
+
+  for (const [key, raw] of Object.entries(values)) {
+    const field = findField(fields, key);
+    if (!field) {
+      throw badRequest(`'${key}' is not a custom field of this project`);
+    }
+    const { value, error } = parseValue(field, raw, timeZone);
+    if (error) throw badRequest(error);
+
+    if (value !== null) set[key] = value;
+    else if (field.required) throw badRequest(`${key} is required`);
+    else unset.push(key);
+  }
+
+  if (creating) {
+    const missing = fields.find(
+      (field) => field.required && !(field.key in set),
+    );
+    if (missing) throw badRequest(`${missing.key} is required`);
+  }
+  await assertFieldUsers(project, fields, set);
+  return { set, unset };
+};
+
+// ?cf.<key>= query params → conditions on Task.customFields of `project`
+const customFieldFilter = (project, query, timeZone) => {
+  const filter = {};
+  for (const [param, raw] of Object.entries(query)) {
+    if (!param.startsWith("cf.")) continue;
+    const field = findField(fieldsOf(project), param.slice(3));
+    if (!field) {
+      throw badRequest(
+        `'${param.slice(3)}' is not a custom field of this project`,
+      );
+    }
+    const { condition, error } = parseFilter(field, String(raw), timeZone);
+    if (error) throw badRequest(error);
+    filter[`customFields.${field.key}`] = condition;
+  }
+  return filter;
+};
+
+// ?sort= → a sort spec, newest first when not given or as a tie-breaker
+const sortOf = (project, sort) => {
+  if (!sort) return { createdAt: -1 };
+
+  const descending = sort.startsWith("-");
+  const name = descending ? sort.slice(1) : sort;
+  let path = name;
+  if (name.startsWith("cf.")) {
+    // (no project → one the caller can't see; the list is empty anyway)
+    if (project && !findField(fieldsOf(project), name.slice(3))) {
+      throw badRequest(
+        `'${name.slice(3)}' is not a custom field of this project`,
+      );
+    }
+    path = `customFields.${name.slice(3)}`;
+  } else if (!SORT_FIELDS.includes(name)) {
+    throw badRequest(
+      `sort must be one of: ${SORT_FIELDS.join(", ")} or cf.<field> (- in front → descending)`,
+    );
+  }
+  return {
+    [path]: descending ? -1 : 1,
+    ...(path !== "createdAt" && { createdAt: -1 }),
+  };
+};
+
+// Create a task in `project` (loaded and access-checked by the route)
+const createTask = async (data, user, project) => {
+  // Custom field values only get in through parseCustomFields
+  const { customFields, ...fields } = pickFields(data, CREATE_FIELDS);
+  if (fields.assignedTo) await assertAssignable(project, fields.assignedTo);
+  if (fields.parentTask) await assertParentTask(project, fields.parentTask);
+  await assertPlanning(project, fields);
+  const values = await parseCustomFields(project, customFields, {
+    creating: true,
+    timeZone: user.preferences.timezone,
+  });
+
+  // New tasks start in the workflow's first status unless told otherwise
+  const status = statusFields(
+    project,
+    fields.status === undefined
+      ? initialStatus(workflowOf(project)).key
+      : fields.status,
+  );
+
+  const task = await Task.create({
+    ...fields,
+    ...status,
+    customFields: values.set,
+    organization: project.organization,
+    project: project._id,
+    createdBy: user._id,
+    attachments: [],
+  });
   return task.populate([
     { path: "project", select: "title" },
     { path: "createdBy", select: "name email" },
@@ -21,31 +319,78 @@ const createTask = async (data, userId) => {
 };
 
 // Get tasks with filters
-const getTasks = async (userId, userRole, query = {}) => {
-  const { project, status, priority, assignedTo, page = 1, limit = 10 } = query;
-  const filter = {};
+const getTasks = async (user, query = {}) => {
+  const {
+    project,
+    status,
+    category,
+    priority,
+    assignedTo,
+    assignedTeam,
+    parentTask,
+    sprint,
+    milestone,
+    sort,
+    page = 1,
+    limit = 10,
+  } = query;
+  const filter = { organization: user.organization };
 
-  if (project) filter.project = project;
   if (status) filter.status = status;
+  if (category) filter.statusCategory = category;
   if (priority) filter.priority = priority;
+  if (assignedTo) filter.assignedTo = assignedTo;
+  if (assignedTeam) filter.assignedTeam = assignedTeam;
+  if (parentTask) filter.parentTask = parentTask;
+  // "none" → tasks without one (?sprint=none is the backlog)
+  if (sprint) filter.sprint = sprint === "none" ? null : sprint;
+  if (milestone) filter.milestone = milestone === "none" ? null : milestone;
+
+  // Everyone except admins only sees tasks of projects they're a member of
+  // (directly or through a team). Tasks of archived projects only show up
+  // when that project is asked for; those of trashed projects never.
+  const projectFilter = { organization: user.organization, deletedAt: null };
+  if (!project) projectFilter.archivedAt = null;
+  if (!can("task:list-all", { user })) {
+    Object.assign(projectFilter, memberFilter(user));
+  }
+  const projectIds = await Project.find(projectFilter).distinct("_id");
+  filter.project = project
+    ? projectIds.find((id) => id.toString() === String(project)) || null
+    : { $in: projectIds };
 
-  // Employees only see tasks assigned to them
-  if (userRole === "employee") {
-    filter.assignedTo = userId;
-  } else if (assignedTo) {
-    filter.assignedTo = assignedTo;
+  // Custom fields differ per project — filtering or sorting by them needs one
+  const byCustomField =
+    Object.keys(query).some((param) => param.startsWith("cf.")) ||
+    (typeof sort === "string" && sort.replace(/^-/, "").startsWith("cf."));
+  if (byCustomField && !project) {
+    throw badRequest("Filtering or sorting by custom fields needs ?project=");
   }
+  const fieldProject =
+    byCustomField && filter.project
+      ? await Project.findById(filter.project).select("customFields")
+      : null;
+  if (fieldProject) {
+    Object.assign(
+      filter,
+      customFieldFilter(fieldProject, query, user.preferences.timezone),
+    );
+  }
+  const sortSpec = sortOf(fieldProject, typeof sort === "string" ? sort : "");
 
   const skip = (page - 1) * limit;
 
   const [tasks, total] = await Promise.all([
     Task.find(filter)
       .populate("project", "title status")
-      .populate("assignedTo", "name email avatar")
+      .populate("assignedTo", "name email avatar avatarUrls")
+      .populate("assignedTeam", "name")
+      .populate("sprint", "name status")
+      .populate("milestone", "name status")
       .populate("createdBy", "name email")
       .skip(skip)
       .limit(Number(limit))
-      .sort({ createdAt: -1 }),
+      .sort(sortSpec),
     Task.countDocuments(filter),
   ]);
 
@@ -59,7 +404,10 @@ const getTasks = async (userId, userRole, query = {}) => {
 const getTaskById = async (id) => {
   const task = await Task.findById(id)
     .populate("project", "title status")
-    .populate("assignedTo", "name email avatar role")
+    .populate("assignedTo", "name email avatar avatarUrls role")
+    .populate("assignedTeam", "name lead")
+    .populate("sprint", "name status startDate endDate")
+    .populate("milestone", "name status endDate")
     .populate("createdBy", "name email");
 
   if (!task) {
@@ -70,32 +418,32 @@ const getTaskById = async (id) => {
   return task;
 };
 
-// Update task status — TRIGGERS REAL-TIME EVENT ⚡
-const updateTaskStatus = async (taskId, newStatus, updatedBy) => {
-  const task = await Task.findByIdAndUpdate(
-    taskId,
-    { status: newStatus },
-    { new: true, runValidators: true },
-  )
-    .populate("project", "title _id")
-    .populate("assignedTo", "name email")
-    .populate("createdBy", "name email");
-
-  if (!task) {
+// The fields for moving a task to `newStatus` — throws if the task is gone
+// or the move isn't allowed by the project's workflow for `projectRole`.
+// Writes nothing, so a caller can check before it changes anything.
+const statusChange = async (taskId, newStatus, project, projectRole) => {
+  const current = await Task.findById(taskId).select("status");
+  if (!current) {
     const error = new Error("Task not found");
     error.statusCode = 404;
     throw error;
   }
+  const fields = statusFields(project, newStatus);
+  assertTransition(project, current.status, fields.status, projectRole);
+  return fields;
+};
 
-  // ── REAL-TIME: Emit to all clients in this project's room ─────────────────
-  // getIO() gets our Socket.IO instance from config/socket.js
-  // .to(`project:${id}`) targets only users who joined that room
-  // .emit('task:updated', data) sends the event with the updated task data
+// ── REAL-TIME: Emit to all clients in this project's room ─────────────────
+// getIO() gets our Socket.IO instance from config/socket.js
+// .to(`project:${id}`) targets only users who joined that room
+// .emit('task:updated', data) sends the event with the updated task data
+const emitStatusChange = (project, task, updatedBy) => {
   try {
     const io = getIO();
-    io.to(`project:${task.project._id}`).emit("task:updated", {
+    io.to(`project:${project._id}`).emit("task:updated", {
       taskId: task._id,
       status: task.status,
+      statusCategory: task.statusCategory,
       updatedBy: updatedBy.name,
       task,
     });
@@ -103,12 +451,41 @@ const updateTaskStatus = async (taskId, newStatus, updatedBy) => {
     // Don't fail the request if socket emit fails
     console.warn("Socket emit failed:", e.message);
   }
+};
+
+// Update task status — TRIGGERS REAL-TIME EVENT ⚡
+// The move must be allowed by the project's workflow for `projectRole`
+const updateTaskStatus = async (
+  taskId,
+  newStatus,
+  updatedBy,
+  project,
+  projectRole,
+) => {
+  const fields = await statusChange(taskId, newStatus, project, projectRole);
+
+  const task = await Task.findByIdAndUpdate(taskId, fields, {
+    new: true,
+    runValidators: true,
+  })
+    .populate("project", "title _id")
+    .populate("assignedTo", "name email")
+    .populate("createdBy", "name email");
+
+  if (!task) {
+    const error = new Error("Task not found");
+    error.statusCode = 404;
+    throw error;
+  }
 
+  emitStatusChange(project, task, updatedBy);
   return task;
 };
 
 // Assign task to a user — TRIGGERS NOTIFICATION ⚡
-const assignTask = async (taskId, assigneeId, assignedBy) => {
+const assignTask = async (taskId, assigneeId, assignedBy, project) => {
+  await assertAssignable(project, assigneeId);
+
   const task = await Task.findByIdAndUpdate(
     taskId,
     { assignedTo: assigneeId },
@@ -125,6 +502,7 @@ const assignTask = async (taskId, assigneeId, assignedBy) => {
 
   // Create a notification in DB for the assignee
   const notification = await Notification.create({
+    organization: task.organization,
     message: `You have been assigned to task: "${task.title}"`,
     type: "task_assigned",
     recipient: assigneeId,
@@ -144,9 +522,38 @@ const assignTask = async (taskId, assigneeId, assignedBy) => {
   return task;
 };
 
-// Update full task
-const updateTask = async (id, data) => {
-  const task = await Task.findByIdAndUpdate(id, data, {
+// Update full task — a status change follows the same workflow rules, and
+// only the custom fields sent change
+const updateTask = async (id, data, updatedBy, project, projectRole) => {
+  const { status, customFields, ...updates } = pickFields(
+    data,
+    UPDATABLE_FIELDS,
+  );
+  if (updates.assignedTo) await assertAssignable(project, updates.assignedTo);
+  await assertPlanning(project, updates);
+  if (customFields !== undefined) {
+    const { set, unset } = await parseCustomFields(project, customFields, {
+      timeZone: updatedBy.preferences.timezone,
+    });
+    for (const [key, value] of Object.entries(set)) {
+      updates[`customFields.${key}`] = value;
+    }
+    if (unset.length > 0) {
+      updates.$unset = Object.fromEntries(
+        unset.map((key) => [`customFields.${key}`, 1]),
+      );
+    }
+  }
+  // Same checks as PATCH /tasks/:id/status, written in the same update —
+  // a refused move changes nothing
+  if (status !== undefined) {
+    Object.assign(
+      updates,
+      await statusChange(id, status, project, projectRole),
+    );
+  }
+
+  const task = await Task.findByIdAndUpdate(id, updates, {
     new: true,
     runValidators: true,
   }).populate("assignedTo", "name email");
@@ -156,6 +563,107 @@ const updateTask = async (id, data) => {
     error.statusCode = 404;
     throw error;
   }
+
+  // ...and the same real-time event, once the change is saved
+  if (status !== undefined) emitStatusChange(project, task, updatedBy);
+  return task;
+};
+
+// ── Attachments ─────────────────────────────────────────────────────────────
+// An attachment of the task → { filePath, originalName, mimetype }.
+// Only files recorded on the task are handed out (the route checked access).
+const getAttachment = async (taskId, filename) => {
+  const task = await Task.findById(taskId).select("attachments");
+  const attachment =
+    task && task.attachments.find((a) => a.filename === filename);
+  if (!attachment) {
+    const error = new Error("Attachment not found");
+    error.statusCode = 404;
+    throw error;
+  }
+  return {
+    filePath: path.join(UPLOAD_DIR, path.basename(attachment.filename)),
+    originalName: attachment.originalName || attachment.filename,
+    mimetype: attachment.mimetype,
+  };
+};
+
+// ── Team Queue ────────────────────────────────────────────────────────────────
+// Queue a task for a team — it becomes unassigned until a member claims it.
+// The team must have been added to the project as member or above.
+const assignTeam = async (taskId, teamId, assignedBy, project) => {
+  const team = mongoose.isValidObjectId(teamId)
+    ? await Team.findOne({ _id: teamId, organization: project.organization })
+    : null;
+  const grant =
+    team && (project.teams || []).find((g) => g.team.equals(team._id));
+  if (!grant || !hasProjectRole(grant.role, "member")) {
+    const error = new Error(
+      "Tasks can only be queued for teams added to the project as members",
+    );
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const task = await Task.findByIdAndUpdate(
+    taskId,
+    { assignedTeam: team._id, assignedTo: null },
+    { new: true },
+  )
+    .populate("project", "title _id")
+    .populate("assignedTeam", "name");
+
+  if (!task) {
+    const error = new Error("Task not found");
+    error.statusCode = 404;
+    throw error;
+  }
+
+  // Whoever is in the team right now hears about it
+  const members = await User.find({
+    teams: team._id,
+    isActive: true,
+    _id: { $ne: assignedBy._id },
+  }).distinct("_id");
+  await notifyUsers(members, {
+    organization: task.organization,
+    message: `New task in the "${team.name}" queue: "${task.title}"`,
+    type: "task_assigned",
+    relatedTask: task._id,
+    relatedProject: task.project._id,
+  });
+
+  return task;
+};
+
+// Claim a queued task — atomic, so two members can't claim the same task
+const claimTask = async (taskId, user) => {
+  const task = await Task.findOneAndUpdate(
+    { _id: taskId, assignedTeam: { $ne: null }, assignedTo: null },
+    { assignedTo: user._id },
+    { new: true },
+  )
+    .populate("project", "title _id")
+    .populate("assignedTo", "name email")
+    .populate("assignedTeam", "name");
+
+  if (!task) {
+    const error = new Error("Task has already been claimed");
+    error.statusCode = 400;
+    throw error;
+  }
+
+  try {
+    getIO().to(`project:${task.project._id}`).emit("task:updated", {
+      taskId: task._id,
+      assignedTo: task.assignedTo,
+      updatedBy: user.name,
+      task,
+    });
+  } catch (e) {
+    console.warn("Socket emit failed:", e.message);
+  }
+
   return task;
 };
 
@@ -166,4 +674,7 @@ module.exports = {
   updateTaskStatus,
   assignTask,
   updateTask,
+  assignTeam,
+  claimTask,
+  getAttachment,
 };
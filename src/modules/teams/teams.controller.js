@@ -0,0 +1,167 @@
+// src/modules/teams/teams.controller.js
+const teamsService = require("./teams.service");
+
+const validateTeam = (body, { partial = false } = {}) => {
+  const { name, description, lead, members } = body;
+  const errors = [];
+
+  if (name !== undefined || !partial) {
+    if (typeof name !== "string" || !name.trim())
+      errors.push("Name is required");
+    else if (name.trim().length > 50)
+      errors.push("Name cannot exceed 50 characters");
+  }
+  if (
+    description !== undefined &&
+    (typeof description !== "string" || description.length > 300)
+  )
+    errors.push("Description must be text of at most 300 characters");
+  if (lead !== undefined && typeof lead !== "string")
+    errors.push("lead must be a user ID");
+  if (members !== undefined && !Array.isArray(members))
+    errors.push("members must be an array of user IDs");
+
+  return errors;
+};
+
+// @desc    List the organization's teams (?search= &page &limit)
+// @route   GET /api/teams
+// @access  Private
+const getTeams = async (req, res, next) => {
+  try {
+    const result = await teamsService.getTeams(req.user, req.query);
+    res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create a team
+// @route   POST /api/teams
+// @access  Admin, manager
+const createTeam = async (req, res, next) => {
+  try {
+    const errors = validateTeam(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, errors });
+    }
+
+    const team = await teamsService.createTeam(
+      { ...req.body, name: req.body.name.trim() },
+      req.user,
+    );
+    res.status(201).json({ success: true, data: team });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// req.resource is the team loaded by authorize() (middleware/policy.js)
+
+// @desc    Get a team with its members and projects
+// @route   GET /api/teams/:id
+// @access  Private
+const getTeamById = async (req, res, next) => {
+  try {
+    const team = await teamsService.getTeamById(req.resource);
+    res.status(200).json({ success: true, data: team });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Rename a team, change its description or lead
+// @route   PATCH /api/teams/:id
+// @access  Team lead, admin
+const updateTeam = async (req, res, next) => {
+  try {
+    const errors = validateTeam(req.body, { partial: true });
+    if (req.body.members !== undefined)
+      errors.push("Use /api/teams/:id/members to change members");
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, errors });
+    }
+
+    const { name, description, lead } = req.body;
+    const team = await teamsService.updateTeam(req.resource, {
+      name: name !== undefined ? name.trim() : undefined,
+      description,
+      lead,
+    });
+    res.status(200).json({ success: true, data: team });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete a team
+// @route   DELETE /api/teams/:id
+// @access  Admin
+const deleteTeam = async (req, res, next) => {
+  try {
+    await teamsService.deleteTeam(req.resource, req.user);
+    res.status(200).json({ success: true, message: "Team deleted" });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Add a member to a team
+// @route   POST /api/teams/:id/members
+// @access  Team lead, admin
+const addMember = async (req, res, next) => {
+  try {
+    if (!req.body.userId) {
+      return res
+        .status(400)
+        .json({ success: false, errors: ["userId is required"] });
+    }
+
+    const team = await teamsService.addMember(
+      req.resource,
+      req.body.userId,
+      req.user,
+    );
+    res.status(200).json({ success: true, data: team });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Remove a member from a team
+// @route   DELETE /api/teams/:id/members/:userId
+// @access  Team lead, admin
+const removeMember = async (req, res, next) => {
+  try {
+    const team = await teamsService.removeMember(
+      req.resource,
+      req.params.userId,
+    );
+    res.status(200).json({ success: true, data: team });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Unclaimed open tasks queued for the team (?page &limit)
+// @route   GET /api/teams/:id/queue
+// @access  Team members, admin
+const getQueue = async (req, res, next) => {
+  try {
+    const result = await teamsService.getQueue(req.resource, req.query);
+    res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getTeams,
+  createTeam,
+  getTeamById,
+  updateTeam,
+  deleteTeam,
+  addMember,
+  removeMember,
+  getQueue,
+};
@@ -0,0 +1,81 @@
+// src/modules/teams/teams.routes.js
+// ─────────────────────────────────────────────────────────────────────────────
+// Routes:
+//   GET    /api/teams                       → list the organization's teams
+//   POST   /api/teams                       → create a team (admin, manager)
+//   GET    /api/teams/:id                   → team with members and projects
+//   PATCH  /api/teams/:id                   → name / description / lead
+//   DELETE /api/teams/:id                   → delete a team (admin)
+//   POST   /api/teams/:id/members           → add a member
+//   DELETE /api/teams/:id/members/:userId   → remove a member
+//   GET    /api/teams/:id/queue             → unclaimed tasks of the team
+//
+// Teams are added to projects through /api/projects/:id/teams; queued tasks
+// are claimed through POST /api/tasks/:id/claim.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const express = require("express");
+const {
+  getTeams,
+  createTeam,
+  getTeamById,
+  updateTeam,
+  deleteTeam,
+  addMember,
+  removeMember,
+  getQueue,
+} = require("./teams.controller");
+const { protect } = require("../../middleware/auth");
+const { requireScope } = require("../../middleware/scope");
+const { authorize, fromTeam } = require("../../middleware/policy");
+
+const router = express.Router();
+
+router.use(protect);
+
+// Team leads manage their own team, admins every team (utils/policy.js)
+router.get("/", requireScope("teams:read"), authorize("team:read"), getTeams);
+router.post(
+  "/",
+  requireScope("teams:write"),
+  authorize("team:create"),
+  createTeam,
+);
+router.get(
+  "/:id",
+  requireScope("teams:read"),
+  authorize("team:read", fromTeam()),
+  getTeamById,
+);
+router.patch(
+  "/:id",
+  requireScope("teams:write"),
+  authorize("team:update", fromTeam()),
+  updateTeam,
+);
+router.delete(
+  "/:id",
+  requireScope("teams:write"),
+  authorize("team:delete", fromTeam()),
+  deleteTeam,
+);
+router.post(
+  "/:id/members",
+  requireScope("teams:write"),
+  authorize("team:manage-members", fromTeam()),
+  addMember,
+);
+router.delete(
+  "/:id/members/:userId",
+  requireScope("teams:write"),
+  authorize("team:manage-members", fromTeam()),
+  removeMember,
+);
+router.get(
+  "/:id/queue",
+  requireScope("tasks:read"),
+  authorize("team:view-queue", fromTeam()),
+  getQueue,
+);
+
+module.exports = router;
@@ -0,0 +1,285 @@
+// src/modules/teams/teams.service.js
+// ─────────────────────────────────────────────────────────────────────────────
+// KEY CONCEPT: Membership lives on the user
+//   A team's members are the users whose User.teams contains it — adding or
+//   removing a member is a single update on that user. Projects the team was
+//   added to (Project.teams) pick the change up on the next access check, so
+//   there is nothing to copy or keep in sync.
+//
+// ACCESS:
+//   Routes check the caller's permission first (middleware/policy.js) and
+//   pass the loaded team in. Teams of other organizations look missing.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const mongoose = require("mongoose");
+const Team = require("../../models/Team");
+const User = require("../../models/User");
+const Project = require("../../models/Project");
+const Task = require("../../models/Task");
+const logger = require("../../utils/logger");
+const { notifyUsers } = require("../../utils/notify");
+const { OPEN_TASK } = require("../../utils/workflow");
+
+const MEMBER_FIELDS = "name email role avatar avatarUrls isActive";
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const userNotFound = () => {
+  const error = new Error("User not found");
+  error.statusCode = 404;
+  return error;
+};
+
+// Team names are unique within an organization
+const assertNameAvailable = async (organization, name, excludeId = null) => {
+  const exclude = excludeId ? { _id: { $ne: excludeId } } : {};
+  if (await Team.exists({ organization, name, ...exclude })) {
+    throw badRequest(`A team named '${name}' already exists`);
+  }
+};
+
+// All `userIds` must be active users of the organization
+const assertActiveUsers = async (organization, userIds) => {
+  const ids = [...new Set(userIds.map(String))];
+  if (ids.some((id) => !mongoose.isValidObjectId(id))) throw userNotFound();
+
+  const count = await User.countDocuments({
+    _id: { $in: ids },
+    organization,
+    isActive: true,
+  });
+  if (count !== ids.length) throw userNotFound();
+  return ids;
+};
+
+// Projects the team has been added to → [{ _id, title, status, role }]
+// (trashed projects left out)
+const projectsOf = async (team) => {
+  const projects = await Project.find({
+    "teams.team": team._id,
+    deletedAt: null,
+  }).select("title status archivedAt teams");
+  return projects.map((project) => ({
+    _id: project._id,
+    title: project.title,
+    status: project.status,
+    archivedAt: project.archivedAt,
+    role: project.teams.find((grant) => grant.team.equals(team._id)).role,
+  }));
+};
+
+// Tell new members which team they joined and what it gives them access to
+const notifyNewMembers = async (team, userIds, actor) => {
+  const recipients = userIds.filter((id) => String(id) !== String(actor._id));
+  if (recipients.length === 0) return;
+
+  const projects = await projectsOf(team);
+  const access =
+    projects.length > 0
+      ? ` — you now have access to ${projects.length} project(s) through it`
+      : "";
+
+  await notifyUsers(recipients, {
+    organization: team.organization,
+    message: `${actor.name} added you to team "${team.name}"${access}`,
+    type: "team_update",
+  });
+};
+
+// Get all teams of the caller's organization
+const getTeams = async (user, query = {}) => {
+  const { search, page = 1, limit = 10 } = query;
+  const filter = { organization: user.organization };
+  if (search) filter.name = { $regex: search, $options: "i" };
+
+  const skip = (page - 1) * limit;
+
+  const [teams, total] = await Promise.all([
+    Team.find(filter)
+      .populate("lead", "name email avatar avatarUrls")
+      .skip(skip)
+      .limit(Number(limit))
+      .sort({ name: 1 }),
+    Team.countDocuments(filter),
+  ]);
+
+  // Member counts for this page in one query
+  const counts = await User.aggregate([
+    { $match: { teams: { $in: teams.map((team) => team._id) } } },
+    { $unwind: "$teams" },
+    { $group: { _id: "$teams", count: { $sum: 1 } } },
+  ]);
+  const countOf = new Map(counts.map((c) => [String(c._id), c.count]));
+
+  return {
+    teams: teams.map((team) => ({
+      ...team.toObject(),
+      memberCount: countOf.get(String(team._id)) || 0,
+    })),
+    pagination: { total, page: Number(page), pages: Math.ceil(total / limit) },
+  };
+};
+
+// Team with its members and projects
+const getTeamById = async (team) => {
+  const [populated, members, projects] = await Promise.all([
+    team.populate("lead", "name email avatar avatarUrls"),
+    User.find({ teams: team._id }).select(MEMBER_FIELDS).sort({ name: 1 }),
+    projectsOf(team),
+  ]);
+  return { ...populated.toObject(), members, projects };
+};
+
+// Create a team — the lead (default: the creator) is always a member
+const createTeam = async (data, creator) => {
+  const { name, description, members = [] } = data;
+  const lead = data.lead || creator._id;
+
+  await assertNameAvailable(creator.organization, name);
+  const memberIds = await assertActiveUsers(creator.organization, [
+    lead,
+    ...members,
+  ]);
+
+  const team = await Team.create({
+    organization: creator.organization,
+    name,
+    description,
+    lead,
+    createdBy: creator._id,
+  });
+  await User.updateMany(
+    { _id: { $in: memberIds } },
+    { $addToSet: { teams: team._id } },
+  );
+
+  logger.info(
+    `Team created — ${team.name} | teamId: ${team._id} | members: ${memberIds.length} | by: ${creator._id}`,
+  );
+  await notifyNewMembers(team, memberIds, creator);
+
+  return getTeamById(team);
+};
+
+// Rename / describe the team or hand the lead to another member
+const updateTeam = async (team, data) => {
+  const { name, description, lead } = data;
+
+  if (name !== undefined && name !== team.name) {
+    await assertNameAvailable(team.organization, name, team._id);
+    team.name = name;
+  }
+  if (description !== undefined) team.description = description;
+
+  if (lead !== undefined && String(lead) !== String(team.lead)) {
+    const isMember =
+      mongoose.isValidObjectId(lead) &&
+      (await User.exists({ _id: lead, teams: team._id, isActive: true }));
+    if (!isMember) throw badRequest("The new lead must be a team member");
+    team.lead = lead;
+  }
+
+  await team.save();
+  return getTeamById(team);
+};
+
+// Delete a team — its project access ends and queued tasks become unassigned
+const deleteTeam = async (team, admin) => {
+  const [users, projects, tasks] = await Promise.all([
+    User.updateMany({ teams: team._id }, { $pull: { teams: team._id } }),
+    Project.updateMany(
+      { "teams.team": team._id },
+      { $pull: { teams: { team: team._id } } },
+    ),
+    Task.updateMany({ assignedTeam: team._id }, { assignedTeam: null }),
+  ]);
+  await team.deleteOne();
+
+  logger.warn(
+    `Team deleted — ${team.name} | teamId: ${team._id} | by: ${admin._id} | members: ${users.modifiedCount} | projects: ${projects.modifiedCount} | tasks: ${tasks.modifiedCount}`,
+  );
+};
+
+// Add a user to the team
+const addMember = async (team, userId, actor) => {
+  const [id] = await assertActiveUsers(team.organization, [userId]);
+
+  // "teams $ne" makes the check-and-add atomic
+  const { modifiedCount } = await User.updateOne(
+    { _id: id, teams: { $ne: team._id } },
+    { $addToSet: { teams: team._id } },
+  );
+  if (modifiedCount === 0) {
+    throw badRequest("User is already a member of this team");
+  }
+
+  await notifyNewMembers(team, [id], actor);
+  return getTeamById(team);
+};
+
+// Remove a user from the team — the lead has to be replaced first
+const removeMember = async (team, userId) => {
+  if (String(userId) === String(team.lead)) {
+    throw badRequest(
+      "The team lead can't be removed — choose a new lead first",
+    );
+  }
+
+  const { modifiedCount } = mongoose.isValidObjectId(userId)
+    ? await User.updateOne(
+        { _id: userId, teams: team._id },
+        { $pull: { teams: team._id } },
+      )
+    : { modifiedCount: 0 };
+  if (modifiedCount === 0) {
+    const error = new Error("User is not a member of this team");
+    error.statusCode = 404;
+    throw error;
+  }
+
+  return getTeamById(team);
+};
+
+// ── Team Queue ────────────────────────────────────────────────────────────────
+// Open tasks queued for the team that nobody has claimed yet, oldest first
+const getQueue = async (team, query = {}) => {
+  const { page = 1, limit = 10 } = query;
+  const filter = {
+    organization: team.organization,
+    assignedTeam: team._id,
+    assignedTo: null,
+    ...OPEN_TASK,
+  };
+
+  const skip = (page - 1) * limit;
+
+  const [tasks, total] = await Promise.all([
+    Task.find(filter)
+      .populate("project", "title status")
+      .populate("createdBy", "name email")
+      .skip(skip)
+      .limit(Number(limit))
+      .sort({ createdAt: 1 }),
+    Task.countDocuments(filter),
+  ]);
+
+  return {
+    tasks,
+    pagination: { total, page: Number(page), pages: Math.ceil(total / limit) },
+  };
+};
+
+module.exports = {
+  getTeams,
+  getTeamById,
+  createTeam,
+  updateTeam,
+  deleteTeam,
+  addMember,
+  removeMember,
+  getQueue,
+};
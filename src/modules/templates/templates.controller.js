@@ -0,0 +1,273 @@
+// src/modules/templates/templates.controller.js
+const templatesService = require("./templates.service");
+const { ASSIGNEE_ROLES } = require("../../models/ProjectTemplate");
+const { PROJECT_ROLES } = require("../../models/Project");
+const { isDateKey } = require("../../utils/timezone");
+
+const MAX_DEPTH = 3; // task → subtask → sub-subtask
+const MAX_TASKS = 200;
+const TASK_PRIORITIES = ["low", "medium", "high", "urgent"];
+const PROJECT_PRIORITIES = ["low", "medium", "high"];
+
+const isText = (value, max) => typeof value === "string" && value.length <= max;
+const isOffset = (value) =>
+  value === null || (Number.isInteger(value) && value >= 0 && value <= 3650);
+
+// Template task tree → errors with paths like "tasks[0].subtasks[1].title"
+const validateTasks = (tasks, errors, path = "tasks", depth = 1) => {
+  if (!Array.isArray(tasks)) {
+    errors.push(`${path} must be an array`);
+    return 0;
+  }
+  if (depth > MAX_DEPTH && tasks.length > 0) {
+    errors.push(`${path}: tasks can be nested at most ${MAX_DEPTH} levels`);
+    return 0;
+  }
+
+  let count = 0;
+  tasks.forEach((task, i) => {
+    const at = `${path}[${i}]`;
+    if (!task || typeof task !== "object") {
+      errors.push(`${at} must be an object`);
+      return;
+    }
+    const { title, description, priority, dueOffsetDays, assigneeRole } = task;
+
+    if (typeof title !== "string" || !title.trim())
+      errors.push(`${at}.title is required`);
+    else if (title.trim().length > 150)
+      errors.push(`${at}.title cannot exceed 150 characters`);
+    if (description !== undefined && !isText(description, 2000))
+      errors.push(`${at}.description must be text`);
+    if (priority !== undefined && !TASK_PRIORITIES.includes(priority))
+      errors.push(
+        `${at}.priority must be one of: ${TASK_PRIORITIES.join(", ")}`,
+      );
+    if (dueOffsetDays !== undefined && !isOffset(dueOffsetDays))
+      errors.push(`${at}.dueOffsetDays must be a whole number of days ≥ 0`);
+    if (
+      assigneeRole !== undefined &&
+      assigneeRole !== null &&
+      !ASSIGNEE_ROLES.includes(assigneeRole)
+    )
+      errors.push(
+        `${at}.assigneeRole must be one of: ${ASSIGNEE_ROLES.join(", ")}`,
+      );
+
+    count += 1;
+    if (task.subtasks !== undefined)
+      count += validateTasks(
+        task.subtasks,
+        errors,
+        `${at}.subtasks`,
+        depth + 1,
+      );
+  });
+  return count;
+};
+
+const validateTemplate = (body, { partial = false } = {}) => {
+  const { name, description, project, tasks, fromProject } = body;
+  const errors = [];
+
+  if (name !== undefined || !partial) {
+    if (typeof name !== "string" || !name.trim())
+      errors.push("Name is required");
+    else if (name.trim().length > 100)
+      errors.push("Name cannot exceed 100 characters");
+  }
+  if (description !== undefined && !isText(description, 500))
+    errors.push("Description must be text of at most 500 characters");
+
+  if (fromProject !== undefined) {
+    if (partial) errors.push("fromProject can only be used on creation");
+    else if (typeof fromProject !== "string")
+      errors.push("fromProject must be a project ID");
+    if (project !== undefined || tasks !== undefined)
+      errors.push("Give either fromProject or project/tasks, not both");
+  }
+
+  if (project !== undefined) {
+    if (!project || typeof project !== "object" || Array.isArray(project)) {
+      errors.push("project must be an object");
+    } else {
+      if (
+        project.description !== undefined &&
+        !isText(project.description, 500)
+      )
+        errors.push(
+          "project.description must be text of at most 500 characters",
+        );
+      if (
+        project.priority !== undefined &&
+        !PROJECT_PRIORITIES.includes(project.priority)
+      )
+        errors.push(
+          `project.priority must be one of: ${PROJECT_PRIORITIES.join(", ")}`,
+        );
+      if (
+        project.deadlineOffsetDays !== undefined &&
+        !isOffset(project.deadlineOffsetDays)
+      )
+        errors.push(
+          "project.deadlineOffsetDays must be a whole number of days ≥ 0",
+        );
+    }
+  }
+
+  if (tasks !== undefined && validateTasks(tasks, errors) > MAX_TASKS)
+    errors.push(`A template can have at most ${MAX_TASKS} tasks`);
+
+  return errors;
+};
+
+const validateInstantiate = (body) => {
+  const { title, startDate, members } = body;
+  const errors = [];
+
+  if (typeof title !== "string" || !title.trim())
+    errors.push("Title is required");
+  else if (title.trim().length > 100)
+    errors.push("Title cannot exceed 100 characters");
+  if (!isDateKey(startDate)) errors.push("startDate is required (YYYY-MM-DD)");
+
+  if (members !== undefined) {
+    if (!Array.isArray(members)) {
+      errors.push("members must be an array of { userId, role }");
+    } else {
+      members.forEach((member, i) => {
+        if (!member || typeof member.userId !== "string")
+          errors.push(`members[${i}].userId must be a user ID`);
+        else if (
+          member.role !== undefined &&
+          !PROJECT_ROLES.includes(member.role)
+        )
+          errors.push(
+            `members[${i}].role must be one of: ${PROJECT_ROLES.join(", ")}`,
+          );
+      });
+    }
+  }
+
+  return errors;
+};
+
+// @desc    List the organization's project templates (?search= &page &limit)
+// @route   GET /api/project-templates
+// @access  Private
+const getTemplates = async (req, res, next) => {
+  try {
+    const result = await templatesService.getTemplates(req.user, req.query);
+    res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create a template — from the body or captured from a project
+//          ({ name, description, fromProject })
+// @route   POST /api/project-templates
+// @access  Admin, manager
+const createTemplate = async (req, res, next) => {
+  try {
+    const errors = validateTemplate(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, errors });
+    }
+
+    const template = await templatesService.createTemplate(
+      { ...req.body, name: req.body.name.trim() },
+      req.user,
+    );
+    res.status(201).json({ success: true, data: template });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// req.resource is the template loaded by authorize() (middleware/policy.js)
+
+// @desc    Get a template with its task tree
+// @route   GET /api/project-templates/:id
+// @access  Private
+const getTemplateById = async (req, res, next) => {
+  try {
+    const template = await templatesService.getTemplateById(req.resource);
+    res.status(200).json({ success: true, data: template });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update a template (name, description, project settings, tasks)
+// @route   PATCH /api/project-templates/:id
+// @access  Template creator, admin
+const updateTemplate = async (req, res, next) => {
+  try {
+    const errors = validateTemplate(req.body, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, errors });
+    }
+
+    const { name, description, project, tasks } = req.body;
+    const template = await templatesService.updateTemplate(req.resource, {
+      name: name !== undefined ? name.trim() : undefined,
+      description,
+      project,
+      tasks,
+    });
+    res.status(200).json({ success: true, data: template });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete a template
+// @route   DELETE /api/project-templates/:id
+// @access  Template creator, admin
+const deleteTemplate = async (req, res, next) => {
+  try {
+    await templatesService.deleteTemplate(req.resource, req.user);
+    res.status(200).json({ success: true, message: "Template deleted" });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create a project from a template, dated from startDate
+// @route   POST /api/project-templates/:id/instantiate
+// @access  Admin, manager
+const instantiateTemplate = async (req, res, next) => {
+  try {
+    const errors = validateInstantiate(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, errors });
+    }
+
+    const { title, startDate, members = [] } = req.body;
+    const result = await templatesService.instantiateTemplate(
+      req.resource,
+      {
+        title: title.trim(),
+        startDate,
+        members: members.map(({ userId, role = "member" }) => ({
+          userId,
+          role,
+        })),
+      },
+      req.user,
+    );
+    res.status(201).json({ success: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getTemplates,
+  createTemplate,
+  getTemplateById,
+  updateTemplate,
+  deleteTemplate,
+  instantiateTemplate,
+};
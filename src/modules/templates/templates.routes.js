@@ -0,0 +1,68 @@
+// src/modules/templates/templates.routes.js
+// ─────────────────────────────────────────────────────────────────────────────
+// Routes:
+//   GET    /api/project-templates                  → list the templates
+//   POST   /api/project-templates                  → create (or capture a project)
+//   GET    /api/project-templates/:id              → template with its task tree
+//   PATCH  /api/project-templates/:id              → update (creator, admin)
+//   DELETE /api/project-templates/:id              → delete (creator, admin)
+//   POST   /api/project-templates/:id/instantiate  → new project from it
+//
+// Existing projects are copied through POST /api/projects/:id/clone.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const express = require("express");
+const {
+  getTemplates,
+  createTemplate,
+  getTemplateById,
+  updateTemplate,
+  deleteTemplate,
+  instantiateTemplate,
+} = require("./templates.controller");
+const { protect } = require("../../middleware/auth");
+const { requireScope } = require("../../middleware/scope");
+const { authorize, fromTemplate } = require("../../middleware/policy");
+
+const router = express.Router();
+
+router.use(protect);
+
+router.get(
+  "/",
+  requireScope("projects:read"),
+  authorize("template:read"),
+  getTemplates,
+);
+router.post(
+  "/",
+  requireScope("projects:write"),
+  authorize("template:create"),
+  createTemplate,
+);
+router.get(
+  "/:id",
+  requireScope("projects:read"),
+  authorize("template:read", fromTemplate()),
+  getTemplateById,
+);
+router.patch(
+  "/:id",
+  requireScope("projects:write"),
+  authorize("template:update", fromTemplate()),
+  updateTemplate,
+);
+router.delete(
+  "/:id",
+  requireScope("projects:write"),
+  authorize("template:delete", fromTemplate()),
+  deleteTemplate,
+);
+router.post(
+  "/:id/instantiate",
+  requireScope("projects:write"),
+  authorize("template:instantiate", fromTemplate()),
+  instantiateTemplate,
+);
+
+module.exports = router;
@@ -0,0 +1,277 @@
+// src/modules/templates/templates.service.js
+// ─────────────────────────────────────────────────────────────────────────────
+// KEY CONCEPT: Capture once, instantiate many times
+//   A template (models/ProjectTemplate.js) is written by hand or captured
+//   from an existing project: its settings, its task tree, each due date as
+//   days after the project was created and each assignee as their project
+//   role. Instantiating turns it back into a real project — every offset
+//   counted from the chosen start date, in the caller's time zone.
+//
+// ACCESS:
+//   Routes check the caller's permission first (middleware/policy.js) and
+//   pass the loaded template in. Capturing a project also needs a role in
+//   that project (any role can read it). Templates of other organizations look missing.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const mongoose = require("mongoose");
+const ProjectTemplate = require("../../models/ProjectTemplate");
+const Project = require("../../models/Project");
+const User = require("../../models/User");
+const logger = require("../../utils/logger");
+const { projectRoleOf } = require("../../utils/policy");
+const { notifyUsers } = require("../../utils/notify");
+const { dayStart, daysBetween } = require("../../utils/timezone");
+const projectsService = require("../projects/projects.service");
+
+const { ASSIGNEE_ROLES } = ProjectTemplate;
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const notFound = (what) => {
+  const error = new Error(`${what} not found`);
+  error.statusCode = 404;
+  return error;
+};
+
+const countTasks = (tasks) =>
+  tasks.reduce((sum, task) => sum + 1 + countTasks(task.subtasks || []), 0);
+
+// Template names are unique within an organization
+const assertNameAvailable = async (organization, name, excludeId = null) => {
+  const exclude = excludeId ? { _id: { $ne: excludeId } } : {};
+  if (await ProjectTemplate.exists({ organization, name, ...exclude })) {
+    throw badRequest(`A template named '${name}' already exists`);
+  }
+};
+
+// ── Capture ───────────────────────────────────────────────────────────────────
+// A project the caller can read → { project, tasks } as template fields.
+// Dates become days after the project's creation (earlier ones → 0).
+const captureProject = async (projectId, user) => {
+  const project = mongoose.isValidObjectId(projectId)
+    ? await Project.findOne({
+        _id: projectId,
+        organization: user.organization,
+        deletedAt: null,
+      })
+    : null;
+  // Like everywhere else, a project the caller isn't in looks missing
+  if (!project || !projectRoleOf(user, project)) throw notFound("Project");
+
+  const { timezone } = user.preferences;
+  const offset = (date) =>
+    date ? Math.max(0, daysBetween(timezone, project.createdAt, date)) : null;
+  const directRole = (userId) => {
+    const member = userId && project.members.find((m) => m.user.equals(userId));
+    return member && ASSIGNEE_ROLES.includes(member.role) ? member.role : null;
+  };
+
+  const toTemplateTasks = (nodes) =>
+    nodes.map(({ task, subtasks }) => ({
+      title: task.title,
+      description: task.description,
+      priority: task.priority,
+      dueOffsetDays: offset(task.dueDate),
+      assigneeRole: directRole(task.assignedTo),
+      subtasks: toTemplateTasks(subtasks),
+    }));
+
+  return {
+    project: {
+      description: project.description,
+      priority: project.priority,
+      deadlineOffsetDays: offset(project.deadline),
+    },
+    tasks: toTemplateTasks(await projectsService.taskTreeOf(project._id)),
+  };
+};
+
+// ── CRUD ──────────────────────────────────────────────────────────────────────
+
+// Get all templates of the caller's organization (task trees left out)
+const getTemplates = async (user, query = {}) => {
+  const { search, page = 1, limit = 10 } = query;
+  const filter = { organization: user.organization };
+  if (search) filter.name = { $regex: search, $options: "i" };
+
+  const skip = (page - 1) * limit;
+
+  const [templates, total] = await Promise.all([
+    ProjectTemplate.find(filter)
+      .populate("createdBy", "name email")
+      .skip(skip)
+      .limit(Number(limit))
+      .sort({ name: 1 })
+      .lean(),
+    ProjectTemplate.countDocuments(filter),
+  ]);
+
+  return {
+    templates: templates.map(({ tasks, ...template }) => ({
+      ...template,
+      taskCount: countTasks(tasks),
+    })),
+    pagination: { total, page: Number(page), pages: Math.ceil(total / limit) },
+  };
+};
+
+// Template with its full task tree
+const getTemplateById = async (template) => {
+  const populated = await template.populate("createdBy", "name email");
+  return { ...populated.toObject(), taskCount: countTasks(template.tasks) };
+};
+
+// Create a template from the given fields, or capture `fromProject`
+const createTemplate = async (data, creator) => {
+  const { name, description, fromProject } = data;
+  await assertNameAvailable(creator.organization, name);
+
+  const content = fromProject
+    ? await captureProject(fromProject, creator)
+    : { project: data.project || {}, tasks: data.tasks || [] };
+
+  const template = await ProjectTemplate.create({
+    organization: creator.organization,
+    name,
+    description,
+    ...content,
+    createdBy: creator._id,
+  });
+
+  logger.info(
+    `Template created — ${template.name} | templateId: ${template._id} | tasks: ${countTasks(template.tasks)} | by: ${creator._id}`,
+  );
+  return getTemplateById(template);
+};
+
+// Rename / describe the template or replace its settings or task tree
+const updateTemplate = async (template, data) => {
+  const { name, description, project, tasks } = data;
+
+  if (name !== undefined && name !== template.name) {
+    await assertNameAvailable(template.organization, name, template._id);
+    template.name = name;
+  }
+  if (description !== undefined) template.description = description;
+  if (project !== undefined) template.project = project;
+  if (tasks !== undefined) template.tasks = tasks;
+
+  await template.save();
+  return getTemplateById(template);
+};
+
+// Delete a template — projects created from it are not affected
+const deleteTemplate = async (template, user) => {
+  await template.deleteOne();
+  logger.info(
+    `Template deleted — templateId: ${template._id} | by: ${user._id}`,
+  );
+};
+
+// ── Instantiate ───────────────────────────────────────────────────────────────
+// New project from `template` → { project, tasks } (count of tasks created).
+// options: { title, startDate ("YYYY-MM-DD"), members: [{ userId, role }] }.
+// The caller becomes the owner; template tasks go round-robin to the new
+// project's members with the task's assigneeRole.
+const instantiateTemplate = async (template, options, user) => {
+  const { title, startDate, members = [] } = options;
+  const { timezone } = user.preferences;
+  const dateOf = (days) =>
+    days === null || days === undefined
+      ? null
+      : dayStart(timezone, startDate, days);
+
+  // Other members must be active users of the organization
+  const others = members.filter(
+    ({ userId }) => String(userId) !== String(user._id),
+  );
+  const ids = [...new Set(others.map(({ userId }) => String(userId)))];
+  if (ids.length !== others.length) {
+    throw badRequest("Each member can only be listed once");
+  }
+  if (ids.some((id) => !mongoose.isValidObjectId(id))) throw notFound("User");
+  const active = await User.countDocuments({
+    _id: { $in: ids },
+    organization: user.organization,
+    isActive: true,
+  });
+  if (active !== ids.length) throw notFound("User");
+
+  const project = await Project.create({
+    organization: user.organization,
+    title,
+    description: template.project.description,
+    priority: template.project.priority,
+    deadline: dateOf(template.project.deadlineOffsetDays),
+    createdBy: user._id,
+    members: [
+      { user: user._id, role: "owner" },
+      ...others.map(({ userId, role }) => ({ user: userId, role })),
+    ],
+  });
+
+  let tasks = 0;
+  try {
+    // Members per role, taking template tasks in turn
+    const pools = Object.fromEntries(
+      ASSIGNEE_ROLES.map((role) => [
+        role,
+        project.members.filter((m) => m.role === role).map((m) => m.user),
+      ]),
+    );
+    const turns = Object.fromEntries(ASSIGNEE_ROLES.map((role) => [role, 0]));
+    const assigneeFor = (role) => {
+      const pool = role ? pools[role] : [];
+      if (pool.length === 0) return null;
+      return pool[turns[role]++ % pool.length];
+    };
+
+    const toNodes = (list) =>
+      list.map((task) => ({
+        title: task.title,
+        description: task.description,
+        priority: task.priority,
+        dueDate: dateOf(task.dueOffsetDays),
+        assignedTo: assigneeFor(task.assigneeRole),
+        subtasks: toNodes(task.subtasks || []),
+      }));
+
+    tasks = await projectsService.createTaskTree(
+      project,
+      toNodes(template.tasks),
+      user._id,
+    );
+  } catch (error) {
+    // No half-built project is left behind
+    await projectsService.purgeProject(project, user);
+    throw error;
+  }
+
+  logger.info(
+    `Template instantiated — templateId: ${template._id} | project: ${project._id} | tasks: ${tasks} | by: ${user._id}`,
+  );
+  await notifyUsers(ids, {
+    organization: project.organization,
+    message: `${user.name} added you to project "${project.title}"`,
+    type: "project_added",
+    relatedProject: project._id,
+  });
+
+  return {
+    project: await projectsService.getProjectById(project._id),
+    tasks,
+  };
+};
+
+module.exports = {
+  getTemplates,
+  getTemplateById,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  instantiateTemplate,
+};
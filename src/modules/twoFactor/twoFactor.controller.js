@@ -0,0 +1,130 @@
+// src/modules/twoFactor/twoFactor.controller.js
+const twoFactorService = require("./twoFactor.service");
+
+// @desc    Get 2FA status of the current user
+// @route   GET /api/auth/2fa
+// @access  Private
+const getStatus = async (req, res, next) => {
+  try {
+    const status = await twoFactorService.getStatus(req.user._id);
+    res.status(200).json({ success: true, data: status });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Start enrollment — returns secret, otpauth URI and QR code
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+const setup = async (req, res, next) => {
+  try {
+    const result = await twoFactorService.setup(req.user._id);
+    res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Confirm enrollment with a code — returns one-time backup codes
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+const enable = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+    if (!code) {
+      return res
+        .status(400)
+        .json({ success: false, errors: ["Code is required"] });
+    }
+
+    const result = await twoFactorService.enable(req.user._id, code);
+    res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Turn 2FA off (requires password + code)
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+const disable = async (req, res, next) => {
+  try {
+    const { password, code } = req.body;
+
+    const errors = [];
+    if (!password) errors.push("Password is required");
+    if (!code) errors.push("Code is required");
+
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, errors });
+    }
+
+    const result = await twoFactorService.disable(req.user._id, password, code);
+    res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Replace all backup codes with a new set
+// @route   POST /api/auth/2fa/backup-codes
+// @access  Private
+const regenerateBackupCodes = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+    if (!code) {
+      return res
+        .status(400)
+        .json({ success: false, errors: ["Code is required"] });
+    }
+
+    const result = await twoFactorService.regenerateBackupCodes(
+      req.user._id,
+      code,
+    );
+    res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get roles that must use 2FA
+// @route   GET /api/auth/2fa/policy
+// @access  Admin
+const getPolicy = async (req, res, next) => {
+  try {
+    const policy = await twoFactorService.getPolicy(req.user.organization);
+    res.status(200).json({ success: true, data: policy });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Set roles that must use 2FA
+// @route   PUT /api/auth/2fa/policy
+// @access  Admin
+const updatePolicy = async (req, res, next) => {
+  try {
+    const { requiredRoles } = req.body;
+    if (!Array.isArray(requiredRoles)) {
+      return res
+        .status(400)
+        .json({ success: false, errors: ["requiredRoles must be an array"] });
+    }
+
+    const policy = await twoFactorService.updatePolicy(requiredRoles, req.user);
+    res.status(200).json({ success: true, data: policy });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getStatus,
+  setup,
+  enable,
+  disable,
+  regenerateBackupCodes,
+  getPolicy,
+  updatePolicy,
+};
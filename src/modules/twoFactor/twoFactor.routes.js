@@ -0,0 +1,61 @@
+// src/modules/twoFactor/twoFactor.routes.js
+// ─────────────────────────────────────────────────────────────────────────────
+// Routes (mounted at /api/auth/2fa):
+//   GET  /api/auth/2fa              → 2FA status of the current user
+//   POST /api/auth/2fa/setup        → generate secret + QR code (pending)
+//   POST /api/auth/2fa/enable       → confirm with a code, returns backup codes
+//   POST /api/auth/2fa/disable      → turn 2FA off (password + code)
+//   POST /api/auth/2fa/backup-codes → regenerate backup codes
+//   GET  /api/auth/2fa/policy       → roles that must use 2FA (admin)
+//   PUT  /api/auth/2fa/policy       → change roles that must use 2FA (admin)
+//
+// The login step itself (exchange challenge token + code for real tokens)
+// lives in the auth module: POST /api/auth/login/2fa
+//
+// Status/setup/enable use protectAllowIncomplete — users whose role requires
+// 2FA must be able to enroll before they get full access.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const express = require("express");
+const {
+  getStatus,
+  setup,
+  enable,
+  disable,
+  regenerateBackupCodes,
+  getPolicy,
+  updatePolicy,
+} = require("./twoFactor.controller");
+const {
+  protectSession,
+  protectAllowIncomplete,
+} = require("../../middleware/auth");
+const { authorize } = require("../../middleware/policy");
+const { authLimiter } = require("../../middleware/rateLimiter");
+
+const router = express.Router();
+
+router.get("/", protectAllowIncomplete, getStatus);
+router.post("/setup", protectAllowIncomplete, setup);
+router.post("/enable", authLimiter, protectAllowIncomplete, enable);
+router.post("/disable", authLimiter, protectSession, disable);
+router.post(
+  "/backup-codes",
+  authLimiter,
+  protectSession,
+  regenerateBackupCodes,
+);
+router.get(
+  "/policy",
+  protectSession,
+  authorize("two-factor-policy:manage"),
+  getPolicy,
+);
+router.put(
+  "/policy",
+  protectSession,
+  authorize("two-factor-policy:manage"),
+  updatePolicy,
+);
+
+module.exports = router;
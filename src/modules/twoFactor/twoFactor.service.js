@@ -0,0 +1,272 @@
+// src/modules/twoFactor/twoFactor.service.js
+// ─────────────────────────────────────────────────────────────────────────────
+// HOW TOTP WORKS (Time-based One-Time Password, RFC 6238):
+//
+//   1. Server generates a random SECRET and shows it as a QR code
+//      (an otpauth:// URI) — the user scans it with Google Authenticator etc.
+//   2. Both sides now share the secret. Every 30 seconds the app computes
+//      a 6-digit code from HMAC(secret, current time step).
+//   3. On login the server computes the same code and compares.
+//
+//   ENROLLMENT is two-step so a typo can't lock anyone out:
+//     /2fa/setup  → generate a PENDING secret + QR code
+//     /2fa/enable → user proves they scanned it by sending a valid code
+//
+//   BACKUP CODES are one-time codes for when the phone is lost.
+//   We store only their SHA-256 hashes and delete each one once used.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const { authenticator } = require("otplib");
+const QRCode = require("qrcode");
+const User = require("../../models/User");
+const { getSetting, setSetting } = require("../../models/Setting");
+const logger = require("../../utils/logger");
+const { randomToken, hashToken } = require("../../utils/tokens");
+
+// Accept the previous/next 30s code too — phones' clocks drift a little
+authenticator.options = { window: 1 };
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || "Work Management";
+const BACKUP_CODE_COUNT = 10;
+const VALID_ROLES = ["admin", "manager", "employee"];
+
+const SECRET_FIELDS =
+  "+twoFactorSecret +twoFactorPendingSecret +twoFactorBackupCodes +twoFactorLastUsedStep";
+
+// Backup codes look like "a1b2c-3d4e5" — easy to read out and type
+const generateBackupCodes = () => {
+  const codes = [];
+  for (let i = 0; i < BACKUP_CODE_COUNT; i++) {
+    const raw = randomToken(5);
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+  return codes;
+};
+
+const findUserWithSecrets = async (userId) => {
+  const user = await User.findById(userId).select(SECRET_FIELDS);
+  if (!user) {
+    const error = new Error("User not found");
+    error.statusCode = 404;
+    throw error;
+  }
+  return user;
+};
+
+const invalidCodeError = () => {
+  const error = new Error("Invalid two-factor code");
+  error.statusCode = 401;
+  return error;
+};
+
+// ── verifyCode ────────────────────────────────────────────────────────────────
+// Checks a TOTP code OR a backup code for a user loaded with SECRET_FIELDS.
+// Saves the user (replay step / consumed backup code). Returns true/false.
+const verifyCode = async (user, code) => {
+  const cleaned = String(code || "")
+    .trim()
+    .toLowerCase();
+  if (!cleaned || !user.twoFactorSecret) return false;
+
+  // ── TOTP code (6 digits) ────────────────────────────────────────────────────
+  if (/^\d{6}$/.test(cleaned)) {
+    const delta = authenticator.checkDelta(cleaned, user.twoFactorSecret);
+    if (delta === null) return false;
+
+    // Reject a code whose time step was already used (replay protection)
+    const step = Math.floor(Date.now() / 30000) + delta;
+    if (
+      user.twoFactorLastUsedStep !== null &&
+      step <= user.twoFactorLastUsedStep
+    ) {
+      return false;
+    }
+
+    user.twoFactorLastUsedStep = step;
+    await user.save();
+    return true;
+  }
+
+  // ── Backup code (single-use) ────────────────────────────────────────────────
+  const hashed = hashToken(cleaned);
+  const index = user.twoFactorBackupCodes.indexOf(hashed);
+  if (index === -1) return false;
+
+  user.twoFactorBackupCodes.splice(index, 1);
+  await user.save();
+  logger.warn(
+    `2FA backup code used — userId: ${user._id} | ${user.twoFactorBackupCodes.length} left`,
+  );
+  return true;
+};
+
+// ── Setup ─────────────────────────────────────────────────────────────────────
+// Generates a pending secret and the otpauth URI / QR code to scan.
+const setup = async (userId) => {
+  const user = await findUserWithSecrets(userId);
+
+  if (user.twoFactorEnabled) {
+    const error = new Error("Two-factor authentication is already enabled");
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const secret = authenticator.generateSecret();
+  user.twoFactorPendingSecret = secret;
+  await user.save();
+
+  const otpauthUrl = authenticator.keyuri(user.email, ISSUER, secret);
+  const qrCode = await QRCode.toDataURL(otpauthUrl); // data:image/png;base64,...
+
+  return { secret, otpauthUrl, qrCode };
+};
+
+// ── Enable ────────────────────────────────────────────────────────────────────
+// Confirms the pending secret with a code and returns fresh backup codes.
+// The backup codes are shown ONCE — only their hashes are stored.
+const enable = async (userId, code) => {
+  const user = await findUserWithSecrets(userId);
+
+  if (user.twoFactorEnabled) {
+    const error = new Error("Two-factor authentication is already enabled");
+    error.statusCode = 400;
+    throw error;
+  }
+  if (!user.twoFactorPendingSecret) {
+    const error = new Error("Call /api/auth/2fa/setup first");
+    error.statusCode = 400;
+    throw error;
+  }
+  if (!authenticator.check(String(code), user.twoFactorPendingSecret)) {
+    throw invalidCodeError();
+  }
+
+  const backupCodes = generateBackupCodes();
+  user.twoFactorSecret = user.twoFactorPendingSecret;
+  user.twoFactorPendingSecret = null;
+  user.twoFactorBackupCodes = backupCodes.map(hashToken);
+  user.twoFactorLastUsedStep = Math.floor(Date.now() / 30000);
+  user.twoFactorEnabled = true;
+  await user.save();
+
+  logger.info(`2FA enabled — userId: ${user._id}`);
+  return { message: "Two-factor authentication enabled", backupCodes };
+};
+
+// ── Disable ───────────────────────────────────────────────────────────────────
+// Requires BOTH the password and a valid code so a stolen session can't
+// silently turn 2FA off.
+const disable = async (userId, password, code) => {
+  const user = await User.findById(userId).select(`+password ${SECRET_FIELDS}`);
+
+  if (!user.twoFactorEnabled) {
+    const error = new Error("Two-factor authentication is not enabled");
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const requiredRoles = await getSetting(
+    "twoFactorRequiredRoles",
+    [],
+    user.organization,
+  );
+  if (requiredRoles.includes(user.role)) {
+    const error = new Error(
+      `Two-factor authentication is required for the '${user.role}' role`,
+    );
+    error.statusCode = 403;
+    throw error;
+  }
+
+  if (!(await user.comparePassword(password))) {
+    const error = new Error("Password is incorrect");
+    error.statusCode = 401;
+    throw error;
+  }
+  if (!(await verifyCode(user, code))) throw invalidCodeError();
+
+  user.twoFactorEnabled = false;
+  user.twoFactorSecret = null;
+  user.twoFactorBackupCodes = [];
+  user.twoFactorLastUsedStep = null;
+  await user.save();
+
+  logger.info(`2FA disabled — userId: ${user._id}`);
+  return { message: "Two-factor authentication disabled" };
+};
+
+// ── Regenerate Backup Codes ───────────────────────────────────────────────────
+// Invalidates all previous backup codes.
+const regenerateBackupCodes = async (userId, code) => {
+  const user = await findUserWithSecrets(userId);
+
+  if (!user.twoFactorEnabled) {
+    const error = new Error("Two-factor authentication is not enabled");
+    error.statusCode = 400;
+    throw error;
+  }
+  if (!(await verifyCode(user, code))) throw invalidCodeError();
+
+  const backupCodes = generateBackupCodes();
+  user.twoFactorBackupCodes = backupCodes.map(hashToken);
+  await user.save();
+
+  return { backupCodes };
+};
+
+// ── Status ────────────────────────────────────────────────────────────────────
+const getStatus = async (userId) => {
+  const user = await findUserWithSecrets(userId);
+  const requiredRoles = await getSetting(
+    "twoFactorRequiredRoles",
+    [],
+    user.organization,
+  );
+
+  return {
+    enabled: user.twoFactorEnabled,
+    required: requiredRoles.includes(user.role),
+    backupCodesRemaining: user.twoFactorBackupCodes.length,
+  };
+};
+
+// ── Policy (Admin) ────────────────────────────────────────────────────────────
+// Which roles MUST use 2FA — per organization. Users in those roles without
+// 2FA get restricted access (see protect in middleware/auth.js) until they enroll.
+const getPolicy = async (organizationId) => {
+  return {
+    requiredRoles: await getSetting(
+      "twoFactorRequiredRoles",
+      [],
+      organizationId,
+    ),
+  };
+};
+
+const updatePolicy = async (requiredRoles, admin) => {
+  const invalid = requiredRoles.filter((r) => !VALID_ROLES.includes(r));
+  if (invalid.length > 0) {
+    const error = new Error(`Invalid role(s): ${invalid.join(", ")}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const roles = [...new Set(requiredRoles)];
+  await setSetting("twoFactorRequiredRoles", roles, admin.organization);
+  logger.info(
+    `2FA policy updated — organization: ${admin.organization} | required roles: [${roles.join(", ")}] | by: ${admin._id}`,
+  );
+  return { requiredRoles: roles };
+};
+
+module.exports = {
+  SECRET_FIELDS,
+  verifyCode,
+  setup,
+  enable,
+  disable,
+  regenerateBackupCodes,
+  getStatus,
+  getPolicy,
+  updatePolicy,
+};
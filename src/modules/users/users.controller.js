@@ -1,10 +1,45 @@
 // src/modules/users/users.controller.js
+const mongoose = require("mongoose");
 const usersService = require("./users.service");
+const { validatePreferences } = require("../../utils/preferences");
+
+const ROLES = ["admin", "manager", "employee"];
+
+// ── Profile Validation ────────────────────────────────────────────────────────
+// Only PROFILE_FIELDS are accepted. Anything else (role, isActive, email...)
+// is REJECTED rather than silently dropped, so clients notice they need the
+// dedicated endpoint.
+const validateProfile = (body) => {
+  const errors = [];
+
+  const blocked = Object.keys(body).filter(
+    (key) => !usersService.PROFILE_FIELDS.includes(key),
+  );
+  if (blocked.length > 0) {
+    errors.push(`Field(s) cannot be changed here: ${blocked.join(", ")}`);
+  }
+
+  const { name, preferences } = body;
+  if (name !== undefined && (typeof name !== "string" || !name.trim()))
+    errors.push("Name cannot be empty");
+
+  if (preferences !== undefined)
+    errors.push(...validatePreferences(preferences));
+
+  const updates = {};
+  if (name !== undefined) updates.name = String(name).trim();
+  if (preferences !== undefined) updates.preferences = preferences;
+
+  return { errors, updates };
+};
 
 const getAllUsers = async (req, res, next) => {
   try {
     // req.query contains URL query params: /api/users?role=manager&page=2
-    const result = await usersService.getAllUsers(req.query);
+    const result = await usersService.getAllUsers(
+      req.user.organization,
+      req.query,
+    );
     res.status(200).json({ success: true, data: result });
   } catch (error) {
     next(error);
@@ -14,29 +49,348 @@ const getAllUsers = async (req, res, next) => {
 const getUserById = async (req, res, next) => {
   try {
     // req.params.id is the :id part of the URL: /api/users/:id
-    const user = await usersService.getUserById(req.params.id);
+    const user = await usersService.getUserById(
+      req.params.id,
+      req.user.organization,
+    );
     res.status(200).json({ success: true, data: user });
   } catch (error) {
     next(error);
   }
 };
 
+// @desc    Get own profile
+// @route   GET /api/users/me/profile
+// @access  Private
+const getMyProfile = async (req, res, next) => {
+  try {
+    const user = await usersService.getUserById(
+      req.user._id,
+      req.user.organization,
+    );
+    res.status(200).json({ success: true, data: user });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update own profile (name, preferences)
+// @route   PATCH /api/users/me/profile
+// @access  Private
+const updateMyProfile = async (req, res, next) => {
+  try {
+    const { errors, updates } = validateProfile(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, errors });
+    }
+
+    const user = await usersService.updateProfile(
+      req.user._id,
+      req.user.organization,
+      updates,
+    );
+    res.status(200).json({ success: true, data: user });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get own preferences
+// @route   GET /api/users/me/preferences
+// @access  Private
+const getMyPreferences = async (req, res, next) => {
+  try {
+    const user = await usersService.getUserById(
+      req.user._id,
+      req.user.organization,
+    );
+    res.status(200).json({ success: true, data: user.preferences });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update own preferences (merged with the stored ones)
+// @route   PATCH /api/users/me/preferences
+// @access  Private
+const updateMyPreferences = async (req, res, next) => {
+  try {
+    const errors = validatePreferences(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, errors });
+    }
+
+    const user = await usersService.updateProfile(
+      req.user._id,
+      req.user.organization,
+      { preferences: req.body },
+    );
+    res.status(200).json({ success: true, data: user.preferences });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Upload an avatar image (multipart field "avatar")
+// @route   PUT /api/users/me/avatar
+// @access  Private
+const uploadAvatar = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res
+        .status(400)
+        .json({ success: false, errors: ["An image file is required"] });
+    }
+
+    const result = await usersService.setAvatar(req.user._id, req.file.buffer);
+    res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Remove own avatar
+// @route   DELETE /api/users/me/avatar
+// @access  Private
+const deleteAvatar = async (req, res, next) => {
+  try {
+    const result = await usersService.removeAvatar(req.user._id);
+    res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update a user's profile fields (same allowlist as /me/profile)
+// @route   PUT /api/users/:id
+// @access  The user themselves, or Admin
 const updateUser = async (req, res, next) => {
   try {
-    const user = await usersService.updateUser(req.params.id, req.body);
+    const { errors, updates } = validateProfile(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, errors });
+    }
+
+    const user = await usersService.updateProfile(
+      req.params.id,
+      req.user.organization,
+      updates,
+    );
+    res.status(200).json({ success: true, data: user });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Change a user's role
+// @route   PATCH /api/users/:id/role
+// @access  Admin
+const changeRole = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res
+        .status(404)
+        .json({ success: false, message: "User not found" });
+    }
+
+    const { role } = req.body;
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        errors: [`role must be one of: ${ROLES.join(", ")}`],
+      });
+    }
+
+    const user = await usersService.changeRole(req.params.id, role, req.user);
+    res.status(200).json({ success: true, data: user });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Offboarding body: { reassignTo } — a user ID, or null/absent to unassign
+// the open tasks → errors array
+const validateReassignTo = (body) => {
+  const { reassignTo } = body || {};
+  if (reassignTo != null && !mongoose.isValidObjectId(reassignTo)) {
+    return ["reassignTo must be a user ID, or null to unassign the tasks"];
+  }
+  return [];
+};
+
+const invalidUserId = (res) =>
+  res.status(404).json({ success: false, message: "User not found" });
+
+// @desc    Activate or deactivate a user — deactivating offboards them
+//          (same as POST /:id/offboard), activating reactivates them
+// @route   PATCH /api/users/:id/status
+// @access  Admin
+const setStatus = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return invalidUserId(res);
+
+    const { isActive } = req.body;
+    const errors =
+      typeof isActive === "boolean"
+        ? validateReassignTo(req.body)
+        : ["isActive must be true or false"];
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, errors });
+    }
+
+    const data = isActive
+      ? await usersService.reactivateUser(req.params.id, req.user)
+      : await usersService.offboardUser(
+          req.params.id,
+          { reassignTo: req.body.reassignTo || null },
+          req.user,
+        );
+    res.status(200).json({ success: true, data });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    What offboarding a user would change (open tasks, projects, teams,
+//          sessions) and what has to be handed over first
+// @route   GET /api/users/:id/offboarding
+// @access  Admin
+const previewOffboarding = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return invalidUserId(res);
+
+    const preview = await usersService.previewOffboarding(
+      req.params.id,
+      req.user,
+    );
+    res.status(200).json({ success: true, data: preview });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Offboard a user — reassign or unassign their open tasks, remove
+//          them from projects and teams, revoke sessions and API tokens
+// @route   POST /api/users/:id/offboard
+// @access  Admin
+const offboardUser = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return invalidUserId(res);
+
+    const errors = validateReassignTo(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, errors });
+    }
+
+    const result = await usersService.offboardUser(
+      req.params.id,
+      { reassignTo: req.body.reassignTo || null },
+      req.user,
+    );
+    res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Reactivate an offboarded user (memberships are not restored)
+// @route   POST /api/users/:id/reactivate
+// @access  Admin
+const reactivateUser = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return invalidUserId(res);
+
+    const user = await usersService.reactivateUser(req.params.id, req.user);
     res.status(200).json({ success: true, data: user });
   } catch (error) {
     next(error);
   }
 };
 
+// @desc    Deactivate (offboard) a user — optional body { reassignTo }
+// @route   DELETE /api/users/:id
+// @access  Admin
 const deleteUser = async (req, res, next) => {
   try {
-    const result = await usersService.deleteUser(req.params.id);
+    if (!mongoose.isValidObjectId(req.params.id)) return invalidUserId(res);
+
+    const errors = validateReassignTo(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, errors });
+    }
+
+    const result = await usersService.deleteUser(
+      req.params.id,
+      { reassignTo: (req.body && req.body.reassignTo) || null },
+      req.user,
+    );
     res.status(200).json({ success: true, data: result });
   } catch (error) {
     next(error);
   }
 };
 
-module.exports = { getAllUsers, getUserById, updateUser, deleteUser };
+// ── CSV Import / Export ───────────────────────────────────────────────────────
+const IMPORT_MODES = ["dry-run", "commit"];
+
+// @desc    Import users from a CSV file (multipart field "file") —
+//          ?mode=dry-run (default) validates only, ?mode=commit sends invites
+// @route   POST /api/users/import
+// @access  Admin
+const importUsers = async (req, res, next) => {
+  try {
+    const { mode = "dry-run" } = req.query;
+    const errors = [];
+    if (!IMPORT_MODES.includes(mode))
+      errors.push(`mode must be one of: ${IMPORT_MODES.join(", ")}`);
+    if (!req.file) errors.push("A CSV file is required");
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, errors });
+    }
+
+    const result = await usersService.importUsers(
+      req.file.buffer.toString("utf8"),
+      { commit: mode === "commit" },
+      req.user,
+    );
+    res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Download the organization's users as CSV (?role= &isActive=)
+// @route   GET /api/users/export
+// @access  Admin
+const exportUsers = async (req, res, next) => {
+  try {
+    const csv = await usersService.exportUsers(
+      req.user.organization,
+      req.query,
+    );
+    const date = new Date().toISOString().slice(0, 10);
+    res.status(200).type("text/csv").attachment(`users-${date}.csv`).send(csv);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getAllUsers,
+  getUserById,
+  getMyProfile,
+  updateMyProfile,
+  getMyPreferences,
+  updateMyPreferences,
+  uploadAvatar,
+  deleteAvatar,
+  updateUser,
+  changeRole,
+  setStatus,
+  previewOffboarding,
+  offboardUser,
+  reactivateUser,
+  deleteUser,
+  importUsers,
+  exportUsers,
+};
@@ -1,22 +1,210 @@
 // src/modules/users/users.routes.js
+// ─────────────────────────────────────────────────────────────────────────────
+// Routes:
+//   GET    /api/users/me/profile → own profile
+//   PATCH  /api/users/me/profile → update own name, preferences
+//   GET    /api/users/me/preferences → own preferences
+//   PATCH  /api/users/me/preferences → timezone, locale, working hours, ...
+//   PUT    /api/users/me/avatar  → upload an avatar image (multipart "avatar")
+//   DELETE /api/users/me/avatar  → remove own avatar
+//   GET    /api/users            → list users (admin)
+//   POST   /api/users/import     → CSV import, ?mode=dry-run|commit (admin)
+//   GET    /api/users/export     → CSV export (admin)
+//   GET    /api/users/:id        → get a user
+//   PUT    /api/users/:id        → update profile fields (self or admin)
+//   PATCH  /api/users/:id/role   → change role (admin, logged)
+//   PATCH  /api/users/:id/status → reactivate / offboard (admin)
+//   GET    /api/users/:id/offboarding → preview an offboarding (admin)
+//   POST   /api/users/:id/offboard    → offboard: reassign tasks, revoke (admin)
+//   POST   /api/users/:id/reactivate  → let an offboarded user login (admin)
+//   DELETE /api/users/:id        → offboard (admin)
+//
+// Email changes need re-verification and live in modules/auth
+// (POST /api/auth/change-email).
+// ─────────────────────────────────────────────────────────────────────────────
+
 const express = require("express");
+const multer = require("multer");
 const {
   getAllUsers,
   getUserById,
+  getMyProfile,
+  updateMyProfile,
+  getMyPreferences,
+  updateMyPreferences,
+  uploadAvatar,
+  deleteAvatar,
   updateUser,
+  changeRole,
+  setStatus,
+  previewOffboarding,
+  offboardUser,
+  reactivateUser,
   deleteUser,
+  importUsers,
+  exportUsers,
 } = require("./users.controller");
 const { protect } = require("../../middleware/auth");
-const { authorize } = require("../../middleware/role");
+const { requireScope } = require("../../middleware/scope");
+const { authorize, fromUser } = require("../../middleware/policy");
 
 const router = express.Router();
 
+// ── Avatar Upload ─────────────────────────────────────────────────────────────
+// Kept in memory — the original is never stored, only the processed variants
+// (utils/avatar.js checks that the bytes really are an image)
+const upload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith("image/")) return cb(null, true);
+    const error = new Error("Avatar must be an image");
+    error.statusCode = 400;
+    cb(error, false);
+  },
+  limits: { fileSize: 5 * 1024 * 1024, files: 1 }, // 5MB max file size
+});
+
+// Multer errors (file too large, ...) are the client's fault → 400
+const avatarUpload = (req, res, next) =>
+  upload.single("avatar")(req, res, (error) => {
+    if (error && !error.statusCode) error.statusCode = 400;
+    next(error);
+  });
+
+// ── CSV Import ────────────────────────────────────────────────────────────────
+// Parsed straight from memory — nothing is kept once the import has run
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    const isCsv =
+      /\.csv$/i.test(file.originalname) ||
+      ["text/csv", "application/vnd.ms-excel"].includes(file.mimetype);
+    if (isCsv) return cb(null, true);
+    const error = new Error("Import file must be a .csv file");
+    error.statusCode = 400;
+    cb(error, false);
+  },
+  limits: { fileSize: 1024 * 1024, files: 1 }, // 1MB max file size
+});
+
+const importUpload = (req, res, next) =>
+  csvUpload.single("file")(req, res, (error) => {
+    if (error && !error.statusCode) error.statusCode = 400;
+    next(error);
+  });
+
 // All routes below require authentication (protect runs first)
-// Then authorize checks if the role is allowed
+// Then authorize checks the action against utils/policy.js
 
-router.get("/", protect, authorize("admin"), getAllUsers);
-router.get("/:id", protect, getUserById);
-router.put("/:id", protect, updateUser);
-router.delete("/:id", protect, authorize("admin"), deleteUser);
+// /me routes come BEFORE /:id — otherwise "me" would be read as an id
+router.get("/me/profile", protect, requireScope("users:read"), getMyProfile);
+router.patch(
+  "/me/profile",
+  protect,
+  requireScope("users:write"),
+  updateMyProfile,
+);
+router.get(
+  "/me/preferences",
+  protect,
+  requireScope("users:read"),
+  getMyPreferences,
+);
+router.patch(
+  "/me/preferences",
+  protect,
+  requireScope("users:write"),
+  updateMyPreferences,
+);
+router.put(
+  "/me/avatar",
+  protect,
+  requireScope("users:write"),
+  avatarUpload,
+  uploadAvatar,
+);
+router.delete("/me/avatar", protect, requireScope("users:write"), deleteAvatar);
+
+router.get(
+  "/",
+  protect,
+  requireScope("users:read"),
+  authorize("user:list"),
+  getAllUsers,
+);
+// /import and /export come before /:id for the same reason
+router.post(
+  "/import",
+  protect,
+  requireScope("users:write"),
+  authorize("user:import"),
+  importUpload,
+  importUsers,
+);
+router.get(
+  "/export",
+  protect,
+  requireScope("users:read"),
+  authorize("user:export"),
+  exportUsers,
+);
+router.get(
+  "/:id",
+  protect,
+  requireScope("users:read"),
+  authorize("user:read"),
+  getUserById,
+);
+// Users can update themselves; admins anyone
+router.put(
+  "/:id",
+  protect,
+  requireScope("users:write"),
+  authorize("user:update", fromUser()),
+  updateUser,
+);
+router.patch(
+  "/:id/role",
+  protect,
+  requireScope("users:write"),
+  authorize("user:change-role"),
+  changeRole,
+);
+router.patch(
+  "/:id/status",
+  protect,
+  requireScope("users:write"),
+  authorize("user:change-status"),
+  setStatus,
+);
+// Offboarding — preview first, then hand over the open tasks and deactivate
+router.get(
+  "/:id/offboarding",
+  protect,
+  requireScope("users:read"),
+  authorize("user:change-status"),
+  previewOffboarding,
+);
+router.post(
+  "/:id/offboard",
+  protect,
+  requireScope("users:write"),
+  authorize("user:change-status"),
+  offboardUser,
+);
+router.post(
+  "/:id/reactivate",
+  protect,
+  requireScope("users:write"),
+  authorize("user:change-status"),
+  reactivateUser,
+);
+router.delete(
+  "/:id",
+  protect,
+  requireScope("users:write"),
+  authorize("user:delete"),
+  deleteUser,
+);
 
 module.exports = router;
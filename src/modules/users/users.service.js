@@ -1,12 +1,54 @@
 // src/modules/users/users.service.js
+// Every function works inside ONE organization — users of other
+// organizations look exactly like missing users (404).
+//
+// Profile updates only touch PROFILE_FIELDS. Role, activation and email each
+// have their own endpoint (role/status here, email in modules/auth) so none
+// of them can be changed by accident through a profile form. Avatars are
+// uploaded as images (setAvatar) and never set as a plain URL.
+//
+// Deactivation is an OFFBOARDING: the user's open tasks are handed to
+// someone else (or unassigned), they leave every project and team, and all
+// of their sessions, API tokens and sockets end. previewOffboarding() shows
+// the impact first. Reactivation only restores the login — memberships have
+// to be granted again.
+//
+// Bulk onboarding goes through CSV (importUsers): every valid row becomes an
+// INVITATION, so people still set their own password. Emails that are
+// already registered or invited are skipped — the same file can be imported
+// again safely.
 const User = require("../../models/User");
+const Project = require("../../models/Project");
+const Task = require("../../models/Task");
+const Team = require("../../models/Team");
+const RefreshToken = require("../../models/RefreshToken");
+const Invitation = require("../../models/Invitation");
+const { ApiToken } = require("../../models/ApiToken");
+const { disconnectUser } = require("../../config/socket");
+const securityService = require("../security/security.service");
+const logger = require("../../utils/logger");
+const { processAvatar, deleteAvatarFiles } = require("../../utils/avatar");
+const { can, projectRoleOf } = require("../../utils/policy");
+const { notifyUsers } = require("../../utils/notify");
+const { parseCsv, toCsv } = require("../../utils/csv");
+const { OPEN_TASK } = require("../../utils/workflow");
+const invitationsService = require("../invitations/invitations.service");
+
+// The only fields PATCH /me/profile and PUT /:id accept
+const PROFILE_FIELDS = ["name", "preferences"];
+
+const notFound = () => {
+  const error = new Error("User not found");
+  error.statusCode = 404;
+  return error;
+};
 
 // Get all users — Admin only
-const getAllUsers = async (query = {}) => {
+const getAllUsers = async (organization, query = {}) => {
   const { role, search, page = 1, limit = 10 } = query;
 
   // Build a dynamic filter object
-  const filter = { isActive: true };
+  const filter = { organization, isActive: true };
   if (role) filter.role = role;
   if (search) {
     // $regex allows partial matching, $options: 'i' makes it case-insensitive
@@ -40,47 +82,592 @@ const getAllUsers = async (query = {}) => {
 };
 
 // Get single user by ID
-const getUserById = async (id) => {
-  const user = await User.findById(id).select("-password");
-  if (!user) {
-    const error = new Error("User not found");
-    error.statusCode = 404;
-    throw error;
-  }
+const getUserById = async (id, organization) => {
+  const user = await User.findOne({ _id: id, organization }).select(
+    "-password",
+  );
+  if (!user) throw notFound();
   return user;
 };
 
-// Update user
-const updateUser = async (id, updateData) => {
+// Update profile fields — `updates` only holds PROFILE_FIELDS (checked by
+// the controller). Preferences are merged: { preferences: { locale } } keeps
+// the stored timezone.
+const updateProfile = async (id, organization, updates) => {
+  const { preferences, ...fields } = updates;
+
+  // The landing project must be one the user can actually open
+  if (preferences && preferences.defaultProject) {
+    const [user, project] = await Promise.all([
+      User.findOne({ _id: id, organization }),
+      Project.findOne({ _id: preferences.defaultProject, deletedAt: null }),
+    ]);
+    if (!user) throw notFound();
+    if (!projectRoleOf(user, project)) {
+      const error = new Error(
+        "defaultProject must be a project you are a member of",
+      );
+      error.statusCode = 400;
+      throw error;
+    }
+  }
+
+  const set = { ...fields };
+  for (const [key, value] of Object.entries(preferences || {})) {
+    set[`preferences.${key}`] = value;
+  }
+
   // { new: true } returns the updated document (not the old one)
   // runValidators: true runs schema validators on update
-  const user = await User.findByIdAndUpdate(id, updateData, {
-    new: true,
-    runValidators: true,
-  }).select("-password");
+  const user = await User.findOneAndUpdate(
+    { _id: id, organization },
+    { $set: set },
+    { new: true, runValidators: true },
+  ).select("-password");
 
-  if (!user) {
-    const error = new Error("User not found");
-    error.statusCode = 404;
+  if (!user) throw notFound();
+  return user;
+};
+
+// ── Avatar ────────────────────────────────────────────────────────────────────
+// Stores the resized variants, then deletes the files of the previous avatar
+const setAvatar = async (userId, buffer) => {
+  const user = await User.findById(userId);
+  if (!user) throw notFound();
+
+  const previous = user.toObject().avatarUrls;
+  const urls = await processAvatar(buffer, user._id);
+
+  user.avatarUrls = urls;
+  user.avatar = urls.medium;
+  try {
+    await user.save();
+  } catch (error) {
+    await deleteAvatarFiles(urls);
+    throw error;
+  }
+
+  await deleteAvatarFiles(previous);
+  logger.info(`Avatar updated — userId: ${user._id}`);
+  return { avatar: user.avatar, avatarUrls: urls };
+};
+
+const removeAvatar = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) throw notFound();
+
+  const previous = user.toObject().avatarUrls;
+  user.avatar = null;
+  user.avatarUrls = { small: null, medium: null, large: null };
+  await user.save();
+
+  await deleteAvatarFiles(previous);
+  return { message: "Avatar removed" };
+};
+
+// ── Role (Admin) ──────────────────────────────────────────────────────────────
+// Every change is logged and the user is notified
+const changeRole = async (id, role, admin) => {
+  if (String(id) === String(admin._id)) {
+    const error = new Error("You cannot change your own role");
+    error.statusCode = 400;
     throw error;
   }
+
+  const user = await User.findOne({
+    _id: id,
+    organization: admin.organization,
+  });
+  if (!user) throw notFound();
+
+  const previousRole = user.role;
+  if (previousRole === role) return user;
+
+  user.role = role;
+  await user.save();
+
+  logger.warn(
+    `Role changed — userId: ${user._id} | ${previousRole} → ${role} | by: ${admin._id}`,
+  );
+  securityService.notifySecurityEvent(
+    user,
+    `Your role was changed from ${previousRole} to ${role} by ${admin.name}.`,
+  );
+
   return user;
 };
 
-// Soft delete — we don't actually delete, just set isActive: false
-// This preserves data integrity (tasks still reference this user)
-const deleteUser = async (id) => {
-  const user = await User.findByIdAndUpdate(
-    id,
-    { isActive: false },
+// ── Offboarding (Admin) ───────────────────────────────────────────────────────
+// Deactivated users can't login; their sessions end and sockets are dropped
+// immediately (protect() already rejects their access tokens).
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const assertNotSelf = (id, admin) => {
+  if (String(id) === String(admin._id)) {
+    throw badRequest("You cannot change your own account status");
+  }
+};
+
+// Everything the offboarding would touch — shared by preview and offboard
+const offboardingImpact = async (user) => {
+  const [openTasks, projects, teams, sessions, apiTokens] = await Promise.all([
+    Task.find({ assignedTo: user._id, ...OPEN_TASK })
+      .select("title status project")
+      .populate("project", "title"),
+    Project.find({
+      organization: user.organization,
+      "members.user": user._id,
+    }).select("title members"),
+    Team.find({ _id: { $in: user.teams } }).select("name lead"),
+    RefreshToken.distinct("family", { user: user._id }),
+    ApiToken.countDocuments({ user: user._id, revokedAt: null }),
+  ]);
+
+  // A project must keep an owner and a team its lead — those are handed
+  // over by hand before the user can go
+  const blockers = [
+    ...projects
+      .filter(
+        (project) =>
+          project.roleOf(user._id) === "owner" &&
+          project.members.filter((m) => m.role === "owner").length < 2,
+      )
+      .map(
+        (project) =>
+          `Only owner of project "${project.title}" — add another owner first`,
+      ),
+    ...teams
+      .filter((team) => team.lead.equals(user._id))
+      .map((team) => `Lead of team "${team.name}" — choose a new lead first`),
+  ];
+
+  return { openTasks, projects, teams, sessions, apiTokens, blockers };
+};
+
+// The user to hand the open tasks to must be able to work in every project
+// those tasks belong to (same rule as assigning a task)
+const assertCanTakeOver = async (organization, reassignTo, openTasks) => {
+  const assignee = await User.findOne({
+    _id: reassignTo,
+    organization,
+    isActive: true,
+  }).select("name teams");
+  if (!assignee) throw notFound();
+
+  const projectIds = [
+    ...new Set(
+      openTasks.filter((t) => t.project).map((t) => String(t.project._id)),
+    ),
+  ];
+  const projects = await Project.find({ _id: { $in: projectIds } }).select(
+    "title members teams",
+  );
+  const missing = projects.filter(
+    (project) =>
+      !can("task:be-assigned", {
+        project,
+        projectRole: project.roleOf(assignee._id, assignee.teams),
+      }),
+  );
+  if (missing.length > 0) {
+    throw badRequest(
+      `${assignee.name} is not a member of: ${missing
+        .map((project) => project.title)
+        .join(", ")} — add them first or unassign the tasks`,
+    );
+  }
+  return assignee;
+};
+
+const loadActiveUser = async (id, admin) => {
+  const user = await User.findOne({
+    _id: id,
+    organization: admin.organization,
+  }).select("-password");
+  if (!user) throw notFound();
+  if (!user.isActive) throw badRequest("User is already deactivated");
+  return user;
+};
+
+// What would offboarding this user change? Nothing is modified.
+const previewOffboarding = async (id, admin) => {
+  assertNotSelf(id, admin);
+  const user = await loadActiveUser(id, admin);
+  const impact = await offboardingImpact(user);
+
+  return {
+    user: { _id: user._id, name: user.name, email: user.email },
+    openTasks: impact.openTasks,
+    projects: impact.projects.map((project) => ({
+      _id: project._id,
+      title: project.title,
+      role: project.roleOf(user._id),
+    })),
+    teams: impact.teams,
+    sessions: impact.sessions.length,
+    apiTokens: impact.apiTokens,
+    blockers: impact.blockers,
+    canOffboard: impact.blockers.length === 0,
+  };
+};
+
+// Deactivate the user and clean up after them.
+// reassignTo → user ID to take over the open tasks, or null to unassign them
+// (tasks claimed from a team queue go back to the queue).
+const offboardUser = async (id, { reassignTo }, admin) => {
+  assertNotSelf(id, admin);
+  if (reassignTo && String(reassignTo) === String(id)) {
+    throw badRequest("Tasks can't be reassigned to the user being offboarded");
+  }
+
+  const user = await loadActiveUser(id, admin);
+  const impact = await offboardingImpact(user);
+  if (impact.blockers.length > 0) throw badRequest(impact.blockers.join("; "));
+
+  const assignee = reassignTo
+    ? await assertCanTakeOver(user.organization, reassignTo, impact.openTasks)
+    : null;
+
+  // Deactivate first — from here on the user can't pick up anything new.
+  // The isActive condition stops two parallel offboardings.
+  const deactivated = await User.findOneAndUpdate(
+    { _id: user._id, isActive: true },
+    { isActive: false, teams: [] },
     { new: true },
+  ).select("-password");
+  if (!deactivated) throw badRequest("User is already deactivated");
+
+  const [sessions, apiTokens, tasks, projects] = await Promise.all([
+    RefreshToken.deleteMany({ user: user._id }),
+    ApiToken.updateMany(
+      { user: user._id, revokedAt: null },
+      { revokedAt: new Date() },
+    ),
+    Task.updateMany(
+      { assignedTo: user._id, ...OPEN_TASK },
+      { assignedTo: assignee ? assignee._id : null },
+    ),
+    Project.updateMany(
+      { organization: user.organization, "members.user": user._id },
+      { $pull: { members: { user: user._id } } },
+    ),
+  ]);
+  disconnectUser(user._id);
+
+  if (assignee && tasks.modifiedCount > 0) {
+    await notifyUsers([assignee._id], {
+      organization: user.organization,
+      message: `${admin.name} reassigned ${tasks.modifiedCount} open task(s) of ${user.name} to you`,
+      type: "task_assigned",
+    });
+  }
+
+  logger.warn(
+    `User offboarded — userId: ${user._id} | by: ${admin._id} | tasks: ${tasks.modifiedCount} → ${assignee ? assignee._id : "unassigned"} | projects: ${projects.modifiedCount} | teams: ${impact.teams.length} | sessions: ${sessions.deletedCount} | apiTokens: ${apiTokens.modifiedCount}`,
   );
+
+  return {
+    user: deactivated,
+    tasks: {
+      count: tasks.modifiedCount,
+      reassignedTo: assignee ? assignee._id : null,
+    },
+    projectsLeft: projects.modifiedCount,
+    teamsLeft: impact.teams.length,
+    sessionsRevoked: sessions.deletedCount,
+    apiTokensRevoked: apiTokens.modifiedCount,
+  };
+};
+
+// Let a deactivated user login again. Projects and teams are NOT restored.
+const reactivateUser = async (id, admin) => {
+  assertNotSelf(id, admin);
+
+  const user = await User.findOneAndUpdate(
+    { _id: id, organization: admin.organization, isActive: false },
+    { isActive: true },
+    { new: true },
+  ).select("-password");
   if (!user) {
-    const error = new Error("User not found");
-    error.statusCode = 404;
-    throw error;
+    if (await User.exists({ _id: id, organization: admin.organization })) {
+      throw badRequest("User is already active");
+    }
+    throw notFound();
+  }
+
+  logger.warn(`User reactivated — userId: ${user._id} | by: ${admin._id}`);
+  securityService.notifySecurityEvent(
+    user,
+    `Your account was reactivated by ${admin.name}.`,
+  );
+  return user;
+};
+
+// Soft delete — we don't actually delete, the user is offboarded
+// This preserves data integrity (tasks still reference this user)
+const deleteUser = async (id, options, admin) => {
+  const result = await offboardUser(id, options, admin);
+  return { message: "User deactivated successfully", ...result };
+};
+
+// ── CSV Import (Admin) ────────────────────────────────────────────────────────
+// Columns: name, email, role (default employee), projects, teams. Projects
+// and teams are ";"-separated and can be given by title/name, number
+// (projectId/teamId) or _id.
+const IMPORT_COLUMNS = ["name", "email", "role", "projects", "teams"];
+const REQUIRED_COLUMNS = ["name", "email"];
+const MAX_IMPORT_ROWS = 1000;
+const ROLES = ["admin", "manager", "employee"];
+const EMAIL_PATTERN = /^\S+@\S+\.\S+$/;
+const OBJECT_ID_PATTERN = /^[a-f0-9]{24}$/i;
+
+const splitList = (cell) =>
+  cell
+    .split(";")
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+// → (reference) => { doc } or { error }
+const referenceResolver = (docs, numberField, nameField, label) => (ref) => {
+  if (OBJECT_ID_PATTERN.test(ref)) {
+    const doc = docs.find((d) => String(d._id) === ref.toLowerCase());
+    if (doc) return { doc };
+  }
+  if (/^\d+$/.test(ref)) {
+    const doc = docs.find((d) => d[numberField] === Number(ref));
+    if (doc) return { doc };
+  }
+  const named = docs.filter(
+    (d) => d[nameField].toLowerCase() === ref.toLowerCase(),
+  );
+  if (named.length === 1) return { doc: named[0] };
+  return {
+    error:
+      named.length > 1
+        ? `${label} "${ref}" is ambiguous — use its number or ID`
+        : `${label} "${ref}" not found`,
+  };
+};
+
+// Checks one CSV record → { name, email, role, projects, teams, errors }
+const validateImportRecord = (record, resolvers) => {
+  const errors = [];
+  const name = record.name || "";
+  const email = (record.email || "").toLowerCase();
+  const role = record.role ? record.role.toLowerCase() : "employee";
+
+  if (!name) errors.push("name is required");
+  else if (name.length > 50) errors.push("name cannot exceed 50 characters");
+  if (!EMAIL_PATTERN.test(email)) errors.push("a valid email is required");
+  if (!ROLES.includes(role))
+    errors.push(`role must be one of: ${ROLES.join(", ")}`);
+
+  const resolve = (cell, resolver) =>
+    splitList(cell || "").flatMap((ref) => {
+      const { doc, error } = resolver(ref);
+      if (error) errors.push(error);
+      return doc ? [doc._id] : [];
+    });
+  const projects = resolve(record.projects, resolvers.project);
+  const teams = resolve(record.teams, resolvers.team);
+
+  return { name, email, role, projects, teams, errors };
+};
+
+// csvText → { mode, summary, rows }. Nothing is written unless `commit`.
+// Row numbers are spreadsheet lines — the header is row 1.
+const importUsers = async (csvText, { commit = false }, admin) => {
+  const [header = [], ...records] = parseCsv(csvText);
+  const columns = header.map((column) => column.trim().toLowerCase());
+
+  const unknown = columns.filter((column) => !IMPORT_COLUMNS.includes(column));
+  const missing = REQUIRED_COLUMNS.filter(
+    (column) => !columns.includes(column),
+  );
+  if (unknown.length > 0 || missing.length > 0) {
+    throw badRequest(
+      [
+        missing.length > 0 && `Missing column(s): ${missing.join(", ")}`,
+        unknown.length > 0 && `Unknown column(s): ${unknown.join(", ")}`,
+      ]
+        .filter(Boolean)
+        .concat(`Expected: ${IMPORT_COLUMNS.join(", ")}`)
+        .join(". "),
+    );
+  }
+  if (records.length === 0) throw badRequest("The file has no user rows");
+  if (records.length > MAX_IMPORT_ROWS) {
+    throw badRequest(`At most ${MAX_IMPORT_ROWS} users per import`);
+  }
+
+  const { organization } = admin;
+  const parsed = records.map((cells) =>
+    Object.fromEntries(
+      columns.map((column, i) => [column, (cells[i] || "").trim()]),
+    ),
+  );
+  const emails = parsed.map((record) => (record.email || "").toLowerCase());
+
+  const [projects, teams, registered, invited] = await Promise.all([
+    // Archived projects are read-only — nobody can be invited into them
+    Project.find({ organization, archivedAt: null, deletedAt: null }).select(
+      "projectId title",
+    ),
+    Team.find({ organization }).select("teamId name"),
+    User.find({ email: { $in: emails } }).distinct("email"),
+    Invitation.find({
+      organization,
+      email: { $in: emails },
+      acceptedAt: null,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    }).distinct("email"),
+  ]);
+  const resolvers = {
+    project: referenceResolver(projects, "projectId", "title", "Project"),
+    team: referenceResolver(teams, "teamId", "name", "Team"),
+  };
+
+  const seen = new Set();
+  const rows = [];
+  for (const [index, record] of parsed.entries()) {
+    const row = index + 2;
+    const user = validateImportRecord(record, resolvers);
+
+    if (user.errors.length === 0 && seen.has(user.email)) {
+      user.errors.push("email appears more than once in the file");
+    }
+    seen.add(user.email);
+
+    if (user.errors.length > 0) {
+      rows.push({
+        row,
+        email: user.email,
+        status: "invalid",
+        errors: user.errors,
+      });
+    } else if (registered.includes(user.email)) {
+      rows.push({
+        row,
+        email: user.email,
+        status: "skipped",
+        reason: "Already registered",
+      });
+    } else if (invited.includes(user.email)) {
+      rows.push({
+        row,
+        email: user.email,
+        status: "skipped",
+        reason: "Already invited",
+      });
+    } else if (!commit) {
+      rows.push({ row, email: user.email, status: "ready" });
+    } else {
+      // One row failing (e.g. registered in the meantime) doesn't stop the rest
+      try {
+        const { name, email, role } = user;
+        await invitationsService.createInvitation(
+          { name, email, role, projects: user.projects, teams: user.teams },
+          admin,
+        );
+        rows.push({ row, email, status: "invited" });
+      } catch (error) {
+        rows.push({
+          row,
+          email: user.email,
+          status: "failed",
+          errors: [error.message],
+        });
+      }
+    }
+  }
+
+  const summary = { total: rows.length };
+  for (const { status } of rows) summary[status] = (summary[status] || 0) + 1;
+
+  if (commit) {
+    logger.info(
+      `User import — organization: ${organization} | by: ${admin._id} | ${JSON.stringify(summary)}`,
+    );
+  }
+  return { mode: commit ? "commit" : "dry-run", summary, rows };
+};
+
+// ── CSV Export (Admin) ────────────────────────────────────────────────────────
+// Projects are the user's DIRECT memberships; both lists use the names the
+// import understands.
+const EXPORT_COLUMNS = [
+  "userId",
+  "name",
+  "email",
+  "role",
+  "isActive",
+  "emailVerified",
+  "projects",
+  "teams",
+  "createdAt",
+];
+
+const exportUsers = async (organization, query = {}) => {
+  const { role, isActive } = query;
+  const filter = { organization };
+  if (role) filter.role = role;
+  if (isActive !== undefined) filter.isActive = isActive === "true";
+
+  const [users, projects, teams] = await Promise.all([
+    User.find(filter)
+      .select("userId name email role isActive emailVerified teams createdAt")
+      .sort({ userId: 1 }),
+    Project.find({ organization, deletedAt: null }).select(
+      "title members.user",
+    ),
+    Team.find({ organization }).select("name"),
+  ]);
+
+  const projectsOf = new Map();
+  for (const project of projects) {
+    for (const { user } of project.members) {
+      const key = String(user);
+      projectsOf.set(key, [...(projectsOf.get(key) || []), project.title]);
+    }
   }
-  return { message: "User deactivated successfully" };
+  const teamName = new Map(teams.map((team) => [String(team._id), team.name]));
+
+  return toCsv([
+    EXPORT_COLUMNS,
+    ...users.map((user) => [
+      user.userId,
+      user.name,
+      user.email,
+      user.role,
+      user.isActive,
+      user.emailVerified,
+      (projectsOf.get(String(user._id)) || []).join("; "),
+      user.teams
+        .map((team) => teamName.get(String(team)))
+        .filter(Boolean)
+        .join("; "),
+      user.createdAt,
+    ]),
+  ]);
 };
 
-module.exports = { getAllUsers, getUserById, updateUser, deleteUser };
+module.exports = {
+  PROFILE_FIELDS,
+  getAllUsers,
+  getUserById,
+  updateProfile,
+  setAvatar,
+  removeAvatar,
+  changeRole,
+  previewOffboarding,
+  offboardUser,
+  reactivateUser,
+  deleteUser,
+  importUsers,
+  exportUsers,
+};
@@ -0,0 +1,104 @@
+// src/utils/avatar.js
+// ─────────────────────────────────────────────────────────────────────────────
+// WHY THIS FILE EXISTS:
+//   Avatars are shown at several sizes (comment lists, assignee chips, the
+//   profile page). Instead of shipping the uploaded original to every client,
+//   each upload is turned into fixed square VARIANTS (AVATAR_SIZES) stored in
+//   uploads/avatars and served from /uploads/avatars/...
+//
+//   SAFETY:
+//   - The file extension and mimetype are only hints — the bytes are decoded
+//     with sharp, and anything that isn't a real JPEG/PNG/WebP/GIF is refused.
+//   - Huge images (decompression bombs) are refused by limitInputPixels.
+//   - The variants are re-encoded from the pixels only, so EXIF metadata
+//     (GPS position, camera, ...) never ends up on the server's public URLs.
+//
+//   Every upload gets new file names, so browsers and CDNs can't keep showing
+//   a replaced avatar from cache. The old files are deleted by the caller.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const sharp = require("sharp");
+const logger = require("./logger");
+
+// variant → edge length in pixels
+const AVATAR_SIZES = { small: 48, medium: 128, large: 512 };
+
+const ACCEPTED_FORMATS = ["jpeg", "png", "webp", "gif"];
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000; // 40 megapixels
+const AVATAR_DIR = path.join(__dirname, "../../uploads/avatars");
+const AVATAR_URL_PREFIX = "/uploads/avatars/";
+
+const invalidImage = () => {
+  const error = new Error(
+    "File is not a supported image (JPEG, PNG, WebP or GIF)",
+  );
+  error.statusCode = 400;
+  return error;
+};
+
+// Deletes the files behind avatar URLs. Only our own variants are touched —
+// anything else (e.g. an old external avatar URL) is ignored.
+const deleteAvatarFiles = async (urls) => {
+  const files = Object.values(urls || {}).filter(
+    (url) => typeof url === "string" && url.startsWith(AVATAR_URL_PREFIX),
+  );
+
+  await Promise.all(
+    files.map((url) =>
+      fs.promises
+        .unlink(path.join(AVATAR_DIR, path.basename(url)))
+        .catch((err) => {
+          if (err.code !== "ENOENT") {
+            logger.error(`Avatar file could not be deleted — ${url}`, err);
+          }
+        }),
+    ),
+  );
+};
+
+// ── processAvatar ─────────────────────────────────────────────────────────────
+// buffer → { small, medium, large } URLs of the stored WebP variants
+const processAvatar = async (buffer, userId) => {
+  const input = () => sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS });
+
+  let metadata;
+  try {
+    metadata = await input().metadata();
+  } catch (err) {
+    throw invalidImage();
+  }
+  if (!ACCEPTED_FORMATS.includes(metadata.format)) throw invalidImage();
+
+  await fs.promises.mkdir(AVATAR_DIR, { recursive: true });
+  const stem = `${userId}-${crypto.randomBytes(6).toString("hex")}`;
+
+  const urls = {};
+  try {
+    for (const [variant, size] of Object.entries(AVATAR_SIZES)) {
+      const filename = `${stem}-${variant}.webp`;
+      // rotate() applies the EXIF orientation BEFORE the metadata is dropped
+      // (sharp writes no metadata unless asked to), then crop to a square
+      // around the most "interesting" part of the picture
+      await input()
+        .rotate()
+        .resize(size, size, { fit: "cover", position: "attention" })
+        .webp({ quality: 85 })
+        .toFile(path.join(AVATAR_DIR, filename));
+      urls[variant] = `${AVATAR_URL_PREFIX}${filename}`;
+    }
+  } catch (err) {
+    // A truncated or corrupt file can pass metadata() and still fail here
+    await deleteAvatarFiles(urls);
+    logger.warn(
+      `Avatar processing failed — userId: ${userId} | ${err.message}`,
+    );
+    throw invalidImage();
+  }
+
+  return urls;
+};
+
+module.exports = { AVATAR_SIZES, processAvatar, deleteAvatarFiles };
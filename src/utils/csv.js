@@ -0,0 +1,81 @@
+// src/utils/csv.js
+// ─────────────────────────────────────────────────────────────────────────────
+// WHY THIS FILE EXISTS:
+//   User import/export (modules/users) reads and writes CSV files as saved
+//   by Excel, Numbers or Google Sheets. This is the small RFC 4180 subset
+//   those produce: comma separated, fields optionally in double quotes, ""
+//   for a quote inside a quoted field, CRLF or LF line ends, optional BOM.
+//
+//   FORMULA INJECTION:
+//   A spreadsheet runs a cell starting with = + - @ as a formula — a user
+//   named "=HYPERLINK(...)" would be a trap for the admin who opens the
+//   export. toCsv() prefixes such cells with ' so they stay plain text.
+// ─────────────────────────────────────────────────────────────────────────────
+
+// ── parseCsv ──────────────────────────────────────────────────────────────────
+// text → array of rows (arrays of strings). Blank lines are skipped.
+// Throws a 400 error on a quote that is never closed.
+const parseCsv = (text) => {
+  const input = text.replace(/^\uFEFF/, ""); // Excel's UTF-8 byte order mark
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0].trim() !== "") rows.push(row);
+    row = [];
+    field = "";
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === "") {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    const error = new Error("Invalid CSV — a quoted field is never closed");
+    error.statusCode = 400;
+    throw error;
+  }
+  if (field !== "" || row.length > 0) endRow();
+
+  return rows;
+};
+
+// ── toCsv ─────────────────────────────────────────────────────────────────────
+// rows (arrays of values) → CSV text with CRLF line ends
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const formatCell = (value) => {
+  if (value === null || value === undefined) return "";
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (rows) =>
+  rows.map((row) => row.map(formatCell).join(",")).join("\r\n") + "\r\n";
+
+module.exports = { parseCsv, toCsv };
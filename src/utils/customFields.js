@@ -0,0 +1,169 @@
+// src/utils/customFields.js
+// ─────────────────────────────────────────────────────────────────────────────
+// WHY THIS FILE EXISTS:
+//   Projects define their own extra task fields (Project.customFields) and
+//   tasks store the values (Task.customFields). Because the field is only
+//   known at runtime, Mongoose can't validate or cast those values — these
+//   helpers do, without touching the database:
+//
+//     parseValue(field, value, tz)   → { value } (stored form) or { error }
+//     parseFilter(field, '3..8', tz) → { condition } (for a query) or { error }
+//
+//   VALUES (null clears a field):
+//     text        string, at most 1000 characters
+//     number      a JSON number
+//     date        a date or date-time string → stored as a Date (a date
+//                 alone → the start of that day in the caller's time zone)
+//     select      one of the field's options
+//     multiselect a list of its options
+//     user        a user ID (the service checks they're in the project)
+//
+//   FILTERS (GET /api/tasks?cf.<key>=...):
+//     none          tasks without a value
+//     a,b           select / multiselect / user: any of these
+//     3..8, ..8, 3.. number / date: a range (both ends included — a date
+//                   alone means that whole day, in the caller's time zone)
+//     anything else the value itself
+// ─────────────────────────────────────────────────────────────────────────────
+
+const mongoose = require("mongoose");
+const { CUSTOM_FIELD_TYPES } = require("../models/Project");
+const { isDateKey, dayStart } = require("./timezone");
+
+const MAX_TEXT_LENGTH = 1000;
+
+const fieldsOf = (project) => (project && project.customFields) || [];
+
+const findField = (fields, key) =>
+  fields.find((field) => field.key === key) || null;
+
+// "2026-03-31" → the start of that day in `timeZone`; a date-time as is
+const toDate = (value, timeZone = "UTC") => {
+  if (isDateKey(value)) return dayStart(timeZone, value);
+  // Looks like a date but isn't one (2026-02-30)
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+  const date = typeof value === "string" ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date : null;
+};
+
+const toNumber = (value) => {
+  const number = value === "" ? NaN : Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+// A value sent for `field` → { value } as it is stored, or { error }
+const parseValue = (field, value, timeZone) => {
+  if (value === null) return { value: null };
+  const invalid = (what) => ({ error: `${field.key} must be ${what}` });
+
+  switch (field.type) {
+    case "text": {
+      if (typeof value !== "string") return invalid("text");
+      const text = value.trim();
+      if (text.length > MAX_TEXT_LENGTH) {
+        return invalid(`at most ${MAX_TEXT_LENGTH} characters`);
+      }
+      return { value: text || null };
+    }
+    case "number":
+      return typeof value === "number" && Number.isFinite(value)
+        ? { value }
+        : invalid("a number");
+    case "date": {
+      const date = toDate(value, timeZone);
+      return date ? { value: date } : invalid("a date");
+    }
+    case "select":
+      return field.options.includes(value)
+        ? { value }
+        : invalid(`one of: ${field.options.join(", ")}`);
+    case "multiselect": {
+      if (
+        !Array.isArray(value) ||
+        !value.every((option) => field.options.includes(option))
+      ) {
+        return invalid(`a list of: ${field.options.join(", ")}`);
+      }
+      const chosen = [...new Set(value)];
+      return { value: chosen.length > 0 ? chosen : null };
+    }
+    case "user":
+      return mongoose.isValidObjectId(value)
+        ? { value: new mongoose.Types.ObjectId(String(value)) }
+        : invalid("a user ID");
+    default:
+      return invalid(`of a known type (${CUSTOM_FIELD_TYPES.join(", ")})`);
+  }
+};
+
+// A ?cf.<key>= query value → { condition } for Task.customFields.<key>,
+// or { error }
+const parseFilter = (field, raw, timeZone = "UTC") => {
+  if (raw === "none") return { condition: null };
+  const invalid = (what) => ({ error: `cf.${field.key} must be ${what}` });
+
+  // A date alone covers the whole day: up to the start of the next one
+  if (field.type === "date" && isDateKey(raw)) {
+    return {
+      condition: {
+        $gte: dayStart(timeZone, raw),
+        $lt: dayStart(timeZone, raw, 1),
+      },
+    };
+  }
+
+  if (field.type === "number" || field.type === "date") {
+    const parse =
+      field.type === "number" ? toNumber : (value) => toDate(value, timeZone);
+    const what = field.type === "number" ? "a number" : "a date";
+    if (!raw.includes("..")) {
+      const value = parse(raw);
+      return value === null
+        ? invalid(`${what} or a range`)
+        : { condition: value };
+    }
+
+    const [from, to] = raw.split("..");
+    const condition = {};
+    if (from) condition.$gte = parse(from);
+    if (to && field.type === "date" && isDateKey(to)) {
+      condition.$lt = dayStart(timeZone, to, 1);
+    } else if (to) {
+      condition.$lte = parse(to);
+    }
+    if (
+      Object.keys(condition).length === 0 ||
+      Object.values(condition).includes(null)
+    ) {
+      return invalid(
+        `${what} or a range like ${field.type === "number" ? "3..8" : "2026-01-01..2026-03-31"}`,
+      );
+    }
+    return { condition };
+  }
+
+  if (field.type === "text") return { condition: raw };
+
+  // select / multiselect / user — any of a comma-separated list
+  const values = raw.split(",").filter(Boolean);
+  if (values.length === 0) return invalid("a value");
+  if (field.type === "user") {
+    if (!values.every((id) => mongoose.isValidObjectId(id))) {
+      return invalid("user IDs");
+    }
+    return {
+      condition: {
+        $in: values.map((id) => new mongoose.Types.ObjectId(id)),
+      },
+    };
+  }
+  return { condition: { $in: values } };
+};
+
+module.exports = {
+  CUSTOM_FIELD_TYPES,
+  fieldsOf,
+  findField,
+  parseValue,
+  parseFilter,
+};
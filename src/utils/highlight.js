@@ -0,0 +1,86 @@
+// src/utils/highlight.js
+// ─────────────────────────────────────────────────────────────────────────────
+// WHY THIS FILE EXISTS:
+//   MongoDB's $text search (modules/search) ranks documents but doesn't say
+//   WHERE the words matched. highlight() finds them again and returns a short
+//   snippet with the match positions — clients mark those themselves, so no
+//   HTML built from user content ever comes from the server:
+//
+//     { snippet: "…fix the login redirect…", matches: [[12, 17]] }
+//
+//   $text matches STEMMED words ("deploying" finds "deployed"), so a word in
+//   the text counts when it starts with the stem of a search word.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const SNIPPET_LENGTH = 160;
+const CONTEXT_BEFORE = 40; // characters shown before the first match
+const WORD = /[\p{L}\p{N}]+/gu;
+const SUFFIX = /(ing|ed|es|s)$/;
+
+// Rough English stemming — good enough to find the word again
+const stem = (word) => {
+  const stemmed = word.replace(SUFFIX, "");
+  return stemmed.length >= 3 ? stemmed : word;
+};
+
+// Search string → the stems to highlight. "-excluded" words are skipped,
+// quotes around phrases are ignored.
+const searchTerms = (q) => {
+  const words = q
+    .toLowerCase()
+    .replace(/"/g, " ")
+    .split(/\s+/)
+    .filter((token) => token && !token.startsWith("-"))
+    .flatMap((token) => token.match(WORD) || []);
+  return [...new Set(words.map(stem))];
+};
+
+const isMatch = (word, terms) => {
+  const lower = word.toLowerCase();
+  // Short words only match exactly — "it" shouldn't light up every "item"
+  return terms.some((term) =>
+    term.length < 3 ? lower === term : lower.startsWith(term),
+  );
+};
+
+// text → { snippet, matches: [[start, end], ...] } (offsets into snippet),
+// or null when nothing matches
+const highlight = (text, terms) => {
+  if (!text || terms.length === 0) return null;
+
+  const found = [];
+  for (const { 0: word, index } of text.matchAll(WORD)) {
+    if (isMatch(word, terms)) found.push([index, index + word.length]);
+  }
+  if (found.length === 0) return null;
+
+  // Window around the first match, shifted left near the end of the text
+  const start = Math.max(
+    0,
+    Math.min(found[0][0] - CONTEXT_BEFORE, text.length - SNIPPET_LENGTH),
+  );
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+  const prefix = start > 0 ? "…" : "";
+  const suffix = end < text.length ? "…" : "";
+  const shift = prefix.length - start;
+
+  return {
+    snippet: prefix + text.slice(start, end) + suffix,
+    matches: found
+      .filter(([from, to]) => from >= start && to <= end)
+      .map(([from, to]) => [from + shift, to + shift]),
+  };
+};
+
+// Highlights for several fields of a document → { field: highlight }
+// (fields without a match are left out)
+const highlightFields = (doc, fields, terms) => {
+  const highlights = {};
+  for (const field of fields) {
+    const result = highlight(doc[field], terms);
+    if (result) highlights[field] = result;
+  }
+  return highlights;
+};
+
+module.exports = { searchTerms, highlight, highlightFields };
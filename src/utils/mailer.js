@@ -0,0 +1,127 @@
+// src/utils/mailer.js
+// ─────────────────────────────────────────────────────────────────────────────
+// WHY THIS FILE EXISTS:
+//   Several features send email (password reset, verification, invites...).
+//   Services should NOT care HOW an email is delivered — they just call
+//   sendMail({ to, subject, text, html }).
+//
+//   A "transport" is any object with an async send(message) method.
+//   We ship TWO transports and pick one with MAIL_TRANSPORT in .env:
+//     1. outbox → (default) writes each message as a JSON file to disk.
+//                 Perfect for development — open the file, click the link.
+//     2. smtp   → sends real email through an SMTP server (via nodemailer)
+//
+//   Tests or custom integrations can plug in their own with setTransport().
+// ─────────────────────────────────────────────────────────────────────────────
+
+const fs = require("fs/promises");
+const path = require("path");
+const logger = require("./logger");
+
+// ── 1. Outbox Transport ───────────────────────────────────────────────────────
+// Writes messages to MAIL_OUTBOX_DIR (default: ./outbox) — one file per email.
+// File name: <timestamp>-<recipient>.json so the newest mail is easy to find.
+const createOutboxTransport = (
+  dir = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, "../../outbox"),
+) => ({
+  name: "outbox",
+  send: async (message) => {
+    await fs.mkdir(dir, { recursive: true });
+    const safeTo = String(message.to).replace(/[^a-zA-Z0-9@._-]/g, "_");
+    const file = path.join(dir, `${Date.now()}-${safeTo}.json`);
+    await fs.writeFile(
+      file,
+      JSON.stringify({ ...message, sentAt: new Date() }, null, 2),
+    );
+    return { id: path.basename(file) };
+  },
+});
+
+// ── 2. SMTP Transport ─────────────────────────────────────────────────────────
+// nodemailer is only required when SMTP is actually selected.
+const createSmtpTransport = () => {
+  const nodemailer = require("nodemailer");
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === "true", // true for port 465
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
+  });
+
+  return {
+    name: "smtp",
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { id: info.messageId };
+    },
+  };
+};
+
+const TRANSPORTS = {
+  outbox: createOutboxTransport,
+  smtp: createSmtpTransport,
+};
+
+let transport; // Created lazily on the first sendMail() call
+
+const getTransport = () => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || "outbox";
+    if (!TRANSPORTS[name]) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}" (use outbox or smtp)`);
+    }
+    transport = TRANSPORTS[name]();
+  }
+  return transport;
+};
+
+// Replace the active transport (custom providers, tests)
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+// ── appUrl ────────────────────────────────────────────────────────────────────
+// Builds links to the frontend for use inside emails.
+// Usage: appUrl(`/reset-password?token=${token}`)
+const appUrl = (pathAndQuery = "") =>
+  `${process.env.APP_URL || "http://localhost:3000"}${pathAndQuery}`;
+
+// ── escapeHtml ────────────────────────────────────────────────────────────────
+// For every value put into an html body — names, emails and messages are
+// user input and must not turn into markup (or links) in the recipient's inbox.
+// Usage: html: `<p>Hi ${escapeHtml(user.name)},</p>`
+const HTML_ENTITIES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+const escapeHtml = (value) =>
+  String(value).replace(/[&<>"']/g, (char) => HTML_ENTITIES[char]);
+
+// ── sendMail ──────────────────────────────────────────────────────────────────
+// Usage: await sendMail({ to, subject, text, html })
+const sendMail = async ({ to, subject, text, html }) => {
+  const active = getTransport();
+  const result = await active.send({
+    from: process.env.MAIL_FROM || "Work Management <no-reply@localhost>",
+    to,
+    subject,
+    text,
+    html,
+  });
+  logger.info(`📧 Mail sent via ${active.name} — to: ${to} | "${subject}"`);
+  return result;
+};
+
+module.exports = {
+  sendMail,
+  appUrl,
+  escapeHtml,
+  setTransport,
+  createOutboxTransport,
+  createSmtpTransport,
+};
@@ -0,0 +1,38 @@
+// src/utils/notify.js
+// ─────────────────────────────────────────────────────────────────────────────
+// WHY THIS FILE EXISTS:
+//   Team events notify a whole GROUP of users at once (everyone in a team,
+//   everyone who just got access to a project). notifyUsers() stores one
+//   notification per recipient and pushes each to its personal socket room,
+//   the same way single notifications are sent elsewhere.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const Notification = require("../models/Notification");
+const { getIO } = require("../config/socket");
+
+// fields → { organization, message, type, relatedTask?, relatedProject? }
+const notifyUsers = async (userIds, fields) => {
+  const recipients = [...new Set(userIds.map(String))];
+  if (recipients.length === 0) return [];
+
+  // create() with an array runs the pre-save hooks (notificationId) per doc
+  const notifications = await Notification.create(
+    recipients.map((recipient) => ({ ...fields, recipient })),
+  );
+
+  try {
+    const io = getIO();
+    for (const notification of notifications) {
+      io.to(`user:${notification.recipient}`).emit(
+        "notification:new",
+        notification,
+      );
+    }
+  } catch (e) {
+    console.warn("Socket emit failed:", e.message);
+  }
+
+  return notifications;
+};
+
+module.exports = { notifyUsers };
@@ -0,0 +1,100 @@
+// src/utils/passwordPolicy.js
+// ─────────────────────────────────────────────────────────────────────────────
+// WHY THIS FILE EXISTS:
+//   Every place that accepts a NEW password (register, reset, change, invite
+//   acceptance) must apply the same rules. They are configured in .env:
+//
+//   PASSWORD_MIN_LENGTH        → minimum length (default 8)
+//   PASSWORD_REQUIRE_UPPERCASE → at least one A-Z        (default true)
+//   PASSWORD_REQUIRE_LOWERCASE → at least one a-z        (default true)
+//   PASSWORD_REQUIRE_NUMBER    → at least one 0-9        (default true)
+//   PASSWORD_REQUIRE_SYMBOL    → at least one !@#...     (default false)
+//   PASSWORD_BLOCKLIST_FILE    → common passwords that are never accepted
+//                                (default: src/config/common-passwords.txt)
+//   PASSWORD_HISTORY_COUNT     → can't reuse the last N passwords (default 5,
+//                                0 turns it off) — enforced by the services,
+//                                because it needs the user's stored hashes
+//
+//   bcrypt only looks at the first 72 bytes, so longer passwords are refused
+//   instead of silently being truncated.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const fs = require("fs");
+const path = require("path");
+const logger = require("./logger");
+
+const MAX_BYTES = 72;
+
+const flag = (name, defaultValue) =>
+  process.env[name] === undefined ? defaultValue : process.env[name] === "true";
+
+const getPasswordPolicy = () => ({
+  minLength: Math.max(Number(process.env.PASSWORD_MIN_LENGTH) || 8, 6),
+  requireUppercase: flag("PASSWORD_REQUIRE_UPPERCASE", true),
+  requireLowercase: flag("PASSWORD_REQUIRE_LOWERCASE", true),
+  requireNumber: flag("PASSWORD_REQUIRE_NUMBER", true),
+  requireSymbol: flag("PASSWORD_REQUIRE_SYMBOL", false),
+  historyCount: Math.max(Number(process.env.PASSWORD_HISTORY_COUNT ?? 5), 0),
+});
+
+// ── Blocklist ─────────────────────────────────────────────────────────────────
+// Loaded once, lazily. A missing file only disables the blocklist.
+let blocklist = null;
+
+const getBlocklist = () => {
+  if (blocklist) return blocklist;
+
+  const file =
+    process.env.PASSWORD_BLOCKLIST_FILE ||
+    path.join(__dirname, "../config/common-passwords.txt");
+
+  try {
+    blocklist = new Set(
+      fs
+        .readFileSync(file, "utf8")
+        .split(/\r?\n/)
+        .map((line) => line.trim().toLowerCase())
+        .filter((line) => line && !line.startsWith("#")),
+    );
+  } catch (err) {
+    logger.error(`Password blocklist could not be loaded — ${file}`, err);
+    blocklist = new Set();
+  }
+  return blocklist;
+};
+
+// ── validatePassword ──────────────────────────────────────────────────────────
+// Returns an array of human-readable errors ([] = password is acceptable).
+// Pass { email, name } so the password can't simply be the user's own name.
+const validatePassword = (password, { email, name } = {}) => {
+  const policy = getPasswordPolicy();
+  const errors = [];
+  const value = String(password || "");
+
+  if (value.length < policy.minLength)
+    errors.push(`Password must be at least ${policy.minLength} characters`);
+  if (Buffer.byteLength(value, "utf8") > MAX_BYTES)
+    errors.push(`Password must be at most ${MAX_BYTES} bytes`);
+  if (policy.requireUppercase && !/[A-Z]/.test(value))
+    errors.push("Password must contain an uppercase letter");
+  if (policy.requireLowercase && !/[a-z]/.test(value))
+    errors.push("Password must contain a lowercase letter");
+  if (policy.requireNumber && !/[0-9]/.test(value))
+    errors.push("Password must contain a number");
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(value))
+    errors.push("Password must contain a symbol");
+
+  const lower = value.toLowerCase();
+  if (getBlocklist().has(lower))
+    errors.push("Password is too common, please choose another one");
+
+  const personal = [email && email.split("@")[0], name]
+    .filter((part) => part && part.length >= 3)
+    .map((part) => part.toLowerCase());
+  if (personal.some((part) => lower.includes(part)))
+    errors.push("Password must not contain your name or email");
+
+  return errors;
+};
+
+module.exports = { getPasswordPolicy, validatePassword };
@@ -0,0 +1,319 @@
+// src/utils/policy.js
+// ─────────────────────────────────────────────────────────────────────────────
+// WHY THIS FILE EXISTS:
+//   "Who may do what" used to be spread over authorize('admin', 'manager')
+//   calls in routes and `if (role !== 'admin')` checks in services. This file
+//   is now the ONE place that answers it. Every action has a rule built from
+//   small, named conditions:
+//
+//     'task:update-status': anyOf(isAssignee, projectRole('maintainer'))
+//     'comment:delete':     anyOf(isAuthor, projectRole('maintainer'))
+//
+//   A rule is checked against a CONTEXT:
+//     user        → the caller (req.user)
+//     project     → the project the resource belongs to (if any)
+//     projectRole → the caller's role in it (admins count as 'owner'; team
+//                   roles count — see Project.roleOf)
+//     resource    → the task / comment / invitation / team / ... acted on
+//
+//   Routes ask through authorize(action) (middleware/policy.js), services
+//   through can() / assertCan(). Because every rule carries a description,
+//   the engine can also EXPLAIN itself — see effectivePermissions(), used by
+//   GET /api/security/users/:id/permissions.
+//
+//   ORGANIZATIONS:
+//   Rules decide what a user may do INSIDE their organization ("admin" means
+//   organization admin). Tenant isolation itself comes from the data layer —
+//   services only query the caller's organization, and projectRoleOf() gives
+//   nobody a role in another organization's project. Only platform
+//   super-admins (User.isSuperAdmin) work across organizations.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const { hasProjectRole } = require("../models/Project");
+
+const sameId = (a, b) =>
+  a != null && b != null && String(a._id || a) === String(b._id || b);
+
+// ── Conditions ────────────────────────────────────────────────────────────────
+// Each condition is { describe, test(ctx) → boolean }
+
+const anyone = { describe: "any signed-in user", test: () => true };
+
+const superAdmin = {
+  describe: "platform super-admin",
+  test: (ctx) => Boolean(ctx.user && ctx.user.isSuperAdmin),
+};
+
+// Global (account) role
+const role = (...roles) => ({
+  describe: roles.join(" or "),
+  test: (ctx) => Boolean(ctx.user) && roles.includes(ctx.user.role),
+});
+
+// Role inside the resource's project — at least `minRole`
+const projectRole = (minRole) => ({
+  describe: `project ${minRole}+`,
+  test: (ctx) =>
+    Boolean(ctx.projectRole) && hasProjectRole(ctx.projectRole, minRole),
+});
+
+// The caller is the user stored in resource[field]
+const resourceUser = (field, describe) => ({
+  describe,
+  test: (ctx) => Boolean(ctx.resource) && sameId(ctx.resource[field], ctx.user),
+});
+
+const isSelf = {
+  describe: "the user themselves",
+  test: (ctx) => Boolean(ctx.resource) && sameId(ctx.resource._id, ctx.user),
+};
+const isAssignee = resourceUser("assignedTo", "assignee");
+const isAuthor = resourceUser("author", "author");
+const isInviter = resourceUser("invitedBy", "inviter");
+const isOwnerUser = resourceUser("user", "its owner");
+const isTeamLead = resourceUser("lead", "team lead");
+const isCreator = resourceUser("createdBy", "its creator");
+
+// The caller is in the team stored in resource[field] (User.teams)
+const inTeam = (field, describe) => ({
+  describe,
+  test: (ctx) =>
+    Boolean(ctx.resource && ctx.user) &&
+    (ctx.user.teams || []).some((team) => sameId(team, ctx.resource[field])),
+});
+const isTeamMember = inTeam("_id", "team member");
+const inAssignedTeam = inTeam("assignedTeam", "member of the task's team");
+
+const anyOf = (...conditions) => ({
+  describe: conditions.map((c) => c.describe).join(" or "),
+  test: (ctx) => conditions.some((c) => c.test(ctx)),
+});
+
+const allOf = (...conditions) => ({
+  describe: conditions.map((c) => c.describe).join(" and "),
+  test: (ctx) => conditions.every((c) => c.test(ctx)),
+});
+
+// Archived projects are read-only — every action that changes a project,
+// its tasks or its comments also needs this
+const notArchived = {
+  describe: "project not archived",
+  test: (ctx) => !(ctx.project && ctx.project.archivedAt),
+};
+const writable = (rule) => allOf(notArchived, rule);
+
+// ── Policy ────────────────────────────────────────────────────────────────────
+// `on` says which resource the action is about:
+//   null      → global, needs nothing but the user
+//   'project' → needs the project (and the caller's role in it)
+//   anything else → needs that resource too (task, comment, invitation...)
+const POLICY = {
+  // Users
+  "user:list": { on: null, rule: role("admin") },
+  "user:read": { on: null, rule: anyone },
+  "user:update": { on: "user", rule: anyOf(isSelf, role("admin")) },
+  "user:delete": { on: null, rule: role("admin") },
+  "user:change-role": { on: null, rule: role("admin") },
+  "user:change-status": { on: null, rule: role("admin") },
+  "user:import": { on: null, rule: role("admin") },
+  "user:export": { on: null, rule: role("admin") },
+
+  // Projects
+  "project:create": { on: null, rule: role("admin", "manager") },
+  "project:list-all": { on: null, rule: role("admin") },
+  "project:read": { on: "project", rule: projectRole("viewer") },
+  "project:update": {
+    on: "project",
+    rule: writable(projectRole("maintainer")),
+  },
+  "project:manage-members": {
+    on: "project",
+    rule: writable(projectRole("maintainer")),
+  },
+  // Adding, changing or removing maintainers and owners
+  "project:manage-maintainers": {
+    on: "project",
+    rule: writable(projectRole("owner")),
+  },
+  // Statuses and transition rules — owners, as the rules limit maintainers too
+  "project:manage-workflow": {
+    on: "project",
+    rule: writable(projectRole("owner")),
+  },
+  // Custom task fields — part of editing the project
+  "project:manage-fields": {
+    on: "project",
+    rule: writable(projectRole("maintainer")),
+  },
+  // Archive / unarchive, move to the trash and back
+  "project:archive": { on: "project", rule: projectRole("owner") },
+  "project:delete": { on: "project", rule: projectRole("owner") },
+  "project:restore": { on: "project", rule: projectRole("owner") },
+  // Deleting for good — tasks, comments and files included
+  "project:purge": { on: "project", rule: role("admin") },
+  // A copy is a new project — only for those who can create projects
+  "project:clone": {
+    on: "project",
+    rule: allOf(role("admin", "manager"), projectRole("viewer")),
+  },
+
+  // Project templates — shared within the organization
+  "template:read": { on: null, rule: anyone },
+  "template:create": { on: null, rule: role("admin", "manager") },
+  "template:update": {
+    on: "template",
+    rule: anyOf(isCreator, role("admin")),
+  },
+  "template:delete": {
+    on: "template",
+    rule: anyOf(isCreator, role("admin")),
+  },
+  "template:instantiate": { on: "template", rule: role("admin", "manager") },
+
+  // Sprints and milestones — planned by maintainers, seen by the project
+  "sprint:read": { on: "project", rule: projectRole("viewer") },
+  "sprint:manage": {
+    on: "project",
+    rule: writable(projectRole("maintainer")),
+  },
+  "milestone:read": { on: "project", rule: projectRole("viewer") },
+  "milestone:manage": {
+    on: "project",
+    rule: writable(projectRole("maintainer")),
+  },
+
+  // Tasks
+  "task:list-all": { on: null, rule: role("admin") },
+  "task:create": { on: "project", rule: writable(projectRole("maintainer")) },
+  "task:read": { on: "task", rule: projectRole("viewer") },
+  "task:update": { on: "task", rule: writable(projectRole("maintainer")) },
+  "task:update-status": {
+    on: "task",
+    rule: writable(anyOf(isAssignee, projectRole("maintainer"))),
+  },
+  "task:assign": { on: "task", rule: writable(projectRole("maintainer")) },
+  // Taking a task from a team queue
+  "task:claim": {
+    on: "task",
+    rule: writable(allOf(inAssignedTeam, projectRole("member"))),
+  },
+  "task:attach": { on: "task", rule: writable(projectRole("member")) },
+  // Who a task can be assigned TO (checked against the assignee's role)
+  "task:be-assigned": { on: "project", rule: projectRole("member") },
+
+  // Dashboard — counts every task of the caller's projects, not only the
+  // ones assigned to them
+  "dashboard:view-organization": { on: null, rule: role("admin", "manager") },
+
+  // Teams — leads manage their own team, admins every team
+  "team:read": { on: null, rule: anyone },
+  "team:create": { on: null, rule: role("admin", "manager") },
+  "team:update": { on: "team", rule: anyOf(isTeamLead, role("admin")) },
+  "team:manage-members": {
+    on: "team",
+    rule: anyOf(isTeamLead, role("admin")),
+  },
+  "team:delete": { on: "team", rule: role("admin") },
+  "team:view-queue": {
+    on: "team",
+    rule: anyOf(isTeamMember, role("admin")),
+  },
+
+  // Comments
+  "comment:read": { on: "task", rule: projectRole("viewer") },
+  "comment:create": { on: "task", rule: writable(projectRole("member")) },
+  "comment:delete": {
+    on: "comment",
+    rule: writable(anyOf(isAuthor, projectRole("maintainer"))),
+  },
+
+  // Invitations
+  "invitation:manage": { on: null, rule: role("admin", "manager") },
+  "invitation:list-all": { on: null, rule: role("admin") },
+  "invitation:invite-to-project": {
+    on: "project",
+    rule: writable(projectRole("maintainer")),
+  },
+  "invitation:revoke": {
+    on: "invitation",
+    rule: anyOf(role("admin"), allOf(role("manager"), isInviter)),
+  },
+
+  // Sessions and API tokens of other users
+  "session:list-any": { on: null, rule: role("admin") },
+  "session:revoke": { on: "session", rule: anyOf(isOwnerUser, role("admin")) },
+  "api-token:list-any": { on: null, rule: role("admin") },
+  "api-token:revoke": {
+    on: "api-token",
+    rule: anyOf(isOwnerUser, role("admin")),
+  },
+
+  // Organizations — the caller's own, and (super-admins) all of them
+  "organization:read": { on: null, rule: anyone },
+  "organization:update": { on: null, rule: role("admin") },
+  "organization:manage-all": { on: null, rule: superAdmin },
+
+  // Administration
+  "security:manage": { on: null, rule: role("admin") },
+  "security:view-all-organizations": { on: null, rule: superAdmin },
+  "two-factor-policy:manage": { on: null, rule: role("admin") },
+};
+
+const ACTIONS = Object.keys(POLICY);
+
+// ── projectRoleOf ─────────────────────────────────────────────────────────────
+// The caller's effective role in a project — organization admins count as
+// owner, team roles count through user.teams. Nobody has a role in another
+// organization's project.
+const projectRoleOf = (user, project) => {
+  if (!project || !user) return null;
+  if (!sameId(project.organization, user.organization)) return null;
+  if (user.role === "admin") return "owner";
+  return project.roleOf(user._id, user.teams || []);
+};
+
+// ── evaluate ──────────────────────────────────────────────────────────────────
+// → { action, allowed, rule } — `rule` is the human-readable requirement
+const evaluate = (action, ctx) => {
+  const entry = POLICY[action];
+  if (!entry) {
+    // A typo in an action name must never silently allow (or deny) anything
+    throw new Error(`Unknown policy action '${action}'`);
+  }
+  return { action, allowed: entry.rule.test(ctx), rule: entry.rule.describe };
+};
+
+const can = (action, ctx) => evaluate(action, ctx).allowed;
+
+// For services: throws a 403 error when the action isn't allowed
+const assertCan = (action, ctx, message) => {
+  const result = evaluate(action, ctx);
+  if (!result.allowed) {
+    const error = new Error(
+      message || `Not allowed to ${action} (requires ${result.rule})`,
+    );
+    error.statusCode = 403;
+    throw error;
+  }
+};
+
+// ── effectivePermissions ──────────────────────────────────────────────────────
+// Evaluates every action that applies to the given context:
+//   global actions always, project actions when a project is known, and the
+//   actions of ctx.resourceType when a resource is given.
+const effectivePermissions = (ctx) =>
+  ACTIONS.filter((action) => {
+    const { on } = POLICY[action];
+    if (on === null) return true;
+    if (on === "project") return Boolean(ctx.project);
+    return on === ctx.resourceType;
+  }).map((action) => evaluate(action, ctx));
+
+module.exports = {
+  ACTIONS,
+  projectRoleOf,
+  evaluate,
+  can,
+  assertCan,
+  effectivePermissions,
+};
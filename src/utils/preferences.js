@@ -0,0 +1,105 @@
+// src/utils/preferences.js
+// ─────────────────────────────────────────────────────────────────────────────
+// WHY THIS FILE EXISTS:
+//   User preferences (models/User.js → preferences) can be written through
+//   PATCH /api/users/me/preferences and PATCH /api/users/me/profile. Both use
+//   validatePreferences() so the rules live in one place.
+//
+//   Objects inside preferences (workingHours, notifications) are replaced as
+//   a WHOLE, so they must be sent complete. Top-level keys are merged —
+//   sending { locale } keeps the stored timezone.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const mongoose = require("mongoose");
+const { isTimeZone } = require("./timezone");
+
+const DATE_FORMATS = ["YYYY-MM-DD", "DD/MM/YYYY", "MM/DD/YYYY", "DD.MM.YYYY"];
+
+const PREFERENCE_FIELDS = [
+  "timezone",
+  "locale",
+  "dateFormat",
+  "workingHours",
+  "defaultProject",
+  "notifications",
+];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/; // "09:30"
+
+const isLocale = (value) => {
+  try {
+    return Intl.getCanonicalLocales(value).length === 1;
+  } catch (err) {
+    return false;
+  }
+};
+
+const isPlainObject = (value) =>
+  typeof value === "object" && value !== null && !Array.isArray(value);
+
+const validateWorkingHours = (workingHours, errors) => {
+  if (!isPlainObject(workingHours)) {
+    errors.push("workingHours must be an object");
+    return;
+  }
+
+  const { start, end, days } = workingHours;
+  if (!TIME_PATTERN.test(start) || !TIME_PATTERN.test(end)) {
+    errors.push('workingHours.start and .end must be times like "09:00"');
+  } else if (start >= end) {
+    // "HH:MM" strings compare correctly as text
+    errors.push("workingHours.end must be after workingHours.start");
+  }
+
+  if (
+    !Array.isArray(days) ||
+    days.length === 0 ||
+    days.some((day) => !Number.isInteger(day) || day < 1 || day > 7)
+  ) {
+    errors.push("workingHours.days must list weekdays from 1 (Mon) to 7 (Sun)");
+  }
+};
+
+// ── validatePreferences ───────────────────────────────────────────────────────
+// → array of error messages (empty when valid)
+const validatePreferences = (preferences) => {
+  if (!isPlainObject(preferences)) return ["preferences must be an object"];
+
+  const errors = [];
+  const unknown = Object.keys(preferences).filter(
+    (key) => !PREFERENCE_FIELDS.includes(key),
+  );
+  if (unknown.length > 0)
+    errors.push(`Unknown preference(s): ${unknown.join(", ")}`);
+
+  const { timezone, locale, dateFormat, workingHours, defaultProject } =
+    preferences;
+
+  if (timezone !== undefined && !isTimeZone(timezone))
+    errors.push("timezone must be an IANA time zone, e.g. Europe/Berlin");
+  if (locale !== undefined && !isLocale(locale))
+    errors.push("locale must be a language tag, e.g. en-GB");
+  if (dateFormat !== undefined && !DATE_FORMATS.includes(dateFormat))
+    errors.push(`dateFormat must be one of: ${DATE_FORMATS.join(", ")}`);
+  if (workingHours !== undefined) validateWorkingHours(workingHours, errors);
+  if (
+    defaultProject !== undefined &&
+    defaultProject !== null &&
+    !mongoose.isValidObjectId(defaultProject)
+  )
+    errors.push("defaultProject must be a project ID or null");
+
+  if (preferences.notifications !== undefined) {
+    const { notifications } = preferences;
+    if (
+      !isPlainObject(notifications) ||
+      typeof notifications.dueDateReminders !== "boolean"
+    ) {
+      errors.push("notifications.dueDateReminders must be true or false");
+    }
+  }
+
+  return errors;
+};
+
+module.exports = { DATE_FORMATS, PREFERENCE_FIELDS, validatePreferences };
@@ -0,0 +1,13 @@
+// src/utils/request.js
+// ─────────────────────────────────────────────────────────────────────────────
+// Small helpers for reading information off the Express request.
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Device info stored with sessions (refresh tokens) and security logs.
+// req.ip respects Express's "trust proxy" setting when behind a load balancer.
+const clientInfo = (req) => ({
+  userAgent: req.headers["user-agent"],
+  ipAddress: req.ip,
+});
+
+module.exports = { clientInfo };
@@ -0,0 +1,167 @@
+// src/utils/timezone.js
+// ─────────────────────────────────────────────────────────────────────────────
+// WHY THIS FILE EXISTS:
+//   Dates are stored in UTC, but "today", "overdue" and "9 o'clock" depend on
+//   where the user is (User.preferences.timezone). These helpers convert
+//   between an instant and the wall-clock time in an IANA time zone using
+//   only the built-in Intl API — no timezone database to keep up to date.
+//
+//   OVERDUE:
+//   A task is overdue once its due date lies before the START of the user's
+//   current day — anything due today (in their time zone) is "due today".
+// ─────────────────────────────────────────────────────────────────────────────
+
+const isTimeZone = (value) => {
+  if (typeof value !== "string" || !value) return false;
+  try {
+    new Intl.DateTimeFormat("en", { timeZone: value });
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+// Formatters are expensive to create — one per time zone is kept
+const formatters = new Map();
+const formatterFor = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        weekday: "short",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+      }),
+    );
+  }
+  return formatters.get(timeZone);
+};
+
+const WEEKDAYS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+
+// ── localParts ────────────────────────────────────────────────────────────────
+// Wall-clock time of `date` in `timeZone`
+// → { year, month (1-12), day, hour, minute, second, weekday (1 = Monday) }
+const localParts = (timeZone, date = new Date()) => {
+  const parts = {};
+  for (const { type, value } of formatterFor(timeZone).formatToParts(date)) {
+    parts[type] = value;
+  }
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS.indexOf(parts.weekday) + 1,
+  };
+};
+
+// Offset of `timeZone` from UTC at that instant, in ms (e.g. +2h → 7200000)
+const offsetAt = (timeZone, date) => {
+  const p = localParts(timeZone, date);
+  const asUtc = Date.UTC(
+    p.year,
+    p.month - 1,
+    p.day,
+    p.hour,
+    p.minute,
+    p.second,
+  );
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// ── zonedTime ─────────────────────────────────────────────────────────────────
+// The instant at which the wall clock in `timeZone` shows the given time.
+// Around a daylight saving switch the first guess can use the wrong offset,
+// so it is checked against the other one. A time that doesn't exist (skipped
+// by a spring-forward, e.g. midnight in Santiago) maps to just after the gap.
+const zonedTime = (timeZone, { year, month, day, hour = 0, minute = 0 }) => {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  const offset = offsetAt(timeZone, new Date(wallClock));
+  const instant = wallClock - offset;
+
+  const corrected = offsetAt(timeZone, new Date(instant));
+  if (corrected === offset) return new Date(instant);
+
+  const retry = wallClock - corrected;
+  return offsetAt(timeZone, new Date(retry)) === corrected
+    ? new Date(retry)
+    : new Date(instant);
+};
+
+// Start of the user's day that contains `date`, and of the next one
+const startOfDay = (timeZone, date = new Date()) => {
+  const { year, month, day } = localParts(timeZone, date);
+  return zonedTime(timeZone, { year, month, day });
+};
+
+const startOfNextDay = (timeZone, date = new Date()) => {
+  const { year, month, day } = localParts(timeZone, date);
+  // Date.UTC rolls over month and year ends (day 32 → the 1st)
+  const next = new Date(Date.UTC(year, month - 1, day + 1));
+  return zonedTime(timeZone, {
+    year: next.getUTCFullYear(),
+    month: next.getUTCMonth() + 1,
+    day: next.getUTCDate(),
+  });
+};
+
+// "2026-03-29" — the user's calendar date for `date`
+const localDateKey = (timeZone, date = new Date()) => {
+  const { year, month, day } = localParts(timeZone, date);
+  return `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+};
+
+// ── Calendar-day arithmetic ───────────────────────────────────────────────────
+// Used to lay out due dates (project templates, cloning) in the user's days —
+// "3 days later" keeps the wall-clock time across daylight saving switches.
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// "2026-03-29" — a real calendar date (no "2026-02-30")
+const isDateKey = (value) =>
+  typeof value === "string" &&
+  /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+  !Number.isNaN(Date.parse(value)) &&
+  new Date(value).toISOString().startsWith(value);
+
+// Start of "2026-03-29" + `days` in `timeZone`
+const dayStart = (timeZone, dateKey, days = 0) => {
+  const [year, month, day] = dateKey.split("-").map(Number);
+  return zonedTime(timeZone, { year, month, day: day + days });
+};
+
+// `date` moved by `days` calendar days, same local time of day
+const shiftDays = (timeZone, date, days) => {
+  const { year, month, day, hour, minute } = localParts(timeZone, date);
+  return zonedTime(timeZone, { year, month, day: day + days, hour, minute });
+};
+
+// Calendar days from `from` to `to` (negative when `to` is earlier)
+const daysBetween = (timeZone, from, to) => {
+  const utcDay = (date) => {
+    const { year, month, day } = localParts(timeZone, date);
+    return Date.UTC(year, month - 1, day);
+  };
+  return Math.round((utcDay(to) - utcDay(from)) / DAY_MS);
+};
+
+module.exports = {
+  isTimeZone,
+  localParts,
+  zonedTime,
+  startOfDay,
+  startOfNextDay,
+  localDateKey,
+  isDateKey,
+  dayStart,
+  shiftDays,
+  daysBetween,
+};
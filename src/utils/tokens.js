@@ -0,0 +1,22 @@
+// src/utils/tokens.js
+// ─────────────────────────────────────────────────────────────────────────────
+// WHY THIS FILE EXISTS:
+//   Many features hand out one-time secrets by email or API (password reset
+//   links, invitations, backup codes, API tokens...). They all follow the
+//   same rule: send the PLAIN token to the user, store only its HASH.
+//   If the database leaks, the hashes are useless to an attacker.
+//
+//   SHA-256 (not bcrypt) is enough here because these tokens are long random
+//   strings — there is nothing to brute-force, unlike human passwords.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const crypto = require("crypto");
+
+// Random hex string — 32 bytes = 64 hex characters
+const randomToken = (bytes = 32) => crypto.randomBytes(bytes).toString("hex");
+
+// One-way SHA-256 hash, hex encoded
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
+
+module.exports = { randomToken, hashToken };
@@ -0,0 +1,78 @@
+// src/utils/workflow.js
+// ─────────────────────────────────────────────────────────────────────────────
+// WHY THIS FILE EXISTS:
+//   Task statuses used to be a fixed list. Now every project can bring its
+//   own WORKFLOW (Project.workflow): ordered statuses, each in a category,
+//   and the moves allowed between them. These helpers answer the questions
+//   services ask about it — without touching the database:
+//
+//     workflowOf(project)                 → the project's workflow or the default
+//     findStatus(workflow, 'testing')     → { key, name, category } or null
+//     checkTransition(workflow, from, to, projectRole)
+//                                         → { allowed, rule?, minRole? }
+//
+//   TRANSITIONS:
+//   A workflow without transitions allows every move. Otherwise a move needs
+//   a rule for it ({ from, to }, from "*" = from any status); a rule with a
+//   minRole only counts for that project role and up.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const { STATUS_CATEGORIES, hasProjectRole } = require("../models/Project");
+
+// The statuses every project had before workflows existed
+const DEFAULT_WORKFLOW = {
+  statuses: [
+    { key: "todo", name: "To do", category: "todo" },
+    { key: "in-progress", name: "In progress", category: "in_progress" },
+    { key: "review", name: "Review", category: "in_progress" },
+    { key: "done", name: "Done", category: "done" },
+  ],
+  transitions: [],
+};
+
+// Task filter for "not done yet", whatever the workflow calls it
+const OPEN_TASK = { statusCategory: { $ne: "done" } };
+
+const workflowOf = (project) =>
+  project && project.workflow && project.workflow.statuses.length > 0
+    ? project.workflow
+    : DEFAULT_WORKFLOW;
+
+const findStatus = (workflow, key) =>
+  workflow.statuses.find((status) => status.key === key) || null;
+
+// New tasks start in the first status
+const initialStatus = (workflow) => workflow.statuses[0];
+
+// Can `projectRole` move a task from `from` to `to`?
+const checkTransition = (workflow, from, to, projectRole) => {
+  if (from === to || workflow.transitions.length === 0) {
+    return { allowed: true };
+  }
+
+  const rules = workflow.transitions.filter(
+    (rule) => (rule.from === from || rule.from === "*") && rule.to === to,
+  );
+  if (rules.length === 0) return { allowed: false, rule: false };
+
+  const permitted = rules.some(
+    (rule) => !rule.minRole || hasProjectRole(projectRole, rule.minRole),
+  );
+  if (permitted) return { allowed: true };
+
+  // The lowest role any of the rules would accept
+  const minRole = rules
+    .map((rule) => rule.minRole)
+    .reduce((low, role) => (hasProjectRole(low, role) ? role : low));
+  return { allowed: false, rule: true, minRole };
+};
+
+module.exports = {
+  STATUS_CATEGORIES,
+  DEFAULT_WORKFLOW,
+  OPEN_TASK,
+  workflowOf,
+  findStatus,
+  initialStatus,
+  checkTransition,
+};